@@ -110,6 +110,11 @@ export async function processRAACTGE(deployer, config, deployment) {
         const orchestratorAddress = orchestratorDeploymentData?.address || orchestratorDeploymentData;
         const orchestratorContract = new ethers.Contract(orchestratorAddress, orchestratorArtifact.abi, wallet);
 
+        const { default: TransactionQueue } = await import("../../../RPCLibrary/transactions/TransactionQueue.js");
+        // Like the sequential version, nothing more is sent once a schedule or transfer fails
+        const queue = new TransactionQueue(wallet, { stopOnFailure: true });
+        const scheduledAddresses = new Set();
+
         for(const wallet of wallets){
             const { address, amount, type, schedules } = wallet;
             const amountInWei = ethers.parseEther(amount.toString());
@@ -139,27 +144,29 @@ export async function processRAACTGE(deployer, config, deployment) {
                         deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ALREADY_EXISTS', { address, amount: vestingSchedule[0], vestingSchedule });
                         continue;
                     }
-                    try {
-
-                        let rawCategory = walletType.toUpperCase();
-                        if(rawCategory === 'DEPLOYER'){
-                            rawCategory = 'TEAM';
-                        }
-                        const encodedCategory = ethers.keccak256(ethers.toUtf8Bytes(rawCategory));
-                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATING', { 
-                            beneficiary: address, 
-                            category: walletType,
-                            encodedCategory,
-                            amount: amountInWei.toString(),
-                            start,
-                        });
-                        const createLockTx = await orchestratorContract.createVestingSchedule(
-                            address,
-                            encodedCategory,
-                            amountInWei,
-                            start,
-                        );
-                        await createLockTx.wait();
+                    // Queued but not mined yet, the schedule above cannot see it
+                    if(scheduledAddresses.has(address)){
+                        deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ALREADY_QUEUED', { address, amount });
+                        continue;
+                    }
+                    scheduledAddresses.add(address);
+                    let rawCategory = walletType.toUpperCase();
+                    if(rawCategory === 'DEPLOYER'){
+                        rawCategory = 'TEAM';
+                    }
+                    const encodedCategory = ethers.keccak256(ethers.toUtf8Bytes(rawCategory));
+                    deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATING', { 
+                        beneficiary: address, 
+                        category: walletType,
+                        encodedCategory,
+                        amount: amountInWei.toString(),
+                        start,
+                    });
+                    queue.add({
+                        contract: orchestratorContract,
+                        method: 'createVestingSchedule',
+                        args: [address, encodedCategory, amountInWei, start],
+                    }).then(() => {
                         deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_CREATED', { 
                             beneficiary: address, 
                             category: walletType,
@@ -167,7 +174,7 @@ export async function processRAACTGE(deployer, config, deployment) {
                             amount: amountInWei.toString(),
                             start,
                         });
-                    } catch (error) {
+                    }, (error) => {
                         deployer.logger.addLog('PROCESS_RAAC_TGE_VESTING_ERROR', {
                             error: error.message,
                             address,
@@ -176,8 +183,7 @@ export async function processRAACTGE(deployer, config, deployment) {
                             end,
                             scheduleType
                         });
-                        throw error;
-                    }
+                    });
                 }
             } else {
                 // Direct transfer for non-vested tokens
@@ -188,12 +194,21 @@ export async function processRAACTGE(deployer, config, deployment) {
                     deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_ALREADY_HAS_BALANCE', { address, amount, type, balance });
                     continue;
                 }
-                const transferTx = await RAACContract.transfer(address, amountInWei);
-                await transferTx.wait();
-                deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_SUCCESS', { address, amount, type });
+                queue.add({ contract: RAACContract, method: 'transfer', args: [address, amountInWei] }).then(() => {
+                    deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_SUCCESS', { address, amount, type });
+                }, (error) => {
+                    deployer.logger.addLog('PROCESS_RAAC_TGE_DIRECT_TRANSFER_ERROR', { error: error.message, address, amount, type });
+                });
             }
         }
 
+        // Schedules and transfers are broadcast back to back, the receipts are awaited once.
+        // In queue order, a failure comes before the transactions it cancelled
+        const failures = (await queue.drain()).filter(({ status }) => status === 'rejected');
+        if(failures.length > 0){
+            throw failures[0].reason;
+        }
+
         const currentOrchestratorBalance = await RAACContract.balanceOf(orchestratorAddress);
 
         if(currentOrchestratorBalance == 0n){
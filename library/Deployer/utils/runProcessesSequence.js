@@ -1,4 +1,3 @@
-import { ethers } from "ethers";
 import { processes } from "../processes/index.js";
 
 export default async function runProcessesSequence(deployment, deployer, configs) {
@@ -25,32 +24,23 @@ export default async function runProcessesSequence(deployment, deployer, configs
 					`\x1b[31m==== ${_process.name} - Failed : ${_process.id} ====\x1b[0m`
 				);
 				console.log(error);
-				// Try to get the contract by the address
-				// Find the contract in the deployment.contracts
-				if (error?.transaction?.to) {
-					const [contractName, contractAddress] = Object.entries(
-						deployment.contracts
-					).find(([_, address]) => address === error.transaction.to);
-					try {
-						const contractArtifact = await deployer.readArtifactFile(
-							contractName
+				// Decode the revert against the artifact of the called contract first, then every RPCLibrary ABI
+				try {
+					const { parseContractError } = await import("../../RPCLibrary/errors/decodeError.js");
+					const to = error?.transaction?.to;
+					const [contractName] = (to && Object.entries(deployment.contracts ?? {})
+						.find(([_, address]) => address?.toLowerCase() === to.toLowerCase())) || [];
+					const abi = contractName ? (await deployer.readArtifactFile(contractName)).abi : null;
+					const contractError = parseContractError(error, { contract: contractName, abi, address: to });
+					if (contractError.errorName) {
+						console.log(
+							`\x1b[31m==== ${contractError.code}: ${contractError.message} ====\x1b[0m`
 						);
-						const contract = new ethers.Contract(
-							contractAddress,
-							contractArtifact.abi,
-							deployment.getWallet()
-						);
-						if (contract) {
-							console.log(
-								`Parsing error for ${contractName} at ${contractAddress}`
-							);
-							const parsedError = contract.interface.parseError(error.message);
-							console.log(parsedError);
-						}
-					} catch (parsingError) {
-						// Log the error but don't throw it - we will throw the base error later
-						console.log({ parsingError });
+						console.log(contractError.namedArgs);
 					}
+				} catch (parsingError) {
+					// Log the error but don't throw it - we will throw the base error later
+					console.log({ parsingError });
 				}
 				throw error;
 			}
@@ -1,10 +1,15 @@
+import { EventEmitter } from './utils/EventEmitter.js';
 import { ethers } from 'ethers';
 // import { getContractAddress,getConfig } from './utils/contracts.js';
 // Commons
 import checkAllowance from './methods/commons/checkAllowance.js';
 import estimateGasPrice from './methods/commons/estimateGasPrice.js';
 
-import {getChainsConfig, getChainConfig, setChainConfig} from './configs/index.js';
+import {getChainsConfig, getChainConfig, setChainConfig, registerChainConfig, onChainConfigChange} from './configs/index.js';
+import createConfig from './configs/createConfig.js';
+import loadChainConfig from './configs/loadChainConfig.js';
+import importDeployment from './configs/importDeployment.js';
+import { CHAIN_CONFIG_SCHEMA, validateChainConfig } from './configs/schema.js';
 
 // Assets
 import getAsset from './assets/getAsset.js';
@@ -34,6 +39,11 @@ import getLiquidityPoolInfo from './pools/liquidityPool/getLiquidityPoolInfo.js'
 
 import depositNFTToLendingPool from './pools/lendingPool/depositNFTToLendingPool.js';
 import withdrawNFTFromLendingPool from './pools/lendingPool/withdrawNFTFromLendingPool.js';
+import previewBorrow from './pools/lendingPool/previewBorrow.js';
+import previewRepay from './pools/lendingPool/previewRepay.js';
+import previewWithdrawNFT from './pools/lendingPool/previewWithdrawNFT.js';
+import getPositionState from './pools/lendingPool/getPositionState.js';
+import positionModel from './pools/lendingPool/positionModel.js';
 
 import getHousePrice from './pools/lendingPool/getHousePrice.js';
 
@@ -46,6 +56,9 @@ import getNFTCurrentBatchSize from './nfts/getCurrentBatchSize.js';
 import getOwnedNFTs from './nfts/getOwnedNFTs.js';
 import getVaultedNFTs from './nfts/getVaultedNFTs.js';
 import getVaultAddress from './nfts/getVaultAddress.js';
+import getDepositors from './nfts/getDepositors.js';
+import getPortfolio from './nfts/getPortfolio.js';
+import { NFT_METADATA_SCHEMA, createMetadataFetcher, fetchMetadata, validateMetadata, resolveTokenURI } from './nfts/metadata.js';
 // Contracts
 import getContractAddress from './contracts/getContractAddress.js';
 import getContract from './contracts/getContract.js';
@@ -78,15 +91,170 @@ import getAuctions from './contracts/zeno/getAuctions.js';
 import createAuction from './contracts/zeno/createAuction.js';
 import createZeno from './contracts/zeno/createZeno.js';
 import getZenos from './contracts/zeno/getZenos.js';
+import getZenoAuction from './contracts/zeno/getAuction.js';
+import buyZeno from './contracts/zeno/buy.js';
+import checkAuctionEnded from './contracts/zeno/checkAuctionEnded.js';
+import redeemZeno from './contracts/zeno/redeem.js';
+import redeemAllZeno from './contracts/zeno/redeemAll.js';
+import getZenoHoldings from './contracts/zeno/getZenoHoldings.js';
+import ZenoPriceCurve from './contracts/zeno/priceCurve.js';
 
-class RPCLibrary {
-  constructor(privateKey) {
+// Governance
+import propose from './governance/propose.js';
+import castVote from './governance/castVote.js';
+import queueProposal from './governance/queueProposal.js';
+import executeProposal from './governance/executeProposal.js';
+import cancelProposal from './governance/cancelProposal.js';
+import getProposal from './governance/getProposal.js';
+import getProposals from './governance/getProposals.js';
+
+// veRAAC
+import lock from './veraac/lock.js';
+import increase from './veraac/increase.js';
+import extend from './veraac/extend.js';
+import withdraw from './veraac/withdraw.js';
+import emergencyWithdraw from './veraac/emergencyWithdraw.js';
+import getLockPosition from './veraac/getLockPosition.js';
+import getVotingPower from './veraac/getVotingPower.js';
+import getCurrentBoost from './veraac/getCurrentBoost.js';
+import calculateVeAmount from './veraac/calculateVeAmount.js';
+
+// Gauges
+import getGauge from './gauges/getGauge.js';
+import getGauges from './gauges/getGauges.js';
+import voteForGauge from './gauges/vote.js';
+import stakeInGauge from './gauges/stake.js';
+import withdrawFromGauge from './gauges/withdraw.js';
+import claimGaugeRewards from './gauges/claimRewards.js';
+
+// Boost
+import simulateBoost from './boost/simulateBoost.js';
+import getUserBoost from './boost/getUserBoost.js';
+import updateUserBoost from './boost/updateUserBoost.js';
+import removeBoostDelegation from './boost/removeBoostDelegation.js';
+import modifySupportedPool from './boost/modifySupportedPool.js';
+import BoostCalculator from './boost/BoostCalculator.js';
+
+// Collectors
+import getCollectedFees from './collectors/getCollectedFees.js';
+import getFeeTypes from './collectors/getFeeTypes.js';
+import getPendingFeeRewards from './collectors/getPendingRewards.js';
+import claimFeeRewards from './collectors/claimRewards.js';
+import getTreasurySnapshot from './collectors/getTreasurySnapshot.js';
+import getTreasuryAllocation from './collectors/getTreasuryAllocation.js';
+import getFeeReport from './collectors/getFeeReport.js';
+import { FEE_TYPES } from './collectors/constants.js';
+
+// Liquidations
+import getLiquidationAuction from './liquidations/getAuction.js';
+import getLiquidationAuctions from './liquidations/getAuctions.js';
+import placeLiquidationBid from './liquidations/placeBid.js';
+import endLiquidationAuction from './liquidations/endAuction.js';
+import buyBackNFT from './liquidations/buyBackNFT.js';
+import initiateLiquidation from './liquidations/initiateLiquidation.js';
+import liquidateBorrower from './liquidations/liquidateBorrower.js';
+import LiquidationMonitor from './liquidations/LiquidationMonitor.js';
+import getHealthFactor from './pools/lendingPool/getHealthFactor.js';
+
+// Markets
+import getMarket from './markets/getMarket.js';
+import getMarkets from './markets/getMarkets.js';
+import getUserMarketPositions from './markets/getUserPositions.js';
+import calculateMarketReward from './markets/calculateReward.js';
+import createMarket from './markets/createMarket.js';
+import participateInMarket from './markets/participateInMarket.js';
+import redeemFromMarket from './markets/redeemFromMarket.js';
+
+// Vesting
+import getVestingSchedule from './vesting/getVestingSchedule.js';
+import getVestingSchedules from './vesting/getVestingSchedules.js';
+import getVestingCategories from './vesting/getVestingCategories.js';
+import releaseVesting from './vesting/release.js';
+import emergencyRevoke from './vesting/emergencyRevoke.js';
+import setEmergencyShutdown from './vesting/setEmergencyShutdown.js';
+import VestingCalculator from './vesting/VestingCalculator.js';
+
+// Transactions
+import sendTransaction from './transactions/sendTransaction.js';
+import TransactionHandle, { TX_STATUS } from './transactions/TransactionHandle.js';
+import NonceManager from './transactions/NonceManager.js';
+import TransactionQueue from './transactions/TransactionQueue.js';
+
+// Errors
+import ERROR_CODES from './errors/codes.js';
+import ContractError from './errors/ContractError.js';
+import { decodeErrorData, parseContractError } from './errors/decodeError.js';
+
+// Indexer
+import EventIndexer, { DEFAULT_SOURCES } from './indexer/EventIndexer.js';
+import JsonLinesStore from './indexer/JsonLinesStore.js';
+import { getDepositsByUser, getBorrowHistoryForToken, getFeesPerDay } from './indexer/queries.js';
+
+// Signers
+import SignerAdapter from './signers/SignerAdapter.js';
+import WalletSignerAdapter from './signers/WalletSignerAdapter.js';
+import InjectedSignerAdapter from './signers/InjectedSignerAdapter.js';
+import PrivateKeySignerAdapter from './signers/PrivateKeySignerAdapter.js';
+import MnemonicSignerAdapter from './signers/MnemonicSignerAdapter.js';
+import KeystoreSignerAdapter from './signers/KeystoreSignerAdapter.js';
+import ReadOnlySignerAdapter from './signers/ReadOnlySignerAdapter.js';
+import createSignerAdapter from './signers/createSignerAdapter.js';
+
+// Providers
+import getRpcProvider, { getRpcUrls } from './providers/getRpcProvider.js';
+import MultiRpcProvider from './providers/MultiRpcProvider.js';
+
+// Amounts
+import TokenAmount, { getAssetDecimals } from './amounts/TokenAmount.js';
+import { AMOUNT_FORMATS, LEGACY_FORMATS, setAmountFormat, getAmountFormat, parseAmount, formatAmount } from './amounts/units.js';
+import wadRayMath from './amounts/wadRayMath.js';
+import percentageMath from './amounts/percentageMath.js';
+
+// Subscriptions
+import Subscription from './subscriptions/Subscription.js';
+import getSubscriptionProvider from './subscriptions/getSubscriptionProvider.js';
+import subscribeToLoan from './subscriptions/subscribeToLoan.js';
+import subscribeToHousePrice from './subscriptions/subscribeToHousePrice.js';
+import subscribeToStabilityPool from './subscriptions/subscribeToStabilityPool.js';
+import subscribeToAuction from './subscriptions/subscribeToAuction.js';
+import subscribe, { SUBSCRIPTIONS } from './subscriptions/subscribe.js';
+
+// Interest
+import getInterestRates from './interest/getInterestRates.js';
+import getPrimeRateHistory, { getPrimeRateOracleAddress, samplePrimeRate } from './interest/getPrimeRateHistory.js';
+import rateModel, { projectRates, getRateCurve, rayToPercent } from './interest/rateModel.js';
+
+// APY
+import apyEngine from './apy/engine.js';
+import getBlockTime from './apy/getBlockTime.js';
+import getEmissions from './apy/getEmissions.js';
+import getStabilityPoolApy from './apy/getStabilityPoolApy.js';
+import getLendingPoolApy from './apy/getLendingPoolApy.js';
+import getGaugeApy from './apy/getGaugeApy.js';
+import { liquidityPoolPriceSource, fixedPriceSource, setDefaultPriceSource, getDefaultPriceSource, priceUnavailable } from './apy/priceSources.js';
+
+// Snapshots
+import takeSnapshot from './snapshots/takeSnapshot.js';
+import diffSnapshots from './snapshots/diffSnapshots.js';
+
+/**
+ * Emits 'accountChanged' (address|null) and 'chainChanged' (chainId) as the signer adapter reports them
+ */
+class RPCLibrary extends EventEmitter {
+  /**
+   * @param {SignerAdapter|string} [signer] - Signer adapter or private key, the injected wallet (read-only without one) by default
+   */
+  constructor(signer) {
+    super();
     this.signer = null;
     this.isConnected = false;
     this.address = null;
     this.chainId = null;
 
-    this.privateKey = privateKey;
+    this.privateKey = typeof signer === 'string' ? signer : undefined;
+    this.onAccountChanged = this.onAccountChanged.bind(this);
+    this.onChainChanged = this.onChainChanged.bind(this);
+    this.setSignerAdapter(signer);
 
     this.assets={
       getAsset,
@@ -115,6 +283,13 @@ class RPCLibrary {
       addNewBatch: addNewNFTBatch,
       setBaseUri: setNFTBaseUri,
       getCurrentBatchSize: getNFTCurrentBatchSize,
+      getDepositors,
+      getPortfolio,
+      NFT_METADATA_SCHEMA,
+      createMetadataFetcher,
+      fetchMetadata,
+      validateMetadata,
+      resolveTokenURI,
     }
     this.contracts = {
       housePrices: {
@@ -152,6 +327,12 @@ class RPCLibrary {
         depositNFTToLendingPool,
         withdrawNFTFromLendingPool,
         getLendingPoolInfo,
+        getHealthFactor,
+        previewBorrow,
+        previewRepay,
+        previewWithdrawNFT,
+        getPositionState,
+        positionModel,
       },
       depositToLendingPool,
       withdrawFromLendingPool,
@@ -172,84 +353,280 @@ class RPCLibrary {
       createAuction,
       getAuctions,
       createZeno,
-      getZenos
+      getZenos,
+      getAuction: getZenoAuction,
+      buy: buyZeno,
+      checkAuctionEnded,
+      redeem: redeemZeno,
+      redeemAll: redeemAllZeno,
+      getHoldings: getZenoHoldings,
+      priceCurve: ZenoPriceCurve,
+    }
+    this.governance = {
+      propose,
+      castVote,
+      queueProposal,
+      executeProposal,
+      cancelProposal,
+      getProposal,
+      getProposals,
+    }
+    this.veraac = {
+      lock,
+      increase,
+      extend,
+      withdraw,
+      emergencyWithdraw,
+      getLockPosition,
+      getVotingPower,
+      getCurrentBoost,
+      calculateVeAmount,
+    }
+    this.gauges = {
+      getGauge,
+      getGauges,
+      vote: voteForGauge,
+      stake: stakeInGauge,
+      withdraw: withdrawFromGauge,
+      claimRewards: claimGaugeRewards,
+    }
+    this.boost = {
+      simulateBoost,
+      getUserBoost,
+      updateUserBoost,
+      removeBoostDelegation,
+      modifySupportedPool,
+      calculator: BoostCalculator,
+    }
+    this.collectors = {
+      FEE_TYPES,
+      getCollectedFees,
+      getFeeTypes,
+      getPendingRewards: getPendingFeeRewards,
+      claimRewards: claimFeeRewards,
+      getTreasurySnapshot,
+      getTreasuryAllocation,
+      getFeeReport,
+    }
+    this.liquidations = {
+      getAuction: getLiquidationAuction,
+      getAuctions: getLiquidationAuctions,
+      placeBid: placeLiquidationBid,
+      endAuction: endLiquidationAuction,
+      buyBackNFT,
+      initiateLiquidation,
+      liquidateBorrower,
+      LiquidationMonitor,
+    }
+    this.markets = {
+      getMarket,
+      getMarkets,
+      getUserPositions: getUserMarketPositions,
+      calculateReward: calculateMarketReward,
+      createMarket,
+      participateInMarket,
+      redeemFromMarket,
+    }
+    this.vesting = {
+      getVestingSchedule,
+      getVestingSchedules,
+      getVestingCategories,
+      release: releaseVesting,
+      emergencyRevoke,
+      setEmergencyShutdown,
+      calculator: VestingCalculator,
+    }
+    this.transactions = {
+      TX_STATUS,
+      sendTransaction,
+      TransactionHandle,
+      NonceManager,
+      TransactionQueue,
+    }
+    this.errors = {
+      ERROR_CODES,
+      ContractError,
+      decodeErrorData,
+      parseContractError,
+    }
+    this.indexer = {
+      DEFAULT_SOURCES,
+      EventIndexer,
+      JsonLinesStore,
+      getDepositsByUser,
+      getBorrowHistoryForToken,
+      getFeesPerDay,
+    }
+    this.configs = {
+      CHAIN_CONFIG_SCHEMA,
+      validateChainConfig,
+      createConfig,
+      registerChainConfig,
+      loadChainConfig,
+      importDeployment,
+      onChainConfigChange,
+    }
+    this.signers = {
+      SignerAdapter,
+      WalletSignerAdapter,
+      InjectedSignerAdapter,
+      PrivateKeySignerAdapter,
+      MnemonicSignerAdapter,
+      KeystoreSignerAdapter,
+      ReadOnlySignerAdapter,
+      createSignerAdapter,
+    }
+    this.providers = {
+      getRpcProvider,
+      getRpcUrls,
+      MultiRpcProvider,
+    }
+    // rpc.subscribe('loan', ...) or rpc.subscribe.subscribeToLoan(...)
+    this.subscribe = Object.assign((name, ...args) => subscribe(name, ...args), {
+      SUBSCRIPTIONS,
+      Subscription,
+      getSubscriptionProvider,
+      subscribeToLoan,
+      subscribeToHousePrice,
+      subscribeToStabilityPool,
+      subscribeToAuction,
+    });
+    this.amounts = {
+      AMOUNT_FORMATS,
+      LEGACY_FORMATS,
+      TokenAmount,
+      getAssetDecimals,
+      setAmountFormat,
+      getAmountFormat,
+      parseAmount,
+      formatAmount,
+      wadRayMath,
+      percentageMath,
+    }
+    this.interest = {
+      getInterestRates,
+      getPrimeRateHistory,
+      getPrimeRateOracleAddress,
+      samplePrimeRate,
+      projectRates,
+      getRateCurve,
+      rayToPercent,
+      rateModel,
+    }
+    this.apy = {
+      getStabilityPoolApy,
+      getLendingPoolApy,
+      getGaugeApy,
+      getEmissions,
+      getBlockTime,
+      liquidityPoolPriceSource,
+      fixedPriceSource,
+      setDefaultPriceSource,
+      getDefaultPriceSource,
+      priceUnavailable,
+      engine: apyEngine,
+    }
+    this.snapshots = {
+      takeSnapshot,
+      diffSnapshots,
     }
   }
   
-  async getWallet(privateKey, provider) {
-    if (typeof window !== 'undefined' && window.ethereum) {
-      // Browser environment with MetaMask
-      await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const browserProvider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await browserProvider.getSigner();
-      return signer;
-    } else {
-      const wallet = new ethers.Wallet(privateKey, provider);
-      return wallet;
+  /**
+   * Replaces the signer adapter, the library follows its account and chain from then on
+   * @param {SignerAdapter|string} signer - Adapter or private key
+   */
+  setSignerAdapter(signer) {
+    if (this.signerAdapter) {
+      this.signerAdapter.off('accountChanged', this.onAccountChanged);
+      this.signerAdapter.off('chainChanged', this.onChainChanged);
     }
+    this.signerAdapter = createSignerAdapter(signer);
+    this.signerAdapter.on('accountChanged', this.onAccountChanged);
+    this.signerAdapter.on('chainChanged', this.onChainChanged);
+    this.signer = null;
+    this.address = null;
+    this.isConnected = false;
+    return this.signerAdapter;
   }
 
-  async getProvider(chainId) {
-    if (typeof globalThis !== 'undefined' && globalThis.window && typeof globalThis.window.ethereum !== 'undefined') {
-      const provider = new ethers.BrowserProvider(globalThis.window.ethereum);
-      return provider;
+  onAccountChanged(address) {
+    this.address = address;
+    this.isConnected = address !== null;
+    this.emit('accountChanged', address);
+    return this.refreshSigner();
+  }
+
+  onChainChanged(chainId) {
+    this.chainId = chainId;
+    this.emit('chainChanged', chainId);
+    return this.refreshSigner();
+  }
+
+  // Signer of the connected account on the current chain, none in read-only mode
+  async refreshSigner() {
+    try {
+      const canSign = this.isConnected && !this.signerAdapter.readOnly;
+      this.signer = canSign ? await this.signerAdapter.getSigner(this.chainId) : null;
+    } catch (error) {
+      this.signer = null;
     }
+    return this.signer;
+  }
 
-    const config = getChainConfig(chainId);
-    const rpcs = config.rpcs;
-    const provider = new ethers.JsonRpcProvider(rpcs[0]);
-    return provider;
+  async getWallet(privateKey, provider) {
+    if (privateKey) {
+      return new ethers.Wallet(privateKey, provider);
+    }
+    await this.signerAdapter.connect();
+    return this.signerAdapter.getSigner(this.signerAdapter.chainId);
+  }
+
+  async getProvider(chainId) {
+    // Injected wallets use their own provider, other adapters fail over across every RPC of the chain config
+    return this.signerAdapter.getProvider(chainId);
   }
 
   async getSigner(chainId, address) {
-    const provider = await this.getProvider(chainId);
-    const signer = await provider.getSigner(address);
-    return signer;
+    return this.signerAdapter.getSigner(chainId, address);
   }
 
-  async connectWallet() {
-    if (typeof globalThis !== 'undefined' && globalThis.window && typeof globalThis.window.ethereum !== 'undefined') {
-      try {
-        await globalThis.window.ethereum.request({ method: 'eth_requestAccounts' });
-        const provider = new ethers.BrowserProvider(globalThis.window.ethereum);
-        const network = await provider.getNetwork();
-        this.chainId = network.chainId;
-        this.signer = await provider.getSigner();
-        this.address = await this.signer.getAddress();
-        this.isConnected = true;
-      } catch (error) {
-        console.error('Failed to connect wallet:', error);
-        throw new Error(`Failed to connect wallet: ${error.message}`);
-      }
-    } else if (this.provider) {
-      // For non-browser environments, use the provider passed to the constructor
-      try {
-        const network = await this.provider.getNetwork();
-        this.chainId = network.chainId;
-        this.signer = new ethers.Wallet(this.privateKey, this.provider);
-        this.address = await this.signer.getAddress();
-        this.isConnected = true;
-      } catch (error) {
-        console.error('Failed to connect wallet:', error);
-        throw new Error(`Failed to connect wallet: ${error.message}`);
-      }
-    } else {
-      throw new Error('No provider available');
+  /**
+   * Connects the account of the signer adapter, prompting the user with an injected wallet
+   * @param {number} [chainId] - Chain to use when the adapter has no provider of its own
+   */
+  async connectWallet(chainId) {
+    try {
+      const connection = await this.signerAdapter.connect(chainId);
+      this.chainId = connection.chainId;
+      this.address = connection.address;
+      this.isConnected = connection.address !== null;
+      await this.refreshSigner();
+      return connection;
+    } catch (error) {
+      console.error('Failed to connect wallet:', error);
+      throw new Error(`Failed to connect wallet: ${error.message}`);
     }
   }
 
+  // Restores a previous connection without prompting the user
   async checkConnection() {
-    if (typeof window.ethereum !== 'undefined') {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const network = await provider.getNetwork();
-      this.chainId = network.chainId;
-      const accounts = await provider.listAccounts();
-      if (accounts.length > 0) {
-        this.signer = await provider.getSigner();
-        this.isConnected = true;
-        this.address = accounts[0];
-      }
+    const connection = await this.signerAdapter.checkConnection();
+    if (connection?.address) {
+      this.chainId = connection.chainId;
+      this.address = connection.address;
+      this.isConnected = true;
+      await this.refreshSigner();
     }
+    return connection;
+  }
+
+  async switchChain(chainId) {
+    return this.signerAdapter.switchChain(chainId);
+  }
+
+  async disconnect() {
+    await this.signerAdapter.disconnect();
   }
 
   // Mine a block
@@ -0,0 +1,205 @@
+import { ethers } from 'ethers';
+import { getConfigs } from '../utils/contracts.js';
+import { wadMul, wadDiv, rayMul, rayDiv } from './wadRayMath.js';
+import { percentMul, percentDiv } from './percentageMath.js';
+
+const DEFAULT_DECIMALS = 18;
+
+// Asset of the chain config, by id or token address
+export const findAsset = (chainId, asset) => {
+  const assets = getConfigs()[chainId]?.assets ?? {};
+  const normalized = asset?.toLowerCase();
+  return assets[normalized] ?? Object.values(assets).find(
+    ({ id, contract }) => id?.toLowerCase() === normalized || contract?.toLowerCase() === normalized
+  ) ?? null;
+};
+
+/**
+ * Decimals of an asset from the `assets` of the chain config. Falls back to 18,
+ * the decimals of every protocol token, for unknown assets
+ * @param {number} chainId
+ * @param {string} asset - Asset id or token address
+ * @returns {number}
+ */
+export const getAssetDecimals = (chainId, asset) => findAsset(chainId, asset)?.decimals ?? DEFAULT_DECIMALS;
+
+const rescale = (raw, from, to) => (to >= from
+  ? raw * 10n ** BigInt(to - from)
+  : raw / 10n ** BigInt(from - to));
+
+/**
+ * Amount of a token, kept in the smallest unit of the token along with its decimals.
+ *
+ * Converts to the formatted units wherever a string or a number is expected: `${amount}`,
+ * JSON.stringify(amount) and Number(amount) give what ethers.formatUnits gave before.
+ */
+export class TokenAmount {
+  /**
+   * @param {bigint} raw - Amount in the smallest unit (wei for 18 decimals)
+   * @param {number} [decimals=18]
+   * @param {string|null} [asset] - Asset id from the chain config
+   */
+  constructor(raw, decimals = DEFAULT_DECIMALS, asset = null) {
+    this.raw = BigInt(raw);
+    this.decimals = Number(decimals);
+    this.asset = asset;
+    Object.freeze(this);
+  }
+
+  /**
+   * @param {TokenAmount|bigint|string|number} value - bigints are raw amounts, strings and numbers are units ('1.5')
+   * @param {number} [decimals=18]
+   * @param {string|null} [asset]
+   * @returns {TokenAmount}
+   */
+  static from(value, decimals = DEFAULT_DECIMALS, asset = null) {
+    if (value instanceof TokenAmount) {
+      return new TokenAmount(rescale(value.raw, value.decimals, decimals), decimals, value.asset ?? asset);
+    }
+    if (typeof value === 'bigint') {
+      return new TokenAmount(value, decimals, asset);
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+      return new TokenAmount(ethers.parseUnits(String(value), decimals), decimals, asset);
+    }
+    throw new TypeError(`Invalid amount: ${value}`);
+  }
+
+  /**
+   * Same as from, with the decimals of `asset` in the chain config
+   * @param {number} chainId
+   * @param {string} asset - Asset id or token address
+   * @param {TokenAmount|bigint|string|number} value
+   * @returns {TokenAmount}
+   */
+  static fromAsset(chainId, asset, value) {
+    const entry = findAsset(chainId, asset);
+    return TokenAmount.from(value, entry?.decimals ?? DEFAULT_DECIMALS, entry?.id ?? (ethers.isAddress(asset) ? null : asset));
+  }
+
+  static isTokenAmount(value) {
+    return value instanceof TokenAmount;
+  }
+
+  // Converts `other` to the decimals of this amount, both must be of the same asset when known
+  coerce(other) {
+    const amount = TokenAmount.from(other, this.decimals, this.asset);
+    if (this.asset && amount.asset && this.asset !== amount.asset) {
+      throw new Error(`Cannot combine ${amount.asset} with ${this.asset}`);
+    }
+    return amount;
+  }
+
+  with(raw) {
+    return new TokenAmount(raw, this.decimals, this.asset);
+  }
+
+  // Same amount with `decimals`, rounded down when decimals are dropped
+  to(decimals) {
+    return TokenAmount.from(this, decimals);
+  }
+
+  add(other) {
+    return this.with(this.raw + this.coerce(other).raw);
+  }
+
+  sub(other) {
+    return this.with(this.raw - this.coerce(other).raw);
+  }
+
+  // Multiplies by numerator / denominator, rounded down
+  mulDiv(numerator, denominator) {
+    return this.with((this.raw * BigInt(numerator)) / BigInt(denominator));
+  }
+
+  wadMul(wad) {
+    return this.with(wadMul(this.raw, BigInt(wad)));
+  }
+
+  wadDiv(wad) {
+    return this.with(wadDiv(this.raw, BigInt(wad)));
+  }
+
+  // e.g. a scaled balance times the liquidity index
+  rayMul(ray) {
+    return this.with(rayMul(this.raw, BigInt(ray)));
+  }
+
+  rayDiv(ray) {
+    return this.with(rayDiv(this.raw, BigInt(ray)));
+  }
+
+  // `percentage` in basis points
+  percentMul(percentage) {
+    return this.with(percentMul(this.raw, percentage));
+  }
+
+  percentDiv(percentage) {
+    return this.with(percentDiv(this.raw, percentage));
+  }
+
+  cmp(other) {
+    const { raw } = this.coerce(other);
+    return this.raw === raw ? 0 : (this.raw > raw ? 1 : -1);
+  }
+
+  eq(other) {
+    return this.cmp(other) === 0;
+  }
+
+  lt(other) {
+    return this.cmp(other) < 0;
+  }
+
+  lte(other) {
+    return this.cmp(other) <= 0;
+  }
+
+  gt(other) {
+    return this.cmp(other) > 0;
+  }
+
+  gte(other) {
+    return this.cmp(other) >= 0;
+  }
+
+  isZero() {
+    return this.raw === 0n;
+  }
+
+  /**
+   * @param {number} [precision] - Maximum number of decimals, rounded down
+   * @returns {string} Units, e.g. '1.5'
+   */
+  format(precision) {
+    const formatted = ethers.formatUnits(this.raw, this.decimals);
+    if (precision === undefined) {
+      return formatted;
+    }
+    const [integer, fraction] = formatted.split('.');
+    const truncated = fraction.slice(0, precision).replace(/0+$/, '');
+    return truncated ? `${integer}.${truncated}` : integer;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  toNumber() {
+    return Number(this.format());
+  }
+
+  toBigInt() {
+    return this.raw;
+  }
+
+  toJSON() {
+    return this.format();
+  }
+
+  [Symbol.toPrimitive](hint) {
+    return hint === 'number' ? this.toNumber() : this.format();
+  }
+}
+
+export default TokenAmount;
@@ -0,0 +1,12 @@
+// Mirrors contracts/libraries/math/PercentageMath.sol: percentages are in basis points (10000 = 100.00%),
+// operations round half up like the contract
+export const PERCENTAGE_FACTOR = 10000n;
+export const HALF_PERCENTAGE_FACTOR = PERCENTAGE_FACTOR / 2n;
+
+export const percentMul = (value, percentage) =>
+  (value * BigInt(percentage) + HALF_PERCENTAGE_FACTOR) / PERCENTAGE_FACTOR;
+
+export const percentDiv = (value, percentage) =>
+  (value * PERCENTAGE_FACTOR + BigInt(percentage) / 2n) / BigInt(percentage);
+
+export default { PERCENTAGE_FACTOR, HALF_PERCENTAGE_FACTOR, percentMul, percentDiv };
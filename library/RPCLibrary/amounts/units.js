@@ -0,0 +1,93 @@
+import { ethers } from 'ethers';
+import TokenAmount, { findAsset } from './TokenAmount.js';
+
+export const AMOUNT_FORMATS = {
+  TOKEN_AMOUNT: 'tokenAmount',
+  // What every method returned before TokenAmount: formatted strings, numbers or bigints depending on the method
+  LEGACY: 'legacy',
+};
+
+// Legacy shapes of the amounts returned by the methods
+export const LEGACY_FORMATS = {
+  // ethers.formatUnits, e.g. '1.5'
+  UNITS: 'units',
+  // Number of units, e.g. 1.5
+  NUMBER: 'number',
+  // Units without the trailing '.0', e.g. '1'
+  TRIMMED: 'trimmed',
+  RAW: 'raw',
+  // Raw amount as a decimal string
+  STRING: 'string',
+};
+
+let amountFormat = AMOUNT_FORMATS.TOKEN_AMOUNT;
+
+/**
+ * Sets what every method returns for amounts, process wide
+ * @param {'tokenAmount'|'legacy'} format
+ */
+export const setAmountFormat = (format) => {
+  if (!Object.values(AMOUNT_FORMATS).includes(format)) {
+    throw new Error(`Unknown amount format: ${format}`);
+  }
+  amountFormat = format;
+};
+
+export const getAmountFormat = () => amountFormat;
+
+const resolve = ({ chainId, asset, decimals }) => {
+  const entry = asset ? findAsset(chainId, asset) : null;
+  return {
+    decimals: decimals ?? entry?.decimals ?? 18,
+    asset: entry?.id ?? (asset && !ethers.isAddress(asset) ? asset : null),
+  };
+};
+
+/**
+ * Amount argument of a method to its raw amount
+ * @param {TokenAmount|bigint|string|number} value - bigints are raw amounts, strings and numbers are units
+ * @param {Object} [options]
+ * @param {number} [options.chainId]
+ * @param {string} [options.asset] - Asset id or token address, for its decimals
+ * @param {number} [options.decimals] - Overrides the asset decimals
+ * @returns {bigint}
+ */
+export const parseAmount = (value, options = {}) => TokenAmount.from(value, resolve(options).decimals).raw;
+
+/**
+ * Raw amount to what methods return: a TokenAmount, or its legacy shape in legacy mode
+ * @param {bigint} raw
+ * @param {Object} [options]
+ * @param {number} [options.chainId]
+ * @param {string} [options.asset] - Asset id or token address, for its decimals
+ * @param {number} [options.decimals] - Overrides the asset decimals
+ * @param {string} [options.legacy='units'] - One of LEGACY_FORMATS
+ * @returns {TokenAmount|string|number|bigint}
+ */
+export const formatAmount = (raw, { legacy = LEGACY_FORMATS.UNITS, ...options } = {}) => {
+  const { decimals, asset } = resolve(options);
+  if (amountFormat === AMOUNT_FORMATS.TOKEN_AMOUNT) {
+    return new TokenAmount(raw, decimals, asset);
+  }
+  switch (legacy) {
+    case LEGACY_FORMATS.NUMBER:
+      return Number(ethers.formatUnits(raw, decimals));
+    case LEGACY_FORMATS.TRIMMED:
+      return parseFloat(ethers.formatUnits(raw, decimals)).toString();
+    case LEGACY_FORMATS.RAW:
+      return BigInt(raw);
+    case LEGACY_FORMATS.STRING:
+      return raw.toString();
+    default:
+      return ethers.formatUnits(raw, decimals);
+  }
+};
+
+export default {
+  AMOUNT_FORMATS,
+  LEGACY_FORMATS,
+  setAmountFormat,
+  getAmountFormat,
+  parseAmount,
+  formatAmount,
+};
@@ -0,0 +1,65 @@
+// Mirrors contracts/libraries/math/WadRayMath.sol: wads have 18 decimals, rays 27.
+// Operations round half up like the contract, so results match on-chain values to the unit.
+export const WAD = 10n ** 18n;
+export const HALF_WAD = WAD / 2n;
+export const RAY = 10n ** 27n;
+export const HALF_RAY = RAY / 2n;
+export const WAD_RAY_RATIO = 10n ** 9n;
+export const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+export const wadMul = (a, b) => (a * b + HALF_WAD) / WAD;
+
+export const wadDiv = (a, b) => (a * WAD + b / 2n) / b;
+
+export const rayMul = (a, b) => (a * b + HALF_RAY) / RAY;
+
+export const rayDiv = (a, b) => (a * RAY + b / 2n) / b;
+
+export const rayToWad = (a) => a / WAD_RAY_RATIO + (a % WAD_RAY_RATIO >= WAD_RAY_RATIO / 2n ? 1n : 0n);
+
+export const wadToRay = (a) => a * WAD_RAY_RATIO;
+
+// x^n by squaring, every step rounded like rayMul
+export const rayPow = (x, n) => {
+  let base = x;
+  let exponent = BigInt(n);
+  let result = exponent % 2n !== 0n ? base : RAY;
+  for (exponent /= 2n; exponent !== 0n; exponent /= 2n) {
+    base = rayMul(base, base);
+    if (exponent % 2n !== 0n) {
+      result = rayMul(result, base);
+    }
+  }
+  return result;
+};
+
+// e^x with the same 7 terms Taylor series as the contract
+export const rayExp = (x) => {
+  if (x === 0n) {
+    return RAY;
+  }
+  let result = RAY + x;
+  let term = x;
+  for (let k = 2n; k <= 7n; k++) {
+    term = (x * term) / (k * RAY);
+    result += term;
+  }
+  return result;
+};
+
+export default {
+  WAD,
+  HALF_WAD,
+  RAY,
+  HALF_RAY,
+  WAD_RAY_RATIO,
+  SECONDS_PER_YEAR,
+  wadMul,
+  wadDiv,
+  rayMul,
+  rayDiv,
+  rayToWad,
+  wadToRay,
+  rayPow,
+  rayExp,
+};
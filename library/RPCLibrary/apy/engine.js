@@ -0,0 +1,82 @@
+import { RAY, WAD, rayPow } from '../amounts/wadRayMath.js';
+import { SECONDS_PER_YEAR, rayToPercent } from '../interest/rateModel.js';
+
+// Rewards are assumed to be claimed and deposited again once a day
+export const DEFAULT_COMPOUNDING_PERIODS = 365;
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * Blocks in a year at `blockTime` seconds per block
+ * @param {number} blockTime - Seconds, may be fractional
+ * @returns {bigint}
+ */
+export const getBlocksPerYear = (blockTime) => (SECONDS_PER_YEAR * 1000n) / BigInt(Math.round(blockTime * 1000));
+
+/**
+ * Yearly rewards of a pool as a rate of its deposits, valued in the deposit asset
+ * @param {Object} params
+ * @param {bigint} params.rewardsPerYear - Raw reward amount
+ * @param {number} [params.rewardDecimals=18]
+ * @param {bigint} params.price - Value of one reward token in the deposit asset, wad
+ * @param {bigint} params.totalDeposits - Raw deposit amount
+ * @param {number} [params.depositDecimals=18]
+ * @returns {bigint} Ray, 0 without deposits
+ */
+export const calculateRewardApr = ({ rewardsPerYear, rewardDecimals = 18, price, totalDeposits, depositDecimals = 18 }) => {
+  if (totalDeposits <= 0n) {
+    return 0n;
+  }
+  return (rewardsPerYear * price * 10n ** BigInt(depositDecimals) * RAY)
+    / (WAD * 10n ** BigInt(rewardDecimals) * totalDeposits);
+};
+
+/**
+ * APY of an APR compounded `periods` times a year, the APR itself for 1 period or less
+ * @param {bigint} apr - Ray
+ * @param {number} [periods=365]
+ * @returns {bigint} Ray
+ */
+export const aprToApy = (apr, periods = DEFAULT_COMPOUNDING_PERIODS) => {
+  if (periods <= 1 || apr === 0n) {
+    return apr;
+  }
+  return rayPow(RAY + apr / BigInt(periods), periods) - RAY;
+};
+
+const part = (apr, apy) => ({ apr: rayToPercent(apr), apy: rayToPercent(apy) });
+
+/**
+ * APR/APY of a deposit broken down by source, in percentages:
+ * - base: interest of the deposit asset itself, already an APY (e.g. the LendingPool liquidity rate)
+ * - emissions: RAAC rewards at no boost, compounded `periods` times a year
+ * - boost: extra rewards of the boost multiplier, also compounded
+ * @param {Object} params
+ * @param {bigint} [params.baseApr=0n] - Ray
+ * @param {bigint} [params.baseApy] - Ray, baseApr by default
+ * @param {bigint} [params.emissionsApr=0n] - Ray
+ * @param {bigint|number} [params.boost=10000] - Multiplier in basis points, 10000 is 1x
+ * @param {number} [params.periods=365]
+ * @returns {{ base: Object, emissions: Object, boost: Object, total: { apr: number, apy: number } }}
+ */
+export const buildApyBreakdown = ({ baseApr = 0n, baseApy = baseApr, emissionsApr = 0n, boost = BASIS_POINTS, periods = DEFAULT_COMPOUNDING_PERIODS }) => {
+  const multiplier = BigInt(boost);
+  const boostApr = multiplier > BASIS_POINTS ? (emissionsApr * (multiplier - BASIS_POINTS)) / BASIS_POINTS : 0n;
+  const emissionsApy = aprToApy(emissionsApr, periods);
+  const boostApy = aprToApy(emissionsApr + boostApr, periods) - emissionsApy;
+
+  return {
+    base: part(baseApr, baseApy),
+    emissions: part(emissionsApr, emissionsApy),
+    boost: { ...part(boostApr, boostApy), multiplier: Number(multiplier) / 10000 },
+    total: part(baseApr + emissionsApr + boostApr, baseApy + emissionsApy + boostApy),
+  };
+};
+
+export default {
+  DEFAULT_COMPOUNDING_PERIODS,
+  getBlocksPerYear,
+  calculateRewardApr,
+  aprToApy,
+  buildApyBreakdown,
+};
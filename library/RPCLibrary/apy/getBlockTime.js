@@ -0,0 +1,39 @@
+import { getBlockTag } from '../utils/multicall.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// RAACMinter.BLOCKS_PER_DAY is 7200, the 12-second blocks of Ethereum
+export const DEFAULT_BLOCK_TIME = 12;
+
+/**
+ * Average seconds per block over the `sampleSize` blocks before `blockTag`, DEFAULT_BLOCK_TIME
+ * when the chain has no earlier block to measure against
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {number} [options.sampleSize=1000] - Blocks
+ * @returns {Promise<{ blockTime: number, blockNumber: number, timestamp: number, sampleSize: number }>}
+ */
+async function getBlockTime(provider, { blockTag = 'latest', sampleSize = 1000 } = {}) {
+  try {
+    const runner = provider.provider ?? provider;
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const fromBlock = Math.max(blockNumber - sampleSize, 0);
+
+    const [block, earlierBlock] = await Promise.all([
+      runner.getBlock(blockNumber),
+      runner.getBlock(fromBlock),
+    ]);
+
+    const blocks = blockNumber - fromBlock;
+    const blockTime = blocks > 0 && block.timestamp > earlierBlock.timestamp
+      ? (block.timestamp - earlierBlock.timestamp) / blocks
+      : DEFAULT_BLOCK_TIME;
+
+    return { blockTime, blockNumber, timestamp: block.timestamp, sampleSize: blocks };
+  } catch (error) {
+    console.error('Error measuring block time:', error);
+    throw parseContractError(error, { message: 'Failed to measure block time' });
+  }
+}
+
+export default getBlockTime;
@@ -0,0 +1,59 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { getBlocksPerYear } from './engine.js';
+import getBlockTime from './getBlockTime.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+/**
+ * RAAC emissions of the RAACMinter over a year at the measured block time of the chain.
+ *
+ * The minter mints `emissionRate` RAAC per block to the StabilityPool; its BLOCKS_PER_DAY (7200) is
+ * only used to size the rates and assumes 12-second blocks, which over- or under-counts on other chains.
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {string} [options.minter] - RAACMinter address, `raacminter` of the chain config by default
+ * @param {number} [options.sampleSize=1000] - Blocks to measure the block time over
+ * @returns {Promise<Object>} Raw RAAC amounts
+ */
+async function getEmissions(chainId, provider, { blockTag = 'latest', minter, sampleSize } = {}) {
+  try {
+    const raacMinterContract = new ethers.Contract(minter ?? getContractAddress(chainId, 'raacminter'), getABI('raacminter'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [{ blockTime }, [emissionRate, minEmissionRate, maxEmissionRate, blocksPerDay, totalSupply]] = await Promise.all([
+      getBlockTime(provider, { blockTag: blockNumber, sampleSize }),
+      multicall(chainId, provider, [
+        call(raacMinterContract, 'emissionRate', [], 0n),
+        call(raacMinterContract, 'minEmissionRate', [], 0n),
+        call(raacMinterContract, 'maxEmissionRate', [], 0n),
+        call(raacMinterContract, 'BLOCKS_PER_DAY', [], 7200n),
+        call(raacMinterContract, 'getTotalSupply', [], 0n),
+      ], blockNumber),
+    ]);
+
+    const blocksPerYear = getBlocksPerYear(blockTime);
+
+    return {
+      address: await raacMinterContract.getAddress(),
+      emissionRate,
+      minEmissionRate,
+      maxEmissionRate,
+      // What the contract assumes, the rates are sized with it
+      blocksPerDay,
+      blockTime,
+      blocksPerYear,
+      perYear: emissionRate * blocksPerYear,
+      totalSupply,
+      blockNumber,
+    };
+  } catch (error) {
+    console.error('Error getting RAAC emissions:', error);
+    throw parseContractError(error, { message: 'Failed to get RAAC emissions' });
+  }
+}
+
+export default getEmissions;
@@ -0,0 +1,82 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { getAssetDecimals } from '../amounts/TokenAmount.js';
+import { SECONDS_PER_YEAR } from '../interest/rateModel.js';
+import { calculateRewardApr, buildApyBreakdown } from './engine.js';
+import { getDefaultPriceSource } from './priceSources.js';
+import { GAUGE_ABIS } from '../gauges/constants.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+/**
+ * APR/APY of a gauge stake: the rewards of the current period valued in the staking token, over the
+ * staked amount. Gauges distribute `rewardRate` per second until `periodFinish`, nothing after.
+ * With an address, the boost is the user's BoostController multiplier for the gauge.
+ * @param {number} chainId
+ * @param {string} gaugeAddress
+ * @param {string|null} address - User address, for the boost
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {Function} [options.priceSource] - See priceSources.js, getDefaultPriceSource() by default
+ * @param {number} [options.periods] - Compounding periods a year
+ * @returns {Promise<Object>}
+ */
+async function getGaugeApy(chainId, gaugeAddress, address, provider, { blockTag = 'latest', priceSource = getDefaultPriceSource(), periods } = {}) {
+  try {
+    const gaugeControllerContract = new ethers.Contract(getContractAddress(chainId, 'gaugecontroller'), getABI('gaugecontroller'), provider);
+    const boostControllerContract = address
+      ? new ethers.Contract(getContractAddress(chainId, 'boostcontroller'), getABI('boostcontroller'), provider)
+      : null;
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [block, [gauge, boost = 10000n]] = await Promise.all([
+      (provider.provider ?? provider).getBlock(blockNumber),
+      multicall(chainId, provider, [
+        call(gaugeControllerContract, 'gauges', [gaugeAddress]),
+        // Unsupported pools revert, no boost then
+        ...(address ? [call(boostControllerContract, 'getBoostMultiplier', [address, gaugeAddress], 10000n)] : []),
+      ], blockNumber),
+    ]);
+
+    const gaugeContract = new ethers.Contract(gaugeAddress, getABI(GAUGE_ABIS[Number(gauge.gaugeType)]), provider);
+    const [rewardRate, totalStaked, periodFinish, stakingToken, rewardToken] = await multicall(chainId, provider, [
+      call(gaugeContract, 'rewardRate'),
+      call(gaugeContract, 'totalSupply'),
+      call(gaugeContract, 'periodFinish'),
+      call(gaugeContract, 'stakingToken'),
+      call(gaugeContract, 'rewardToken'),
+    ], blockNumber);
+
+    const isActive = gauge.isActive && BigInt(block.timestamp) < periodFinish;
+    const rewardsPerYear = isActive ? rewardRate * SECONDS_PER_YEAR : 0n;
+    const price = rewardsPerYear > 0n && totalStaked > 0n
+      ? await priceSource({ chainId, provider, blockNumber, asset: rewardToken, quote: stakingToken })
+      : 0n;
+
+    const emissionsApr = calculateRewardApr({
+      rewardsPerYear,
+      rewardDecimals: getAssetDecimals(chainId, rewardToken),
+      price,
+      totalDeposits: totalStaked,
+      depositDecimals: getAssetDecimals(chainId, stakingToken),
+    });
+
+    return {
+      ...buildApyBreakdown({ emissionsApr, boost, periods }),
+      gauge: gaugeAddress,
+      rewardsPerYear,
+      price,
+      totalStaked,
+      stakingToken,
+      rewardToken,
+      blockNumber,
+    };
+  } catch (error) {
+    console.error(`Error getting gauge ${gaugeAddress} APY:`, error);
+    throw parseContractError(error, { message: 'Failed to get gauge APY' });
+  }
+}
+
+export default getGaugeApy;
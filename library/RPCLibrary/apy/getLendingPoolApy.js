@@ -0,0 +1,31 @@
+import { buildApyBreakdown } from './engine.js';
+import getInterestRates from '../interest/getInterestRates.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+/**
+ * APR/APY of a LendingPool deposit: the liquidity rate of the reserve. Deposits accrue linearly
+ * between reserve updates (see rateModel.projectRates), the minter emits no RAAC to the LendingPool.
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {number} [options.periods] - Compounding periods a year, unused without rewards
+ * @returns {Promise<Object>}
+ */
+async function getLendingPoolApy(chainId, provider, { blockTag = 'latest', periods } = {}) {
+  try {
+    const rates = await getInterestRates(chainId, provider, blockTag);
+
+    return {
+      ...buildApyBreakdown({ baseApr: rates.currentLiquidityRate, periods }),
+      liquidityRate: rates.currentLiquidityRate,
+      utilizationRate: rates.utilizationRate,
+      blockNumber: rates.blockNumber,
+    };
+  } catch (error) {
+    console.error('Error getting lending pool APY:', error);
+    throw parseContractError(error, { message: 'Failed to get lending pool APY' });
+  }
+}
+
+export default getLendingPoolApy;
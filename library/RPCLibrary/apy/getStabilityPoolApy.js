@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { getAssetDecimals } from '../amounts/TokenAmount.js';
+import { calculateRewardApr, buildApyBreakdown } from './engine.js';
+import { getDefaultPriceSource, isPriceUnavailable } from './priceSources.js';
+import getEmissions from './getEmissions.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+/**
+ * APR/APY of a StabilityPool deposit: the RAAC the minter emits to the pool, valued in crvUSD, over the
+ * deposits. Deposits hold rcrvUSD at a fixed exchange rate and earn no interest (no base), RAAC
+ * rewards are not boosted.
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {Function} [options.priceSource] - See priceSources.js, getDefaultPriceSource() by default
+ * @param {number} [options.sampleSize] - Blocks to measure the block time over
+ * @param {number} [options.periods] - Compounding periods a year
+ * @returns {Promise<Object>}
+ */
+async function getStabilityPoolApy(chainId, provider, { blockTag = 'latest', priceSource = getDefaultPriceSource(), sampleSize, periods } = {}) {
+  try {
+    const stabilityPoolContract = new ethers.Contract(getContractAddress(chainId, 'stabilitypool'), getABI('stabilitypool'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [totalDeposits, raacMinterAddress] = await multicall(chainId, provider, [
+      call(stabilityPoolContract, 'getTotalDeposits', [], 0n),
+      call(stabilityPoolContract, 'raacMinter', [], ethers.ZeroAddress),
+    ], blockNumber);
+
+    if (raacMinterAddress === ethers.ZeroAddress) {
+      return { ...buildApyBreakdown({ periods }), minter: null, price: null, totalDeposits, blockNumber };
+    }
+
+    // rcrvUSD is redeemed 1:1 for crvUSD, rewards are priced in the underlying asset
+    const [emissions, price] = await Promise.all([
+      getEmissions(chainId, provider, { blockTag: blockNumber, minter: raacMinterAddress, sampleSize }),
+      priceSource({ chainId, provider, blockNumber, asset: 'raactoken', quote: 'crvusd' }),
+    ]);
+
+    const emissionsApr = calculateRewardApr({
+      rewardsPerYear: emissions.perYear,
+      rewardDecimals: getAssetDecimals(chainId, 'raactoken'),
+      price,
+      totalDeposits,
+      depositDecimals: getAssetDecimals(chainId, 'rcrvusd'),
+    });
+
+    return { ...buildApyBreakdown({ emissionsApr, periods }), minter: emissions, price, totalDeposits, blockNumber };
+  } catch (error) {
+    // RAAC without a price is expected, getStabilityPoolInfo goes without the APY then
+    if (!isPriceUnavailable(error)) {
+      console.error('Error getting stability pool APY:', error);
+    }
+    throw parseContractError(error, { message: 'Failed to get stability pool APY' });
+  }
+}
+
+export default getStabilityPoolApy;
@@ -0,0 +1,107 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call } from '../utils/multicall.js';
+import { findAsset } from '../amounts/TokenAmount.js';
+import { parseAmount } from '../amounts/units.js';
+import { WAD } from '../amounts/wadRayMath.js';
+import ContractError from '../errors/ContractError.js';
+import { ERROR_CODES } from '../errors/codes.js';
+
+/**
+ * A price source values one token of `asset` in `quote`, as a wad:
+ * `async ({ chainId, provider, blockNumber, asset, quote }) => bigint`.
+ * Assets are asset ids of the chain config or token addresses. Without a price for the pair, it throws
+ * priceUnavailable(message), which the methods that can do without the price turn into null.
+ */
+
+/**
+ * @param {string} message
+ * @returns {ContractError} Error of code PRICE_UNAVAILABLE
+ */
+export const priceUnavailable = (message) => new ContractError(message, { code: ERROR_CODES.PRICE_UNAVAILABLE });
+
+export const isPriceUnavailable = (error) => error?.code === ERROR_CODES.PRICE_UNAVAILABLE;
+
+// Asset id of the chain config, or the lowercase address for unknown tokens
+const assetKey = (chainId, asset) => findAsset(chainId, asset)?.id ?? asset.toLowerCase();
+
+const assetAddress = (chainId, asset) => (ethers.isAddress(asset) ? asset : getContractAddress(chainId, asset));
+
+/**
+ * Prices from RAAC's LiquidityPool: RAAC against the paired token of a market, both ways
+ * @type {Function}
+ */
+export const liquidityPoolPriceSource = async ({ chainId, provider, blockNumber, asset, quote }) => {
+  const assetId = assetKey(chainId, asset);
+  const quoteId = assetKey(chainId, quote);
+  if (assetId === quoteId) {
+    return WAD;
+  }
+  if (assetId !== 'raactoken' && quoteId !== 'raactoken') {
+    throw priceUnavailable(`The LiquidityPool has no price for ${assetId} in ${quoteId}`);
+  }
+
+  let liquidityPoolAddress;
+  try {
+    liquidityPoolAddress = getContractAddress(chainId, 'liquiditypool');
+  } catch (error) {
+    throw priceUnavailable(`No LiquidityPool configured on chain ${chainId}`);
+  }
+
+  const pairedToken = assetAddress(chainId, assetId === 'raactoken' ? quote : asset);
+  const liquidityPoolContract = new ethers.Contract(liquidityPoolAddress, getABI('liquiditypool'), provider);
+  const [[raacPerPaired, pairedPerRaac]] = await multicall(chainId, provider, [
+    call(liquidityPoolContract, 'getExchangeRate', [pairedToken], [0n, 0n]),
+  ], blockNumber);
+
+  const price = assetId === 'raactoken' ? pairedPerRaac : raacPerPaired;
+  if (!price) {
+    throw priceUnavailable(`The LiquidityPool has no ${quoteId} market for ${assetId}`);
+  }
+  return price;
+};
+
+/**
+ * Price source of set prices, e.g. from an off-chain feed or for tests
+ * @param {Object<string, bigint|string|number>} prices - By `asset/quote`, e.g. { 'raactoken/crvusd': 0.25 }.
+ * bigints are wads, strings and numbers are units
+ * @returns {Function}
+ */
+export const fixedPriceSource = (prices) => {
+  const wads = new Map(Object.entries(prices).map(([pair, price]) => [pair.toLowerCase(), parseAmount(price)]));
+  return async ({ chainId, asset, quote }) => {
+    const pair = `${assetKey(chainId, asset)}/${assetKey(chainId, quote)}`;
+    if (!wads.has(pair)) {
+      if (assetKey(chainId, asset) === assetKey(chainId, quote)) {
+        return WAD;
+      }
+      throw priceUnavailable(`No price for ${pair}`);
+    }
+    return wads.get(pair);
+  };
+};
+
+let defaultPriceSource = liquidityPoolPriceSource;
+
+/**
+ * Sets the price source of the APY methods called without `priceSource`, process wide
+ * @param {Function} priceSource
+ */
+export const setDefaultPriceSource = (priceSource) => {
+  if (typeof priceSource !== 'function') {
+    throw new Error('The price source must be a function');
+  }
+  defaultPriceSource = priceSource;
+};
+
+export const getDefaultPriceSource = () => defaultPriceSource;
+
+export default {
+  priceUnavailable,
+  isPriceUnavailable,
+  liquidityPoolPriceSource,
+  fixedPriceSource,
+  setDefaultPriceSource,
+  getDefaultPriceSource,
+};
@@ -1,25 +1,28 @@
+import { ethers } from 'ethers';
 import { getConfig } from '../utils/contracts.js';
+import { multicall, call } from '../utils/multicall.js';
+import { formatAmount } from '../amounts/units.js';
 
-async function getAssets(chainId, signer) {
+const SUPPLY_ABI = ['function totalSupply() view returns (uint256)'];
+
+// Supplies of every configured asset, read in one batch from the same block
+async function getAssets(chainId, signer, blockTag = 'latest') {
     const {assets} = getConfig(chainId);
-    const responses = {};
 
     const assetIds = Object.keys(assets);
-    const assetPromises = assetIds.map(async (assetId) => {
-        const asset = await this.getAsset(chainId, assetId, signer);
-        responses[assetId] = {
+    const supplies = await multicall(chainId, signer, assetIds.map((assetId) =>
+        call(new ethers.Contract(assets[assetId].contract, SUPPLY_ABI, signer), 'totalSupply', [], null)
+    ), blockTag);
+
+    const response = {};
+    assetIds.forEach((assetId, index) => {
+        const supply = supplies[index];
+        response[assetId] = {
             ...assets[assetId],
-            ...asset,
+            supply: supply === null ? 0 : formatAmount(supply, { chainId, asset: assetId }),
         };
-        return responses[assetId];
     });
-    const assetsPromise = await Promise.all(assetPromises);
-
-    const response = {};
-    for (const asset of assetsPromise) {
-        response[asset.id] = asset;
-    }
     return response;
 };
 
-export default getAssets;
\ No newline at end of file
+export default getAssets;
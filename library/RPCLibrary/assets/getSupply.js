@@ -1,5 +1,6 @@
 import { ethers } from "ethers";
 import { getContractAddress } from '../utils/contracts.js';
+import { formatAmount } from '../amounts/units.js';
 
 async function getSupply(chainId, assetId, provider) {
 
@@ -8,7 +9,7 @@ async function getSupply(chainId, assetId, provider) {
         const contractAddress = getContractAddress(chainId, assetId);
         const contract = new ethers.Contract(contractAddress, SUPPLY_ABI, provider);
         const supply = await contract.totalSupply();
-        return ethers.formatEther(supply);
+        return formatAmount(supply, { chainId, asset: assetId });
     } catch (error) {
         console.error(`Error getting supply for asset ${assetId}:`, error);
         return 0;
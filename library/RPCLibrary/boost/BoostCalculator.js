@@ -0,0 +1,109 @@
+/**
+ * JavaScript mirror of contracts/libraries/governance/BoostCalculator.sol
+ * All values are bigint and every division truncates like Solidity, so results match the contract to the wei.
+ */
+
+const PRECISION = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+
+// veRAACToken.MAX_LOCK_DURATION
+export const MAX_LOCK_DURATION = 1460n * 24n * 3600n;
+
+// BoostController.MAX_BOOST / MIN_BOOST, also its default boost parameters
+export const MAX_BOOST = 25000n;
+export const MIN_BOOST = 10000n;
+export const DEFAULT_BOOST_PARAMETERS = {
+  maxBoost: MAX_BOOST,
+  minBoost: MIN_BOOST,
+};
+
+/**
+ * BoostCalculator.calculateBoost
+ * @param {bigint} veBalance
+ * @param {bigint} totalVeSupply
+ * @param {{maxBoost: bigint, minBoost: bigint}} params
+ * @returns {bigint} Boost in basis points
+ */
+export const calculateBoost = (veBalance, totalVeSupply, params) => {
+  const maxBoost = BigInt(params.maxBoost);
+  const minBoost = BigInt(params.minBoost);
+  if (totalVeSupply === 0n) {
+    return minBoost;
+  }
+
+  const votingPowerRatio = (veBalance * PRECISION) / totalVeSupply;
+  const boostRange = maxBoost - minBoost;
+  const boost = minBoost + ((votingPowerRatio * boostRange) / PRECISION);
+
+  if (boost < minBoost) {
+    return minBoost;
+  }
+  if (boost > maxBoost) {
+    return maxBoost;
+  }
+  return boost;
+};
+
+/**
+ * BoostCalculator.calculateTimeWeightedBoost
+ * @param {{maxBoost: bigint, minBoost: bigint}} params
+ * @param {bigint} userBalance
+ * @param {bigint} totalSupply
+ * @param {bigint} amount
+ * @returns {{boostBasisPoints: bigint, boostedAmount: bigint}}
+ */
+export const calculateTimeWeightedBoost = (params, userBalance, totalSupply, amount) => {
+  if (totalSupply === 0n || amount === 0n) {
+    return { boostBasisPoints: 0n, boostedAmount: amount };
+  }
+
+  const boostBasisPoints = calculateBoost(userBalance, totalSupply, params);
+  const boostedAmount = (amount * boostBasisPoints) / BASIS_POINTS;
+  return { boostBasisPoints, boostedAmount };
+};
+
+/**
+ * BoostController._calculateBoost, the working balance stored by updateUserBoost for a base amount
+ * @param {{maxBoost: bigint, minBoost: bigint}} params
+ * @param {bigint} userBalance - veRAAC balance of the user
+ * @param {bigint} totalSupply - veRAAC total supply
+ * @param {bigint} [amount=10000n] - BoostController.updateUserBoost uses a base amount of 10000
+ * @returns {bigint}
+ */
+export const calculateWorkingBalance = (params, userBalance, totalSupply, amount = BASIS_POINTS) => {
+  if (userBalance === 0n || totalSupply === 0n) {
+    return amount;
+  }
+
+  const { boostedAmount } = calculateTimeWeightedBoost(params, userBalance, totalSupply, amount);
+  if (boostedAmount < amount) {
+    return amount;
+  }
+  const maxBoostAmount = (amount * MAX_BOOST) / BASIS_POINTS;
+  if (boostedAmount > maxBoostAmount) {
+    return maxBoostAmount;
+  }
+  return boostedAmount;
+};
+
+/**
+ * veRAAC minted for a new lock, as computed by VotingPowerLib.calculateAndUpdatePower
+ * @param {bigint} amount - RAAC locked
+ * @param {bigint} duration - Lock duration in seconds
+ * @returns {bigint}
+ */
+export const calculateVeAmount = (amount, duration) => {
+  const lockDuration = duration > MAX_LOCK_DURATION ? MAX_LOCK_DURATION : duration;
+  return (amount * lockDuration) / MAX_LOCK_DURATION;
+};
+
+export default {
+  MAX_LOCK_DURATION,
+  MAX_BOOST,
+  MIN_BOOST,
+  DEFAULT_BOOST_PARAMETERS,
+  calculateBoost,
+  calculateTimeWeightedBoost,
+  calculateWorkingBalance,
+  calculateVeAmount,
+};
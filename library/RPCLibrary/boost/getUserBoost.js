@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getUserBoost(chainId, address, pool, provider) {
+  try {
+    const boostControllerAddress = getContractAddress(chainId, 'boostcontroller');
+    const boostControllerContract = new ethers.Contract(boostControllerAddress, getABI('boostcontroller'), provider);
+
+    const [userBoost, workingBalance, multiplier] = await Promise.all([
+      boostControllerContract.getUserBoost(address, pool),
+      boostControllerContract.getWorkingBalance(address, pool),
+      boostControllerContract.getBoostMultiplier(address, pool),
+    ]);
+
+    return {
+      amount: userBoost.amount.toString(),
+      expiry: Number(userBoost.expiry),
+      delegatedTo: userBoost.delegatedTo,
+      lastUpdateTime: Number(userBoost.lastUpdateTime),
+      workingBalance: workingBalance.toString(),
+      boostBasisPoints: Number(multiplier),
+      boost: Number(multiplier) / 10000,
+    };
+  } catch (error) {
+    console.error('Error getting user boost:', error);
+    throw parseContractError(error, { message: 'Failed to get user boost' });
+  }
+}
+
+export default getUserBoost;
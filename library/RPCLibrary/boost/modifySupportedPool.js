@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Requires MANAGER_ROLE on the BoostController
+function modifySupportedPool(chainId, pool, isSupported, signer) {
+  return sendTransaction(signer, () => {
+    const boostControllerAddress = getContractAddress(chainId, 'boostcontroller');
+    const boostControllerContract = new ethers.Contract(boostControllerAddress, getABI('boostcontroller'), signer);
+
+    return { contract: boostControllerContract, method: 'modifySupportedPool', args: [pool, isSupported] };
+  }, { errorMessage: 'Failed to modify supported pool' });
+}
+
+export default modifySupportedPool;
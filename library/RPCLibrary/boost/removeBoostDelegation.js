@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Called by the delegation recipient once the delegation has expired
+function removeBoostDelegation(chainId, from, signer) {
+  return sendTransaction(signer, () => {
+    const boostControllerAddress = getContractAddress(chainId, 'boostcontroller');
+    const boostControllerContract = new ethers.Contract(boostControllerAddress, getABI('boostcontroller'), signer);
+
+    return { contract: boostControllerContract, method: 'removeBoostDelegation', args: [from] };
+  }, { errorMessage: 'Failed to remove boost delegation' });
+}
+
+export default removeBoostDelegation;
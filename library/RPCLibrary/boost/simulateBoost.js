@@ -0,0 +1,73 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { DEFAULT_BOOST_PARAMETERS, calculateVeAmount, calculateWorkingBalance } from './BoostCalculator.js';
+import { parseAmount, formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+import { getBlockTag } from '../utils/multicall.js';
+
+const toBoost = (chainId, workingBalance, veBalance) => ({
+  veBalance: formatAmount(veBalance, { chainId, asset: 'veraac' }),
+  // updateUserBoost works on a base amount of 10000, so the working balance is the boost in basis points
+  boostBasisPoints: Number(workingBalance),
+  boost: Number(workingBalance) / 10000,
+});
+
+// The last BoostParametersUpdated event, read backwards from the head `batchSize` blocks per eth_getLogs
+const getLastParameterUpdate = async (boostControllerContract, provider, fromBlock, batchSize) => {
+  const filter = boostControllerContract.filters.BoostParametersUpdated();
+  for (let batchEnd = await getBlockTag(provider); batchEnd >= fromBlock; batchEnd -= batchSize) {
+    const updates = await boostControllerContract.queryFilter(filter, Math.max(batchEnd - batchSize + 1, fromBlock), batchEnd);
+    if (updates.length > 0) return updates[updates.length - 1];
+  }
+  return null;
+};
+
+/**
+ * Projects the BoostController boost of `address` on `pool` after locking `amount` RAAC for `duration` seconds
+ * @param {number} chainId
+ * @param {{address: string, amount: string|TokenAmount, duration: number, pool?: string}} simulation
+ * @param {ethers.Provider} provider
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock=0] - BoostController deployment block, parameter updates are searched down to it
+ * @param {number} [options.batchSize=2000]
+ */
+async function simulateBoost(chainId, { address, amount, duration, pool }, provider, { fromBlock = 0, batchSize = 2000 } = {}) {
+  try {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const boostControllerAddress = getContractAddress(chainId, 'boostcontroller');
+    const veRAACContract = new ethers.Contract(veRAACAddress, getABI('veraac'), provider);
+    const boostControllerContract = new ethers.Contract(boostControllerAddress, getABI('boostcontroller'), provider);
+
+    if (pool && !await boostControllerContract.supportedPools(pool)) {
+      throw new Error(`Pool ${pool} is not supported by the BoostController`);
+    }
+
+    const [veBalance, totalSupply, lastUpdate] = await Promise.all([
+      address ? veRAACContract.balanceOf(address) : 0n,
+      veRAACContract.totalSupply(),
+      // The boost state is private, the last BoostParametersUpdated event holds the live parameters
+      getLastParameterUpdate(boostControllerContract, provider, fromBlock, batchSize),
+    ]);
+
+    const params = lastUpdate
+      ? { maxBoost: lastUpdate.args.maxBoost, minBoost: lastUpdate.args.minBoost }
+      : DEFAULT_BOOST_PARAMETERS;
+
+    const veAmount = calculateVeAmount(parseAmount(amount, { chainId, asset: 'raactoken' }), BigInt(duration));
+    const projectedBalance = veBalance + veAmount;
+    const projectedSupply = totalSupply + veAmount;
+
+    return {
+      pool: pool ?? null,
+      veAmount: formatAmount(veAmount, { chainId, asset: 'veraac' }),
+      current: toBoost(chainId, calculateWorkingBalance(params, veBalance, totalSupply), veBalance),
+      projected: toBoost(chainId, calculateWorkingBalance(params, projectedBalance, projectedSupply), projectedBalance),
+    };
+  } catch (error) {
+    console.error('Error simulating boost:', error);
+    throw parseContractError(error, { message: 'Failed to simulate boost' });
+  }
+}
+
+export default simulateBoost;
@@ -0,0 +1,15 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+function updateUserBoost(chainId, user, pool, signer) {
+  return sendTransaction(signer, () => {
+    const boostControllerAddress = getContractAddress(chainId, 'boostcontroller');
+    const boostControllerContract = new ethers.Contract(boostControllerAddress, getABI('boostcontroller'), signer);
+
+    return { contract: boostControllerContract, method: 'updateUserBoost', args: [user, pool] };
+  }, { errorMessage: 'Failed to update user boost' });
+}
+
+export default updateUserBoost;
@@ -0,0 +1,18 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Rewards are always paid to `user`, which defaults to the signer
+function claimRewards(chainId, signer, user) {
+  return sendTransaction(signer, async () => {
+    const feeCollectorAddress = getContractAddress(chainId, 'feecollector');
+    const feeCollectorContract = new ethers.Contract(feeCollectorAddress, getABI('feecollector'), signer);
+
+    const recipient = user ?? await signer.getAddress();
+
+    return { contract: feeCollectorContract, method: 'claimRewards', args: [recipient] };
+  }, { errorMessage: 'Failed to claim fee rewards' });
+}
+
+export default claimRewards;
@@ -0,0 +1,23 @@
+// FeeCollector fee types (uint8), with the matching IFeeCollector.CollectedFees field
+export const FEE_TYPES = [
+  { id: 0, key: 'protocolFees', name: 'Protocol Fees' },
+  { id: 1, key: 'lendingFees', name: 'Lending Fees' },
+  { id: 2, key: 'performanceFees', name: 'Performance Fees' },
+  { id: 3, key: 'insuranceFees', name: 'Insurance Fees' },
+  { id: 4, key: 'mintRedeemFees', name: 'Mint/Redeem Fees' },
+  { id: 5, key: 'vaultFees', name: 'Vault Fees' },
+  { id: 6, key: 'swapTaxes', name: 'Swap Taxes' },
+  { id: 7, key: 'nftRoyalties', name: 'NFT Royalties' },
+];
+
+export const getFeeTypeName = (feeType) => FEE_TYPES[Number(feeType)]?.name ?? `Unknown (${feeType})`;
+
+// Shares are in basis points
+export const formatFeeShares = (feeType) => ({
+  veRAACShare: Number(feeType.veRAACShare) / 100,
+  burnShare: Number(feeType.burnShare) / 100,
+  repairShare: Number(feeType.repairShare) / 100,
+  treasuryShare: Number(feeType.treasuryShare) / 100,
+});
+
+export default { FEE_TYPES, getFeeTypeName, formatFeeShares };
@@ -0,0 +1,29 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { FEE_TYPES } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getCollectedFees(chainId, provider) {
+  try {
+    const feeCollectorAddress = getContractAddress(chainId, 'feecollector');
+    const feeCollectorContract = new ethers.Contract(feeCollectorAddress, getABI('feecollector'), provider);
+
+    const collectedFees = await feeCollectorContract.getCollectedFees();
+
+    let total = 0n;
+    const fees = FEE_TYPES.map((feeType) => {
+      const amount = collectedFees[feeType.key];
+      total += amount;
+      return { ...feeType, amount: formatAmount(amount, { chainId, asset: 'raactoken' }) };
+    });
+
+    return { fees, total: formatAmount(total, { chainId, asset: 'raactoken' }) };
+  } catch (error) {
+    console.error('Error getting collected fees:', error);
+    throw parseContractError(error, { message: 'Failed to get collected fees' });
+  }
+}
+
+export default getCollectedFees;
@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { FEE_TYPES, getFeeTypeName } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const DAY = 86400;
+
+// Aggregates FeeCollected, FeeDistributed and RewardClaimed events over a block range.
+// Daily buckets are keyed by the UTC date (YYYY-MM-DD) of the block each event was mined in.
+async function getFeeReport(chainId, fromBlock, toBlock = 'latest', provider) {
+  try {
+    const fee = (amount) => formatAmount(amount, { chainId, asset: 'raactoken' });
+    const feeCollectorAddress = getContractAddress(chainId, 'feecollector');
+    const feeCollectorContract = new ethers.Contract(feeCollectorAddress, getABI('feecollector'), provider);
+
+    const [collectedEvents, distributedEvents, claimedEvents] = await Promise.all([
+      feeCollectorContract.queryFilter(feeCollectorContract.filters.FeeCollected(), fromBlock, toBlock),
+      feeCollectorContract.queryFilter(feeCollectorContract.filters.FeeDistributed(), fromBlock, toBlock),
+      feeCollectorContract.queryFilter(feeCollectorContract.filters.RewardClaimed(), fromBlock, toBlock),
+    ]);
+
+    const blockNumbers = [...new Set(
+      [...collectedEvents, ...distributedEvents, ...claimedEvents].map((event) => event.blockNumber)
+    )];
+    const blocks = await Promise.all(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+    const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+    const dayOf = (blockNumber) => {
+      const timestamp = timestamps.get(blockNumber);
+      return new Date(Math.floor(timestamp / DAY) * DAY * 1000).toISOString().slice(0, 10);
+    };
+
+    const byType = FEE_TYPES.map(() => ({ amount: 0n, count: 0 }));
+    const daily = {};
+    const getDay = (blockNumber) => {
+      const day = dayOf(blockNumber);
+      if (!daily[day]) {
+        daily[day] = { collected: 0n, distributed: 0n, claimed: 0n };
+      }
+      return daily[day];
+    };
+
+    const collected = collectedEvents.map((event) => {
+      const feeType = Number(event.args.feeType);
+      const amount = event.args.amount;
+      if (byType[feeType]) {
+        byType[feeType].amount += amount;
+        byType[feeType].count += 1;
+      }
+      getDay(event.blockNumber).collected += amount;
+      return {
+        feeType,
+        name: getFeeTypeName(feeType),
+        amount: fee(amount),
+        blockNumber: event.blockNumber,
+        timestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash,
+      };
+    });
+
+    const distribution = { veRAAC: 0n, burn: 0n, repair: 0n, treasury: 0n };
+    const distributed = distributedEvents.map((event) => {
+      const { veRAACAmount, burnAmount, repairAmount, treasuryAmount } = event.args;
+      distribution.veRAAC += veRAACAmount;
+      distribution.burn += burnAmount;
+      distribution.repair += repairAmount;
+      distribution.treasury += treasuryAmount;
+      getDay(event.blockNumber).distributed += veRAACAmount + burnAmount + repairAmount + treasuryAmount;
+      return {
+        veRAAC: fee(veRAACAmount),
+        burn: fee(burnAmount),
+        repair: fee(repairAmount),
+        treasury: fee(treasuryAmount),
+        blockNumber: event.blockNumber,
+        timestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash,
+      };
+    });
+
+    let totalClaimed = 0n;
+    const claims = claimedEvents.map((event) => {
+      totalClaimed += event.args.amount;
+      getDay(event.blockNumber).claimed += event.args.amount;
+      return {
+        user: event.args.user,
+        amount: fee(event.args.amount),
+        blockNumber: event.blockNumber,
+        timestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash,
+      };
+    });
+
+    const totalCollected = byType.reduce((total, { amount }) => total + amount, 0n);
+
+    return {
+      fromBlock,
+      toBlock,
+      totals: {
+        collected: fee(totalCollected),
+        distributed: Object.fromEntries(
+          Object.entries(distribution).map(([key, amount]) => [key, fee(amount)])
+        ),
+        claimed: fee(totalClaimed),
+      },
+      byFeeType: FEE_TYPES.map((feeType, index) => ({
+        ...feeType,
+        amount: fee(byType[index].amount),
+        count: byType[index].count,
+      })),
+      daily: Object.keys(daily).sort().map((day) => ({
+        day,
+        collected: fee(daily[day].collected),
+        distributed: fee(daily[day].distributed),
+        claimed: fee(daily[day].claimed),
+      })),
+      events: { collected, distributed, claims },
+    };
+  } catch (error) {
+    console.error('Error getting fee report:', error);
+    throw parseContractError(error, { message: 'Failed to get fee report' });
+  }
+}
+
+export default getFeeReport;
@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { FEE_TYPES, formatFeeShares } from './constants.js';
+import { multicall, call } from '../utils/multicall.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Distribution shares of every fee type, in percentage
+async function getFeeTypes(chainId, provider, blockTag = 'latest') {
+  try {
+    const feeCollectorAddress = getContractAddress(chainId, 'feecollector');
+    const feeCollectorContract = new ethers.Contract(feeCollectorAddress, getABI('feecollector'), provider);
+
+    const feeTypes = await multicall(chainId, provider, FEE_TYPES.map((feeType) => call(feeCollectorContract, 'getFeeType', [feeType.id])), blockTag);
+
+    return FEE_TYPES.map((feeType, index) => ({
+      ...feeType,
+      ...formatFeeShares(feeTypes[index]),
+    }));
+  } catch (error) {
+    console.error('Error getting fee types:', error);
+    throw parseContractError(error, { message: 'Failed to get fee types' });
+  }
+}
+
+export default getFeeTypes;
@@ -0,0 +1,20 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getPendingRewards(chainId, address, provider) {
+  try {
+    const feeCollectorAddress = getContractAddress(chainId, 'feecollector');
+    const feeCollectorContract = new ethers.Contract(feeCollectorAddress, getABI('feecollector'), provider);
+
+    const pendingRewards = await feeCollectorContract.getPendingRewards(address);
+    return formatAmount(pendingRewards, { chainId, asset: 'raactoken' });
+  } catch (error) {
+    console.error('Error getting pending fee rewards:', error);
+    throw parseContractError(error, { message: 'Failed to get pending fee rewards' });
+  }
+}
+
+export default getPendingRewards;
@@ -0,0 +1,20 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getTreasuryAllocation(chainId, allocator, recipient, provider) {
+  try {
+    const treasuryAddress = getContractAddress(chainId, 'treasury');
+    const treasuryContract = new ethers.Contract(treasuryAddress, getABI('treasury'), provider);
+
+    const allocation = await treasuryContract.getAllocation(allocator, recipient);
+    return formatAmount(allocation);
+  } catch (error) {
+    console.error('Error getting treasury allocation:', error);
+    throw parseContractError(error, { message: 'Failed to get treasury allocation' });
+  }
+}
+
+export default getTreasuryAllocation;
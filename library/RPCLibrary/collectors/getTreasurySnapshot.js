@@ -0,0 +1,45 @@
+import { ethers } from 'ethers';
+import { getConfig, getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Balances the Treasury holds for every configured ERC20 asset
+async function getTreasurySnapshot(chainId, provider, blockTag = 'latest') {
+  try {
+    const treasuryAddress = getContractAddress(chainId, 'treasury');
+    const treasuryContract = new ethers.Contract(treasuryAddress, getABI('treasury'), provider);
+    const { assets } = getConfig(chainId);
+
+    const tokens = Object.values(assets).filter((asset) => asset.contract && asset.contract !== ethers.ZeroAddress);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [totalValue, ...balances] = await multicall(chainId, provider, [
+      call(treasuryContract, 'getTotalValue'),
+      ...tokens.map((asset) => call(treasuryContract, 'getBalance', [asset.contract])),
+    ], blockNumber);
+
+    const snapshot = {};
+    tokens.forEach((asset, index) => {
+      snapshot[asset.id] = {
+        id: asset.id,
+        name: asset.name,
+        address: asset.contract,
+        balance: formatAmount(balances[index], { chainId, asset: asset.id }),
+      };
+    });
+
+    return {
+      address: treasuryAddress,
+      blockNumber,
+      totalValue: formatAmount(totalValue),
+      assets: snapshot,
+    };
+  } catch (error) {
+    console.error('Error getting treasury snapshot:', error);
+    throw parseContractError(error, { message: 'Failed to get treasury snapshot' });
+  }
+}
+
+export default getTreasurySnapshot;
@@ -1,8 +1,16 @@
-function createConfig(chainId){
+/**
+ * Chain config with every known id and no deployed contract yet
+ * @param {number} chainId
+ * @param {Object} [options]
+ * @param {string} [options.name='Local']
+ * @param {string[]} [options.rpcs=['http://localhost:8545']]
+ * @returns {Object}
+ */
+function createConfig(chainId, { name = 'Local', rpcs = ['http://localhost:8545'] } = {}){
     return {
             chainId:chainId,
-            name: "Local",
-            rpcs:["http://54.159.212.213:8545"],
+            name,
+            rpcs,
             contracts:{
                 'raachouseprices':{
                 id:'raachouseprices',
@@ -49,6 +57,46 @@ function createConfig(chainId){
                 name:'Zeno Factory',
                 contract:''
             },
+            'governance':{
+                id:'governance',
+                name:'Governance',
+                contract:''
+            },
+            'timelock':{
+                id:'timelock',
+                name:'Timelock Controller',
+                contract:''
+            },
+            'gaugecontroller':{
+                id:'gaugecontroller',
+                name:'Gauge Controller',
+                contract:''
+            },
+            'boostcontroller':{
+                id:'boostcontroller',
+                name:'Boost Controller',
+                contract:''
+            },
+            'feecollector':{
+                id:'feecollector',
+                name:'Fee Collector',
+                contract:''
+            },
+            'treasury':{
+                id:'treasury',
+                name:'Treasury',
+                contract:''
+            },
+            'releaseorchestrator':{
+                id:'releaseorchestrator',
+                name:'RAAC Release Orchestrator',
+                contract:''
+            },
+            'multicall3':{
+                id:'multicall3',
+                name:'Multicall3',
+                contract:''
+            },
         },
         pools:{
             'stabilitypool':{
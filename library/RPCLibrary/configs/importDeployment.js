@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+import createConfig from './createConfig.js';
+import { registerChainConfig } from './index.js';
+import { readJSON } from './loadChainConfig.js';
+import { assertChainConfig } from './schema.js';
+
+// Deployer contract name => [config section, id, name]
+export const DEPLOYMENT_CONTRACTS = {
+  RAACHousePrices: ['contracts', 'raachouseprices', 'RAAC House Prices'],
+  RAACHousePriceOracle: ['contracts', 'raachousepriceoracle', 'RAAC House Price Oracle'],
+  RAACPrimeRateOracle: ['contracts', 'raacprimerateoracle', 'RAAC Prime Rate Oracle'],
+  RAACMinter: ['contracts', 'raacminter', 'RAAC Minter'],
+  RAACReleaseOrchestrator: ['contracts', 'releaseorchestrator', 'RAAC Release Orchestrator'],
+  FeeCollector: ['contracts', 'feecollector', 'Fee Collector'],
+  Treasury: ['contracts', 'treasury', 'Treasury'],
+  RepairFund: ['contracts', 'repairfund', 'Repair Fund'],
+  DebtToken: ['contracts', 'debttoken', 'Debt Token'],
+  RAACLendingPool: ['pools', 'lendingpool', 'Lending Pool'],
+  LendingPool: ['pools', 'lendingpool', 'Lending Pool'],
+  StabilityPool: ['pools', 'stabilitypool', 'Stability Pool'],
+  RAACNFT: ['nfts', 'raacnft', 'RAAC NFT'],
+  crvUSDToken: ['assets', 'crvusd', 'CRVUSD'],
+  RToken: ['assets', 'rcrvusd', 'rCRVUSD'],
+  DEToken: ['assets', 'decrvusd', 'DECRVUSD'],
+  RAACToken: ['assets', 'raactoken', 'RAAC'],
+  veRAACToken: ['assets', 'veraac', 'veRAAC'],
+};
+
+/**
+ * Addresses by contract name, from the deployed contracts first, then the dependencies
+ * the deployment reused (contracts deployed beforehand)
+ * @param {Object} deployment
+ * @returns {Object<string, string>}
+ */
+export function getDeploymentAddresses(deployment) {
+  const addresses = {};
+  for (const [contractName, { address } = {}] of Object.entries(deployment.dependencies ?? {})) {
+    addresses[contractName] = address;
+  }
+  // deploy() output: { results: [{ contractName, address }], deployedContracts: { name: address } }
+  for (const { contractName, address } of deployment.results ?? []) {
+    addresses[contractName] = address;
+  }
+  Object.assign(addresses, deployment.deployedContracts, deployment.contracts);
+  return Object.fromEntries(Object.entries(addresses).filter(([, address]) => ethers.isAddress(address)));
+}
+
+/**
+ * Builds the chain config of a Deployer deployment (the `${timestamp}_${hash}.json` file saved by the
+ * StateAdapter) and registers it, replacing the current config of the chain
+ * @param {string|URL|Object} source - Deployment file path, URL or object
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Defaults to the chainId of the deployment network
+ * @param {string[]} [options.rpcs] - Defaults to the rpcUrl of the deployment network
+ * @param {string} [options.name] - Defaults to the name of the deployment network
+ * @param {Object} [options.base] - Config the addresses are merged into, createConfig(chainId) by default
+ * @param {boolean} [options.register=true] - Sets the config of the chain, otherwise only returns it
+ * @param {boolean} [options.validate=true]
+ * @returns {Promise<Object>} The chain config
+ */
+async function importDeployment(source, { chainId, rpcs, name, base, register = true, validate = true } = {}) {
+  const deployment = await readJSON(source);
+  const network = typeof deployment.network === 'object' ? deployment.network : { name: deployment.network };
+  const resolvedChainId = Number(chainId ?? network?.chainId ?? deployment.config?.network?.chainId ?? deployment.chainId);
+  if (!resolvedChainId) {
+    throw new Error('The deployment has no chain ID, pass options.chainId');
+  }
+
+  const template = base ?? createConfig(resolvedChainId);
+  const config = {
+    ...template,
+    chainId: resolvedChainId,
+    name: name ?? network?.name ?? network?.network ?? template.name,
+    rpcs: rpcs ?? (network?.rpcUrl ? [network.rpcUrl] : template.rpcs),
+    contracts: { ...template.contracts },
+    pools: { ...template.pools },
+    nfts: { ...template.nfts },
+    assets: { ...template.assets },
+  };
+
+  for (const [contractName, address] of Object.entries(getDeploymentAddresses(deployment))) {
+    const [section, id, defaultName] = DEPLOYMENT_CONTRACTS[contractName] ?? [];
+    if (!section) continue;
+    const current = config[section][id];
+    config[section][id] = {
+      ...(section === 'assets' ? { decimals: 18 } : {}),
+      ...current,
+      id,
+      name: current?.name ?? defaultName,
+      contract: address,
+    };
+  }
+
+  if (!register) {
+    if (validate) assertChainConfig(config);
+    return config;
+  }
+  return registerChainConfig(config, { validate });
+}
+
+export default importDeployment;
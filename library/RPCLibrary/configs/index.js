@@ -10,6 +10,10 @@
 // }
 
 import chains from './chains/index.js';
+import { assertChainConfig } from './schema.js';
+
+// Called with { chainId, config, previous } whenever a chain config is set
+const listeners = new Set();
 
 function getChainsConfig() {
 //   if (typeof window === 'undefined') {
@@ -37,8 +41,39 @@ function getChainsConfig() {
     return chains;
 }
 
+/**
+ * Sets (or hot-swaps) the config of a chain, without validation
+ * @param {number} chainId
+ * @param {Object} config
+ */
 function setChainConfig(chainId, config) {
+    const previous = chains[chainId];
     chains[chainId] = config;
+    listeners.forEach((listener) => listener({ chainId: Number(chainId), config, previous }));
+}
+
+/**
+ * Validates a chain config against the schema, then sets it for its chainId
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {boolean} [options.validate=true]
+ * @returns {Object} config
+ */
+function registerChainConfig(config, { validate = true } = {}) {
+    if (validate) {
+        assertChainConfig(config);
+    }
+    setChainConfig(config.chainId, config);
+    return config;
+}
+
+/**
+ * @param {Function} listener - Called with { chainId, config, previous }
+ * @returns {Function} Removes the listener
+ */
+function onChainConfigChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
 }
 
 function getChainConfig(chainId) {
@@ -46,5 +81,5 @@ function getChainConfig(chainId) {
   return chains[chainId];
 }
 
-export default { getChainsConfig, getChainConfig, setChainConfig };
-export { getChainsConfig, getChainConfig, setChainConfig };
\ No newline at end of file
+export default { getChainsConfig, getChainConfig, setChainConfig, registerChainConfig, onChainConfigChange };
+export { getChainsConfig, getChainConfig, setChainConfig, registerChainConfig, onChainConfigChange };
@@ -0,0 +1,45 @@
+import { registerChainConfig } from './index.js';
+import { assertChainConfig } from './schema.js';
+
+/**
+ * Reads JSON from a URL (fetch), a file path (Node.js only) or returns the object as is
+ * @param {string|URL|Object} source
+ * @returns {Promise<Object>}
+ */
+export async function readJSON(source) {
+  if (source instanceof URL && source.protocol === 'file:') {
+    source = decodeURIComponent(source.pathname);
+  }
+  if (source instanceof URL || (typeof source === 'string' && /^https?:\/\//i.test(source))) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+  if (typeof source === 'string') {
+    // Node only, URLs and objects must stay loadable in the browser
+    const { readFile } = await import('fs/promises');
+    return JSON.parse(await readFile(source, 'utf8'));
+  }
+  return source;
+}
+
+/**
+ * Loads chain configs at runtime and registers them, replacing the configs of the same chains
+ * @param {string|URL|Object|Object[]} source - File path, URL, config or list of configs
+ * @param {Object} [options]
+ * @param {boolean} [options.validate=true] - Validates every config against the schema first
+ * @returns {Promise<Object|Object[]>} The registered config(s)
+ */
+async function loadChainConfig(source, { validate = true } = {}) {
+  const json = await readJSON(source);
+  if (Array.isArray(json)) {
+    // All configs are validated before any of them is registered
+    if (validate) json.forEach(assertChainConfig);
+    return json.map((config) => registerChainConfig(config, { validate: false }));
+  }
+  return registerChainConfig(json, { validate });
+}
+
+export default loadChainConfig;
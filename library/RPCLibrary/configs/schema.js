@@ -0,0 +1,165 @@
+import { ethers } from 'ethers';
+
+// Ids the library cannot work without, they must be set to a deployed address
+export const REQUIRED_IDS = {
+  pools: ['lendingpool', 'stabilitypool'],
+  nfts: ['raacnft'],
+  assets: ['crvusd'],
+};
+
+const address = { type: 'string', format: 'address' };
+
+// An empty contract marks an id that is not deployed (yet) on the chain
+const entry = {
+  type: 'object',
+  required: ['id', 'contract'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+    name: { type: 'string' },
+    contract: { anyOf: [{ const: '' }, address] },
+  },
+};
+
+const asset = {
+  ...entry,
+  required: [...entry.required, 'decimals'],
+  properties: {
+    ...entry.properties,
+    decimals: { type: 'integer', minimum: 0, maximum: 36 },
+  },
+};
+
+const deployed = (schema) => ({ ...schema, properties: { ...schema.properties, contract: address } });
+
+const section = (schema, requiredIds = []) => ({
+  type: 'object',
+  required: requiredIds,
+  properties: Object.fromEntries(requiredIds.map((id) => [id, deployed(schema)])),
+  additionalProperties: schema,
+});
+
+/**
+ * JSON schema (draft-07) of a chain config, as in configs/chains/*.json
+ */
+export const CHAIN_CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'RAAC chain config',
+  type: 'object',
+  required: ['chainId', 'pools', 'nfts', 'assets'],
+  properties: {
+    chainId: { type: 'integer', minimum: 1 },
+    name: { type: 'string' },
+    rpcs: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^(https?|wss?)://' } },
+    contracts: section(entry),
+    pools: section(entry, REQUIRED_IDS.pools),
+    nfts: section(entry, REQUIRED_IDS.nfts),
+    assets: section(asset, REQUIRED_IDS.assets),
+  },
+};
+
+const FORMATS = {
+  address: (value) => ethers.isAddress(value),
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+// Subset of JSON schema used by CHAIN_CONFIG_SCHEMA, keeps the library free of a validator dependency
+const validate = (schema, value, path, errors) => {
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => validate(option, value, path, []).length === 0);
+    if (!matches) fail(`must match one of ${schema.anyOf.map((option) => JSON.stringify(option)).join(', ')}`);
+    return errors;
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+    return errors;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be of type ${schema.type}`);
+    return errors;
+  }
+  if (schema.format && !FORMATS[schema.format](value)) {
+    fail(`must be a valid ${schema.format}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(`must be <= ${schema.maximum}`);
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail(`must have at least ${schema.minItems} item(s)`);
+  }
+  if (schema.items) {
+    value.forEach((item, index) => validate(schema.items, item, `${path}[${index}]`, errors));
+  }
+  for (const key of schema.required ?? []) {
+    if (value[key] === undefined) {
+      errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+  }
+  if (schema.properties || schema.additionalProperties) {
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (itemSchema && item !== undefined) {
+        validate(itemSchema, item, `${path}.${key}`, errors);
+      }
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validates any value against a schema written in the JSON schema subset above
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path='value'] - Prefix of the error paths
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export const validateSchema = (schema, value, path = 'value') => validate(schema, value, path, []);
+
+/**
+ * Validates a chain config against CHAIN_CONFIG_SCHEMA, and that every entry is keyed by its id
+ * (ids are what getContractAddress looks up)
+ * @param {Object} config
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateChainConfig(config) {
+  const errors = validate(CHAIN_CONFIG_SCHEMA, config, 'config', []);
+  if (errors.length === 0) {
+    for (const key of ['contracts', 'pools', 'nfts', 'assets']) {
+      for (const [id, item] of Object.entries(config[key] ?? {})) {
+        if (item.id !== id) {
+          errors.push({ path: `config.${key}.${id}.id`, message: `must be ${JSON.stringify(id)}, got ${JSON.stringify(item.id)}` });
+        }
+      }
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * @param {Object} config
+ * @throws {Error} With the list of `errors` when the config is invalid
+ */
+export function assertChainConfig(config) {
+  const { valid, errors } = validateChainConfig(config);
+  if (!valid) {
+    const details = errors.map(({ path, message }) => `- ${path} ${message}`).join('\n');
+    throw Object.assign(new Error(`Invalid config for chain ID: ${config?.chainId}\n${details}`), { errors });
+  }
+}
+
+export default validateChainConfig;
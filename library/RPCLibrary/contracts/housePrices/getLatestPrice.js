@@ -1,17 +1,18 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
 
-async function getLatestPrice(chainId, tokenId, provider) {
+async function getLatestPrice(chainId, tokenId, provider, blockTag = 'latest') {
   try {
     const raacHousePricesAddress = getContractAddress(chainId, 'raachouseprices');
     const raacHousePricesABI = getABI('raachouseprices');
 
     const raacHousePricesContract = new ethers.Contract(raacHousePricesAddress, raacHousePricesABI, provider);
 
-    const [price, timestamp] = await raacHousePricesContract.getLatestPrice(tokenId);
+    const [price, timestamp] = await raacHousePricesContract.getLatestPrice(tokenId, { blockTag });
 
-    return { price, timestamp };
+    return { price: formatAmount(price, { legacy: LEGACY_FORMATS.RAW }), timestamp };
   } catch (error) {
     console.error('Error getting latest price:', error);
     return { price: -1, timestamp: -1 };
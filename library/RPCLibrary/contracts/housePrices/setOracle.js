@@ -1,27 +1,17 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
 
-async function setOracle(chainId, newOracleAddress, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+function setOracle(chainId, newOracleAddress, signer) {
+  return sendTransaction(signer, () => {
     const raacHousePricesAddress = getContractAddress(chainId, 'raachouseprices');
     const raacHousePricesABI = getABI('raachouseprices');
 
     const raacHousePricesContract = new ethers.Contract(raacHousePricesAddress, raacHousePricesABI, signer);
 
-    const tx = await raacHousePricesContract.setOracle(newOracleAddress);
-    await tx.wait();
-
-    console.log(`Oracle address updated to: ${newOracleAddress}`);
-    return tx;
-  } catch (error) {
-    console.error('Error setting oracle:', error);
-    throw new Error(`Failed to set oracle: ${error.message}`);
-  }
+    return { contract: raacHousePricesContract, method: 'setOracle', args: [newOracleAddress] };
+  }, { errorMessage: 'Failed to set oracle' });
 }
 
 export default setOracle;
\ No newline at end of file
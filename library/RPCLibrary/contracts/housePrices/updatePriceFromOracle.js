@@ -3,6 +3,7 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import { parseContractError } from '../../errors/decodeError.js';
 
 async function updatePriceFromOracle(chainId, tokenId, newPrice, signer) {
   if (!signer) {
@@ -22,7 +23,7 @@ async function updatePriceFromOracle(chainId, tokenId, newPrice, signer) {
     return tx;
   } catch (error) {
     console.error('Error updating price from oracle:', error);
-    throw new Error(`Failed to update price from oracle: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to update price from oracle' });
   }
 }
 
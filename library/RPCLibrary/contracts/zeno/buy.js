@@ -0,0 +1,25 @@
+import { ethers } from "ethers";
+import { getABI } from "../../utils/artifacts.js";
+import sendTransaction from "../../transactions/sendTransaction.js";
+import ensureAllowance from "../../methods/commons/ensureAllowance.js";
+
+// Buys `amount` ZENO bonds at the current price. The price only goes down while the auction is active,
+// so approving the current cost covers the purchase when it is mined.
+function buy(chainId, auctionAddress, amount, signer) {
+    return sendTransaction(signer, async () => {
+        const auctionContract = new ethers.Contract(auctionAddress, getABI('auction'), signer);
+
+        const bonds = BigInt(amount);
+        const [price, usdcAddress] = await Promise.all([
+            auctionContract.getPrice(),
+            auctionContract.usdc(),
+        ]);
+        const cost = price * bonds;
+
+        await ensureAllowance(chainId, usdcAddress, auctionAddress, cost, signer);
+
+        return { contract: auctionContract, method: 'buy', args: [bonds] };
+    }, { errorMessage: 'Failed to buy zeno' });
+}
+
+export default buy;
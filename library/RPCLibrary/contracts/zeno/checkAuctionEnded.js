@@ -0,0 +1,14 @@
+import { ethers } from "ethers";
+import { getABI } from "../../utils/artifacts.js";
+import sendTransaction from "../../transactions/sendTransaction.js";
+
+// Emits AuctionEnded with the final price, reverts before the auction end time
+function checkAuctionEnded(chainId, auctionAddress, signer) {
+    return sendTransaction(signer, () => {
+        const auctionContract = new ethers.Contract(auctionAddress, getABI('auction'), signer);
+
+        return { contract: auctionContract, method: 'checkAuctionEnded', args: [] };
+    }, { errorMessage: 'Failed to end zeno auction' });
+}
+
+export default checkAuctionEnded;
@@ -1,33 +1,40 @@
 import { ethers } from "ethers";
 import { getContractAddress } from "../../utils/contracts.js";
 import { getABI } from "../../utils/artifacts.js";
-
-
-async function createAuction(chainId, zenoAddress, usdcAddress, businessAddress, auctionStartTime, auctionEndTime, startingPrice, reservePrice, totalZenoAllocated, signer) {
-    if (!signer) {
-        throw new Error('Wallet not connected');
+import sendTransaction from "../../transactions/sendTransaction.js";
+
+const getAuctionAddress = (receipt) => {
+    const auctionFactoryInterface = new ethers.Interface(getABI('auctionfactory'));
+    for (const log of receipt.logs) {
+        try {
+            const parsedLog = auctionFactoryInterface.parseLog(log);
+            if (parsedLog?.name === 'AuctionCreated') {
+                return parsedLog.args.auctionAddress;
+            }
+        } catch (error) {
+            // Log emitted by another contract
+        }
     }
+    return null;
+};
 
-    try {
+// Awaiting the returned handle resolves with the address of the new auction
+function createAuction(chainId, zenoAddress, usdcAddress, businessAddress, auctionStartTime, auctionEndTime, startingPrice, reservePrice, totalZenoAllocated, signer) {
+    return sendTransaction(signer, () => {
         const auctionFactoryAddress = getContractAddress(chainId, 'auctionfactory');
         const auctionFactoryABI = getABI('auctionfactory');
 
         const auctionFactoryContract = new ethers.Contract(auctionFactoryAddress, auctionFactoryABI, signer);
 
-        const tx = await auctionFactoryContract.createAuction(zenoAddress, usdcAddress, businessAddress, auctionStartTime, auctionEndTime, startingPrice, reservePrice, totalZenoAllocated);
-        await tx.wait();
-
-        const auctionsCount = await auctionFactoryContract.auctionsCount();
-        const auctionAddress = await auctionFactoryContract.getAuction(auctionsCount - 1);
-
-        console.log(`Zeno auction created at address: ${
-            auctionAddress
-        }`);
-
-    } catch(error) {
-        console.error('Error creating zeno auction:', error);
-        throw new Error(`Failed to create zeno auction: ${error.message}`);
-    }
+        return {
+            contract: auctionFactoryContract,
+            method: 'createAuction',
+            args: [zenoAddress, usdcAddress, businessAddress, auctionStartTime, auctionEndTime, startingPrice, reservePrice, totalZenoAllocated],
+        };
+    }, {
+        errorMessage: 'Failed to create zeno auction',
+        getResult: getAuctionAddress,
+    });
 }
 
-export default createAuction;
\ No newline at end of file
+export default createAuction;
@@ -1,34 +1,36 @@
 import { ethers } from "ethers";
 import { getContractAddress } from "../../utils/contracts.js";
 import { getABI } from "../../utils/artifacts.js";
-
-async function createZeno(chainId, usdcAddress, maturityDate, signer) {
-    if (!signer) {
-        throw new Error('Wallet not connected');
+import sendTransaction from "../../transactions/sendTransaction.js";
+
+const getZenoAddress = (receipt) => {
+    const zenoFactoryInterface = new ethers.Interface(getABI('zenofactory'));
+    for (const log of receipt.logs) {
+        try {
+            const parsedLog = zenoFactoryInterface.parseLog(log);
+            if (parsedLog?.name === 'ZENOCreated') {
+                return parsedLog.args.zenoAddress;
+            }
+        } catch (error) {
+            // Log emitted by another contract
+        }
     }
+    return null;
+};
 
-    try {
+// Awaiting the returned handle resolves with the address of the new ZENO
+function createZeno(chainId, usdcAddress, maturityDate, signer) {
+    return sendTransaction(signer, () => {
         const zenoFactoryAddress = getContractAddress(chainId, 'zenofactory');
         const zenoFactoryABI = getABI('zenofactory');
 
         const zenoFactoryContract = new ethers.Contract(zenoFactoryAddress, zenoFactoryABI, signer);
 
-        const tx = await zenoFactoryContract.createZeno(usdcAddress, maturityDate);
-        await tx.wait();
-
-        const zenosCount = await zenoFactoryContract.zenosCount();
-        const zenoAddress = await zenoFactoryContract.getZeno(zenosCount - 1);
-
-        console.log(`Zeno created at address: ${
-            zenoAddress
-        }`);
-
-        return zenoAddress
-
-    } catch(error) {
-        console.error('Error creating zeno:', error);
-        throw new Error(`Failed to create zeno: ${error.message}`);
-    }
+        return { contract: zenoFactoryContract, method: 'createZENOContract', args: [usdcAddress, maturityDate] };
+    }, {
+        errorMessage: 'Failed to create zeno',
+        getResult: getZenoAddress,
+    });
 }
 
-export default createZeno;
\ No newline at end of file
+export default createZeno;
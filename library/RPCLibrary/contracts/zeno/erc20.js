@@ -0,0 +1,5 @@
+export const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function balanceOf(address owner) view returns (uint256)',
+];
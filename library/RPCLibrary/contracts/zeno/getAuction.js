@@ -0,0 +1,83 @@
+import { ethers } from "ethers";
+import { getABI } from "../../utils/artifacts.js";
+import { ERC20_ABI } from "./erc20.js";
+import { getPriceCurve } from "./priceCurve.js";
+import { formatAmount, LEGACY_FORMATS } from "../../amounts/units.js";
+import { multicall, call, getBlockTag } from "../../utils/multicall.js";
+import { parseContractError } from "../../errors/decodeError.js";
+
+const AUCTION_STATUS = {
+    UPCOMING: 'upcoming',
+    ACTIVE: 'active',
+    ENDED: 'ended',
+};
+
+// Auction details with its live price and price curve. Prices are in USDC, ZENO amounts are bond units.
+async function getAuction(chainId, auctionAddress, address, provider, pricePoints = 24, blockTag = 'latest') {
+    try {
+        const auctionContract = new ethers.Contract(auctionAddress, getABI('auction'), provider);
+
+        // Every read comes from the same block, the status and live price use its timestamp
+        const blockNumber = await getBlockTag(provider, blockTag);
+        const [block, [details, usdcAddress, bidAmount = null]] = await Promise.all([
+            (provider.provider ?? provider).getBlock(blockNumber),
+            multicall(chainId, provider, [
+                call(auctionContract, 'getDetails'),
+                call(auctionContract, 'usdc'),
+                ...(address ? [call(auctionContract, 'bidAmounts', [address])] : []),
+            ], blockNumber),
+        ]);
+
+        const usdcContract = new ethers.Contract(usdcAddress, ERC20_ABI, provider);
+        const [decimals] = await multicall(chainId, provider, [call(usdcContract, 'decimals')], blockNumber);
+        const usdcDecimals = Number(decimals);
+        const usdc = (amount) => formatAmount(amount, { chainId, asset: usdcAddress, decimals: usdcDecimals });
+        const bonds = (amount) => formatAmount(amount, { decimals: 0, legacy: LEGACY_FORMATS.STRING });
+
+        const state = {
+            startTime: details.auctionStartTime,
+            endTime: details.auctionEndTime,
+            startingPrice: details.startingPrice,
+            reservePrice: details.reservePrice,
+        };
+        const now = BigInt(block.timestamp);
+
+        // buy() requires startTime < block.timestamp < endTime
+        let status = AUCTION_STATUS.ACTIVE;
+        if (now <= state.startTime) status = AUCTION_STATUS.UPCOMING;
+        if (now >= state.endTime) status = AUCTION_STATUS.ENDED;
+
+        return {
+            address: auctionAddress,
+            zeno: details.zenoAddress,
+            usdc: usdcAddress,
+            business: details.businessAddress,
+            status,
+            startTime: Number(state.startTime),
+            endTime: Number(state.endTime),
+            startingPrice: usdc(state.startingPrice),
+            reservePrice: usdc(state.reservePrice),
+            price: usdc(details.price),
+            totalAllocated: bonds(details.totalZENOAllocated),
+            totalRemaining: bonds(details.totalZENORemaining),
+            lastBid: {
+                bidder: details.lastBidder === ethers.ZeroAddress ? null : details.lastBidder,
+                time: Number(details.lastBidTime),
+                amount: bonds(details.lastBidAmount),
+            },
+            priceCurve: getPriceCurve(state, pricePoints).map(({ timestamp, price }) => ({
+                timestamp: Number(timestamp),
+                price: usdc(price),
+            })),
+            user: bidAmount === null ? null : { bought: bonds(bidAmount) },
+            blockNumber,
+        };
+
+    } catch(error) {
+        console.error('Error getting zeno auction:', error);
+        throw parseContractError(error, { message: "Failed to get zeno auction" });
+    }
+}
+
+export { AUCTION_STATUS };
+export default getAuction;
@@ -1,6 +1,8 @@
 import { ethers } from "ethers";
 import { getContractAddress } from "../../utils/contracts.js";
 import { getABI } from "../../utils/artifacts.js";
+import { multicall, call, getBlockTag } from "../../utils/multicall.js";
+import { parseContractError } from "../../errors/decodeError.js";
 
 async function getAuctions(chainId, signer) {
     if (!signer) {
@@ -13,23 +15,19 @@ async function getAuctions(chainId, signer) {
 
         const auctionFactoryContract = new ethers.Contract(auctionFactoryAddress, auctionFactoryABI, signer);
 
-        const auctionsCount = await auctionFactoryContract.getAuctionCount();
-        const auctions = [];
-
-        for (let i = 0; i < auctionsCount; i++) {
-            const auctionAddress = await auctionFactoryContract.getAuctionDetails(i);
-            auctions.push(auctionAddress);
-        }
-
-        console.log(`Auctions: ${
-            auctions
-        }`);
+        const blockNumber = await getBlockTag(signer);
+        const [auctionsCount] = await multicall(chainId, signer, [
+            call(auctionFactoryContract, 'getAuctionCount'),
+        ], blockNumber);
+        const auctions = await multicall(chainId, signer, Array.from({ length: Number(auctionsCount) }, (_, i) =>
+            call(auctionFactoryContract, 'getAuctionDetails', [i])
+        ), blockNumber);
 
         return auctions;
 
     } catch(error) {
         console.error('Error getting auctions:', error);
-        throw new Error(`Failed to get auctions: ${error.message}`);
+        throw parseContractError(error, { message: "Failed to get auctions" });
     }
 }
 
@@ -0,0 +1,60 @@
+import { ethers } from "ethers";
+import { getContractAddress } from "../../utils/contracts.js";
+import { getABI } from "../../utils/artifacts.js";
+import { ERC20_ABI } from "./erc20.js";
+import { multicall, call, getBlockTag } from "../../utils/multicall.js";
+import { formatAmount, LEGACY_FORMATS } from "../../amounts/units.js";
+import { parseContractError } from "../../errors/decodeError.js";
+
+// ZENO balances of `address` across every series, with maturity and redeemable USDC value
+async function getZenoHoldings(chainId, address, provider, blockTag = 'latest') {
+    try {
+        const zenoFactoryAddress = getContractAddress(chainId, 'zenofactory');
+        const zenoFactoryContract = new ethers.Contract(zenoFactoryAddress, getABI('zenofactory'), provider);
+
+        const blockNumber = await getBlockTag(provider, blockTag);
+        const [zenoAddresses] = await multicall(chainId, provider, [
+            call(zenoFactoryContract, 'getZENOs'),
+        ], blockNumber);
+
+        const zenoContracts = zenoAddresses.map((zenoAddress) => new ethers.Contract(zenoAddress, getABI('zeno'), provider));
+        const zenoResults = await multicall(chainId, provider, zenoContracts.flatMap((zenoContract) => [
+            call(zenoContract, 'getDetails'),
+            call(zenoContract, 'balanceOf', [address]),
+            call(zenoContract, 'isRedeemable'),
+            call(zenoContract, 'USDC'),
+        ]), blockNumber);
+
+        const usdcAddresses = [...new Set(zenoAddresses.map((_, index) => zenoResults[index * 4 + 3]))];
+        const usdcDecimals = await multicall(chainId, provider, usdcAddresses.map((usdcAddress) =>
+            call(new ethers.Contract(usdcAddress, ERC20_ABI, provider), 'decimals')
+        ), blockNumber);
+        const decimalsOf = new Map(usdcAddresses.map((usdcAddress, index) => [usdcAddress, Number(usdcDecimals[index])]));
+
+        const holdings = zenoAddresses.map((zenoAddress, index) => {
+            const [details, balance, isRedeemable, usdcAddress] = zenoResults.slice(index * 4, index * 4 + 4);
+            if (balance === 0n) {
+                return null;
+            }
+
+            return {
+                address: zenoAddress,
+                name: details.name,
+                symbol: details.symbol,
+                maturityDate: Number(details.maturityDate),
+                isRedeemable,
+                balance: formatAmount(balance, { decimals: 0, legacy: LEGACY_FORMATS.STRING }),
+                // ZENO redeems 1:1 against USDC units
+                redeemValue: formatAmount(balance, { chainId, asset: usdcAddress, decimals: decimalsOf.get(usdcAddress) }),
+            };
+        });
+
+        return holdings.filter(Boolean);
+
+    } catch(error) {
+        console.error('Error getting zeno holdings:', error);
+        throw parseContractError(error, { message: "Failed to get zeno holdings" });
+    }
+}
+
+export default getZenoHoldings;
@@ -1,6 +1,8 @@
 import { ethers } from "ethers";
 import { getContractAddress } from "../../utils/contracts.js";
 import { getABI } from "../../utils/artifacts.js";
+import { multicall, call, getBlockTag } from "../../utils/multicall.js";
+import { parseContractError } from "../../errors/decodeError.js";
 
 async function getZenos(chainId, signer) {
     if (!signer) {
@@ -8,27 +10,23 @@ async function getZenos(chainId, signer) {
     }
 
     try {
-        const zenoAddress = getContractAddress(chainId, 'zeno');
-        const zenoABI = getABI('zeno');
+        const zenoFactoryAddress = getContractAddress(chainId, 'zenofactory');
+        const zenoFactoryABI = getABI('zenofactory');
 
-        const zenoContract = new ethers.Contract(zenoAddress, zenoABI, signer);
+        const zenoFactoryContract = new ethers.Contract(zenoFactoryAddress, zenoFactoryABI, signer);
 
-        const zenosCount = await zenoContract.getZENOCount();
-        const zenos = [];
-
-        for (let i = 0; i < zenosCount; i++) {
-            const zeno = await zenoContract.getZENODetails(i);
-            zenos.push(zeno);
-        }
-
-        console.log(`Zenos: ${
-            zenos
-        }`);
+        const blockNumber = await getBlockTag(signer);
+        const [zenosCount] = await multicall(chainId, signer, [
+            call(zenoFactoryContract, 'getZENOCount'),
+        ], blockNumber);
+        const zenos = await multicall(chainId, signer, Array.from({ length: Number(zenosCount) }, (_, i) =>
+            call(zenoFactoryContract, 'getZENODetails', [i])
+        ), blockNumber);
 
         return zenos;
     } catch(error) {
         console.error('Error getting zenos:', error);
-        throw new Error(`Failed to get zenos: ${error.message}`);
+        throw parseContractError(error, { message: "Failed to get zenos" });
     }
 }
 
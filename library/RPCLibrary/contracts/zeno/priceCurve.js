@@ -0,0 +1,25 @@
+// Mirrors Auction.getPrice: linear decrease from startingPrice to reservePrice between startTime and endTime.
+// `state` holds bigint startTime, endTime, startingPrice and reservePrice.
+export function calculatePrice(state, timestamp) {
+    if (timestamp < state.startTime) return state.startingPrice;
+    if (timestamp >= state.endTime) return state.reservePrice;
+
+    return state.startingPrice - (
+        (state.startingPrice - state.reservePrice) *
+        (timestamp - state.startTime) /
+        (state.endTime - state.startTime)
+    );
+}
+
+// `points` evenly spaced prices over the auction, both ends included
+export function getPriceCurve(state, points = 24) {
+    const steps = BigInt(Math.max(points - 1, 1));
+    const duration = state.endTime - state.startTime;
+
+    return Array.from({ length: Number(steps) + 1 }, (_, i) => {
+        const timestamp = state.startTime + (duration * BigInt(i)) / steps;
+        return { timestamp, price: calculatePrice(state, timestamp) };
+    });
+}
+
+export default { calculatePrice, getPriceCurve };
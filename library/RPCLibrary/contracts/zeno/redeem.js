@@ -0,0 +1,18 @@
+import { ethers } from "ethers";
+import { getABI } from "../../utils/artifacts.js";
+import sendTransaction from "../../transactions/sendTransaction.js";
+
+// Redeems `amount` ZENO for the same amount of USDC units once the bond has matured
+function redeem(chainId, zenoAddress, amount, signer) {
+    return sendTransaction(signer, async () => {
+        const zenoContract = new ethers.Contract(zenoAddress, getABI('zeno'), signer);
+
+        if (!await zenoContract.isRedeemable()) {
+            throw new Error('Bond is not redeemable yet');
+        }
+
+        return { contract: zenoContract, method: 'redeem', args: [BigInt(amount)] };
+    }, { errorMessage: 'Failed to redeem zeno' });
+}
+
+export default redeem;
@@ -0,0 +1,17 @@
+import { ethers } from "ethers";
+import { getABI } from "../../utils/artifacts.js";
+import sendTransaction from "../../transactions/sendTransaction.js";
+
+function redeemAll(chainId, zenoAddress, signer) {
+    return sendTransaction(signer, async () => {
+        const zenoContract = new ethers.Contract(zenoAddress, getABI('zeno'), signer);
+
+        if (!await zenoContract.isRedeemable()) {
+            throw new Error('Bond is not redeemable yet');
+        }
+
+        return { contract: zenoContract, method: 'redeemAll', args: [] };
+    }, { errorMessage: 'Failed to redeem all zeno' });
+}
+
+export default redeemAll;
@@ -0,0 +1,48 @@
+import { ERROR_CODES } from './codes.js';
+
+/**
+ * Typed error thrown by RPCLibrary calls.
+ *
+ * `code` is one of ERROR_CODES, stable across contracts so the frontend can translate it.
+ * For reverts with a custom error, `contract` is the ABI id (e.g. 'lendingpool') that declares it,
+ * `errorName`, `signature` and `args` / `namedArgs` describe the decoded error.
+ * The ethers error code, when any, is kept as `ethersCode`, the original error as `cause`.
+ */
+export class ContractError extends Error {
+  constructor(message, {
+    code = ERROR_CODES.UNKNOWN,
+    contract = null,
+    address = null,
+    errorName = null,
+    signature = null,
+    selector = null,
+    args = [],
+    namedArgs = {},
+    reason = null,
+    data = null,
+    ethersCode = null,
+    stage = null,
+    cause,
+  } = {}) {
+    super(message, { cause });
+    this.name = 'ContractError';
+    this.code = code;
+    this.contract = contract;
+    this.address = address;
+    this.errorName = errorName;
+    this.signature = signature;
+    this.selector = selector;
+    this.args = args;
+    this.namedArgs = namedArgs;
+    this.reason = reason;
+    this.data = data;
+    this.ethersCode = ethersCode;
+    this.stage = stage;
+  }
+
+  get isRevert() {
+    return this.selector !== null || this.ethersCode === 'CALL_EXCEPTION';
+  }
+}
+
+export default ContractError;
@@ -0,0 +1,159 @@
+// Stable error codes the frontend can translate, independent of the contract that raised the error
+export const ERROR_CODES = {
+  INSUFFICIENT_COLLATERAL: 'INSUFFICIENT_COLLATERAL',
+  UNDER_LIQUIDATION: 'UNDER_LIQUIDATION',
+  NOT_UNDER_LIQUIDATION: 'NOT_UNDER_LIQUIDATION',
+  GRACE_PERIOD_NOT_EXPIRED: 'GRACE_PERIOD_NOT_EXPIRED',
+  GRACE_PERIOD_EXPIRED: 'GRACE_PERIOD_EXPIRED',
+  PAUSED: 'PAUSED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  INSUFFICIENT_ALLOWANCE: 'INSUFFICIENT_ALLOWANCE',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INVALID_ADDRESS: 'INVALID_ADDRESS',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
+  NOT_NFT_OWNER: 'NOT_NFT_OWNER',
+  NFT_NOT_FOUND: 'NFT_NOT_FOUND',
+  STALE_PRICE: 'STALE_PRICE',
+  // A price source has no price for the pair
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE',
+  LOCK_NOT_EXPIRED: 'LOCK_NOT_EXPIRED',
+  LOCK_NOT_FOUND: 'LOCK_NOT_FOUND',
+  AUCTION_ENDED: 'AUCTION_ENDED',
+  AUCTION_NOT_ENDED: 'AUCTION_NOT_ENDED',
+  BID_TOO_LOW: 'BID_TOO_LOW',
+  NOTHING_TO_CLAIM: 'NOTHING_TO_CLAIM',
+  TOO_EARLY: 'TOO_EARLY',
+  PROPOSAL_STATE: 'PROPOSAL_STATE',
+  TIMELOCK_NOT_READY: 'TIMELOCK_NOT_READY',
+  // Reverts without a custom error
+  REVERTED: 'REVERTED',
+  PANIC: 'PANIC',
+  // Wallet and network errors
+  USER_REJECTED: 'USER_REJECTED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  NONCE_EXPIRED: 'NONCE_EXPIRED',
+  TRANSACTION_REPLACED: 'TRANSACTION_REPLACED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Solidity error name => stable code, covers the RAAC contracts and the OpenZeppelin errors they inherit
+const ERROR_NAME_CODES = {
+  NotEnoughCollateralToBorrow: ERROR_CODES.INSUFFICIENT_COLLATERAL,
+  NoCollateral: ERROR_CODES.INSUFFICIENT_COLLATERAL,
+  WithdrawalWouldLeaveUserUnderCollateralized: ERROR_CODES.INSUFFICIENT_COLLATERAL,
+  HealthFactorTooLow: ERROR_CODES.INSUFFICIENT_COLLATERAL,
+
+  CannotBorrowUnderLiquidation: ERROR_CODES.UNDER_LIQUIDATION,
+  CannotWithdrawUnderLiquidation: ERROR_CODES.UNDER_LIQUIDATION,
+  UserAlreadyUnderLiquidation: ERROR_CODES.UNDER_LIQUIDATION,
+  NotUnderLiquidation: ERROR_CODES.NOT_UNDER_LIQUIDATION,
+  NFTNotInLiquidation: ERROR_CODES.NOT_UNDER_LIQUIDATION,
+  GracePeriodNotExpired: ERROR_CODES.GRACE_PERIOD_NOT_EXPIRED,
+  GracePeriodExpired: ERROR_CODES.GRACE_PERIOD_EXPIRED,
+
+  EnforcedPause: ERROR_CODES.PAUSED,
+  ContractPaused: ERROR_CODES.PAUSED,
+  EmergencyPaused: ERROR_CODES.PAUSED,
+  WithdrawalsArePaused: ERROR_CODES.PAUSED,
+  VaultShutdown: ERROR_CODES.PAUSED,
+  ClaimingDisabled: ERROR_CODES.PAUSED,
+
+  OwnableUnauthorizedAccount: ERROR_CODES.UNAUTHORIZED,
+  AccessControlUnauthorizedAccount: ERROR_CODES.UNAUTHORIZED,
+  Unauthorized: ERROR_CODES.UNAUTHORIZED,
+  UnauthorizedAccess: ERROR_CODES.UNAUTHORIZED,
+  UnauthorizedCaller: ERROR_CODES.UNAUTHORIZED,
+  OnlyStabilityPool: ERROR_CODES.UNAUTHORIZED,
+  OnlyReservePool: ERROR_CODES.UNAUTHORIZED,
+  OnlyMinterCanMint: ERROR_CODES.UNAUTHORIZED,
+  EmergencyActionNotAuthorized: ERROR_CODES.UNAUTHORIZED,
+  TimelockUnauthorizedCaller: ERROR_CODES.UNAUTHORIZED,
+
+  ERC20InsufficientBalance: ERROR_CODES.INSUFFICIENT_BALANCE,
+  InsufficientBalance: ERROR_CODES.INSUFFICIENT_BALANCE,
+  InsufficientAvailableAssets: ERROR_CODES.INSUFFICIENT_BALANCE,
+  InsufficientRewardBalance: ERROR_CODES.INSUFFICIENT_BALANCE,
+  InsufficientVeBalance: ERROR_CODES.INSUFFICIENT_BALANCE,
+  InsufficientPayment: ERROR_CODES.INSUFFICIENT_BALANCE,
+
+  ERC20InsufficientAllowance: ERROR_CODES.INSUFFICIENT_ALLOWANCE,
+  TransferAmountExceedsAllowance: ERROR_CODES.INSUFFICIENT_ALLOWANCE,
+  ERC721InsufficientApproval: ERROR_CODES.INSUFFICIENT_ALLOWANCE,
+
+  InvalidAmount: ERROR_CODES.INVALID_AMOUNT,
+  ZeroAmount: ERROR_CODES.INVALID_AMOUNT,
+  ExcessiveAmount: ERROR_CODES.INVALID_AMOUNT,
+  RepayAmountTooHigh: ERROR_CODES.INVALID_AMOUNT,
+
+  InvalidAddress: ERROR_CODES.INVALID_ADDRESS,
+  ZeroAddress: ERROR_CODES.INVALID_ADDRESS,
+  AddressCannotBeZero: ERROR_CODES.INVALID_ADDRESS,
+  InvalidRecipient: ERROR_CODES.INVALID_ADDRESS,
+
+  AmountExceedsLimit: ERROR_CODES.LIMIT_EXCEEDED,
+  DepositLimitExceeded: ERROR_CODES.LIMIT_EXCEEDED,
+  WithdrawLimitExceeded: ERROR_CODES.LIMIT_EXCEEDED,
+  TotalSupplyLimitExceeded: ERROR_CODES.LIMIT_EXCEEDED,
+  CategoryAllocationExceeded: ERROR_CODES.LIMIT_EXCEEDED,
+  MaxBoostExceeded: ERROR_CODES.LIMIT_EXCEEDED,
+
+  NotOwnerOfNFT: ERROR_CODES.NOT_NFT_OWNER,
+  ERC721IncorrectOwner: ERROR_CODES.NOT_NFT_OWNER,
+  NFTNotDeposited: ERROR_CODES.NFT_NOT_FOUND,
+  ERC721NonexistentToken: ERROR_CODES.NFT_NOT_FOUND,
+  InvalidNFTPrice: ERROR_CODES.STALE_PRICE,
+  StalePrice: ERROR_CODES.STALE_PRICE,
+
+  LockNotExpired: ERROR_CODES.LOCK_NOT_EXPIRED,
+  LockNotFound: ERROR_CODES.LOCK_NOT_FOUND,
+  NoExistingLock: ERROR_CODES.LOCK_NOT_FOUND,
+  NoTokensLocked: ERROR_CODES.LOCK_NOT_FOUND,
+
+  AuctionHasEnded: ERROR_CODES.AUCTION_ENDED,
+  AuctionNotEnded: ERROR_CODES.AUCTION_NOT_ENDED,
+  BidTooLow: ERROR_CODES.BID_TOO_LOW,
+
+  NothingToRelease: ERROR_CODES.NOTHING_TO_CLAIM,
+  NoVestingSchedule: ERROR_CODES.NOTHING_TO_CLAIM,
+  BondNotRedeemable: ERROR_CODES.TOO_EARLY,
+  TooEarlyToRelease: ERROR_CODES.TOO_EARLY,
+  ClaimTooFrequent: ERROR_CODES.TOO_EARLY,
+  PeriodNotElapsed: ERROR_CODES.TOO_EARLY,
+
+  InvalidProposalState: ERROR_CODES.PROPOSAL_STATE,
+  ProposalNotActive: ERROR_CODES.PROPOSAL_STATE,
+  ProposalNotQueued: ERROR_CODES.PROPOSAL_STATE,
+  ProposalNotSuccessful: ERROR_CODES.PROPOSAL_STATE,
+  ProposalAlreadyExecuted: ERROR_CODES.PROPOSAL_STATE,
+  OperationNotReady: ERROR_CODES.TIMELOCK_NOT_READY,
+
+  Error: ERROR_CODES.REVERTED,
+  Panic: ERROR_CODES.PANIC,
+};
+
+// ethers error code => stable code, for failures that are not contract reverts
+const ETHERS_CODES = {
+  ACTION_REJECTED: ERROR_CODES.USER_REJECTED,
+  INSUFFICIENT_FUNDS: ERROR_CODES.INSUFFICIENT_FUNDS,
+  NONCE_EXPIRED: ERROR_CODES.NONCE_EXPIRED,
+  REPLACEMENT_UNDERPRICED: ERROR_CODES.NONCE_EXPIRED,
+  TRANSACTION_REPLACED: ERROR_CODES.TRANSACTION_REPLACED,
+  NETWORK_ERROR: ERROR_CODES.NETWORK_ERROR,
+  SERVER_ERROR: ERROR_CODES.NETWORK_ERROR,
+  TIMEOUT: ERROR_CODES.NETWORK_ERROR,
+  CALL_EXCEPTION: ERROR_CODES.REVERTED,
+};
+
+/**
+ * Stable code of a decoded Solidity error name, falling back to the ethers error code
+ * @param {string|null} errorName
+ * @param {string} [ethersCode]
+ * @returns {string}
+ */
+export const getErrorCode = (errorName, ethersCode) => {
+  return ERROR_NAME_CODES[errorName] ?? ETHERS_CODES[ethersCode] ?? ERROR_CODES.UNKNOWN;
+};
+
+export default ERROR_CODES;
@@ -0,0 +1,169 @@
+import { ethers } from 'ethers';
+import { ABIS } from '../utils/artifacts.js';
+import { getErrorCode } from './codes.js';
+import ContractError from './ContractError.js';
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'uninitialized function',
+};
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// selector => [{ contract, iface, fragment }], built once from every ABI of the registry
+let registry = null;
+
+const getRegistry = () => {
+  if (registry) return registry;
+  registry = new Map();
+  for (const [contract, abi] of Object.entries(ABIS)) {
+    if (!abi) continue;
+    const iface = ethers.Interface.from(abi);
+    iface.forEachError((fragment) => {
+      const entries = registry.get(fragment.selector) ?? [];
+      entries.push({ contract, iface, fragment });
+      registry.set(fragment.selector, entries);
+    });
+  }
+  return registry;
+};
+
+const toNamedArgs = (fragment, values) => {
+  const namedArgs = {};
+  fragment.inputs.forEach((input, index) => {
+    namedArgs[input.name || `arg${index}`] = values[index];
+  });
+  return namedArgs;
+};
+
+/**
+ * Decodes revert data against every ABI of the registry
+ * @param {string} data - Revert data
+ * @param {Object} [options]
+ * @param {string} [options.contract] - ABI id tried first, the same error can be declared by several contracts
+ * @param {Array|ethers.Interface} [options.abi] - Extra ABI tried before the registry (e.g. a deployer artifact)
+ * @returns {{ contract: string|null, errorName: string|null, signature: string|null, selector: string, args: Array, namedArgs: Object, reason: string|null }|null}
+ *   null when there is no revert data, errorName is null when no ABI declares the selector
+ */
+export const decodeErrorData = (data, { contract = null, abi = null } = {}) => {
+  if (!ethers.isHexString(data) || data.length < 10) {
+    return null;
+  }
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = ethers.dataSlice(data, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = abiCoder.decode(['string'], payload);
+    return { contract: null, errorName: 'Error', signature: 'Error(string)', selector, args: [reason], namedArgs: { reason }, reason };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [panicCode] = abiCoder.decode(['uint256'], payload);
+    const reason = PANIC_REASONS[Number(panicCode)] ?? `panic code 0x${panicCode.toString(16)}`;
+    return { contract: null, errorName: 'Panic', signature: 'Panic(uint256)', selector, args: [panicCode], namedArgs: { code: panicCode }, reason };
+  }
+
+  const candidates = [...(getRegistry().get(selector) ?? [])]
+    .sort((a, b) => (b.contract === contract) - (a.contract === contract));
+  if (abi) {
+    const iface = ethers.Interface.from(abi);
+    const fragment = iface.getError(selector);
+    if (fragment) candidates.unshift({ contract, iface, fragment });
+  }
+
+  for (const { contract: declaredBy, iface, fragment } of candidates) {
+    try {
+      const values = [...iface.decodeErrorResult(fragment, data)];
+      return {
+        contract: declaredBy,
+        errorName: fragment.name,
+        signature: fragment.format('sighash'),
+        selector,
+        args: values,
+        namedArgs: toNamedArgs(fragment, values),
+        reason: null,
+      };
+    } catch (error) {
+      // Same selector, different parameters, try the next declaration
+    }
+  }
+  return { contract: null, errorName: null, signature: null, selector, args: [], namedArgs: {}, reason: null };
+};
+
+/**
+ * Finds the revert data of an ethers error, wallets and RPC providers nest it at different places
+ * @param {Error} error
+ * @returns {string|null}
+ */
+export const getRevertData = (error, depth = 0) => {
+  if (!error || depth > 5) return null;
+  if (typeof error === 'string') {
+    return ethers.isHexString(error) && error.length >= 10 ? error : null;
+  }
+  const nested = [error.data, error.info?.error, error.error, error.cause];
+  for (const candidate of nested) {
+    const data = getRevertData(candidate, depth + 1);
+    if (data) return data;
+  }
+  return null;
+};
+
+const formatArgs = (args) => args
+  .map((arg) => (typeof arg === 'bigint' ? arg.toString() : String(arg)))
+  .join(', ');
+
+/**
+ * Turns any error raised by a call or transaction into a ContractError
+ * @param {Error} error
+ * @param {Object} [options]
+ * @param {string} [options.message] - Prefix of the message, e.g. 'Failed to borrow'
+ * @param {string} [options.contract] - ABI id of the called contract, tried first
+ * @param {Array|ethers.Interface} [options.abi] - ABI of the called contract when it is not in the registry
+ * @param {string} [options.address] - Address of the called contract
+ * @returns {ContractError}
+ */
+export const parseContractError = (error, { message, contract = null, abi = null, address = null } = {}) => {
+  if (error instanceof ContractError) {
+    if (message) error.message = `${message}: ${error.message}`;
+    return error;
+  }
+
+  const data = getRevertData(error);
+  const decoded = decodeErrorData(data, { contract, abi });
+
+  let description = error?.message ?? String(error);
+  if (decoded?.errorName === 'Error' || decoded?.errorName === 'Panic') {
+    description = `reverted with ${decoded.reason}`;
+  } else if (decoded?.errorName) {
+    description = `${decoded.errorName}(${formatArgs(decoded.args)})${decoded.contract ? ` reverted in ${decoded.contract}` : ''}`;
+  } else if (decoded) {
+    description = `reverted with unknown error ${decoded.selector}`;
+  }
+
+  return new ContractError(message ? `${message}: ${description}` : description, {
+    // Revert data means the call reverted, whatever the wallet reported
+    code: decoded ? getErrorCode(decoded.errorName, 'CALL_EXCEPTION') : getErrorCode(null, error?.code),
+    contract: decoded?.contract ?? contract,
+    address: address ?? error?.transaction?.to ?? null,
+    errorName: decoded?.errorName ?? null,
+    signature: decoded?.signature ?? null,
+    selector: decoded?.selector ?? null,
+    args: decoded?.args ?? [],
+    namedArgs: decoded?.namedArgs ?? {},
+    reason: decoded?.reason ?? error?.reason ?? null,
+    data,
+    ethersCode: error?.code ?? null,
+    stage: error?.stage ?? null,
+    cause: error,
+  });
+};
+
+export default parseContractError;
@@ -0,0 +1,14 @@
+import { ethers } from 'ethers';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// BaseGauge enforces MIN_CLAIM_INTERVAL (1 day) between claims
+function claimRewards(chainId, gaugeAddress, signer) {
+  return sendTransaction(signer, () => {
+    const gaugeContract = new ethers.Contract(gaugeAddress, getABI('raacgauge'), signer);
+
+    return { contract: gaugeContract, method: 'getReward', args: [] };
+  }, { errorMessage: 'Failed to claim gauge rewards' });
+}
+
+export default claimRewards;
@@ -0,0 +1,7 @@
+// Mirrors IGaugeController.GaugeType
+export const GAUGE_TYPES = ['RWA', 'RAAC'];
+
+// ABI id of the gauge implementation for each GaugeType
+export const GAUGE_ABIS = ['rwagauge', 'raacgauge'];
+
+export default { GAUGE_TYPES, GAUGE_ABIS };
@@ -0,0 +1,23 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { getBlockTag } from '../utils/multicall.js';
+import readGauges from './readGauges.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getGauge(chainId, gaugeAddress, address, provider, blockTag = 'latest') {
+  try {
+    const gaugeControllerAddress = getContractAddress(chainId, 'gaugecontroller');
+    const gaugeControllerABI = getABI('gaugecontroller');
+    const gaugeControllerContract = new ethers.Contract(gaugeControllerAddress, gaugeControllerABI, provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [gauge] = await readGauges(chainId, gaugeControllerContract, [gaugeAddress], address, provider, blockNumber);
+    return gauge;
+  } catch (error) {
+    console.error(`Error getting gauge ${gaugeAddress}:`, error);
+    throw parseContractError(error, { message: 'Failed to get gauge' });
+  }
+}
+
+export default getGauge;
@@ -0,0 +1,28 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import readGauges from './readGauges.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getGauges(chainId, address, provider, blockTag = 'latest') {
+  try {
+    const gaugeControllerAddress = getContractAddress(chainId, 'gaugecontroller');
+    const gaugeControllerABI = getABI('gaugecontroller');
+    const gaugeControllerContract = new ethers.Contract(gaugeControllerAddress, gaugeControllerABI, provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [activeGauges] = await multicall(chainId, provider, [
+      call(gaugeControllerContract, 'getActiveGauges'),
+    ], blockNumber);
+    if (!activeGauges.length) {
+      return [];
+    }
+    return await readGauges(chainId, gaugeControllerContract, [...activeGauges], address, provider, blockNumber);
+  } catch (error) {
+    console.error('Error getting gauges:', error);
+    throw parseContractError(error, { message: 'Failed to get gauges' });
+  }
+}
+
+export default getGauges;
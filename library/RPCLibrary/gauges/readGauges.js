@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call } from '../utils/multicall.js';
+import { GAUGE_TYPES, GAUGE_ABIS } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+
+const GAUGE_METHODS = ['rewardRate', 'totalSupply', 'getCurrentPeriodStart', 'periodFinish', 'getPeriodDuration', 'stakingToken', 'rewardToken'];
+const USER_METHODS = ['balanceOf', 'earned', 'getUserWeight'];
+
+// Reads several gauges in two multicall rounds pinned to `blockNumber`
+async function readGauges(chainId, gaugeControllerContract, gaugeAddresses, address, provider, blockNumber) {
+  const [totalWeight, ...controllerResults] = await multicall(chainId, provider, [
+    call(gaugeControllerContract, 'getTotalWeight'),
+    ...gaugeAddresses.flatMap((gaugeAddress) => [
+      call(gaugeControllerContract, 'gauges', [gaugeAddress]),
+      ...(address ? [call(gaugeControllerContract, 'userGaugeVotes', [address, gaugeAddress])] : []),
+    ]),
+  ], blockNumber);
+
+  const controllerStride = address ? 2 : 1;
+  const gaugeContracts = gaugeAddresses.map((gaugeAddress, index) => {
+    const gaugeType = Number(controllerResults[index * controllerStride].gaugeType);
+    return new ethers.Contract(gaugeAddress, getABI(GAUGE_ABIS[gaugeType]), provider);
+  });
+
+  const gaugeStride = GAUGE_METHODS.length + (address ? USER_METHODS.length : 0);
+  const gaugeResults = await multicall(chainId, provider, gaugeContracts.flatMap((gaugeContract) => [
+    ...GAUGE_METHODS.map((method) => call(gaugeContract, method)),
+    ...(address ? USER_METHODS.map((method) => call(gaugeContract, method, [address])) : []),
+  ]), blockNumber);
+
+  return gaugeAddresses.map((gaugeAddress, index) => {
+    const gauge = controllerResults[index * controllerStride];
+    const vote = address ? controllerResults[index * controllerStride + 1] : null;
+    const [
+      rewardRate,
+      totalStaked,
+      periodStart,
+      periodFinish,
+      periodDuration,
+      stakingToken,
+      rewardToken,
+      staked,
+      earned,
+      weight,
+    ] = gaugeResults.slice(index * gaugeStride, (index + 1) * gaugeStride);
+
+    const user = address ? {
+      staked: formatAmount(staked, { chainId, asset: stakingToken }),
+      earned: formatAmount(earned, { chainId, asset: rewardToken }),
+      boostedWeight: formatAmount(weight),
+      // Basis points of the user's voting power allocated to this gauge
+      vote: Number(vote),
+    } : null;
+
+    return {
+      address: gaugeAddress,
+      type: GAUGE_TYPES[Number(gauge.gaugeType)],
+      isActive: gauge.isActive,
+      weight: formatAmount(gauge.weight),
+      typeWeight: gauge.typeWeight.toString(),
+      // Share of the total active gauge weight, in percentage
+      relativeWeight: totalWeight > 0n ? Number((gauge.weight * 10000n) / totalWeight) / 100 : 0,
+      rewardRate: formatAmount(rewardRate, { chainId, asset: rewardToken }),
+      totalStaked: formatAmount(totalStaked, { chainId, asset: stakingToken }),
+      stakingToken,
+      rewardToken,
+      period: {
+        start: Number(periodStart),
+        finish: Number(periodFinish),
+        duration: Number(periodDuration),
+      },
+      user,
+    };
+  });
+}
+
+export default readGauges;
@@ -0,0 +1,20 @@
+import { ethers } from 'ethers';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import ensureAllowance from '../methods/commons/ensureAllowance.js';
+import { parseAmount } from '../amounts/units.js';
+
+function stake(chainId, gaugeAddress, amount, signer) {
+  return sendTransaction(signer, async () => {
+    // stake/withdraw/getReward are shared by every gauge through BaseGauge
+    const gaugeContract = new ethers.Contract(gaugeAddress, getABI('raacgauge'), signer);
+
+    const stakingToken = await gaugeContract.stakingToken();
+    const amountInWei = parseAmount(amount, { chainId, asset: stakingToken });
+    await ensureAllowance(chainId, stakingToken, gaugeAddress, amountInWei, signer);
+
+    return { contract: gaugeContract, method: 'stake', args: [amountInWei] };
+  }, { errorMessage: 'Failed to stake in gauge' });
+}
+
+export default stake;
@@ -0,0 +1,17 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// weight is in basis points of the caller's veRAAC voting power (0 - 10000)
+function vote(chainId, gaugeAddress, weight, signer) {
+  return sendTransaction(signer, () => {
+    const gaugeControllerAddress = getContractAddress(chainId, 'gaugecontroller');
+    const gaugeControllerABI = getABI('gaugecontroller');
+    const gaugeControllerContract = new ethers.Contract(gaugeControllerAddress, gaugeControllerABI, signer);
+
+    return { contract: gaugeControllerContract, method: 'vote', args: [gaugeAddress, weight] };
+  }, { errorMessage: 'Failed to vote for gauge' });
+}
+
+export default vote;
@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { parseAmount } from '../amounts/units.js';
+
+function withdraw(chainId, gaugeAddress, amount, signer) {
+  return sendTransaction(signer, async () => {
+    const gaugeContract = new ethers.Contract(gaugeAddress, getABI('raacgauge'), signer);
+
+    const amountInWei = parseAmount(amount, { chainId, asset: await gaugeContract.stakingToken() });
+
+    return { contract: gaugeContract, method: 'withdraw', args: [amountInWei] };
+  }, { errorMessage: 'Failed to withdraw from gauge' });
+}
+
+export default withdraw;
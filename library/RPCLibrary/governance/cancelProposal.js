@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+function cancelProposal(chainId, proposalId, signer) {
+  return sendTransaction(signer, () => {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const governanceABI = getABI('governance');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, signer);
+
+    return { contract: governanceContract, method: 'cancel', args: [proposalId] };
+  }, { errorMessage: 'Failed to cancel proposal' });
+}
+
+export default cancelProposal;
@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+function castVote(chainId, proposalId, support, signer) {
+  return sendTransaction(signer, () => {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const governanceABI = getABI('governance');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, signer);
+
+    return { contract: governanceContract, method: 'castVote', args: [proposalId, support] };
+  }, { errorMessage: 'Failed to vote on proposal' });
+}
+
+export default castVote;
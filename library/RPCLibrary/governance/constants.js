@@ -0,0 +1,32 @@
+// Mirrors IGovernance.ProposalType
+export const PROPOSAL_TYPES = [
+  'ParameterChange',
+  'SmartContractUpgrade',
+  'TreasuryAction',
+  'EmissionChange',
+  'GaugeManagement',
+];
+
+// Mirrors IGovernance.ProposalState
+export const PROPOSAL_STATES = [
+  'Pending',
+  'Active',
+  'Canceled',
+  'Defeated',
+  'Succeeded',
+  'Queued',
+  'Executed',
+];
+
+export const getProposalTypeIndex = (proposalType) => {
+  if (typeof proposalType === 'string') {
+    const index = PROPOSAL_TYPES.indexOf(proposalType);
+    if (index === -1) {
+      throw new Error(`Unknown proposal type: ${proposalType}. Expected one of ${PROPOSAL_TYPES.join(', ')}`);
+    }
+    return index;
+  }
+  return Number(proposalType);
+};
+
+export default { PROPOSAL_TYPES, PROPOSAL_STATES, getProposalTypeIndex };
@@ -0,0 +1,40 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { PROPOSAL_STATES } from './constants.js';
+
+// Governance.execute runs a Queued proposal once its timelock delay has passed
+function executeProposal(chainId, proposalId, signer) {
+  return sendTransaction(signer, async () => {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const timelockAddress = getContractAddress(chainId, 'timelock');
+    const governanceABI = getABI('governance');
+    const timelockABI = getABI('timelock');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, signer);
+    const timelockContract = new ethers.Contract(timelockAddress, timelockABI, signer);
+
+    const state = PROPOSAL_STATES[Number(await governanceContract.state(proposalId))];
+    if (state !== 'Queued') {
+      throw new Error(`Proposal #${proposalId} is ${state}, only Queued proposals can be executed`);
+    }
+
+    const proposal = await governanceContract.getProposal(proposalId);
+    const operationId = await timelockContract.hashOperationBatch(
+      [...proposal.targets],
+      // `values` of an ethers Result is the Array method, the field is read by name
+      [...proposal.getValue('values')],
+      [...proposal.calldatas],
+      ethers.ZeroHash,
+      proposal.descriptionHash
+    );
+    if (!await timelockContract.isOperationReady(operationId)) {
+      const readyAt = await timelockContract.getTimestamp(operationId);
+      throw new Error(`Proposal #${proposalId} timelock operation is not ready (ready at ${readyAt})`);
+    }
+
+    return { contract: governanceContract, method: 'execute', args: [proposalId] };
+  }, { errorMessage: 'Failed to execute proposal' });
+}
+
+export default executeProposal;
@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { PROPOSAL_STATES, PROPOSAL_TYPES } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getProposal(chainId, proposalId, address, provider) {
+  try {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const timelockAddress = getContractAddress(chainId, 'timelock');
+    const governanceABI = getABI('governance');
+    const timelockABI = getABI('timelock');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, provider);
+    const timelockContract = new ethers.Contract(timelockAddress, timelockABI, provider);
+
+    const [proposal, proposalData, state, [forVotes, againstVotes], quorum, hasVoted] = await Promise.all([
+      governanceContract.getProposal(proposalId),
+      governanceContract.getProposalData(proposalId),
+      governanceContract.state(proposalId),
+      governanceContract.getVotes(proposalId),
+      governanceContract.quorum(),
+      address ? governanceContract.hasVoted(proposalId, address) : false,
+    ]);
+
+    const operationId = await timelockContract.hashOperationBatch(
+      [...proposal.targets],
+      // `values` of an ethers Result is the Array method, the field is read by name
+      [...proposal.getValue('values')],
+      [...proposal.calldatas],
+      ethers.ZeroHash,
+      proposal.descriptionHash
+    );
+    const executableAt = await timelockContract.getTimestamp(operationId);
+
+    const totalVotes = forVotes + againstVotes;
+    const votes = (amount) => formatAmount(amount, { chainId, asset: 'veraac' });
+    // Basis points, capped at 100%
+    const quorumProgress = quorum > 0n ? Math.min(Number((totalVotes * 10000n) / quorum), 10000) / 100 : 100;
+
+    return {
+      id: proposal.id.toString(),
+      proposer: proposal.proposer,
+      proposalType: PROPOSAL_TYPES[Number(proposal.proposalType)],
+      state: PROPOSAL_STATES[Number(state)],
+      startTime: Number(proposal.startTime),
+      endTime: Number(proposal.endTime),
+      description: proposalData.description,
+      targets: [...proposalData.targets],
+      values: proposalData.getValue('values').map((value) => value.toString()),
+      calldatas: [...proposalData.calldatas],
+      votes: {
+        for: votes(forVotes),
+        against: votes(againstVotes),
+        total: votes(totalVotes),
+      },
+      quorum: votes(quorum),
+      quorumProgress,
+      hasVoted,
+      timelock: {
+        operationId,
+        executableAt: Number(executableAt),
+      },
+    };
+  } catch (error) {
+    console.error(`Error getting proposal #${proposalId}:`, error);
+    throw parseContractError(error, { message: 'Failed to get proposal' });
+  }
+}
+
+export default getProposal;
@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import getProposal from './getProposal.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Governance has no proposal counter getter, proposals are discovered from ProposalCreated events
+async function getProposals(chainId, address, provider, fromBlock = 0) {
+  try {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const governanceABI = getABI('governance');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, provider);
+
+    const events = await governanceContract.queryFilter(governanceContract.filters.ProposalCreated(), fromBlock);
+    const proposals = await Promise.all(
+      events.map((event) => getProposal(chainId, event.args.proposalId, address, provider))
+    );
+
+    return proposals.sort((a, b) => Number(b.id) - Number(a.id));
+  } catch (error) {
+    console.error('Error getting proposals:', error);
+    throw parseContractError(error, { message: 'Failed to get proposals' });
+  }
+}
+
+export default getProposals;
@@ -0,0 +1,40 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { getProposalTypeIndex } from './constants.js';
+
+// Governance does not expose a proposal counter, the id is only available from the event
+const getProposalId = (receipt) => {
+  const governanceInterface = new ethers.Interface(getABI('governance'));
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = governanceInterface.parseLog(log);
+      if (parsedLog?.name === 'ProposalCreated') {
+        return parsedLog.args.proposalId;
+      }
+    } catch (error) {
+      // Log emitted by another contract
+    }
+  }
+  return null;
+};
+
+function propose(chainId, targets, values, calldatas, description, proposalType, signer) {
+  return sendTransaction(signer, () => {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const governanceABI = getABI('governance');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, signer);
+
+    return {
+      contract: governanceContract,
+      method: 'propose',
+      args: [targets, values, calldatas, description, getProposalTypeIndex(proposalType)],
+    };
+  }, {
+    errorMessage: 'Failed to create proposal',
+    getResult: (receipt) => ({ proposalId: getProposalId(receipt), receipt }),
+  });
+}
+
+export default propose;
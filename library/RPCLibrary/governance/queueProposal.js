@@ -0,0 +1,23 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { PROPOSAL_STATES } from './constants.js';
+
+// Governance.execute schedules a Succeeded proposal in the TimelockController
+function queueProposal(chainId, proposalId, signer) {
+  return sendTransaction(signer, async () => {
+    const governanceAddress = getContractAddress(chainId, 'governance');
+    const governanceABI = getABI('governance');
+    const governanceContract = new ethers.Contract(governanceAddress, governanceABI, signer);
+
+    const state = PROPOSAL_STATES[Number(await governanceContract.state(proposalId))];
+    if (state !== 'Succeeded') {
+      throw new Error(`Proposal #${proposalId} is ${state}, only Succeeded proposals can be queued`);
+    }
+
+    return { contract: governanceContract, method: 'execute', args: [proposalId] };
+  }, { errorMessage: 'Failed to queue proposal' });
+}
+
+export default queueProposal;
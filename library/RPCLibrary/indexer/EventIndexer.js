@@ -0,0 +1,244 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import JsonLinesStore from './JsonLinesStore.js';
+
+// Auctions are not in the chain config, they are discovered from the AuctionCreated events of the factory
+export const DEFAULT_SOURCES = ['lendingpool', 'stabilitypool', 'raacnft', 'feecollector', 'veraac', 'auctionfactory'];
+
+const serialize = (value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return [...value].map(serialize);
+    return value;
+};
+
+const toArgs = (fragment, values) => Object.fromEntries(
+    fragment.inputs.map((input, index) => [input.name || `arg${index}`, serialize(values[index])])
+);
+
+const resolveSource = (chainId, source) => {
+    const { id, address, abi } = typeof source === 'string' ? { id: source } : source;
+    let resolvedAddress = address;
+    if (!resolvedAddress) {
+        try {
+            resolvedAddress = getContractAddress(chainId, id);
+        } catch (error) {
+            // Not deployed on this chain
+            return null;
+        }
+    }
+    return { id, address: ethers.getAddress(resolvedAddress), iface: ethers.Interface.from(abi ?? getABI(id)) };
+};
+
+/**
+ * Follows the protocol events of a chain and writes them to a local store.
+ *
+ * Events are stored as `{ contract, address, event, args, blockNumber, blockHash, transactionHash, logIndex, timestamp }`
+ * where `contract` is the source id (e.g. 'lendingpool') and integer args are decimal strings.
+ *
+ * Reorgs are detected by comparing the hash of the last indexed block with the chain: on a mismatch the
+ * store is rewound `reorgDepth` blocks, and further back while the block of the last stored event is no
+ * longer on the chain, then the range is indexed again. Blocks are read `concurrency` at a time. Events:
+ * - 'events' (events) for every indexed batch
+ * - 'reorg' ({ fromBlock, toBlock, dropped }) when the store is rewound
+ * - 'synced' ({ lastBlock })
+ * - 'error' (error) for failures while following new blocks
+ *
+ * `sources` are source ids of the chain config, or `{ id, address, abi }` for contracts outside of it.
+ */
+export class EventIndexer extends EventEmitter {
+    constructor({
+        chainId,
+        provider,
+        store = new JsonLinesStore(),
+        sources = DEFAULT_SOURCES,
+        auctionAbi = null,
+        fromBlock = 0,
+        reorgDepth = 12,
+        batchSize = 2000,
+        concurrency = 10,
+        confirmations = 0,
+    }) {
+        super();
+        this.chainId = chainId;
+        this.provider = provider;
+        this.store = store;
+        this.fromBlock = fromBlock;
+        this.reorgDepth = reorgDepth;
+        this.batchSize = batchSize;
+        this.concurrency = concurrency;
+        this.confirmations = confirmations;
+
+        this.sources = new Map();
+        for (const source of sources) {
+            const resolved = resolveSource(chainId, source);
+            if (resolved) this.sources.set(resolved.address.toLowerCase(), resolved);
+        }
+        this.auctionAbi = auctionAbi;
+        this.isSyncing = false;
+        this.onBlock = this.onBlock.bind(this);
+    }
+
+    async start() {
+        await this.sync();
+        await this.provider.on('block', this.onBlock);
+        return this;
+    }
+
+    async stop() {
+        await this.provider.off('block', this.onBlock);
+    }
+
+    // Blocks mined while a sync is running are picked up by the next one
+    async onBlock() {
+        if (this.isSyncing) return;
+        try {
+            await this.sync();
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    addAuction(address) {
+        const key = address.toLowerCase();
+        if (this.sources.has(key)) return false;
+        this.sources.set(key, {
+            id: 'auction',
+            address: ethers.getAddress(address),
+            iface: ethers.Interface.from(this.auctionAbi ?? getABI('auction')),
+        });
+        return true;
+    }
+
+    /**
+     * Indexes every block up to the head of the chain (minus `confirmations`)
+     * @param {number} [toBlock]
+     * @returns {Promise<number|null>} Last indexed block
+     */
+    async sync(toBlock) {
+        this.isSyncing = true;
+        try {
+            const state = await this.store.getState();
+            state.auctions.forEach((address) => this.addAuction(address));
+
+            const head = toBlock ?? (await this.provider.getBlockNumber()) - this.confirmations;
+            await this.checkReorg(state, head);
+
+            let fromBlock = state.lastBlock === null ? this.fromBlock : state.lastBlock + 1;
+            while (fromBlock <= head) {
+                const batchEnd = Math.min(fromBlock + this.batchSize - 1, head);
+                await this.indexRange(fromBlock, batchEnd);
+                fromBlock = batchEnd + 1;
+            }
+
+            const { lastBlock } = await this.store.getState();
+            this.emit('synced', { lastBlock });
+            return lastBlock;
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    async checkReorg(state, head) {
+        if (state.lastBlock === null) return;
+
+        const block = state.lastBlock <= head ? await this.provider.getBlock(state.lastBlock) : null;
+        if (block && block.hash === state.lastBlockHash) return;
+
+        const indexedTo = state.lastBlock;
+        let rewindTo = Math.min(indexedTo - this.reorgDepth, head);
+        // Reorgs deeper than reorgDepth: walk back until the block of the last event kept is on the chain
+        while (rewindTo >= this.fromBlock) {
+            const [lastEvent] = (await this.store.find({ toBlock: rewindTo })).slice(-1);
+            if (!lastEvent) break;
+            const eventBlock = await this.provider.getBlock(lastEvent.blockNumber);
+            if (eventBlock?.hash === lastEvent.blockHash) break;
+            rewindTo = lastEvent.blockNumber - 1;
+        }
+        const dropped = await this.store.rewind(rewindTo);
+        if (rewindTo < this.fromBlock) {
+            state.lastBlock = null;
+            state.lastBlockHash = null;
+        } else {
+            state.lastBlock = rewindTo;
+            state.lastBlockHash = (await this.provider.getBlock(rewindTo)).hash;
+        }
+        await this.store.setState({ lastBlock: state.lastBlock, lastBlockHash: state.lastBlockHash });
+        this.emit('reorg', { fromBlock: rewindTo + 1, toBlock: indexedTo, dropped });
+    }
+
+    async getLogs(fromBlock, toBlock) {
+        const sources = [...this.sources.values()];
+        const factory = sources.find(({ id }) => id === 'auctionfactory');
+
+        // The factory goes first, so that auctions created in the range are followed from their first event
+        const logs = [];
+        if (factory) {
+            const factoryLogs = await this.provider.getLogs({ address: factory.address, fromBlock, toBlock });
+            let discovered = false;
+            for (const log of factoryLogs) {
+                const parsed = factory.iface.parseLog(log);
+                if (parsed?.name === 'AuctionCreated') {
+                    discovered = this.addAuction(parsed.args.auctionAddress) || discovered;
+                }
+            }
+            if (discovered) {
+                const auctions = [...this.sources.values()].filter(({ id }) => id === 'auction').map(({ address }) => address);
+                await this.store.setState({ auctions });
+            }
+            logs.push(...factoryLogs);
+        }
+
+        const addresses = [...this.sources.values()]
+            .filter((source) => source !== factory)
+            .map(({ address }) => address);
+        if (addresses.length > 0) {
+            logs.push(...await this.provider.getLogs({ address: addresses, fromBlock, toBlock }));
+        }
+        return logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+    }
+
+    async getBlocks(blockNumbers) {
+        const blocks = new Map();
+        for (let start = 0; start < blockNumbers.length; start += this.concurrency) {
+            const chunk = blockNumbers.slice(start, start + this.concurrency);
+            const chunkBlocks = await Promise.all(chunk.map((blockNumber) => this.provider.getBlock(blockNumber)));
+            chunk.forEach((blockNumber, index) => blocks.set(blockNumber, chunkBlocks[index]));
+        }
+        return blocks;
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.getLogs(fromBlock, toBlock);
+        const blocks = await this.getBlocks([...new Set([...logs.map((log) => log.blockNumber), toBlock])]);
+
+        const events = [];
+        for (const log of logs) {
+            const source = this.sources.get(log.address.toLowerCase());
+            const parsed = source?.iface.parseLog(log);
+            if (!parsed) continue;
+            events.push({
+                contract: source.id,
+                address: source.address,
+                event: parsed.name,
+                args: toArgs(parsed.fragment, parsed.args),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                timestamp: blocks.get(log.blockNumber).timestamp,
+            });
+        }
+
+        // A batch interrupted before its state is written is indexed again, the store skips its stored events
+        const added = await this.store.append(events);
+        await this.store.setState({ lastBlock: toBlock, lastBlockHash: blocks.get(toBlock).hash });
+        if (added.length > 0) {
+            this.emit('events', added);
+        }
+        return added;
+    }
+}
+
+export default EventIndexer;
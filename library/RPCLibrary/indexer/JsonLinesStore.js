@@ -0,0 +1,120 @@
+const EMPTY_STATE = { lastBlock: null, lastBlockHash: null, auctions: [] };
+
+const byPosition = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+
+const positionOf = ({ blockNumber, logIndex }) => `${blockNumber}:${logIndex}`;
+
+/**
+ * Local store of the indexed events, one JSON object per line.
+ *
+ * With a `path`, events are kept in `<path>/events.jsonl` and the sync state in `<path>/state.json`,
+ * without one the store only lives in memory (browser, tests).
+ *
+ * Other stores (e.g. SQLite) can be given to the EventIndexer as long as they implement
+ * load, getState, setState, append, rewind and find. append must skip the events already stored and
+ * return the ones added: the state is written after the events, a batch interrupted in between is
+ * indexed again.
+ */
+export class JsonLinesStore {
+    constructor({ path = null } = {}) {
+        this.path = path;
+        this.events = [];
+        this.positions = new Set();
+        this.state = { ...EMPTY_STATE };
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return this;
+        this.loaded = true;
+        if (!this.path) return this;
+
+        // Node only, the in-memory store must stay usable in the browser
+        const [fs, { join }] = await Promise.all([import('fs/promises'), import('path')]);
+        this.fs = fs;
+        this.eventsFile = join(this.path, 'events.jsonl');
+        this.stateFile = join(this.path, 'state.json');
+        await fs.mkdir(this.path, { recursive: true });
+
+        const [events, state] = await Promise.all([
+            fs.readFile(this.eventsFile, 'utf8').catch(() => ''),
+            fs.readFile(this.stateFile, 'utf8').catch(() => null),
+        ]);
+        this.events = events.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+        this.positions = new Set(this.events.map(positionOf));
+        this.state = state ? { ...EMPTY_STATE, ...JSON.parse(state) } : { ...EMPTY_STATE };
+        return this;
+    }
+
+    async getState() {
+        await this.load();
+        return { ...this.state };
+    }
+
+    async setState(state) {
+        await this.load();
+        this.state = { ...this.state, ...state };
+        if (this.path) {
+            await this.fs.writeFile(this.stateFile, JSON.stringify(this.state));
+        }
+    }
+
+    /**
+     * Adds events, skipping the ones already stored (same blockNumber and logIndex)
+     * @param {Array} events
+     * @returns {Promise<Array>} Events added
+     */
+    async append(events) {
+        await this.load();
+        const added = events.filter((event) => !this.positions.has(positionOf(event)));
+        if (added.length === 0) return added;
+        added.forEach((event) => this.positions.add(positionOf(event)));
+        this.events.push(...added);
+        this.events.sort(byPosition);
+        if (this.path) {
+            await this.fs.appendFile(this.eventsFile, added.map((event) => `${JSON.stringify(event)}\n`).join(''));
+        }
+        return added;
+    }
+
+    /**
+     * Drops every event after a block
+     * @param {number} blockNumber - Last block kept
+     * @returns {Promise<number>} Number of events dropped
+     */
+    async rewind(blockNumber) {
+        await this.load();
+        const kept = this.events.filter((event) => event.blockNumber <= blockNumber);
+        const dropped = this.events.length - kept.length;
+        this.events = kept;
+        this.positions = new Set(kept.map(positionOf));
+        if (this.path && dropped > 0) {
+            await this.fs.writeFile(this.eventsFile, kept.map((event) => `${JSON.stringify(event)}\n`).join(''));
+        }
+        return dropped;
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string|string[]} [filter.contract] - Source id(s), e.g. 'lendingpool'
+     * @param {string|string[]} [filter.event] - Event name(s), e.g. 'Deposit'
+     * @param {number} [filter.fromBlock]
+     * @param {number} [filter.toBlock]
+     * @param {Function} [filter.where] - Extra predicate on the event
+     * @returns {Promise<Array>} Events in chain order
+     */
+    async find({ contract, event, fromBlock = 0, toBlock = Infinity, where } = {}) {
+        await this.load();
+        const contracts = contract ? [contract].flat() : null;
+        const names = event ? [event].flat() : null;
+        return this.events.filter((entry) => (
+            (!contracts || contracts.includes(entry.contract))
+            && (!names || names.includes(entry.event))
+            && entry.blockNumber >= fromBlock
+            && entry.blockNumber <= toBlock
+            && (!where || where(entry))
+        ));
+    }
+}
+
+export default JsonLinesStore;
@@ -0,0 +1,122 @@
+const DAY = 24 * 60 * 60;
+
+const sameAddress = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+const toEntry = (event, fields) => ({
+    blockNumber: event.blockNumber,
+    timestamp: event.timestamp,
+    transactionHash: event.transactionHash,
+    ...fields,
+});
+
+/**
+ * Deposits of a user in the Lending Pool (crvUSD) and the Stability Pool (rcrvUSD)
+ * @param {JsonLinesStore} store
+ * @param {string} user
+ * @param {Object} [options]
+ * @param {string} [options.pool] - 'lendingpool' or 'stabilitypool', both by default
+ * @returns {Promise<Array<{ pool: string, user: string, amount: bigint, minted: bigint, blockNumber: number, timestamp: number, transactionHash: string }>>}
+ */
+export const getDepositsByUser = async (store, user, { pool } = {}) => {
+    const events = await store.find({
+        contract: pool ?? ['lendingpool', 'stabilitypool'],
+        event: 'Deposit',
+        where: ({ args }) => sameAddress(args.user, user),
+    });
+    // The ReserveLibrary of the LendingPool emits the same Deposit event right before the pool does
+    const deposits = events.filter((event, index) => {
+        const next = events[index + 1];
+        return !(event.contract === 'lendingpool'
+            && next?.contract === 'lendingpool'
+            && next.transactionHash === event.transactionHash
+            && next.args.amount === event.args.amount
+            && next.args.mintedAmount === event.args.mintedAmount);
+    });
+    return deposits.map((event) => toEntry(event, {
+        pool: event.contract,
+        user: event.args.user,
+        amount: BigInt(event.contract === 'stabilitypool' ? event.args.rcrvUSDAmount : event.args.amount),
+        minted: BigInt(event.contract === 'stabilitypool' ? event.args.deCRVUSDAmount : event.args.mintedAmount),
+    }));
+};
+
+/**
+ * Borrows and repayments made while an NFT was collateral in the Lending Pool.
+ *
+ * Debt is not tied to a token on chain, so the history is the activity of each depositor of the NFT
+ * between its NFTDeposited and NFTWithdrawn (or LiquidationFinalized) events.
+ * @param {JsonLinesStore} store
+ * @param {string|number|bigint} tokenId
+ * @returns {Promise<Array<{ type: 'borrow'|'repay'|'liquidation', user: string, amount: bigint, blockNumber: number, timestamp: number, transactionHash: string }>>}
+ */
+export const getBorrowHistoryForToken = async (store, tokenId) => {
+    const id = tokenId.toString();
+    const events = await store.find({
+        contract: 'lendingpool',
+        event: ['NFTDeposited', 'NFTWithdrawn', 'LiquidationFinalized', 'Borrow', 'Repay'],
+    });
+
+    const history = [];
+    let holder = null;
+    for (const event of events) {
+        const { args } = event;
+        if (event.event === 'NFTDeposited' && args.tokenId === id) {
+            holder = args.user;
+        } else if (!holder) {
+            continue;
+        } else if (event.event === 'NFTWithdrawn' && args.tokenId === id) {
+            holder = null;
+        } else if (event.event === 'LiquidationFinalized' && sameAddress(args.user, holder)) {
+            history.push(toEntry(event, { type: 'liquidation', user: holder, amount: BigInt(args.debtRepaid) }));
+            holder = null;
+        } else if (event.event === 'Borrow' && sameAddress(args.user, holder)) {
+            history.push(toEntry(event, { type: 'borrow', user: holder, amount: BigInt(args.amount) }));
+        } else if (event.event === 'Repay' && sameAddress(args.onBehalfOf, holder)) {
+            history.push(toEntry(event, { type: 'repay', user: holder, amount: BigInt(args.amount) }));
+        }
+    }
+    return history;
+};
+
+/**
+ * Fees collected by the FeeCollector, grouped by UTC day
+ * @param {JsonLinesStore} store
+ * @param {Object} [options]
+ * @param {number} [options.feeType] - Only one fee type (0 protocol, 1 lending, ... 7)
+ * @param {number} [options.fromTimestamp]
+ * @param {number} [options.toTimestamp]
+ * @returns {Promise<Array<{ day: string, timestamp: number, total: bigint, byType: Object<number, bigint> }>>} Days in order
+ */
+export const getFeesPerDay = async (store, { feeType, fromTimestamp = 0, toTimestamp = Infinity } = {}) => {
+    const events = await store.find({
+        contract: 'feecollector',
+        event: 'FeeCollected',
+        where: ({ args, timestamp }) => (
+            (feeType === undefined || Number(args.feeType) === Number(feeType))
+            && timestamp >= fromTimestamp
+            && timestamp <= toTimestamp
+        ),
+    });
+
+    const days = new Map();
+    for (const { args, timestamp } of events) {
+        const dayStart = timestamp - (timestamp % DAY);
+        const day = days.get(dayStart) ?? {
+            day: new Date(dayStart * 1000).toISOString().slice(0, 10),
+            timestamp: dayStart,
+            total: 0n,
+            byType: {},
+        };
+        const type = Number(args.feeType);
+        day.total += BigInt(args.amount);
+        day.byType[type] = (day.byType[type] ?? 0n) + BigInt(args.amount);
+        days.set(dayStart, day);
+    }
+    return [...days.values()];
+};
+
+export default {
+    getDepositsByUser,
+    getBorrowHistoryForToken,
+    getFeesPerDay,
+};
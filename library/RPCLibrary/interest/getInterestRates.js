@@ -0,0 +1,67 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { calculateUtilizationRate, accrueIndices, projectRates } from './rateModel.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const RATE_FIELDS = [
+  'currentLiquidityRate',
+  'currentUsageRate',
+  'primeRate',
+  'baseRate',
+  'optimalRate',
+  'maxRate',
+  'optimalUtilizationRate',
+  'protocolFeeRate',
+];
+
+/**
+ * Prime rate, rate parameters and current rates of the LendingPool reserve, as rays.
+ *
+ * `normalizedIncome` and `normalizedDebt` are what the LendingPool returns (the indices of the last
+ * reserve update), `accrued` are the indices at the block timestamp. `projected` are the rates the
+ * reserve moves to at its current utilization on its next update (see rateModel.projectRates).
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {string|number} [blockTag='latest']
+ * @returns {Promise<Object>}
+ */
+async function getInterestRates(chainId, provider, blockTag = 'latest') {
+  try {
+    const lendingPoolContract = new ethers.Contract(getContractAddress(chainId, 'lendingpool'), getABI('lendingpool'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [block, [reserve, rateData, primeRate, normalizedIncome, normalizedDebt]] = await Promise.all([
+      (provider.provider ?? provider).getBlock(blockNumber),
+      multicall(chainId, provider, [
+        call(lendingPoolContract, 'reserve'),
+        call(lendingPoolContract, 'rateData'),
+        call(lendingPoolContract, 'getPrimeRate'),
+        call(lendingPoolContract, 'getNormalizedIncome'),
+        call(lendingPoolContract, 'getNormalizedDebt'),
+      ], blockNumber),
+    ]);
+
+    const rates = Object.fromEntries(RATE_FIELDS.map((field) => [field, rateData[field]]));
+    const utilizationRate = calculateUtilizationRate(reserve.totalLiquidity, reserve.totalUsage);
+
+    return {
+      primeRate,
+      ...rates,
+      utilizationRate,
+      normalizedIncome,
+      normalizedDebt,
+      accrued: accrueIndices(reserve, rates, block.timestamp),
+      projected: projectRates(rates, utilizationRate),
+      lastUpdateTimestamp: Number(reserve.lastUpdateTimestamp),
+      timestamp: block.timestamp,
+      blockNumber,
+    };
+  } catch (error) {
+    console.error('Error getting interest rates:', error);
+    throw parseContractError(error, { message: 'Failed to get interest rates' });
+  }
+}
+
+export default getInterestRates;
@@ -0,0 +1,94 @@
+import { ethers } from 'ethers';
+import { getConfig, getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+export const PRIME_RATE_ORACLE_ABI = [
+  'event PrimeRateUpdated(uint256 price)',
+  'function getPrimeRate() view returns (uint256)',
+  'function lastUpdateTimestamp() view returns (uint256)',
+];
+
+const PRIME_RATE_ORACLE_GETTER_ABI = ['function primeRateOracle() view returns (address)'];
+
+/**
+ * Address of the RAACPrimeRateOracle: `contracts.raacprimerateoracle` of the chain config (see importDeployment), or the oracle
+ * the LendingPool accepts prime rates from
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @returns {Promise<string>}
+ */
+export const getPrimeRateOracleAddress = async (chainId, provider) => {
+  const configured = getConfig(chainId).contracts?.raacprimerateoracle?.contract;
+  if (configured) {
+    return configured;
+  }
+  const lendingPoolContract = new ethers.Contract(getContractAddress(chainId, 'lendingpool'), PRIME_RATE_ORACLE_GETTER_ABI, provider);
+  return lendingPoolContract.primeRateOracle();
+};
+
+/**
+ * Prime rate at evenly spaced times, for a chart: every point holds the rate of the last update before it
+ * @param {Array<{ timestamp: number, primeRate: bigint }>} points - Sorted, as returned by getPrimeRateHistory
+ * @param {Object} options
+ * @param {number} options.from - Seconds
+ * @param {number} options.to - Seconds
+ * @param {number} options.interval - Seconds between two samples
+ * @param {bigint|null} [options.initialRate=null] - Rate before the first point
+ * @returns {Array<{ timestamp: number, primeRate: bigint|null }>}
+ */
+export const samplePrimeRate = (points, { from, to, interval, initialRate = null }) => {
+  const samples = [];
+  let index = 0;
+  let rate = initialRate;
+  for (let timestamp = from; timestamp <= to; timestamp += interval) {
+    while (index < points.length && points[index].timestamp <= timestamp) {
+      rate = points[index].primeRate;
+      index += 1;
+    }
+    samples.push({ timestamp, primeRate: rate });
+  }
+  return samples;
+};
+
+/**
+ * Prime rates pushed by the RAACPrimeRateOracle (PrimeRateUpdated events) over a block range, as rays
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock=0]
+ * @param {number|string} [options.toBlock='latest']
+ * @param {string} [options.oracle] - Oracle address, see getPrimeRateOracleAddress
+ * @returns {Promise<{ oracle: string, primeRate: bigint, points: Array<{ primeRate: bigint, blockNumber: number, timestamp: number, transactionHash: string }> }>}
+ */
+async function getPrimeRateHistory(chainId, provider, { fromBlock = 0, toBlock = 'latest', oracle } = {}) {
+  try {
+    const runner = provider.provider ?? provider;
+    const oracleAddress = oracle ?? await getPrimeRateOracleAddress(chainId, provider);
+    const oracleContract = new ethers.Contract(oracleAddress, PRIME_RATE_ORACLE_ABI, provider);
+    const lendingPoolContract = new ethers.Contract(getContractAddress(chainId, 'lendingpool'), getABI('lendingpool'), provider);
+
+    const [events, primeRate] = await Promise.all([
+      oracleContract.queryFilter(oracleContract.filters.PrimeRateUpdated(), fromBlock, toBlock),
+      lendingPoolContract.getPrimeRate({ blockTag: toBlock }),
+    ]);
+
+    const blockNumbers = [...new Set(events.map((event) => event.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((blockNumber) => runner.getBlock(blockNumber)));
+    const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+
+    const points = events.map((event) => ({
+      primeRate: event.args.price,
+      blockNumber: event.blockNumber,
+      timestamp: timestamps.get(event.blockNumber),
+      transactionHash: event.transactionHash,
+    }));
+
+    return { oracle: oracleAddress, primeRate, points };
+  } catch (error) {
+    console.error('Error getting prime rate history:', error);
+    throw parseContractError(error, { message: 'Failed to get prime rate history' });
+  }
+}
+
+export default getPrimeRateHistory;
@@ -0,0 +1,134 @@
+import { RAY, rayMul, rayDiv, rayExp } from '../amounts/wadRayMath.js';
+
+// Mirrors contracts/libraries/pools/ReserveLibrary.sol: rates and indices are rays, times are in seconds.
+// Results match the contract to the unit for the same inputs.
+export const SECONDS_PER_YEAR = 31536000n;
+
+/**
+ * Share of the reserve that is borrowed, 100% when there is no liquidity
+ * @param {bigint} totalLiquidity
+ * @param {bigint} totalDebt
+ * @returns {bigint} Ray
+ */
+export const calculateUtilizationRate = (totalLiquidity, totalDebt) => {
+  if (totalLiquidity < 1n) {
+    return RAY;
+  }
+  return rayDiv(totalDebt, totalLiquidity + totalDebt);
+};
+
+/**
+ * Borrow rate of the curve: from baseRate at 0% to primeRate at optimalUtilizationRate, then up to maxRate at 100%
+ * @param {{ primeRate: bigint, baseRate: bigint, optimalRate: bigint, maxRate: bigint, optimalUtilizationRate: bigint }} rateData
+ * @param {bigint} utilizationRate - Ray
+ * @returns {bigint} Ray
+ */
+export const calculateBorrowRate = ({ primeRate, baseRate, optimalRate, maxRate, optimalUtilizationRate }, utilizationRate) => {
+  if (primeRate <= baseRate || primeRate >= maxRate || optimalRate <= baseRate || optimalRate >= maxRate) {
+    // InvalidInterestRateParameters in the contract
+    throw new Error('Invalid interest rate parameters: needs baseRate < primeRate < maxRate and baseRate < optimalRate < maxRate');
+  }
+  if (utilizationRate <= optimalUtilizationRate) {
+    return baseRate + rayDiv(rayMul(utilizationRate, primeRate - baseRate), optimalUtilizationRate);
+  }
+  const excessUtilization = utilizationRate - optimalUtilizationRate;
+  const maxExcessUtilization = RAY - optimalUtilizationRate;
+  return primeRate + rayDiv(rayMul(excessUtilization, maxRate - primeRate), maxExcessUtilization);
+};
+
+/**
+ * Rate earned by depositors: the borrow rate times the utilization, less the protocol fee
+ * @param {bigint} utilizationRate - Ray
+ * @param {bigint} usageRate - Borrow rate, ray
+ * @param {bigint} protocolFeeRate - Ray
+ * @param {bigint} totalDebt - No liquidity rate without debt
+ * @returns {bigint} Ray
+ */
+export const calculateLiquidityRate = (utilizationRate, usageRate, protocolFeeRate, totalDebt) => {
+  if (totalDebt < 1n) {
+    return 0n;
+  }
+  const grossLiquidityRate = rayMul(utilizationRate, usageRate);
+  return grossLiquidityRate - rayMul(grossLiquidityRate, protocolFeeRate);
+};
+
+// Growth factor of the liquidity index over timeDelta
+export const calculateLinearInterest = (rate, timeDelta) => RAY + (rate * BigInt(timeDelta)) / SECONDS_PER_YEAR;
+
+// Growth factor of the usage index over timeDelta, e^(rate * timeDelta / year) with 7 terms like the contract
+export const calculateCompoundedInterest = (rate, timeDelta) => {
+  if (BigInt(timeDelta) < 1n) {
+    return RAY;
+  }
+  const ratePerSecond = rayDiv(rate, SECONDS_PER_YEAR);
+  return rayExp(rayMul(ratePerSecond, BigInt(timeDelta)));
+};
+
+/**
+ * Liquidity and usage indices at `timestamp`, what updateReserveInterests would store then.
+ * LendingPool.getNormalizedIncome and getNormalizedDebt return the indices of the last update.
+ * @param {{ liquidityIndex: bigint, usageIndex: bigint, lastUpdateTimestamp: bigint|number }} reserve
+ * @param {{ currentLiquidityRate: bigint, currentUsageRate: bigint }} rateData
+ * @param {number|bigint} timestamp - Seconds
+ * @returns {{ liquidityIndex: bigint, usageIndex: bigint }}
+ */
+export const accrueIndices = (reserve, rateData, timestamp) => {
+  const timeDelta = BigInt(timestamp) - BigInt(reserve.lastUpdateTimestamp);
+  if (timeDelta < 1n) {
+    return { liquidityIndex: BigInt(reserve.liquidityIndex), usageIndex: BigInt(reserve.usageIndex) };
+  }
+  return {
+    liquidityIndex: rayMul(calculateLinearInterest(rateData.currentLiquidityRate, timeDelta), BigInt(reserve.liquidityIndex)),
+    usageIndex: rayMul(BigInt(reserve.usageIndex), calculateCompoundedInterest(rateData.currentUsageRate, timeDelta)),
+  };
+};
+
+/**
+ * Rates of the reserve at a hypothetical utilization, with the yield of a year at these rates:
+ * deposits grow linearly (supplyApy), debt compounds every second (borrowApy)
+ * @param {Object} rateData - LendingPool.rateData
+ * @param {bigint} utilizationRate - Ray
+ * @returns {{ utilizationRate: bigint, borrowRate: bigint, liquidityRate: bigint, borrowApy: bigint, supplyApy: bigint }} Rays
+ */
+export const projectRates = (rateData, utilizationRate) => {
+  const borrowRate = calculateBorrowRate(rateData, utilizationRate);
+  // Any debt, only its existence matters to the liquidity rate
+  const liquidityRate = calculateLiquidityRate(utilizationRate, borrowRate, rateData.protocolFeeRate, utilizationRate > 0n ? 1n : 0n);
+  return {
+    utilizationRate,
+    borrowRate,
+    liquidityRate,
+    borrowApy: calculateCompoundedInterest(borrowRate, SECONDS_PER_YEAR) - RAY,
+    supplyApy: calculateLinearInterest(liquidityRate, SECONDS_PER_YEAR) - RAY,
+  };
+};
+
+/**
+ * projectRates at `points` utilizations evenly spread from 0% to 100%, to chart the curve
+ * @param {Object} rateData
+ * @param {number} [points=21]
+ * @returns {Array<Object>}
+ */
+export const getRateCurve = (rateData, points = 21) => Array.from({ length: points }, (_, index) =>
+  projectRates(rateData, (RAY * BigInt(index)) / BigInt(points - 1))
+);
+
+// Ray to a percentage number, e.g. 5.25 for 5.25%
+export const rayToPercent = (ray) => Number((BigInt(ray) * 10000n) / RAY) / 100;
+
+// Percentage number to a ray, e.g. 5.25 to 0.0525e27
+export const percentToRay = (percent) => (BigInt(Math.round(percent * 1e6)) * RAY) / 100000000n;
+
+export default {
+  SECONDS_PER_YEAR,
+  calculateUtilizationRate,
+  calculateBorrowRate,
+  calculateLiquidityRate,
+  calculateLinearInterest,
+  calculateCompoundedInterest,
+  accrueIndices,
+  projectRates,
+  getRateCurve,
+  rayToPercent,
+  percentToRay,
+};
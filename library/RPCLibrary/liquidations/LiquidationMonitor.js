@@ -0,0 +1,175 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import getHealthFactor from '../pools/lendingPool/getHealthFactor.js';
+import initiateLiquidation from './initiateLiquidation.js';
+import liquidateBorrower from './liquidateBorrower.js';
+
+const DEFAULT_THRESHOLDS = [1.5, 1.2, 1.1];
+
+/**
+ * Tracks the health factor of every LendingPool borrower, block by block.
+ *
+ * Borrowers are discovered from Borrow and Repay events, from `fromBlock` (the LendingPool deployment
+ * block) on, `batchSize` blocks per eth_getLogs like the EventIndexer. Events:
+ * - 'borrower' (address) when a new borrower is discovered
+ * - 'update' (position) for every position checked on a block
+ * - 'threshold' ({ position, threshold, direction }) when a health factor crosses one of the thresholds,
+ *   direction is 'below' or 'above'
+ * - 'liquidatable' (position) when a position can be liquidated
+ * - 'liquidationInitiated' / 'liquidated' ({ position, receipt }) for the keeper flow
+ * - 'error' (error), the error of a health factor read carries the `address` of its borrower, the other
+ *   borrowers are still checked
+ *
+ * With a `keeper` signer, liquidatable positions go through initiateLiquidation, then
+ * StabilityPool.liquidateBorrower once the grace period has expired (the keeper must be
+ * a StabilityPool manager for the second step).
+ */
+export class LiquidationMonitor extends EventEmitter {
+    constructor({ chainId, provider, thresholds = DEFAULT_THRESHOLDS, fromBlock = 0, batchSize = 2000, keeper = null }) {
+        super();
+        this.chainId = chainId;
+        this.provider = provider;
+        this.thresholds = [...thresholds].sort((a, b) => b - a);
+        this.keeper = keeper;
+        this.batchSize = batchSize;
+
+        this.borrowers = new Set();
+        this.positions = new Map();
+        this.lastScannedBlock = fromBlock - 1;
+        this.isChecking = false;
+        this.onBlock = this.onBlock.bind(this);
+
+        const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+        this.lendingPool = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), provider);
+    }
+
+    async start() {
+        const blockNumber = await this.provider.getBlockNumber();
+        await this.checkBlock(blockNumber);
+        await this.provider.on('block', this.onBlock);
+        return this;
+    }
+
+    async stop() {
+        await this.provider.off('block', this.onBlock);
+    }
+
+    getPositions() {
+        return [...this.positions.values()];
+    }
+
+    // Blocks mined while a check is running are skipped, the next check reads the latest state
+    async onBlock(blockNumber) {
+        if (this.isChecking) return;
+        try {
+            await this.checkBlock(blockNumber);
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    async discoverBorrowers(toBlock) {
+        while (this.lastScannedBlock < toBlock) {
+            const fromBlock = this.lastScannedBlock + 1;
+            const batchEnd = Math.min(fromBlock + this.batchSize - 1, toBlock);
+
+            const [borrowEvents, repayEvents] = await Promise.all([
+                this.lendingPool.queryFilter(this.lendingPool.filters.Borrow(), fromBlock, batchEnd),
+                this.lendingPool.queryFilter(this.lendingPool.filters.Repay(), fromBlock, batchEnd),
+            ]);
+
+            const users = [
+                ...borrowEvents.map((event) => event.args.user),
+                ...repayEvents.map((event) => event.args.onBehalfOf),
+            ];
+            for (const user of users) {
+                if (!this.borrowers.has(user)) {
+                    this.borrowers.add(user);
+                    this.emit('borrower', user);
+                }
+            }
+            this.lastScannedBlock = batchEnd;
+        }
+    }
+
+    async checkBlock(blockNumber) {
+        this.isChecking = true;
+        try {
+            await this.discoverBorrowers(blockNumber);
+            const block = await this.provider.getBlock(blockNumber);
+
+            const borrowers = [...this.borrowers];
+            const results = await Promise.allSettled(
+                borrowers.map((user) => getHealthFactor(this.chainId, user, this.provider, blockNumber))
+            );
+
+            // A failed read keeps the last position of its borrower, the others are checked anyway
+            const positions = [];
+            const errors = [];
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    positions.push(result.value);
+                } else {
+                    errors.push(Object.assign(result.reason, { address: borrowers[index] }));
+                }
+            });
+
+            for (const position of positions) {
+                position.blockNumber = blockNumber;
+                const previous = this.positions.get(position.address);
+                this.positions.set(position.address, position);
+
+                this.emit('update', position);
+                this.emitThresholdCrossings(previous, position);
+
+                if (position.isLiquidatable) {
+                    this.emit('liquidatable', position);
+                }
+                if (this.keeper) {
+                    await this.keep(position, block.timestamp);
+                }
+            }
+            for (const error of errors) {
+                this.emit('error', error);
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    emitThresholdCrossings(previous, position) {
+        const before = previous ? previous.healthFactor : Infinity;
+        const after = position.healthFactor;
+
+        for (const threshold of this.thresholds) {
+            if (before >= threshold && after < threshold) {
+                this.emit('threshold', { position, threshold, direction: 'below' });
+            } else if (before < threshold && after >= threshold) {
+                this.emit('threshold', { position, threshold, direction: 'above' });
+            }
+        }
+    }
+
+    async keep(position, timestamp) {
+        let step = null;
+        if (position.isLiquidatable) {
+            step = 'liquidationInitiated';
+        } else if (position.isUnderLiquidation && timestamp > position.gracePeriodEnd) {
+            step = 'liquidated';
+        }
+        if (!step) return;
+
+        try {
+            const receipt = step === 'liquidationInitiated'
+                ? await initiateLiquidation(this.chainId, position.address, this.keeper)
+                : await liquidateBorrower(this.chainId, position.address, this.keeper);
+            this.emit(step, { position, receipt });
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+}
+
+export default LiquidationMonitor;
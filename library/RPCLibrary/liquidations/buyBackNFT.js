@@ -0,0 +1,23 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { calculateBuybackPrice } from './constants.js';
+
+// Buys back a liquidated NFT for 110% of its debt, paid as native value
+function buyBackNFT(chainId, tokenId, signer) {
+  return sendTransaction(signer, async () => {
+    const nftLiquidatorAddress = getContractAddress(chainId, 'nftliquidator');
+    const nftLiquidatorContract = new ethers.Contract(nftLiquidatorAddress, getABI('nftliquidator'), signer);
+
+    const tokenData = await nftLiquidatorContract.tokenData(tokenId);
+    if (tokenData.auctionEndTime === 0n) {
+      throw new Error(`NFT ${tokenId} is not in liquidation`);
+    }
+    const price = calculateBuybackPrice(tokenData.debt);
+
+    return { contract: nftLiquidatorContract, method: 'buyBackNFT', args: [tokenId], overrides: { value: price } };
+  }, { errorMessage: 'Failed to buy back NFT' });
+}
+
+export default buyBackNFT;
@@ -0,0 +1,16 @@
+export const AUCTION_STATUS = {
+  LIVE: 'live',
+  // Auction time is over, waiting for endAuction to be called
+  ENDED: 'ended',
+  SETTLED: 'settled',
+  BOUGHT_BACK: 'bought back',
+};
+
+// Buyback price is 110% of the liquidated debt
+export const calculateBuybackPrice = (debt) => debt * 11n / 10n;
+
+// NFTLiquidator.placeBid requires msg.value to be strictly above highestBid * (100 + minBidIncreasePercentage) / 100
+export const calculateMinNextBid = (highestBid, minBidIncreasePercentage) =>
+  highestBid + (highestBid * minBidIncreasePercentage / 100n) + 1n;
+
+export default { AUCTION_STATUS, calculateBuybackPrice, calculateMinNextBid };
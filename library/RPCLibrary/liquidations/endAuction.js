@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Settles an auction whose time is over, the NFT goes to the highest bidder
+function endAuction(chainId, tokenId, signer) {
+  return sendTransaction(signer, () => {
+    const nftLiquidatorAddress = getContractAddress(chainId, 'nftliquidator');
+    const nftLiquidatorContract = new ethers.Contract(nftLiquidatorAddress, getABI('nftliquidator'), signer);
+
+    return { contract: nftLiquidatorContract, method: 'endAuction', args: [tokenId] };
+  }, { errorMessage: 'Failed to end auction' });
+}
+
+export default endAuction;
@@ -0,0 +1,48 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { AUCTION_STATUS, calculateBuybackPrice, calculateMinNextBid } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Current state of the liquidation auction of an NFT, null if the NFT is not in liquidation
+async function getAuction(chainId, tokenId, provider) {
+  try {
+    const nftLiquidatorAddress = getContractAddress(chainId, 'nftliquidator');
+    const nftLiquidatorContract = new ethers.Contract(nftLiquidatorAddress, getABI('nftliquidator'), provider);
+
+    const [tokenData, minBidIncreasePercentage, block] = await Promise.all([
+      nftLiquidatorContract.tokenData(tokenId),
+      nftLiquidatorContract.minBidIncreasePercentage(),
+      provider.getBlock('latest'),
+    ]);
+
+    // tokenData is deleted once the auction is settled or bought back
+    if (tokenData.auctionEndTime === 0n) {
+      return null;
+    }
+
+    const endTime = Number(tokenData.auctionEndTime);
+    // Bids and buybacks are paid as native value
+    const native = (amount) => formatAmount(amount, { chainId, asset: 'eth' });
+    const isLive = block.timestamp < endTime;
+
+    return {
+      tokenId: tokenId.toString(),
+      status: isLive ? AUCTION_STATUS.LIVE : AUCTION_STATUS.ENDED,
+      debt: formatAmount(tokenData.debt, { chainId, asset: 'crvusd' }),
+      endTime,
+      timeLeft: Math.max(endTime - block.timestamp, 0),
+      highestBid: native(tokenData.highestBid),
+      highestBidder: tokenData.highestBidder === ethers.ZeroAddress ? null : tokenData.highestBidder,
+      minBidIncreasePercentage: Number(minBidIncreasePercentage),
+      minNextBid: isLive ? native(calculateMinNextBid(tokenData.highestBid, minBidIncreasePercentage)) : null,
+      buybackPrice: isLive ? native(calculateBuybackPrice(tokenData.debt)) : null,
+    };
+  } catch (error) {
+    console.error('Error getting liquidation auction:', error);
+    throw parseContractError(error, { message: 'Failed to get liquidation auction' });
+  }
+}
+
+export default getAuction;
@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import getAuction from './getAuction.js';
+import { AUCTION_STATUS } from './constants.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const byLogOrder = (a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index);
+
+// Live and finished liquidation auctions, rebuilt from NFTLiquidator events.
+// A token can be liquidated more than once, each liquidation is its own auction.
+async function getAuctions(chainId, provider, fromBlock = 0) {
+  try {
+    const nftLiquidatorAddress = getContractAddress(chainId, 'nftliquidator');
+    const nftLiquidatorContract = new ethers.Contract(nftLiquidatorAddress, getABI('nftliquidator'), provider);
+    const { filters } = nftLiquidatorContract;
+
+    const eventGroups = await Promise.all([
+      nftLiquidatorContract.queryFilter(filters.NFTLiquidated(), fromBlock),
+      nftLiquidatorContract.queryFilter(filters.AuctionStarted(), fromBlock),
+      nftLiquidatorContract.queryFilter(filters.BidPlaced(), fromBlock),
+      nftLiquidatorContract.queryFilter(filters.AuctionEnded(), fromBlock),
+      nftLiquidatorContract.queryFilter(filters.BuybackCompleted(), fromBlock),
+    ]);
+    const events = eventGroups.flat().sort(byLogOrder);
+    const native = (amount) => formatAmount(amount, { chainId, asset: 'eth' });
+
+    const auctions = [];
+    const openAuctions = new Map();
+
+    for (const event of events) {
+      const tokenId = event.args.tokenId.toString();
+      const auction = openAuctions.get(tokenId);
+
+      switch (event.fragment.name) {
+        case 'NFTLiquidated': {
+          const newAuction = {
+            tokenId,
+            status: AUCTION_STATUS.LIVE,
+            debt: formatAmount(event.args.debt, { chainId, asset: 'crvusd' }),
+            startingPrice: null,
+            endTime: null,
+            liquidatedAt: event.blockNumber,
+            liquidationTransaction: event.transactionHash,
+            bids: [],
+            winner: null,
+            amount: null,
+          };
+          auctions.push(newAuction);
+          openAuctions.set(tokenId, newAuction);
+          break;
+        }
+        case 'AuctionStarted':
+          if (auction) {
+            auction.startingPrice = native(event.args.startingPrice);
+            auction.endTime = Number(event.args.endTime);
+          }
+          break;
+        case 'BidPlaced':
+          auction?.bids.push({
+            bidder: event.args.bidder,
+            amount: native(event.args.amount),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+          });
+          break;
+        case 'AuctionEnded':
+        case 'BuybackCompleted':
+          if (auction) {
+            auction.status = event.fragment.name === 'AuctionEnded' ? AUCTION_STATUS.SETTLED : AUCTION_STATUS.BOUGHT_BACK;
+            auction.winner = event.args.winner ?? event.args.buyer;
+            auction.amount = native(event.args.amount);
+            auction.settledAt = event.blockNumber;
+            auction.settlementTransaction = event.transactionHash;
+            openAuctions.delete(tokenId);
+          }
+          break;
+      }
+    }
+
+    // Unsettled auctions get their high bid and minimum next bid from the contract state
+    await Promise.all([...openAuctions.values()].map(async (auction) => {
+      const state = await getAuction(chainId, auction.tokenId, provider);
+      if (state) {
+        Object.assign(auction, state);
+      }
+    }));
+
+    return auctions.reverse();
+  } catch (error) {
+    console.error('Error getting liquidation auctions:', error);
+    throw parseContractError(error, { message: 'Failed to get liquidation auctions' });
+  }
+}
+
+export default getAuctions;
@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Anyone can start the liquidation of a user whose health factor is below the threshold
+function initiateLiquidation(chainId, user, signer) {
+  return sendTransaction(signer, () => {
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), signer);
+
+    return { contract: lendingPoolContract, method: 'initiateLiquidation', args: [user] };
+  }, { errorMessage: 'Failed to initiate liquidation' });
+}
+
+export default initiateLiquidation;
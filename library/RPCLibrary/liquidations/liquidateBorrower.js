@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// StabilityPool manager or owner only, once the grace period of the liquidation has expired
+function liquidateBorrower(chainId, user, signer) {
+  return sendTransaction(signer, () => {
+    const stabilityPoolAddress = getContractAddress(chainId, 'stabilitypool');
+    const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, getABI('stabilitypool'), signer);
+
+    return { contract: stabilityPoolContract, method: 'liquidateBorrower', args: [user] };
+  }, { errorMessage: 'Failed to liquidate borrower' });
+}
+
+export default liquidateBorrower;
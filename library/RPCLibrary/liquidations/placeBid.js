@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { calculateMinNextBid } from './constants.js';
+import { parseAmount } from '../amounts/units.js';
+
+// NFTLiquidator takes bids as native value (payable), the previous high bidder is refunded by the contract.
+// `amount` is in ETH units, or a TokenAmount
+function placeBid(chainId, tokenId, amount, signer) {
+  return sendTransaction(signer, async () => {
+    const nftLiquidatorAddress = getContractAddress(chainId, 'nftliquidator');
+    const nftLiquidatorContract = new ethers.Contract(nftLiquidatorAddress, getABI('nftliquidator'), signer);
+
+    const amountInWei = parseAmount(amount, { chainId, asset: 'eth' });
+    const [tokenData, minBidIncreasePercentage] = await Promise.all([
+      nftLiquidatorContract.tokenData(tokenId),
+      nftLiquidatorContract.minBidIncreasePercentage(),
+    ]);
+    if (tokenData.auctionEndTime === 0n) {
+      throw new Error(`NFT ${tokenId} is not in liquidation`);
+    }
+    const minNextBid = calculateMinNextBid(tokenData.highestBid, minBidIncreasePercentage);
+    if (amountInWei < minNextBid) {
+      throw new Error(`Bid too low, minimum bid is ${ethers.formatEther(minNextBid)}`);
+    }
+
+    return { contract: nftLiquidatorContract, method: 'placeBid', args: [tokenId], overrides: { value: amountInWei } };
+  }, { errorMessage: 'Failed to place bid' });
+}
+
+export default placeBid;
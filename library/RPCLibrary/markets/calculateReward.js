@@ -0,0 +1,31 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { getQuoteAsset, calculateMarketReward } from './utils.js';
+import { parseAmount, formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// MarketCreator.calculateReward is internal, the reward is computed from getMarketInfo.
+// Set `isNewDeposit` to account for `amount` being added to the market total deposits.
+async function calculateReward(chainId, marketId, amount, provider, isNewDeposit = false) {
+  try {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), provider);
+
+    const [quoteAssetAddress, , reward, totalDeposits] = await marketCreatorContract.getMarketInfo(marketId);
+    if (quoteAssetAddress === ethers.ZeroAddress) {
+      throw new Error(`Market ${marketId} does not exist`);
+    }
+    const { decimals } = getQuoteAsset(chainId, quoteAssetAddress);
+
+    const amountInWei = parseAmount(amount, { decimals });
+    const deposits = isNewDeposit ? totalDeposits + amountInWei : totalDeposits;
+
+    return formatAmount(calculateMarketReward(amountInWei, reward, deposits), { chainId, asset: 'raactoken' });
+  } catch (error) {
+    console.error('Error calculating market reward:', error);
+    throw parseContractError(error, { message: 'Failed to calculate market reward' });
+  }
+}
+
+export default calculateReward;
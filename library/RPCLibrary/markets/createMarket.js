@@ -0,0 +1,40 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { parseAmount } from '../amounts/units.js';
+
+const getMarketId = (receipt) => {
+  const marketCreatorInterface = new ethers.Interface(getABI('marketcreator'));
+  for (const log of receipt.logs) {
+    try {
+      const parsedLog = marketCreatorInterface.parseLog(log);
+      if (parsedLog?.name === 'MarketCreated') {
+        return Number(parsedLog.args.marketId);
+      }
+    } catch (error) {
+      // Log emitted by another contract
+    }
+  }
+  return null;
+};
+
+// Owner only. `quoteAsset` is an asset id from the chain config or a token address, `reward` is in RAAC
+function createMarket(chainId, quoteAsset, lockDuration, reward, signer) {
+  return sendTransaction(signer, () => {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), signer);
+
+    const quoteAssetAddress = ethers.isAddress(quoteAsset) ? quoteAsset : getContractAddress(chainId, quoteAsset);
+    return {
+      contract: marketCreatorContract,
+      method: 'createMarket',
+      args: [quoteAssetAddress, lockDuration, parseAmount(reward, { chainId, asset: 'raactoken' })],
+    };
+  }, {
+    errorMessage: 'Failed to create market',
+    getResult: (receipt) => ({ marketId: getMarketId(receipt), receipt }),
+  });
+}
+
+export default createMarket;
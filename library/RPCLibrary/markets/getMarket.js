@@ -0,0 +1,23 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { getBlockTag } from '../utils/multicall.js';
+import readMarkets from './readMarkets.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Market details, with the position of `address` when given
+async function getMarket(chainId, marketId, address, provider, blockTag = 'latest') {
+  try {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [market] = await readMarkets(chainId, marketCreatorContract, [marketId], address, provider, blockNumber);
+    return market;
+  } catch (error) {
+    console.error('Error getting market:', error);
+    throw parseContractError(error, { message: 'Failed to get market' });
+  }
+}
+
+export default getMarket;
@@ -0,0 +1,27 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import readMarkets from './readMarkets.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Market ids start at 1 and go up to marketCount
+async function getMarkets(chainId, address, provider, blockTag = 'latest') {
+  try {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [marketCount] = await multicall(chainId, provider, [
+      call(marketCreatorContract, 'marketCount'),
+    ], blockNumber);
+    const marketIds = Array.from({ length: Number(marketCount) }, (_, index) => index + 1);
+
+    return await readMarkets(chainId, marketCreatorContract, marketIds, address, provider, blockNumber);
+  } catch (error) {
+    console.error('Error getting markets:', error);
+    throw parseContractError(error, { message: 'Failed to get markets' });
+  }
+}
+
+export default getMarkets;
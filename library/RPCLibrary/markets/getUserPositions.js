@@ -0,0 +1,18 @@
+import getMarkets from './getMarkets.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Markets where `address` has a position, with time to unlock and projected reward
+async function getUserPositions(chainId, address, provider) {
+  try {
+    const markets = await getMarkets(chainId, address, provider);
+
+    return markets
+      .filter((market) => market.user)
+      .map(({ user, ...market }) => ({ market, ...user }));
+  } catch (error) {
+    console.error('Error getting market positions:', error);
+    throw parseContractError(error, { message: 'Failed to get market positions' });
+  }
+}
+
+export default getUserPositions;
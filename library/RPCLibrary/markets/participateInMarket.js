@@ -0,0 +1,28 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import ensureAllowance from '../methods/commons/ensureAllowance.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { getQuoteAsset } from './utils.js';
+import { parseAmount } from '../amounts/units.js';
+
+// Participating again adds to the position and restarts its lock
+function participateInMarket(chainId, marketId, amount, signer) {
+  return sendTransaction(signer, async () => {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), signer);
+
+    const [quoteAssetAddress] = await marketCreatorContract.getMarketInfo(marketId);
+    if (quoteAssetAddress === ethers.ZeroAddress) {
+      throw new Error(`Market ${marketId} does not exist`);
+    }
+    const { decimals } = getQuoteAsset(chainId, quoteAssetAddress);
+    const amountInWei = parseAmount(amount, { decimals });
+
+    await ensureAllowance(chainId, quoteAssetAddress, marketCreatorAddress, amountInWei, signer);
+
+    return { contract: marketCreatorContract, method: 'participateInMarket', args: [marketId, amountInWei] };
+  }, { errorMessage: 'Failed to participate in market' });
+}
+
+export default participateInMarket;
@@ -0,0 +1,42 @@
+import { ethers } from 'ethers';
+import { multicall, call } from '../utils/multicall.js';
+import { getQuoteAsset, formatPosition } from './utils.js';
+import { formatAmount } from '../amounts/units.js';
+
+// Reads several markets, and the positions of `address`, in one multicall pinned to `blockNumber`
+async function readMarkets(chainId, marketCreatorContract, marketIds, address, provider, blockNumber) {
+  const stride = address ? 2 : 1;
+  const [results, block] = await Promise.all([
+    multicall(chainId, provider, marketIds.flatMap((marketId) => [
+      call(marketCreatorContract, 'getMarketInfo', [marketId]),
+      ...(address ? [call(marketCreatorContract, 'getUserPosition', [marketId, address])] : []),
+    ]), blockNumber),
+    (provider.provider ?? provider).getBlock(blockNumber),
+  ]);
+
+  return marketIds.map((marketId, index) => {
+    const [quoteAssetAddress, lockDuration, reward, totalDeposits] = results[index * stride];
+    if (quoteAssetAddress === ethers.ZeroAddress) {
+      throw new Error(`Market ${marketId} does not exist`);
+    }
+    const quoteAsset = getQuoteAsset(chainId, quoteAssetAddress);
+    const market = { reward, totalDeposits };
+
+    let user = null;
+    if (address) {
+      const [amount, lockEndTime, exists] = results[index * stride + 1];
+      user = exists ? formatPosition(chainId, { amount, lockEndTime }, market, quoteAsset, block.timestamp) : null;
+    }
+
+    return {
+      id: Number(marketId),
+      quoteAsset,
+      lockDuration: Number(lockDuration),
+      reward: formatAmount(reward, { chainId, asset: 'raactoken' }),
+      totalDeposits: formatAmount(totalDeposits, { asset: quoteAsset.id, decimals: quoteAsset.decimals }),
+      user,
+    };
+  });
+}
+
+export default readMarkets;
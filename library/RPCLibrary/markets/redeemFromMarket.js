@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Withdraws the whole position and its RAAC reward once the lock has passed
+function redeemFromMarket(chainId, marketId, signer) {
+  return sendTransaction(signer, async () => {
+    const marketCreatorAddress = getContractAddress(chainId, 'marketcreator');
+    const marketCreatorContract = new ethers.Contract(marketCreatorAddress, getABI('marketcreator'), signer);
+
+    const [, lockEndTime, exists] = await marketCreatorContract.getUserPosition(marketId, await signer.getAddress());
+    if (!exists) {
+      throw new Error(`No position found in market ${marketId}`);
+    }
+    const block = await signer.provider.getBlock('latest');
+    if (block.timestamp < Number(lockEndTime)) {
+      throw new Error(`Position is locked until ${new Date(Number(lockEndTime) * 1000).toISOString()}`);
+    }
+
+    return { contract: marketCreatorContract, method: 'redeemFromMarket', args: [marketId] };
+  }, { errorMessage: 'Failed to redeem from market' });
+}
+
+export default redeemFromMarket;
@@ -0,0 +1,35 @@
+import { getConfig } from '../utils/contracts.js';
+import { formatAmount } from '../amounts/units.js';
+
+// Resolves a market quote asset against the chain config assets, falls back to 18 decimals
+export const getQuoteAsset = (chainId, quoteAssetAddress) => {
+  const { assets = {} } = getConfig(chainId);
+  const asset = Object.values(assets).find(
+    (asset) => asset.contract?.toLowerCase() === quoteAssetAddress.toLowerCase()
+  );
+  return {
+    address: quoteAssetAddress,
+    id: asset?.id ?? null,
+    name: asset?.name ?? quoteAssetAddress,
+    decimals: asset?.decimals ?? 18,
+  };
+};
+
+// Mirrors MarketCreator.calculateReward: the market reward is shared pro rata of the deposits
+export const calculateMarketReward = (amount, reward, totalDeposits) => {
+  if (totalDeposits === 0n) {
+    return 0n;
+  }
+  return (amount * reward) / totalDeposits;
+};
+
+export const formatPosition = (chainId, position, market, quoteAsset, timestamp) => {
+  const lockEndTime = Number(position.lockEndTime);
+  return {
+    amount: formatAmount(position.amount, { asset: quoteAsset.id, decimals: quoteAsset.decimals }),
+    lockEndTime,
+    timeToUnlock: Math.max(lockEndTime - timestamp, 0),
+    isUnlocked: timestamp >= lockEndTime,
+    projectedReward: formatAmount(calculateMarketReward(position.amount, market.reward, market.totalDeposits), { chainId, asset: 'raactoken' }),
+  };
+};
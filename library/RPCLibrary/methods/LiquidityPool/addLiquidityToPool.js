@@ -2,6 +2,7 @@ import { getContractAddress } from '../../contracts/getContractAddress.js';
 import estimateGasPrice from '../commons/estimateGasPrice.js';
 import { ethers } from 'ethers';
 import LiquidityPoolArtifact from '../../artifacts/LiquidityPool/LiquidityPool.sol/LiquidityPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const addLiquidityToPool = async (chainId, pairedToken, raacAmount, pairedAmount, minLPAmount, signer) => {
   if (!signer) {
@@ -27,7 +28,7 @@ const addLiquidityToPool = async (chainId, pairedToken, raacAmount, pairedAmount
     return receipt;
   } catch (error) {
     console.error(`Add liquidity error:`, error);
-    throw new Error(`Failed to add liquidity: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to add liquidity' });
   }
 };
 
@@ -1,6 +1,7 @@
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { ethers } from 'ethers';
 import LiquidityPoolArtifact from '../../artifacts/LiquidityPool/LiquidityPool.sol/LiquidityPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const getUserLPTokenBalance = async (chainId, pairedToken, userAddress, provider) => {
   const contractAddress = getContractAddress(chainId, 'liquiditypool');
@@ -11,7 +12,7 @@ const getUserLPTokenBalance = async (chainId, pairedToken, userAddress, provider
     return ethers.formatEther(lpTokenBalance);
   } catch (error) {
     console.error(`Error fetching user LP token balance:`, error);
-    throw new Error(`Failed to fetch user LP token balance: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to fetch user LP token balance' });
   }
 };
 
@@ -1,6 +1,7 @@
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { ethers } from 'ethers';
 import RAACLendingPoolArtifact from '../../artifacts/LendingPool/RAACLendingPool.sol/RAACLendingPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const getUserLoanData = async (chainId, tokenId, provider) => {
   const contractAddress = getContractAddress(chainId, 'lendingpool');
@@ -16,7 +17,7 @@ const getUserLoanData = async (chainId, tokenId, provider) => {
     };
   } catch (error) {
     console.error(`Error fetching user loan data:`, error);
-    throw new Error(`Failed to fetch user loan data: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to fetch user loan data' });
   }
 };
 
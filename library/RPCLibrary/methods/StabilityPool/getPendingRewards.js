@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import StabilityPoolArtifact from '../../artifacts/StabilityPool/StabilityPool.sol/StabilityPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const getPendingRewards = async (chainId, stabilityPoolAddress, userAddress, signer) => {
   if (!signer) {
@@ -13,7 +14,7 @@ const getPendingRewards = async (chainId, stabilityPoolAddress, userAddress, sig
     return ethers.formatEther(pendingRewards);
   } catch (error) {
     console.error(`Error fetching pending rewards:`, error);
-    throw new Error(`Failed to fetch pending rewards: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to fetch pending rewards' });
   }
 };
 
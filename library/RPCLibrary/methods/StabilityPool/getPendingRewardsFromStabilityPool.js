@@ -1,6 +1,7 @@
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { ethers } from 'ethers';
 import RAACStabilityPoolArtifact from '../../artifacts/StabilityPool/StabilityPool.sol/StabilityPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const getPendingRewardsFromStabilityPool = async (chainId, address, signer) => {
     if (!signer) {
@@ -15,7 +16,7 @@ const getPendingRewardsFromStabilityPool = async (chainId, address, signer) => {
       return ethers.formatEther(pendingRewards);
     } catch (error) {
       console.error(`Error fetching pending rewards from stability pool:`, error);
-      throw new Error(`Failed to fetch pending rewards from stability pool: ${error.message}`);
+      throw parseContractError(error, { message: 'Failed to fetch pending rewards from stability pool' });
     }
   };
 
@@ -1,6 +1,7 @@
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { ethers } from 'ethers';
 import StabilityPoolArtifact from '../../artifacts/StabilityPool/StabilityPool.sol/StabilityPool.json' assert { type: "json" };
+import { parseContractError } from '../../errors/decodeError.js';
 
 const getTotalStabilityPoolDeposits = async (chainId, provider) => {
   const contractAddress = getContractAddress(chainId, 'stabilitypool');
@@ -11,7 +12,7 @@ const getTotalStabilityPoolDeposits = async (chainId, provider) => {
     return ethers.formatEther(totalDeposits);
   } catch (error) {
     console.error(`Error fetching total stability pool deposits:`, error);
-    throw new Error(`Failed to fetch total stability pool deposits: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to fetch total stability pool deposits' });
   }
 };
 
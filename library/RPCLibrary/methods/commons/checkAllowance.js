@@ -1,4 +1,5 @@
 import { getContract,getContractAddress } from '../../utils/contracts.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
 
 const checkAllowance = async (chainId, tokenId, address, spenderAddress, provider) => {
   let tokenAddress = getContractAddress(chainId, tokenId);
@@ -7,7 +8,7 @@ const checkAllowance = async (chainId, tokenId, address, spenderAddress, provide
   try {
       const tokenContract = getContract(chainId, tokenId, provider);
       const allowance = await tokenContract.allowance(address, spenderAddress);
-      return allowance;
+      return formatAmount(allowance, { chainId, asset: tokenId, legacy: LEGACY_FORMATS.RAW });
   } catch (error) {
     console.error(`Error calling allowance: ${error}`);
     throw new Error(`[commons/checkAllowance] ${chainId} ${tokenId}:${tokenAddress} ${address} ${spenderAddress} ${error}`)
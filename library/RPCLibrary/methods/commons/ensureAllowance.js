@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../utils/contracts.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
+
+const ALLOWANCE_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+/**
+ * Approves `spender` for `amount` of the asset, only when the current allowance is insufficient
+ * @param {number} chainId
+ * @param {string} assetId - Asset id from the chain config, or a token address
+ * @param {string} spender
+ * @param {bigint} amount - Amount in wei
+ * @param {ethers.Signer} signer
+ * @returns {Promise<ethers.TransactionReceipt|null>} The approval receipt, or null when no approval was needed
+ */
+const ensureAllowance = async (chainId, assetId, spender, amount, signer) => {
+  const tokenAddress = ethers.isAddress(assetId) ? assetId : getContractAddress(chainId, assetId);
+  const tokenContract = new ethers.Contract(tokenAddress, ALLOWANCE_ABI, signer);
+
+  const owner = await signer.getAddress();
+  const allowance = await tokenContract.allowance(owner, spender);
+  if (allowance >= amount) {
+    return null;
+  }
+
+  return sendTransaction(signer, { contract: tokenContract, method: 'approve', args: [spender, amount] }, {
+    errorMessage: `Approval failed for ${assetId}`
+  });
+};
+
+export default ensureAllowance;
+export { ensureAllowance };
@@ -1,20 +1,14 @@
+// EIP-1559 fees when the chain supports them, legacy gas price otherwise
 export const estimateGasPrice = async (signer) => {
-  const provider = signer.provider;
-  try {
-    const feeData = await provider.getFeeData();
+  const feeData = await signer.provider.getFeeData();
+  if (feeData.maxFeePerGas != null) {
     return {
       maxFeePerGas: feeData.maxFeePerGas,
-      // maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
     };
-  } catch (error) {
-    console.log('Error getting gas price', error);
-    if(provider?.getGasPrice) {
-      const gasPrice = await provider.getGasPrice();
-      return { gasPrice };
-    }
-    return { gasPrice: 0 };
   }
+  return { gasPrice: feeData.gasPrice };
 };
 
 
-export default estimateGasPrice;
\ No newline at end of file
+export default estimateGasPrice;
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../contracts/getContractAddress.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 const getAssetBalance = async (chainId, address, assetId, signer) => {
   if (!signer) {
@@ -23,7 +24,7 @@ const getAssetBalance = async (chainId, address, assetId, signer) => {
     if (error.code === 'BAD_DATA') {
       console.error('Contract might not have balanceOf function. Check the contract address and ABI.');
     }
-    throw new Error(`Failed to fetch balance for ${assetId}: ${error.message}`);
+    throw parseContractError(error, { message: `Failed to fetch balance for ${assetId}` });
   }
 };
 
@@ -1,9 +1,11 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
-import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
 
-async function get(chainId, signer) {
+async function get(chainId, signer, blockTag = 'latest') {
   if (!signer) {
     throw new Error('Wallet not connected');
   }
@@ -11,82 +13,64 @@ async function get(chainId, signer) {
   try {
     const raacMinterAddress = getContractAddress(chainId, 'raacminter');
     const raacMinterABI = getABI('raacminter');
-    // console.log(raacMinterAddress);
-    // console.log(raacMinterABI);
-
     const raacMinterContract = new ethers.Contract(raacMinterAddress, raacMinterABI, signer);
 
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-
-    const result = {}
-
-    // Call all readable values from the RAACMinter contract
-    result.emissionRate = await raacMinterContract.emissionRate();
-    result.benchmarkRate = await raacMinterContract.benchmarkRate();
-    result.minEmissionRate = await raacMinterContract.minEmissionRate();
-    result.maxEmissionRate = await raacMinterContract.maxEmissionRate();
-    result.utilizationTarget = await raacMinterContract.utilizationTarget();
-    result.excessTokens = await raacMinterContract.excessTokens();
-    result.lastUpdateBlock = await raacMinterContract.lastUpdateBlock();
-    result.raacToken = await raacMinterContract.raacToken();
-    result.stabilityPool = await raacMinterContract.stabilityPool();
-    result.lendingPool = await raacMinterContract.lendingPool();
-    result.owner = await raacMinterContract.owner();
-    result.BLOCKS_PER_DAY = await raacMinterContract.BLOCKS_PER_DAY();
-
-
-    // APY: 
-    const blocksPerYear = result.BLOCKS_PER_DAY * 365n;
-    const emissionRatePerYear = result.emissionRate * blocksPerYear;
-    console.log("emissionRatePerYear", emissionRatePerYear);
-    const totalSupply = await raacMinterContract.getTotalSupply();
-    console.log("totalSupply", totalSupply);
-
-    const apy = emissionRatePerYear * 10000n / totalSupply;
-    console.log("apy", apy);
-
-
-
-
-
-    // const BLOCKS_PER_YEAR = 2628000; // Assuming 6500 blocks per day * 365 days
-    // const emissionRatePerYear = result.emissionRate * BLOCKS_PER_YEAR;
-    // console.log("emissionRatePerYear", emissionRatePerYear);
-    // const totalSupply = await raacMinterContract.raacToken().totalSupply();
-    
-    // if (totalSupply.gt(0)) {
-    //     const apy = emissionRatePerYear * 10000 / totalSupply;
-    //     result.apy = apy / 100; // Convert to percentage
-    // } else {
-    //     result.apy = 0;
-    // }
-    // Constants
-    // result.PRECISION = await raacMinterContract.PRECISION();
-    // result.BLOCKS_PER_YEAR = await raacMinterContract.BLOCKS_PER_YEAR();
-    // result.INITIAL_EMISSION_RATE = await raacMinterContract.INITIAL_EMISSION_RATE();
-
-    // const params = await raacMinterContract.getParameters();
-    // result.parameters = {
-        // minEmissionRate: params[0],
-        // maxEmissionRate: params[1],
-        // utilizationTarget: params[2],
-        // adjustmentSpeed: params[3],
-        // benchmarkRate: params[4],
-        // emissionRate: params[5],
-        // excessTokens: params[6]
-    // };
-   
-    // const tick = await raacMinterContract.tick();
-    // address, {
-    //   maxFeePerGas,
-    //   nonce: await signer.getNonce()
-    // });
-
-    // console.log(tick);
-    return result;
+    // Every read comes from the same block
+    const blockNumber = await getBlockTag(signer, blockTag);
+
+    const [
+      emissionRate,
+      benchmarkRate,
+      minEmissionRate,
+      maxEmissionRate,
+      utilizationTarget,
+      excessTokens,
+      lastUpdateBlock,
+      raacToken,
+      stabilityPool,
+      lendingPool,
+      owner,
+      blocksPerDay,
+      totalSupply,
+    ] = await multicall(chainId, signer, [
+      call(raacMinterContract, 'emissionRate'),
+      call(raacMinterContract, 'benchmarkRate'),
+      call(raacMinterContract, 'minEmissionRate'),
+      call(raacMinterContract, 'maxEmissionRate'),
+      call(raacMinterContract, 'utilizationTarget'),
+      call(raacMinterContract, 'excessTokens'),
+      call(raacMinterContract, 'lastUpdateBlock'),
+      call(raacMinterContract, 'raacToken'),
+      call(raacMinterContract, 'stabilityPool'),
+      call(raacMinterContract, 'lendingPool'),
+      call(raacMinterContract, 'owner'),
+      call(raacMinterContract, 'BLOCKS_PER_DAY'),
+      call(raacMinterContract, 'getTotalSupply'),
+    ], blockNumber);
+
+    const raac = (raw) => formatAmount(raw, { chainId, asset: 'raactoken' });
+
+    return {
+      // RAAC per block
+      emissionRate: raac(emissionRate),
+      benchmarkRate: raac(benchmarkRate),
+      minEmissionRate: raac(minEmissionRate),
+      maxEmissionRate: raac(maxEmissionRate),
+      // Percentage
+      utilizationTarget: Number(utilizationTarget),
+      excessTokens: raac(excessTokens),
+      lastUpdateBlock: Number(lastUpdateBlock),
+      raacToken,
+      stabilityPool,
+      lendingPool,
+      owner,
+      BLOCKS_PER_DAY: Number(blocksPerDay),
+      totalSupply: raac(totalSupply),
+      blockNumber,
+    };
   } catch (error) {
-    throw new Error(`Error calculating RAAC rewards: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get RAAC minter' });
   }
 }
 
-export default get;
\ No newline at end of file
+export default get;
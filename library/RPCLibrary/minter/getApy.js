@@ -1,33 +1,24 @@
-import { ethers } from 'ethers';
-import { getContractAddress } from '../utils/contracts.js';
-import { getABI } from '../utils/artifacts.js';
-import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import getEmissions from '../apy/getEmissions.js';
+import { parseContractError } from '../errors/decodeError.js';
 
+/**
+ * Yearly RAAC emissions as basis points of the RAAC supply, at the measured block time of the chain.
+ * The deposit APYs are in apy.getStabilityPoolApy and the other apy methods.
+ * @param {number} chainId
+ * @param {ethers.Signer} signer
+ * @returns {Promise<bigint>} Basis points
+ */
 async function getApy(chainId, signer) {
   if (!signer) {
     throw new Error('Wallet not connected');
   }
 
   try {
-    const raacMinterAddress = getContractAddress(chainId, 'raacminter');
-    const raacMinterABI = getABI('raacminter');
-    const raacMinterContract = new ethers.Contract(raacMinterAddress, raacMinterABI, signer);
-
-    const result = {}
-    result.emissionRate = await raacMinterContract.emissionRate();
-    result.BLOCKS_PER_DAY = await raacMinterContract.BLOCKS_PER_DAY();
-
-
-    // APY: 
-    const blocksPerYear = result.BLOCKS_PER_DAY * 365n;
-    const emissionRatePerYear = result.emissionRate * blocksPerYear;
-    const totalSupply = await raacMinterContract.getTotalSupply();
-
-    const apy = emissionRatePerYear * 10000n / totalSupply;
-    return apy;
+    const { perYear, totalSupply } = await getEmissions(chainId, signer);
+    return totalSupply > 0n ? (perYear * 10000n) / totalSupply : 0n;
   } catch (error) {
-    throw new Error(`Error calculating RAAC rewards: ${error.message}`);
+    throw parseContractError(error, { message: 'Error calculating RAAC rewards' });
   }
 }
 
-export default getApy;
\ No newline at end of file
+export default getApy;
@@ -1,34 +1,17 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
-import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import sendTransaction from '../transactions/sendTransaction.js';
 
-async function tick(chainId, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+function tick(chainId, signer) {
+  return sendTransaction(signer, () => {
     const raacMinterAddress = getContractAddress(chainId, 'raacminter');
     const raacMinterABI = getABI('raacminter');
 
     const raacMinterContract = new ethers.Contract(raacMinterAddress, raacMinterABI, signer);
 
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-   
-    console.log({ maxFeePerGas });
-    const tick = await raacMinterContract.tick({
-      maxFeePerGas,
-      nonce: await signer.getNonce()
-    });
- 
-    if(tick.wait) {
-      await tick.wait();
-    }
-    return tick;
-  } catch (error) {
-    throw new Error(`Error calculating RAAC rewards: ${error.message}`);
-  }
+    return { contract: raacMinterContract, method: 'tick', args: [] };
+  }, { errorMessage: 'Error calculating RAAC rewards' });
 }
 
-export default tick;
\ No newline at end of file
+export default tick;
@@ -1,27 +1,17 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
 
-async function addNewBatch(chainId, batchSize, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+function addNewBatch(chainId, batchSize, signer) {
+  return sendTransaction(signer, () => {
     const raacNFTAddress = getContractAddress(chainId, 'raacnft');
     const raacNFTABI = getABI('raacnft');
 
     const raacNFTContract = new ethers.Contract(raacNFTAddress, raacNFTABI, signer);
 
-    const tx = await raacNFTContract.addNewBatch(batchSize);
-    await tx.wait();
-
-    console.log(`Added new batch of size ${batchSize}`);
-    return tx;
-  } catch (error) {
-    console.error('Error adding new batch:', error);
-    throw new Error(`Failed to add new batch: ${error.message}`);
-  }
+    return { contract: raacNFTContract, method: 'addNewBatch', args: [batchSize] };
+  }, { errorMessage: 'Failed to add new batch' });
 }
 
 export default addNewBatch;
\ No newline at end of file
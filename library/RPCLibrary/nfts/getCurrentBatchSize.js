@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 async function getCurrentBatchSize(chainId, provider) {
   try {
@@ -13,7 +14,7 @@ async function getCurrentBatchSize(chainId, provider) {
     return batchSize.toString();
   } catch (error) {
     console.error('Error getting current batch size:', error);
-    throw new Error(`Failed to get current batch size: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get current batch size' });
   }
 }
 
@@ -0,0 +1,49 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { getBlockTag } from '../utils/multicall.js';
+
+/**
+ * Depositor of every NFT deposited in the LendingPool at `toBlock`, by token id.
+ *
+ * The LendingPool does not expose the NFTs of a user, they are followed from the NFTDeposited
+ * and NFTWithdrawn events from `fromBlock` (the LendingPool deployment block) on, `batchSize` blocks
+ * per eth_getLogs like the EventIndexer. Liquidated NFTs
+ * leave the LendingPool without an NFTWithdrawn event, check their owner when it matters.
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock=0]
+ * @param {number|string} [options.toBlock='latest']
+ * @param {number} [options.batchSize=2000]
+ * @returns {Promise<Object<string, string>>} Token id => depositor
+ */
+async function getDepositors(chainId, provider, { fromBlock = 0, toBlock = 'latest', batchSize = 2000 } = {}) {
+  const runner = provider.provider ?? provider;
+  const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+  const lendingPoolInterface = ethers.Interface.from(getABI('lendingpool'));
+  const topics = [['NFTDeposited', 'NFTWithdrawn'].map((name) => lendingPoolInterface.getEvent(name).topicHash)];
+  const lastBlock = await getBlockTag(runner, toBlock);
+
+  const depositors = {};
+  for (let batchStart = Number(fromBlock); batchStart <= lastBlock; batchStart += batchSize) {
+    const logs = await runner.getLogs({
+      address: lendingPoolAddress,
+      topics,
+      fromBlock: batchStart,
+      toBlock: Math.min(batchStart + batchSize - 1, lastBlock),
+    });
+    for (const log of logs) {
+      const { name, args } = lendingPoolInterface.parseLog(log);
+      const tokenId = args.tokenId.toString();
+      if (name === 'NFTDeposited') {
+        depositors[tokenId] = args.user;
+      } else {
+        delete depositors[tokenId];
+      }
+    }
+  }
+  return depositors;
+}
+
+export default getDepositors;
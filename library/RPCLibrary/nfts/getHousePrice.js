@@ -1,6 +1,8 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 async function getHousePrice(chainId, tokenId, provider) {
   try {
@@ -10,10 +12,10 @@ async function getHousePrice(chainId, tokenId, provider) {
     const raacNFTContract = new ethers.Contract(raacNFTAddress, raacNFTABI, provider);
 
     const price = await raacNFTContract.getHousePrice(tokenId);
-    return ethers.formatEther(price);
+    return formatAmount(price);
   } catch (error) {
     console.error('Error getting house price:', error);
-    throw new Error(`Failed to get house price: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get house price' });
   }
 }
 
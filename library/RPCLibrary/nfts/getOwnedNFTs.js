@@ -1,8 +1,10 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { parseContractError } from '../errors/decodeError.js';
 
-async function getOwnedNFTs(chainId, address, provider) {
+async function getOwnedNFTs(chainId, address, provider, blockTag = 'latest') {
   try {
     const raacNFTAddress = getContractAddress(chainId, 'raacnft');
     const raacNFTABI = getABI('raacnft');
@@ -12,15 +14,19 @@ async function getOwnedNFTs(chainId, address, provider) {
     const ownedTokens = [];
 
     try {
-        const balance = await raacNFTContract.balanceOf(address);
+        const blockNumber = await getBlockTag(provider, blockTag);
+        const [balance] = await multicall(chainId, provider, [
+            call(raacNFTContract, 'balanceOf', [address]),
+        ], blockNumber);
 
-        for (let i = 0; i < balance; i++) {
-            try {
-                const tokenId = await raacNFTContract.tokenOfOwnerByIndex(address, i);
+        const tokenIds = await multicall(chainId, provider, Array.from({ length: Number(balance) }, (_, i) =>
+            call(raacNFTContract, 'tokenOfOwnerByIndex', [address, i], null)
+        ), blockNumber);
+
+        for (const tokenId of tokenIds) {
+            if (tokenId !== null) {
                 ownedTokens.push(tokenId.toString());
-            } catch (error) {
-                console.error('Error getting owned NFTs:', error);
-                }
+            }
         }
     } catch (error) {
         console.error('Error getting owned NFTs:', error);
@@ -30,8 +36,8 @@ async function getOwnedNFTs(chainId, address, provider) {
     return {address, ownedTokens};
   } catch (error) {
     console.error('Error getting owned NFTs:', error);
-    throw new Error(`Failed to get owned NFTs: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get owned NFTs' });
   }
 }
 
-export default getOwnedNFTs;
\ No newline at end of file
+export default getOwnedNFTs;
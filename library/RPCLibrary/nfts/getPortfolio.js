@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { formatAmount } from '../amounts/units.js';
+import getDepositors from './getDepositors.js';
+import { fetchMetadata as defaultFetchMetadata, validateMetadata } from './metadata.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const sameAddress = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+/**
+ * RAAC NFTs of a user, the ones in the wallet and the ones deposited as collateral in the LendingPool,
+ * with their metadata, house price and the time of the last price update.
+ *
+ * On-chain values are read at one block. Metadata is fetched from the tokenURI of each NFT (baseURI + token id)
+ * and validated against NFT_METADATA_SCHEMA: an NFT whose metadata cannot be fetched or is invalid still
+ * comes back, with `metadata: null` and the reason in `metadataError`.
+ * @param {number} chainId
+ * @param {string} address
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {number} [options.fromBlock=0] - LendingPool deployment block, where deposits are followed from
+ * @param {(tokenURI: string) => Promise<Object>} [options.fetchMetadata] - See createMetadataFetcher
+ * @param {boolean} [options.validate=true] - Validates the metadata JSON
+ * @returns {Promise<{ address: string, blockNumber: number, nfts: Array<Object> }>}
+ */
+async function getPortfolio(chainId, address, provider, {
+  blockTag = 'latest',
+  fromBlock = 0,
+  fetchMetadata = defaultFetchMetadata,
+  validate = true,
+} = {}) {
+  try {
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const raacNFTContract = new ethers.Contract(getContractAddress(chainId, 'raacnft'), getABI('raacnft'), provider);
+    const housePricesContract = new ethers.Contract(
+      getContractAddress(chainId, 'raachouseprices'),
+      getABI('raachouseprices'),
+      provider
+    );
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+
+    const [balance] = await multicall(chainId, provider, [
+      call(raacNFTContract, 'balanceOf', [address]),
+    ], blockNumber);
+    const owned = await multicall(chainId, provider, Array.from({ length: Number(balance) }, (_, index) =>
+      call(raacNFTContract, 'tokenOfOwnerByIndex', [address, index])
+    ), blockNumber);
+
+    const depositors = await getDepositors(chainId, provider, { fromBlock, toBlock: blockNumber });
+    const deposited = Object.keys(depositors).filter((tokenId) => sameAddress(depositors[tokenId], address));
+
+    const tokenIds = [...owned.map((tokenId) => tokenId.toString()), ...deposited];
+    const reads = await multicall(chainId, provider, tokenIds.flatMap((tokenId) => [
+      call(raacNFTContract, 'ownerOf', [tokenId], null),
+      call(raacNFTContract, 'tokenURI', [tokenId], null),
+      call(raacNFTContract, 'getHousePrice', [tokenId], 0n),
+      call(housePricesContract, 'getLatestPrice', [tokenId], null),
+    ]), blockNumber);
+
+    // Liquidated NFTs leave the LendingPool without an NFTWithdrawn event, they are neither owned nor collateral
+    const held = tokenIds
+      .map((tokenId, index) => {
+        const [owner, tokenURI, price, latestPrice] = reads.slice(index * 4, index * 4 + 4);
+        return { tokenId, owner, tokenURI, price, latestPrice };
+      })
+      .filter(({ owner }) => sameAddress(owner, address) || sameAddress(owner, lendingPoolAddress));
+
+    const nfts = await Promise.all(held.map(async ({ tokenId, owner, tokenURI, price, latestPrice }) => {
+      let metadata = null;
+      let metadataError = null;
+      if (tokenURI) {
+        try {
+          const json = await fetchMetadata(tokenURI);
+          const { valid, errors } = validate ? validateMetadata(json) : { valid: true, errors: [] };
+          if (valid) {
+            metadata = json;
+          } else {
+            metadataError = `Invalid metadata: ${errors.map(({ path, message }) => `${path} ${message}`).join(', ')}`;
+          }
+        } catch (error) {
+          metadataError = error.message;
+        }
+      } else {
+        metadataError = 'No tokenURI';
+      }
+
+      return {
+        tokenId,
+        owner,
+        isCollateral: sameAddress(owner, lendingPoolAddress),
+        tokenURI,
+        metadata,
+        metadataError,
+        price: formatAmount(price),
+        priceUpdatedAt: latestPrice ? Number(latestPrice[1]) : null,
+      };
+    }));
+
+    return { address, blockNumber, nfts };
+  } catch (error) {
+    console.error('Error getting NFT portfolio:', error);
+    throw parseContractError(error, { message: 'Failed to get NFT portfolio' });
+  }
+}
+
+export default getPortfolio;
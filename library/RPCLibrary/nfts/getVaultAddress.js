@@ -1,6 +1,7 @@
 import { Contract } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 async function getVaultAddress(chainId, provider) {
   try {
@@ -13,7 +14,7 @@ async function getVaultAddress(chainId, provider) {
     return vaultAddress;
   } catch (error) {
     console.error('Error getting vault address:', error);
-    throw new Error(`Failed to get vault address: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get vault address' });
   }
 }
 
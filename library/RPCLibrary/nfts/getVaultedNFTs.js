@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 async function getVaultedNFTs(chainId, address, provider) {
   try {
@@ -28,7 +29,7 @@ async function getVaultedNFTs(chainId, address, provider) {
     return { address, vaultedTokens };
   } catch (error) {
     console.error('Error getting vaulted NFTs:', error);
-    throw new Error(`Failed to get vaulted NFTs: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get vaulted NFTs' });
   }
 }
 
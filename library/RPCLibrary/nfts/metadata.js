@@ -0,0 +1,82 @@
+import { validateSchema } from '../configs/schema.js';
+
+export const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+// Metadata request timeout, a slow gateway must not hold a whole portfolio
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * ERC721 metadata JSON of a RAAC NFT, in the JSON schema subset of configs/schema.js
+ */
+export const NFT_METADATA_SCHEMA = {
+  type: 'object',
+  required: ['name', 'image'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    image: { type: 'string' },
+    external_url: { type: 'string' },
+    attributes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['trait_type', 'value'],
+        properties: {
+          trait_type: { type: 'string' },
+          value: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @param {Object} metadata
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export const validateMetadata = (metadata) => {
+  const errors = validateSchema(NFT_METADATA_SCHEMA, metadata, 'metadata');
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * URL a tokenURI is fetched from: ipfs:// URIs go through `gateway`, other URIs are kept
+ * @param {string} uri
+ * @param {string} [gateway]
+ * @returns {string}
+ */
+export const resolveTokenURI = (uri, gateway = DEFAULT_IPFS_GATEWAY) => (uri.startsWith('ipfs://')
+  ? `${gateway.replace(/\/?$/, '/')}${uri.slice('ipfs://'.length).replace(/^ipfs\//, '')}`
+  : uri);
+
+/**
+ * Metadata fetcher over HTTP(S), IPFS (through a gateway) and data: URIs.
+ *
+ * Portfolio reads take any `(tokenURI) => Promise<Object>` as fetcher, e.g. one reading from a
+ * local fixture server or a cache.
+ * @param {Object} [options]
+ * @param {string} [options.gateway] - IPFS gateway, 'https://ipfs.io/ipfs/' by default
+ * @param {number} [options.timeout=10000] - Per request, in ms
+ * @param {Function} [options.fetch] - fetch implementation, the global one by default
+ * @returns {(tokenURI: string) => Promise<Object>}
+ */
+export const createMetadataFetcher = ({ gateway = DEFAULT_IPFS_GATEWAY, timeout = DEFAULT_TIMEOUT, fetch = globalThis.fetch } = {}) =>
+  async (tokenURI) => {
+    const url = resolveTokenURI(tokenURI, gateway);
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+export const fetchMetadata = createMetadataFetcher();
+
+export default {
+  DEFAULT_IPFS_GATEWAY,
+  NFT_METADATA_SCHEMA,
+  validateMetadata,
+  resolveTokenURI,
+  createMetadataFetcher,
+  fetchMetadata,
+};
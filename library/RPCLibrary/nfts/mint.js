@@ -1,27 +1,19 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { parseAmount } from '../amounts/units.js';
 
-async function mint(chainId, tokenId, amount, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+// `amount` of crvUSD paid for the NFT, in units or a TokenAmount
+function mint(chainId, tokenId, amount, signer) {
+  return sendTransaction(signer, () => {
     const raacNFTAddress = getContractAddress(chainId, 'raacnft');
     const raacNFTABI = getABI('raacnft');
 
     const raacNFTContract = new ethers.Contract(raacNFTAddress, raacNFTABI, signer);
 
-    const tx = await raacNFTContract.mint(tokenId, ethers.parseEther(amount.toString()));
-    await tx.wait();
-
-    console.log(`Minted RAAC NFT with token ID ${tokenId} for ${amount} tokens`);
-    return tx;
-  } catch (error) {
-    console.error('Error minting RAAC NFT:', error);
-    throw new Error(`Failed to mint RAAC NFT: ${error.message}`);
-  }
+    return { contract: raacNFTContract, method: 'mint', args: [tokenId, parseAmount(amount, { chainId, asset: 'crvusd' })] };
+  }, { errorMessage: 'Failed to mint RAAC NFT' });
 }
 
 export default mint;
\ No newline at end of file
@@ -1,27 +1,17 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
 
-async function setBaseUri(chainId, newUri, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+function setBaseUri(chainId, newUri, signer) {
+  return sendTransaction(signer, () => {
     const raacNFTAddress = getContractAddress(chainId, 'raacnft');
     const raacNFTABI = getABI('raacnft');
 
     const raacNFTContract = new ethers.Contract(raacNFTAddress, raacNFTABI, signer);
 
-    const tx = await raacNFTContract.setBaseUri(newUri);
-    await tx.wait();
-
-    console.log(`Set new base URI: ${newUri}`);
-    return tx;
-  } catch (error) {
-    console.error('Error setting base URI:', error);
-    throw new Error(`Failed to set base URI: ${error.message}`);
-  }
+    return { contract: raacNFTContract, method: 'setBaseUri', args: [newUri] };
+  }, { errorMessage: 'Failed to set base URI' });
 }
 
 export default setBaseUri;
\ No newline at end of file
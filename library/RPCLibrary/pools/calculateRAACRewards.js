@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
 import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import { formatAmount, LEGACY_FORMATS } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
 
 async function calculateRAACRewards(chainId, address, signer) {
   if (!signer) {
@@ -24,9 +26,9 @@ async function calculateRAACRewards(chainId, address, signer) {
     // });
 
     console.log(calculateRAACRewards);
-    return calculateRAACRewards;
+    return formatAmount(calculateRAACRewards, { chainId, asset: 'raactoken', legacy: LEGACY_FORMATS.RAW });
   } catch (error) {
-    throw new Error(`Error calculating RAAC rewards: ${error.message}`);
+    throw parseContractError(error, { message: 'Error calculating RAAC rewards' });
   }
 }
 
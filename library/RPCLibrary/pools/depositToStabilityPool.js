@@ -1,34 +1,18 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
-import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { parseAmount } from '../amounts/units.js';
 
-async function depositToStabilityPool(chainId, amount, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+// `amount` of rcrvUSD, in units or a TokenAmount
+function depositToStabilityPool(chainId, amount, signer) {
+  return sendTransaction(signer, () => {
     const stabilityPoolAddress = getContractAddress(chainId, 'stabilitypool');
     const abi = getABI('stabilitypool');
     const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, abi, signer);
 
-    const amountInWei = ethers.parseEther(amount);
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-
-    const tx = await stabilityPoolContract.deposit(amountInWei.toString(), {
-      maxFeePerGas,
-      nonce: await signer.getNonce()
-    });
-
-    console.log(`Deposit transaction sent to Stability Pool:`, tx.hash);
-    const receipt = await tx.wait();
-    console.log(`Deposited ${amount} to Stability Pool successfully:`, receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error(`Error depositing to Stability Pool:`, error);
-    throw new Error(`Deposit to Stability Pool failed: ${error.message}`);
-  }
+    return { contract: stabilityPoolContract, method: 'deposit', args: [parseAmount(amount, { chainId, asset: 'rcrvusd' })] };
+  }, { errorMessage: 'Deposit to Stability Pool failed' });
 }
 
-export default depositToStabilityPool;
\ No newline at end of file
+export default depositToStabilityPool;
@@ -1,70 +1,73 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import { formatAmount, LEGACY_FORMATS } from '../amounts/units.js';
+import getStabilityPoolApy from '../apy/getStabilityPoolApy.js';
+import { isPriceUnavailable } from '../apy/priceSources.js';
 
-async function getStabilityPoolInfo(chainId, address, provider) {
+/**
+ * @param {number} chainId
+ * @param {string|null} address
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {string|number} [blockTag='latest']
+ * @param {Object} [options] - Options of apy.getStabilityPoolApy, e.g. a priceSource
+ */
+async function getStabilityPoolInfo(chainId, address, provider, blockTag = 'latest', options = {}) {
   try {
     const stabilityPoolAddress = getContractAddress(chainId, 'stabilitypool');
     const abi = getABI('stabilitypool');
     const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, abi, provider);
 
-    const handleError = (operation) => (error) => {
-      if (error.code === 'BAD_DATA') {
-        console.log(`BAD_DATA from getStabilityPoolInfo - ${operation}:`, error.message);
-        return 0n;
-      }
-      throw error;
-    };
-
-    // Fetch data from StabilityPool
-    const [totalDeposits, totalAllocation, exchangeRate, totalRAACRewards] = await Promise.all([
-      stabilityPoolContract.getTotalDeposits().catch(handleError('getTotalDeposits')),
-      stabilityPoolContract.getTotalAllocation().catch(handleError('getTotalAllocation')),
-      stabilityPoolContract.getExchangeRate().catch(handleError('getExchangeRate')),
-      stabilityPoolContract.raacToken().then(async (raacTokenAddress) => {
-        const raacTokenAbi = getABI('raactoken'); // Ensure you have the correct ABI
-        const raacTokenContract = new ethers.Contract(raacTokenAddress, raacTokenAbi, provider);
-        return raacTokenContract.balanceOf(stabilityPoolAddress).catch(handleError('raacToken balanceOf'));
-      }).catch(handleError('raacToken')),
-    ]);
-
-    let userDeposit = 0n;
-    let pendingRewards = 0n;
-    if (address) {
-      [userDeposit, pendingRewards] = await Promise.all([
-        stabilityPoolContract.getUserDeposit(address).catch(handleError('getUserDeposit')),
-        stabilityPoolContract.getPendingRewards(address).catch(handleError('getPendingRewards')),
-      ]);
-    }
+    // Every read comes from the same block, failed reads (e.g. empty pool) default to 0
+    const blockNumber = await getBlockTag(provider, blockTag);
 
-    // Fetch RAAC Minter information if needed for APY calculation
-    const raacMinterAddress = await stabilityPoolContract.raacMinter().catch(handleError('raacMinter'));
-    let apy = '0';
+    const [
+      totalDeposits,
+      totalAllocation,
+      exchangeRate,
+      raacTokenAddress,
+      userDeposit,
+      pendingRewards,
+    ] = await multicall(chainId, provider, [
+      call(stabilityPoolContract, 'getTotalDeposits', [], 0n),
+      call(stabilityPoolContract, 'getTotalAllocation', [], 0n),
+      call(stabilityPoolContract, 'getExchangeRate', [], 0n),
+      call(stabilityPoolContract, 'raacToken', [], ethers.ZeroAddress),
+      ...(address ? [
+        call(stabilityPoolContract, 'getUserDeposit', [address], 0n),
+        call(stabilityPoolContract, 'getPendingRewards', [address], 0n),
+      ] : []),
+    ], blockNumber);
 
-    if (raacMinterAddress && raacMinterAddress !== ethers.ZeroAddress) {
-      const raacMinterABI = getABI('raacminter');
-      const raacMinterContract = new ethers.Contract(raacMinterAddress, raacMinterABI, provider);
-
-      const [emissionRate, totalSupply] = await Promise.all([
-        raacMinterContract.emissionRate().catch(handleError('emissionRate')),
-        raacMinterContract.getTotalSupply().catch(handleError('getTotalSupply')),
-      ]);
-
-      // APY Calculation
-      // Assuming emissionRate is per block and BLOCKS_PER_YEAR is known
-      const BLOCKS_PER_YEAR = 2102400n; // Approximate number of blocks per year (Ethereum ~15 sec/block)
-      const emissionRatePerYear = emissionRate * BLOCKS_PER_YEAR;
-      apy = totalSupply > 0n ? (emissionRatePerYear * 10000n) / totalSupply : 0n;
-    }
+    const raacTokenContract = new ethers.Contract(raacTokenAddress, getABI('raactoken'), provider);
+    const [totalRAACRewards, stabilityPoolApy] = await Promise.all([
+      raacTokenAddress !== ethers.ZeroAddress
+        ? multicall(chainId, provider, [call(raacTokenContract, 'balanceOf', [stabilityPoolAddress], 0n)], blockNumber).then(([balance]) => balance)
+        : 0n,
+      // The info stays available when RAAC cannot be priced, e.g. without a crvUSD market in the LiquidityPool
+      getStabilityPoolApy(chainId, provider, { ...options, blockTag: blockNumber }).catch((error) => {
+        if (isPriceUnavailable(error)) return null;
+        throw error;
+      }),
+    ]);
 
     const result = {
-      totalDeposits: ethers.formatEther(totalDeposits ?? 0n),
-      totalAllocation: (totalAllocation ?? 0n).toString(),
+      totalDeposits: formatAmount(totalDeposits ?? 0n, { chainId, asset: 'rcrvusd' }),
+      totalAllocation: formatAmount(totalAllocation ?? 0n, { legacy: LEGACY_FORMATS.STRING }),
       exchangeRate: ethers.formatUnits(exchangeRate ?? 0n, 18),
-      totalRAACRewards: ethers.formatEther(totalRAACRewards ?? 0n),
-      userDeposit: ethers.formatEther(userDeposit ?? 0n),
-      pendingRewards: ethers.formatEther(pendingRewards ?? 0n),
-      apy: parseFloat((apy ?? 0n).toString()) / 100, // APY in percentage
+      totalRAACRewards: formatAmount(totalRAACRewards ?? 0n, { chainId, asset: 'raactoken' }),
+      userDeposit: formatAmount(userDeposit ?? 0n, { chainId, asset: 'rcrvusd' }),
+      pendingRewards: formatAmount(pendingRewards ?? 0n, { chainId, asset: 'raactoken' }),
+      // Total APY in percentage, null when RAAC cannot be priced
+      apy: stabilityPoolApy?.total.apy ?? null,
+      apyBreakdown: stabilityPoolApy && {
+        base: stabilityPoolApy.base,
+        emissions: stabilityPoolApy.emissions,
+        boost: stabilityPoolApy.boost,
+        total: stabilityPoolApy.total,
+      },
+      blockNumber,
     };
 
     return result;
@@ -74,4 +77,4 @@ async function getStabilityPoolInfo(chainId, address, provider) {
   }
 }
 
-export default getStabilityPoolInfo;
\ No newline at end of file
+export default getStabilityPoolInfo;
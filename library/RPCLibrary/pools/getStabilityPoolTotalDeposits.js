@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
+import { formatAmount, LEGACY_FORMATS } from '../amounts/units.js';
 
 async function getStabilityPoolTotalDeposits(chainId, provider) {
   try {
@@ -8,7 +9,7 @@ async function getStabilityPoolTotalDeposits(chainId, provider) {
     const abi = getABI('stabilitypool');
     const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, abi, provider);
     const totalDeposits = await stabilityPoolContract.getTotalDeposits();
-    return totalDeposits;
+    return formatAmount(totalDeposits, { chainId, asset: 'rcrvusd', legacy: LEGACY_FORMATS.RAW });
   } catch (error) {
     console.error('Error fetching total deposits:', error);
     throw error;
@@ -1,25 +1,19 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { getABI } from '../../utils/artifacts.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
 
-async function borrowFromLendingPool(chainId, tokenId, amount, signer) {
-  try {
+// Borrows `amount` of crvUSD (raw bigint, units or a TokenAmount) against all the NFTs deposited by the signer.
+// tokenId is unused and kept for the callers, like in repayToLendingPool
+function borrowFromLendingPool(chainId, tokenId, amount, signer) {
+  return sendTransaction(signer, () => {
     const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
     const lendingPoolABI = getABI('lendingpool');
-
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolABI, signer);
 
-    const tx = await lendingPoolContract.borrow(amount);
-    const receipt = await tx.wait();
-
-    console.log(`Borrowed ${ethers.formatEther(amount)} against NFT #${tokenId}`);
-    console.log(`Transaction hash: ${receipt.transactionHash}`);
-
-    return receipt;
-  } catch (error) {
-    console.error('Error in borrowFromLendingPool:', error);
-    throw error;
-  }
+    return { contract: lendingPoolContract, method: 'borrow', args: [parseAmount(amount, { chainId, asset: 'crvusd' })] };
+  }, { errorMessage: 'Borrow from Lending Pool failed' });
 }
 
-export default borrowFromLendingPool;
\ No newline at end of file
+export default borrowFromLendingPool;
@@ -1,38 +1,18 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
-import estimateGasPrice from '../../methods/commons/estimateGasPrice.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
 
-async function depositToLendingPool(chainId, amount, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+// `amount` of crvUSD, in units or a TokenAmount
+function depositToLendingPool(chainId, amount, signer) {
+  return sendTransaction(signer, () => {
     const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
-    const assetAddress = getContractAddress(chainId, 'rcrvusd');
     const lendingPoolABI = getABI('lendingpool');
-    const assetABI = getABI('rcrvusd');
-
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolABI, signer);
-    const assetContract = new ethers.Contract(assetAddress, assetABI, signer);
-
-    const amountInWei = ethers.parseEther(amount);
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-
-    const depositTx = await lendingPoolContract.deposit(amountInWei.toString(), {
-      maxFeePerGas,
-      nonce: await signer.getNonce()
-    });
 
-    console.log(`Deposit transaction sent for rcrvusd:`, depositTx.hash);
-    const receipt = await depositTx.wait();
-    console.log(`Deposited ${amount} rcrvusd to lending pool successfully:`, receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error(`Lending Pool Deposit error:`, error);
-    throw new Error(`Lending Pool Deposit failed: ${error.message}`);
-  }
+    return { contract: lendingPoolContract, method: 'deposit', args: [parseAmount(amount, { chainId, asset: 'crvusd' })] };
+  }, { errorMessage: 'Lending Pool Deposit failed' });
 }
 
-export default depositToLendingPool;
\ No newline at end of file
+export default depositToLendingPool;
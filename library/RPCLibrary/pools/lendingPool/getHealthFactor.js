@@ -0,0 +1,51 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../utils/contracts.js';
+import { getABI } from '../../utils/artifacts.js';
+import { multicall, call } from '../../utils/multicall.js';
+import { formatAmount } from '../../amounts/units.js';
+import { parseContractError } from '../../errors/decodeError.js';
+
+// calculateHealthFactor returns type(uint256).max when the user has no debt
+export const formatHealthFactor = (healthFactor) =>
+  healthFactor === ethers.MaxUint256 ? Infinity : Number(ethers.formatEther(healthFactor));
+
+async function getHealthFactor(chainId, address, provider, blockTag = 'latest') {
+  try {
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), provider);
+    const [
+      healthFactor,
+      collateralValue,
+      debt,
+      isUnderLiquidation,
+      liquidationStartTime,
+      liquidationGracePeriod,
+      healthFactorLiquidationThreshold,
+    ] = await multicall(chainId, provider, [
+      call(lendingPoolContract, 'calculateHealthFactor', [address]),
+      call(lendingPoolContract, 'getUserCollateralValue', [address]),
+      call(lendingPoolContract, 'getUserDebt', [address]),
+      call(lendingPoolContract, 'isUnderLiquidation', [address]),
+      call(lendingPoolContract, 'liquidationStartTime', [address]),
+      call(lendingPoolContract, 'liquidationGracePeriod'),
+      call(lendingPoolContract, 'healthFactorLiquidationThreshold'),
+    ], blockTag);
+
+    return {
+      address,
+      healthFactor: formatHealthFactor(healthFactor),
+      liquidationThreshold: Number(ethers.formatEther(healthFactorLiquidationThreshold)),
+      isLiquidatable: !isUnderLiquidation && healthFactor < healthFactorLiquidationThreshold,
+      collateralValue: formatAmount(collateralValue, { chainId, asset: 'crvusd' }),
+      debt: formatAmount(debt, { chainId, asset: 'crvusd' }),
+      isUnderLiquidation,
+      liquidationStartTime: Number(liquidationStartTime),
+      gracePeriodEnd: isUnderLiquidation ? Number(liquidationStartTime + liquidationGracePeriod) : null,
+    };
+  } catch (error) {
+    console.error('Error getting health factor:', error);
+    throw parseContractError(error, { message: 'Failed to get health factor' });
+  }
+}
+
+export default getHealthFactor;
@@ -1,12 +1,13 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { getABI } from '../../utils/artifacts.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
+import { parseContractError } from '../../errors/decodeError.js';
 
 async function getHousePrice(chainId, tokenId, signer) {
-    console.log(chainId, tokenId, signer);
-    if (!signer) {
-        throw new Error('Wallet not connected');
-    }
+  if (!signer) {
+    throw new Error('Wallet not connected');
+  }
 
   try {
     const raacHousePricesAddress = getContractAddress(chainId, 'raachouseprices');
@@ -14,15 +15,11 @@ async function getHousePrice(chainId, tokenId, signer) {
 
     const raacHousePricesContract = new ethers.Contract(raacHousePricesAddress, raacHousePricesABI, signer);
 
-    const housePrice = await raacHousePricesContract.getLatestPrice(tokenId);
-    console.log({housePrice});
-
-
-    console.log(`House price for token ID ${tokenId}: ${ethers.formatEther(housePrice)} ETH`);
-    return housePrice;
+    const [housePrice] = await raacHousePricesContract.getLatestPrice(tokenId);
+    return formatAmount(housePrice, { legacy: LEGACY_FORMATS.RAW });
   } catch (error) {
     console.error(`Error getting house price for token ID ${tokenId}:`, error);
-    throw new Error(`Failed to get house price: ${error.message}`);
+    throw parseContractError(error, { message: 'Failed to get house price' });
   }
 }
 
@@ -1,27 +1,25 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
-async function getLendingPoolInfo(chainId, address, provider) {
+import { multicall, call, getBlockTag } from '../../utils/multicall.js';
+import { formatAmount } from '../../amounts/units.js';
+import { RAY } from '../../amounts/wadRayMath.js';
+
+async function getLendingPoolInfo(chainId, address, provider, blockTag = 'latest') {
   try {
     const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
-    console.log(lendingPoolAddress);
     const abi = getABI('lendingpool');
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, abi, provider);
-    
-    const handleError = (operation) => (error) => {
-      if (error.code === 'BAD_DATA') {
-        console.log(`BAD_DATA from ${operation} - Pool empty?`, error.message);
-        return 0n;
-      }
-      throw error;
-    };
 
-    const [reserve, rateData, normalizedIncome, normalizedDebt] = await Promise.all([
-      lendingPoolContract.reserve().catch(handleError('reserve')),
-      lendingPoolContract.rateData().catch(handleError('rateData')),
-      lendingPoolContract.getNormalizedIncome().catch(handleError('getNormalizedIncome')),
-      lendingPoolContract.getNormalizedDebt().catch(handleError('getNormalizedDebt'))
-    ]);
+    // Every read comes from the same block, failed reads (e.g. empty pool) default to 0
+    const blockNumber = await getBlockTag(provider, blockTag);
+
+    const [reserve, rateData, normalizedIncome, normalizedDebt] = await multicall(chainId, provider, [
+      call(lendingPoolContract, 'reserve', [], {}),
+      call(lendingPoolContract, 'rateData', [], {}),
+      call(lendingPoolContract, 'getNormalizedIncome', [], 0n),
+      call(lendingPoolContract, 'getNormalizedDebt', [], 0n),
+    ], blockNumber);
 
     // Extract data from reserve
     const totalLiquidity = reserve.totalLiquidity ?? 0n;
@@ -32,7 +30,7 @@ async function getLendingPoolInfo(chainId, address, provider) {
     // Compute utilization
     let utilization = 0n;
     if (totalLiquidity + totalUsage > 0n) {
-      utilization = (totalUsage * BigInt(1e27)) / (totalLiquidity + totalUsage);
+      utilization = (totalUsage * RAY) / (totalLiquidity + totalUsage);
     }
 
     // Extract rate data
@@ -53,30 +51,30 @@ async function getLendingPoolInfo(chainId, address, provider) {
       apy = baseRate + rateIncrease;
     } else {
       const excessUtilization = utilization - optimalUtilizationRate;
-      const maxExcessUtilization = BigInt(1e27) - optimalUtilizationRate;
+      const maxExcessUtilization = RAY - optimalUtilizationRate;
       const rateSlope = maxRate - primeRate;
       const rateIncrease = (excessUtilization * rateSlope) / maxExcessUtilization;
       apy = primeRate + rateIncrease;
     }
 
-    let userRedeemable = 0n;  
-    if (address) {
+    let userRedeemable = 0n;
+    if (address && reserve.reserveRTokenAddress) {
       // Fetch user's scaled RToken balance
       const rTokenAddress = reserve.reserveRTokenAddress;
-      console.log(rTokenAddress);
       const rTokenABI = getABI('rtoken');
-      console.log(rTokenABI);
       const rTokenContract = new ethers.Contract(rTokenAddress, rTokenABI, provider);
 
-      const userScaledBalance = await rTokenContract.balanceOf(address).catch(handleError('rToken balanceOf'));
+      const [userScaledBalance] = await multicall(chainId, provider, [
+        call(rTokenContract, 'balanceOf', [address], 0n),
+      ], blockNumber);
 
       // Compute user's redeemable balance: userRedeemable = userScaledBalance * liquidityIndex / RAY
-      userRedeemable = (userScaledBalance * liquidityIndex) / BigInt(1e27);
+      userRedeemable = (userScaledBalance * liquidityIndex) / RAY;
     }
 
     const result = {
-      totalLiquidity: ethers.formatEther(totalLiquidity),
-      totalBorrow: ethers.formatEther(totalUsage),
+      totalLiquidity: formatAmount(totalLiquidity, { chainId, asset: 'crvusd' }),
+      totalBorrow: formatAmount(totalUsage, { chainId, asset: 'crvusd' }),
       utilization: (Number(utilization.toString()) / 1e27).toFixed(6),  // Utilization as a decimal value between 0 and 1
       liquidityIndex: (Number(liquidityIndex.toString()) / 1e27).toFixed(6),
       usageIndex: (Number(usageIndex.toString()) / 1e27).toFixed(6),
@@ -91,7 +89,8 @@ async function getLendingPoolInfo(chainId, address, provider) {
       normalizedIncome: (Number(normalizedIncome.toString()) / 1e27).toFixed(6),
       normalizedDebt: (Number(normalizedDebt.toString()) / 1e27).toFixed(6),
       apy: ((Number(apy.toString()) / 1e25).toFixed(2)) + '%',
-      userRedeemable: ethers.formatEther(userRedeemable ?? 0n),
+      userRedeemable: formatAmount(userRedeemable ?? 0n, { chainId, asset: 'crvusd' }),
+      blockNumber,
     };
 
     return result;
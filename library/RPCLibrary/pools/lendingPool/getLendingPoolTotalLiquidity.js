@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
 
 async function getLendingPoolTotalLiquidity(chainId, provider) {
   try {
@@ -8,7 +9,7 @@ async function getLendingPoolTotalLiquidity(chainId, provider) {
     const abi = getABI('lendingpool');
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, abi, provider);
     const totalLiquidity = await lendingPoolContract.getTotalLiquidity();
-    return totalLiquidity;
+    return formatAmount(totalLiquidity, { chainId, asset: 'crvusd', legacy: LEGACY_FORMATS.RAW });
   } catch (error) {
     console.error('Error fetching total liquidity:', error);
     throw error;
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
+import { formatAmount } from '../../amounts/units.js';
 
 async function getLoanData(chainId, tokenId, signer) {
   try {
@@ -16,9 +17,10 @@ async function getLoanData(chainId, tokenId, signer) {
       tokenOwner: loanData.tokenOwner,
       borrower: loanData.borrower,
       isApproved: loanData.isApproved,
-      borrowLimit: ethers.formatEther(loanData.borrowLimit).toString(),
-      borrowedAmount: ethers.formatEther(loanData.bor).toString(),
-      borrowIndex: ethers.formatEther(loanData.borrowIndex).toString()
+      borrowLimit: formatAmount(loanData.borrowLimit, { chainId, asset: 'crvusd' }),
+      borrowedAmount: formatAmount(loanData.bor, { chainId, asset: 'crvusd' }),
+      // Ray
+      borrowIndex: formatAmount(loanData.borrowIndex, { decimals: 27 })
     };
   } catch (error) {
     console.error('Error in getLoanData:', error);
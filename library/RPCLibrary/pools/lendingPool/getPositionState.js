@@ -0,0 +1,93 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../utils/contracts.js';
+import { getABI } from '../../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../../utils/multicall.js';
+import { rayMul } from '../../amounts/wadRayMath.js';
+import { accrueIndices } from '../../interest/rateModel.js';
+import { parseContractError } from '../../errors/decodeError.js';
+
+/**
+ * LendingPool state of a borrower that the position previews apply the pool's rules to, raw amounts.
+ *
+ * Every LendingPool operation updates the reserve first, `usageIndex` and `debt` are accrued to
+ * `timestamp` like updateReserveState would. `storedDebt` is what getUserDebt returns (the index of
+ * the last update).
+ * @param {number} chainId
+ * @param {string} address
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {number} [options.timestamp] - Seconds the operation executes at, the block timestamp by default
+ * @returns {Promise<Object>}
+ */
+async function getPositionState(chainId, address, provider, { blockTag = 'latest', timestamp } = {}) {
+  try {
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const [block, [
+      paused,
+      isUnderLiquidation,
+      liquidationThreshold,
+      healthFactorLiquidationThreshold,
+      collateralValue,
+      userData,
+      storedDebt,
+      reserve,
+      rateData,
+      curveVault,
+    ]] = await Promise.all([
+      (provider.provider ?? provider).getBlock(blockNumber),
+      multicall(chainId, provider, [
+        call(lendingPoolContract, 'paused'),
+        call(lendingPoolContract, 'isUnderLiquidation', [address]),
+        call(lendingPoolContract, 'liquidationThreshold'),
+        call(lendingPoolContract, 'healthFactorLiquidationThreshold'),
+        // Reverts when an NFT of the user has no price
+        call(lendingPoolContract, 'getUserCollateralValue', [address], null),
+        // The public getter of UserData skips its array and mapping: (scaledDebtBalance, underLiquidation, liquidationStartTime)
+        call(lendingPoolContract, 'userData', [address]),
+        call(lendingPoolContract, 'getUserDebt', [address]),
+        call(lendingPoolContract, 'reserve'),
+        call(lendingPoolContract, 'rateData'),
+        call(lendingPoolContract, 'curveVault', [], ethers.ZeroAddress),
+      ], blockNumber),
+    ]);
+
+    const reserveAssetContract = new ethers.Contract(reserve.reserveAssetAddress, getABI('crvusd'), provider);
+    const [reserveBalance, allowance, balance] = await multicall(chainId, provider, [
+      call(reserveAssetContract, 'balanceOf', [reserve.reserveRTokenAddress], 0n),
+      call(reserveAssetContract, 'allowance', [address, lendingPoolAddress], 0n),
+      call(reserveAssetContract, 'balanceOf', [address], 0n),
+    ], blockNumber);
+
+    const { scaledDebtBalance: scaledDebt } = userData;
+    const executedAt = timestamp ?? block.timestamp;
+    const { usageIndex } = accrueIndices(reserve, rateData, executedAt);
+
+    return {
+      address,
+      paused,
+      isUnderLiquidation,
+      liquidationThreshold,
+      healthFactorLiquidationThreshold,
+      collateralValue,
+      scaledDebt,
+      usageIndex,
+      storedDebt,
+      debt: rayMul(scaledDebt, usageIndex),
+      // The Curve vault tops the RToken up on borrows, no cap then
+      availableLiquidity: curveVault === ethers.ZeroAddress ? reserveBalance : null,
+      allowance,
+      balance,
+      timestamp: executedAt,
+      blockNumber,
+    };
+  } catch (error) {
+    console.error('Error getting position state:', error);
+    throw parseContractError(error, { message: 'Failed to get position state' });
+  }
+}
+
+export default getPositionState;
@@ -0,0 +1,176 @@
+import { WAD, rayMul, rayDiv } from '../../amounts/wadRayMath.js';
+import { PERCENTAGE_FACTOR, HALF_PERCENTAGE_FACTOR, percentMul, percentDiv } from '../../amounts/percentageMath.js';
+
+// Mirrors the checks of contracts/core/pools/LendingPool/LendingPool.sol: amounts are raw crvUSD, health
+// factors are wads, liquidationThreshold is in basis points. `error` is the error the contract reverts
+// with, checked in the same order as the contract.
+export const MAX_UINT256 = 2n ** 256n - 1n;
+
+/**
+ * calculateHealthFactor of the LendingPool: the collateral at the liquidation threshold over the debt
+ * @param {bigint} collateralValue
+ * @param {bigint} debt
+ * @param {bigint} liquidationThreshold - Basis points
+ * @returns {bigint} Wad, MAX_UINT256 without debt
+ */
+export const calculateHealthFactor = (collateralValue, debt, liquidationThreshold) => {
+  if (debt < 1n) {
+    return MAX_UINT256;
+  }
+  return (percentMul(collateralValue, liquidationThreshold) * WAD) / debt;
+};
+
+/**
+ * Largest debt borrow and withdrawNFT accept: `collateralValue >= debt.percentMul(liquidationThreshold)`
+ * @param {bigint} collateralValue
+ * @param {bigint} liquidationThreshold - Basis points
+ * @returns {bigint}
+ */
+export const calculateMaxDebt = (collateralValue, liquidationThreshold) => {
+  if (BigInt(liquidationThreshold) === 0n) {
+    return MAX_UINT256;
+  }
+  return ((collateralValue + 1n) * PERCENTAGE_FACTOR - HALF_PERCENTAGE_FACTOR - 1n) / BigInt(liquidationThreshold);
+};
+
+/**
+ * Health factor, distance to liquidation and borrowing room of a position
+ * @param {Object} position
+ * @param {bigint} position.collateralValue
+ * @param {bigint} position.debt
+ * @param {bigint} position.liquidationThreshold - Basis points
+ * @param {bigint} position.healthFactorLiquidationThreshold - Wad
+ * @param {bigint|null} [position.availableLiquidity] - Caps the borrowing room, null when the Curve vault refills the reserve
+ * @returns {{ collateralValue: bigint, debt: bigint, healthFactor: bigint, liquidation: Object, maxAdditionalBorrow: bigint }}
+ */
+export const describePosition = ({ collateralValue, debt, liquidationThreshold, healthFactorLiquidationThreshold, availableLiquidity = null }) => {
+  // Collateral value under which initiateLiquidation accepts the position
+  const liquidationCollateralValue = debt > 0n && liquidationThreshold > 0n
+    ? percentDiv((debt * healthFactorLiquidationThreshold) / WAD, liquidationThreshold)
+    : 0n;
+  const buffer = collateralValue > liquidationCollateralValue ? collateralValue - liquidationCollateralValue : 0n;
+
+  const maxDebt = calculateMaxDebt(collateralValue, liquidationThreshold);
+  const room = maxDebt > debt ? maxDebt - debt : 0n;
+
+  return {
+    collateralValue,
+    debt,
+    healthFactor: calculateHealthFactor(collateralValue, debt, liquidationThreshold),
+    liquidation: {
+      healthFactorThreshold: healthFactorLiquidationThreshold,
+      collateralValue: liquidationCollateralValue,
+      buffer,
+      // Basis points of the collateral value it can lose before liquidation
+      priceDrop: collateralValue > 0n ? (buffer * PERCENTAGE_FACTOR) / collateralValue : 0n,
+    },
+    maxAdditionalBorrow: availableLiquidity !== null && availableLiquidity < room ? availableLiquidity : room,
+  };
+};
+
+const debtOf = (scaledDebt, usageIndex) => rayMul(scaledDebt, usageIndex);
+
+// No position without a collateral value (an NFT without price), repayments still go through
+const after = (state, changes) => {
+  const position = { ...state, ...changes };
+  return position.collateralValue === null ? null : describePosition(position);
+};
+
+/**
+ * LendingPool.borrow of `amount` on `state` (see getPositionState)
+ * @param {Object} state
+ * @param {bigint} amount
+ * @returns {{ error: string|null, amount: bigint, scaledDebt: bigint, position: Object|null }}
+ */
+export const simulateBorrow = (state, amount) => {
+  const { paused, isUnderLiquidation, collateralValue, scaledDebt, usageIndex, liquidationThreshold, availableLiquidity } = state;
+  const fail = (error) => ({ error, amount, scaledDebt, position: null });
+
+  if (paused) return fail('EnforcedPause');
+  if (amount === 0n) return fail('InvalidAmount');
+  if (isUnderLiquidation) return fail('CannotBorrowUnderLiquidation');
+  if (collateralValue === null) return fail('InvalidNFTPrice');
+  if (collateralValue === 0n) return fail('NoCollateral');
+  if (collateralValue < percentMul(debtOf(scaledDebt, usageIndex) + amount, liquidationThreshold)) return fail('NotEnoughCollateralToBorrow');
+  // Without a Curve vault the RToken transfers from its own balance
+  if (availableLiquidity !== null && availableLiquidity < amount) return fail('ERC20InsufficientBalance');
+
+  const newScaledDebt = scaledDebt + rayDiv(amount, usageIndex);
+  return {
+    error: null,
+    amount,
+    scaledDebt: newScaledDebt,
+    position: after(state, {
+      debt: debtOf(newScaledDebt, usageIndex),
+      availableLiquidity: availableLiquidity === null ? null : availableLiquidity - amount,
+    }),
+  };
+};
+
+/**
+ * LendingPool.repay of `amount` on `state`: the DebtToken caps the amount at the debt, which is what
+ * the caller transfers
+ * @param {Object} state
+ * @param {bigint} amount
+ * @returns {{ error: string|null, amount: bigint, scaledDebt: bigint, position: Object|null }}
+ */
+export const simulateRepay = (state, amount) => {
+  const { paused, scaledDebt, usageIndex, allowance, balance } = state;
+  const debt = debtOf(scaledDebt, usageIndex);
+  const repaid = amount > debt ? debt : amount;
+  const fail = (error) => ({ error, amount: repaid, scaledDebt, position: null });
+
+  if (paused) return fail('EnforcedPause');
+  // The DebtToken burns nothing without debt
+  if (amount === 0n || rayDiv(repaid, usageIndex) === 0n) return fail('InvalidAmount');
+  if (allowance < repaid) return fail('ERC20InsufficientAllowance');
+  if (balance < repaid) return fail('ERC20InsufficientBalance');
+
+  const burned = rayDiv(repaid, usageIndex);
+  const newScaledDebt = burned > scaledDebt ? 0n : scaledDebt - burned;
+  return {
+    error: null,
+    amount: repaid,
+    scaledDebt: newScaledDebt,
+    position: after(state, {
+      debt: debtOf(newScaledDebt, usageIndex),
+      availableLiquidity: state.availableLiquidity === null ? null : state.availableLiquidity + repaid,
+    }),
+  };
+};
+
+/**
+ * LendingPool.withdrawNFT of `tokenId` on `state`
+ * @param {Object} state
+ * @param {{ isDeposited: boolean, price: bigint|null }} nft
+ * @returns {{ error: string|null, amount: bigint, scaledDebt: bigint, position: Object|null }}
+ */
+export const simulateWithdrawNFT = (state, { isDeposited, price }) => {
+  const { paused, isUnderLiquidation, collateralValue, scaledDebt, usageIndex, liquidationThreshold } = state;
+  const fail = (error) => ({ error, amount: price ?? 0n, scaledDebt, position: null });
+
+  if (paused) return fail('EnforcedPause');
+  if (isUnderLiquidation) return fail('CannotWithdrawUnderLiquidation');
+  if (!isDeposited) return fail('NFTNotDeposited');
+  if (collateralValue === null || !price) return fail('InvalidNFTPrice');
+
+  const debt = debtOf(scaledDebt, usageIndex);
+  if (collateralValue - price < percentMul(debt, liquidationThreshold)) return fail('WithdrawalWouldLeaveUserUnderCollateralized');
+
+  return {
+    error: null,
+    amount: price,
+    scaledDebt,
+    position: after(state, { collateralValue: collateralValue - price, debt }),
+  };
+};
+
+export default {
+  MAX_UINT256,
+  calculateHealthFactor,
+  calculateMaxDebt,
+  describePosition,
+  simulateBorrow,
+  simulateRepay,
+  simulateWithdrawNFT,
+};
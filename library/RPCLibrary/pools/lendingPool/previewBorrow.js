@@ -0,0 +1,29 @@
+import { parseAmount } from '../../amounts/units.js';
+import { simulateBorrow } from './positionModel.js';
+import previewPosition from './previewPosition.js';
+import { parseContractError } from '../../errors/decodeError.js';
+
+/**
+ * Position of `address` after borrowing `amount` of crvUSD, before signing borrowFromLendingPool
+ * @param {number} chainId
+ * @param {string} address
+ * @param {TokenAmount|bigint|string|number} amount - bigints are raw amounts, strings and numbers are units
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options] - See previewPosition
+ * @returns {Promise<Object>}
+ */
+async function previewBorrow(chainId, address, amount, provider, options = {}) {
+  try {
+    const amountInWei = parseAmount(amount, { chainId, asset: 'crvusd' });
+    return await previewPosition(chainId, address, provider, {
+      method: 'borrow',
+      args: [amountInWei],
+      simulate: (state) => simulateBorrow(state, amountInWei),
+    }, options);
+  } catch (error) {
+    console.error('Error previewing borrow:', error);
+    throw parseContractError(error, { message: 'Failed to preview borrow' });
+  }
+}
+
+export default previewBorrow;
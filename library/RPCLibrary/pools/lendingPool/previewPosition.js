@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../utils/contracts.js';
+import { getABI } from '../../utils/artifacts.js';
+import { formatAmount } from '../../amounts/units.js';
+import { parseContractError } from '../../errors/decodeError.js';
+import { formatHealthFactor } from './getHealthFactor.js';
+import { describePosition } from './positionModel.js';
+import getPositionState from './getPositionState.js';
+
+const formatPosition = (chainId, position) => position && ({
+  collateralValue: formatAmount(position.collateralValue, { chainId, asset: 'crvusd' }),
+  debt: formatAmount(position.debt, { chainId, asset: 'crvusd' }),
+  healthFactor: formatHealthFactor(position.healthFactor),
+  liquidation: {
+    healthFactorThreshold: Number(ethers.formatEther(position.liquidation.healthFactorThreshold)),
+    // Collateral value the position is liquidatable under, and how far the current value is from it
+    collateralValue: formatAmount(position.liquidation.collateralValue, { chainId, asset: 'crvusd' }),
+    buffer: formatAmount(position.liquidation.buffer, { chainId, asset: 'crvusd' }),
+    // Percentage
+    priceDrop: Number(position.liquidation.priceDrop) / 100,
+  },
+  maxAdditionalBorrow: formatAmount(position.maxAdditionalBorrow, { chainId, asset: 'crvusd' }),
+});
+
+// Runs the operation with eth_call from the user, on the fork when given, otherwise on the previewed block
+const checkOnChain = async (chainId, address, provider, { method, args }, error, { blockNumber, fork }) => {
+  const runner = fork ?? provider.provider ?? provider;
+  const lendingPoolContract = new ethers.Contract(getContractAddress(chainId, 'lendingpool'), getABI('lendingpool'), runner);
+
+  let revert = null;
+  try {
+    await lendingPoolContract[method].staticCall(...args, { from: address, ...(fork ? {} : { blockTag: blockNumber }) });
+  } catch (callError) {
+    revert = parseContractError(callError, { contract: 'lendingpool' });
+  }
+
+  return {
+    ok: !revert,
+    errorName: revert?.errorName ?? null,
+    matches: revert ? revert.errorName === error : error === null,
+    error: revert,
+    fork: Boolean(fork),
+  };
+};
+
+/**
+ * Applies a LendingPool operation to the fetched position of `address` (see positionModel.js) and
+ * cross-checks the outcome with a staticCall
+ * @param {number} chainId
+ * @param {string} address
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} operation
+ * @param {string} operation.method - LendingPool function
+ * @param {Array} operation.args
+ * @param {Function} operation.simulate - `(state) => result` of positionModel, may be async
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {number} [options.timestamp] - Seconds the operation executes at, the block timestamp by default
+ * @param {boolean} [options.verify=true] - Cross-checks with a staticCall
+ * @param {ethers.Provider} [options.fork] - Provider of a fork (e.g. hardhat or anvil) to run the staticCall on
+ * @returns {Promise<Object>}
+ */
+async function previewPosition(chainId, address, provider, operation, { blockTag = 'latest', timestamp, verify = true, fork } = {}) {
+  const state = await getPositionState(chainId, address, provider, { blockTag, timestamp });
+  const result = await operation.simulate(state);
+
+  return {
+    address,
+    method: operation.method,
+    ok: result.error === null,
+    error: result.error,
+    amount: formatAmount(result.amount, { chainId, asset: 'crvusd' }),
+    // Interest accrued since the last reserve update, part of the debt of `before`
+    accruedInterest: formatAmount(state.debt - state.storedDebt, { chainId, asset: 'crvusd' }),
+    before: formatPosition(chainId, state.collateralValue === null ? null : describePosition(state)),
+    after: formatPosition(chainId, result.position),
+    check: verify ? await checkOnChain(chainId, address, provider, operation, result.error, { blockNumber: state.blockNumber, fork }) : null,
+    state,
+    timestamp: state.timestamp,
+    blockNumber: state.blockNumber,
+  };
+}
+
+export default previewPosition;
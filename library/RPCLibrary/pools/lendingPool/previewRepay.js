@@ -0,0 +1,33 @@
+import { parseAmount } from '../../amounts/units.js';
+import { simulateRepay } from './positionModel.js';
+import previewPosition from './previewPosition.js';
+import { parseContractError } from '../../errors/decodeError.js';
+
+/**
+ * Position of `address` after repaying `amount` of crvUSD, before signing repayToLendingPool.
+ * Amounts over the debt repay the debt. Without the crvUSD allowance the repayment reverts,
+ * `needsApproval` tells whether repayToLendingPool's approval is still to come.
+ * @param {number} chainId
+ * @param {string} address
+ * @param {TokenAmount|bigint|string|number} amount - bigints are raw amounts, strings and numbers are units
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options] - See previewPosition
+ * @returns {Promise<Object>}
+ */
+async function previewRepay(chainId, address, amount, provider, options = {}) {
+  try {
+    const amountInWei = parseAmount(amount, { chainId, asset: 'crvusd' });
+    const preview = await previewPosition(chainId, address, provider, {
+      method: 'repay',
+      args: [amountInWei],
+      simulate: (state) => simulateRepay(state, amountInWei),
+    }, options);
+    const { allowance, debt } = preview.state;
+    return { ...preview, needsApproval: allowance < (amountInWei < debt ? amountInWei : debt) };
+  } catch (error) {
+    console.error('Error previewing repay:', error);
+    throw parseContractError(error, { message: 'Failed to preview repay' });
+  }
+}
+
+export default previewRepay;
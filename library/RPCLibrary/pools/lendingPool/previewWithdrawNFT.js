@@ -0,0 +1,51 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../../utils/contracts.js';
+import { getABI } from '../../utils/artifacts.js';
+import { multicall, call } from '../../utils/multicall.js';
+import getDepositors from '../../nfts/getDepositors.js';
+import { simulateWithdrawNFT } from './positionModel.js';
+import previewPosition from './previewPosition.js';
+import { parseContractError } from '../../errors/decodeError.js';
+
+/**
+ * Position of `address` after withdrawing the NFT `tokenId`, before signing withdrawNFTFromLendingPool.
+ * `amount` is the collateral value the NFT takes away.
+ * @param {number} chainId
+ * @param {string} address
+ * @param {string|number|bigint} tokenId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options] - See previewPosition
+ * @param {number} [options.fromBlock=0] - LendingPool deployment block, see getDepositors
+ * @returns {Promise<Object>}
+ */
+async function previewWithdrawNFT(chainId, address, tokenId, provider, { fromBlock = 0, ...options } = {}) {
+  try {
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), provider);
+    const raacNFTContract = new ethers.Contract(getContractAddress(chainId, 'raacnft'), getABI('raacnft'), provider);
+
+    const preview = await previewPosition(chainId, address, provider, {
+      method: 'withdrawNFT',
+      args: [tokenId],
+      simulate: async (state) => {
+        const [[price, owner], depositors] = await Promise.all([
+          multicall(chainId, provider, [
+            call(lendingPoolContract, 'getNFTPrice', [tokenId], null),
+            call(raacNFTContract, 'ownerOf', [tokenId], ethers.ZeroAddress),
+          ], state.blockNumber),
+          getDepositors(chainId, provider, { fromBlock, toBlock: state.blockNumber }),
+        ]);
+        // Liquidated NFTs leave the LendingPool without NFTWithdrawn event
+        const isDeposited = owner.toLowerCase() === lendingPoolAddress.toLowerCase()
+          && depositors[tokenId.toString()]?.toLowerCase() === address.toLowerCase();
+        return simulateWithdrawNFT(state, { isDeposited, price });
+      },
+    }, options);
+    return { ...preview, tokenId: tokenId.toString() };
+  } catch (error) {
+    console.error('Error previewing NFT withdrawal:', error);
+    throw parseContractError(error, { message: 'Failed to preview NFT withdrawal' });
+  }
+}
+
+export default previewWithdrawNFT;
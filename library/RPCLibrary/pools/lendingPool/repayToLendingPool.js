@@ -1,8 +1,12 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { getABI } from '../../utils/artifacts.js';
-async function repayToLendingPool(chainId, tokenId, amount, signer) {
-  try {
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
+
+// Repays `amount` of crvUSD (raw bigint, units or a TokenAmount) of the signer's debt, tokenId is kept for the callers
+function repayToLendingPool(chainId, tokenId, amount, signer) {
+  return sendTransaction(signer, async () => {
     const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
     const crvUSDAddress = getContractAddress(chainId, 'rcrvusd');
     const lendingPoolABI = getABI('lendingpool');
@@ -10,21 +14,12 @@ async function repayToLendingPool(chainId, tokenId, amount, signer) {
 
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolABI, signer);
     const crvUSDTokenContract = new ethers.Contract(crvUSDAddress, crvUSDABI, signer);
+    const amountInWei = parseAmount(amount, { chainId, asset: 'crvusd' });
 
-    const approveTx = await crvUSDTokenContract.approve(lendingPoolAddress, amount);
-    await approveTx.wait();
-    console.log(`Approved lendingPoolContract to spend ${ethers.formatEther(amount)} crvUSD`);
-    const tx = await lendingPoolContract.repay(amount);
-    const receipt = await tx.wait();
-
-    console.log(`Repaid ${ethers.formatEther(amount)} for NFT #${tokenId}`);
-    console.log(`Transaction hash: ${receipt.transactionHash}`);
+    await sendTransaction(signer, { contract: crvUSDTokenContract, method: 'approve', args: [lendingPoolAddress, amountInWei] });
 
-    return receipt;
-  } catch (error) {
-    console.error('Error in repayToLendingPool:', error);
-    throw error;
-  }
+    return { contract: lendingPoolContract, method: 'repay', args: [amountInWei] };
+  });
 }
 
-export default repayToLendingPool;
\ No newline at end of file
+export default repayToLendingPool;
@@ -1,8 +1,9 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
 
-async function stakeToLendingPool(chainId, tokenId, signer) {
-  try {
+function stakeToLendingPool(chainId, tokenId, signer) {
+  return sendTransaction(signer, async () => {
     const lendingPoolAddress = await getContractAddress(chainId, 'lendingpool');
     const nftAddress = await getContractAddress(chainId, 'raacnft');
 
@@ -11,32 +12,21 @@ async function stakeToLendingPool(chainId, tokenId, signer) {
       "function approve(address to, uint256 tokenId) external"
     ];
     const lendingPoolABI = [
-      "function stakeNFT(uint256 _tokenId) external"
+      "function depositNFT(uint256 tokenId) external"
     ];
 
     const nftContract = new ethers.Contract(nftAddress, nftABI, signer);
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolABI, signer);
 
     const owner = await nftContract.ownerOf(tokenId);
-    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    if (owner.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
       throw new Error(`Signer does not own NFT #${tokenId}`);
     }
 
-    const approveTx = await nftContract.approve(lendingPoolAddress, tokenId);
-    await approveTx.wait();
-    console.log(`Approved lending pool to transfer NFT #${tokenId}`);
+    await sendTransaction(signer, { contract: nftContract, method: 'approve', args: [lendingPoolAddress, tokenId] });
 
-    const stakeTx = await lendingPoolContract.stakeNFT(tokenId);
-    const receipt = await stakeTx.wait();
-
-    console.log(`Staked NFT #${tokenId} to the lending pool`);
-    console.log(`Transaction hash: ${receipt.transactionHash}`);
-
-    return receipt;
-  } catch (error) {
-    console.error('Error in stakeToLendingPool:', error);
-    throw error;
-  }
+    return { contract: lendingPoolContract, method: 'depositNFT', args: [tokenId] };
+  });
 }
 
-export default stakeToLendingPool;
\ No newline at end of file
+export default stakeToLendingPool;
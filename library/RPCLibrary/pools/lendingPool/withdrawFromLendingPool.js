@@ -1,9 +1,12 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../contracts/getContractAddress.js';
 import { getABI } from '../../utils/artifacts.js';
-import estimateGasPrice from '../../methods/commons/estimateGasPrice.js';
-async function withdrawFromLendingPool(chainId, amount, signer) {
-  try {
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
+
+// `amount` of rcrvUSD (raw bigint, units or a TokenAmount)
+function withdrawFromLendingPool(chainId, amount, signer) {
+  return sendTransaction(signer, async () => {
     const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
     const rtokenAddress = getContractAddress(chainId, 'rtoken');
     const lendingPoolABI = getABI('lendingpool');
@@ -12,35 +15,16 @@ async function withdrawFromLendingPool(chainId, amount, signer) {
     const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolABI, signer);
     const rTokenContract = new ethers.Contract(rtokenAddress, assetABI, signer);
 
-    const amountInWei = ethers.parseEther(amount);
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-
-    const userBalance = await rTokenContract.balanceOf(signer.address);
-    if (userBalance < amount) {
-      throw new Error(`Insufficient rcrvUSD balance. Available: ${ethers.formatEther(userBalance)}, Requested: ${ethers.formatEther(amount)}`);
+    const amountInWei = parseAmount(amount, { chainId, asset: 'rcrvusd' });
+    const userBalance = await rTokenContract.balanceOf(await signer.getAddress());
+    if (userBalance < amountInWei) {
+      throw new Error(`Insufficient rcrvUSD balance. Available: ${ethers.formatEther(userBalance)}, Requested: ${ethers.formatEther(amountInWei)}`);
     }
 
-    const approveTx = await rTokenContract.approve(lendingPoolAddress, amount);
-    await approveTx.wait();
-    console.log(`Approved LendingPool to spend ${ethers.formatEther(amount)} rcrvUSD`);
-
-
-    // const withdraw = await lendingPoolContract.withdraw(amountInWei.toString(), {
-      // maxFeePerGas,
-      // nonce: await signer.getNonce()
-    // });
-
-    const tx = await lendingPoolContract.withdraw(amount);
-    const receipt = await tx.wait();
-
-    console.log(`Withdrawn ${ethers.formatEther(amount)} from Lending Pool`);
-    console.log(`Transaction hash: ${receipt.transactionHash}`);
+    await sendTransaction(signer, { contract: rTokenContract, method: 'approve', args: [lendingPoolAddress, amountInWei] });
 
-    return receipt;
-  } catch (error) {
-    console.error('Error in withdrawFromLendingPool:', error);
-    throw error;
-  }
+    return { contract: lendingPoolContract, method: 'withdraw', args: [amountInWei] };
+  });
 }
 
-export default withdrawFromLendingPool;
\ No newline at end of file
+export default withdrawFromLendingPool;
@@ -1,57 +1,61 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../../utils/multicall.js';
+import { formatAmount } from '../../amounts/units.js';
 
-async function getLiquidityPoolInfo(chainId, address, provider) {
+async function getLiquidityPoolInfo(chainId, address, provider, blockTag = 'latest') {
   try {
     const liquidityPoolAddress = getContractAddress(chainId, 'liquiditypool');
     const abi = getABI('liquiditypool');
     const liquidityPoolContract = new ethers.Contract(liquidityPoolAddress, abi, provider);
-    
-    const handleError = (operation) => (error) => {
-      if(error.code === 'BAD_DATA') {
-        console.log(`BAD_DATA from getLiquidityPoolInfo - ${operation}:`, error.message);
-        return 0n;
-      }
-      throw error;
-    };
+
+    // Every read comes from the same block, failed reads (e.g. empty pool) default to 0
+    const blockNumber = await getBlockTag(provider, blockTag);
 
     // Get all markets
-    const markets = await liquidityPoolContract.getMarkets().catch(handleError('getMarkets'));
+    const [markets, tvl] = await multicall(chainId, provider, [
+      call(liquidityPoolContract, 'getMarkets', [], []),
+      call(liquidityPoolContract, 'getTotalValueLocked', [], 0n),
+    ], blockNumber);
 
     const result = {
       markets: {},
-      tvl: '0'
+      tvl: formatAmount(tvl ?? 0n),
+      blockNumber,
     };
 
-    for (const market of markets) {
-      const [totalLiquidity, userLiquidity, exchangeRate] = await Promise.all([
-        liquidityPoolContract.getTotalLiquidity(market).catch(handleError('getTotalLiquidity')),
-        address ? liquidityPoolContract.getUserLiquidity(pairedToken, address).catch(handleError('getUserLiquidity')) : [0n, 0n, 0n],
-        liquidityPoolContract.getExchangeRate(pairedToken).catch(handleError('getExchangeRate'))
-      ]);
+    const callsPerMarket = address ? 3 : 2;
+    const marketResults = await multicall(chainId, provider, markets.flatMap((pairedToken) => [
+      call(liquidityPoolContract, 'getTotalLiquidity', [pairedToken], [0n, 0n]),
+      call(liquidityPoolContract, 'getExchangeRate', [pairedToken], [0n, 0n]),
+      ...(address ? [call(liquidityPoolContract, 'getUserLiquidity', [pairedToken, address], [0n, 0n, 0n])] : []),
+    ]), blockNumber);
+
+    markets.forEach((pairedToken, index) => {
+      const offset = index * callsPerMarket;
+      const totalLiquidity = marketResults[offset];
+      const exchangeRate = marketResults[offset + 1];
+      const userLiquidity = address ? marketResults[offset + 2] : [0n, 0n, 0n];
 
       result.markets[pairedToken] = {
         totalLiquidity: {
-          raac: ethers.formatEther(totalLiquidity[0] ?? 0n),
-          paired: ethers.formatEther(totalLiquidity[1] ?? 0n)
+          raac: formatAmount(totalLiquidity[0] ?? 0n, { chainId, asset: 'raactoken' }),
+          paired: formatAmount(totalLiquidity[1] ?? 0n, { chainId, asset: pairedToken })
         },
         userLiquidity: {
-          raac: ethers.formatEther(userLiquidity[0] ?? 0n),
-          paired: ethers.formatEther(userLiquidity[1] ?? 0n),
-          lpAmount: ethers.formatEther(userLiquidity[2] ?? 0n)
+          raac: formatAmount(userLiquidity[0] ?? 0n, { chainId, asset: 'raactoken' }),
+          paired: formatAmount(userLiquidity[1] ?? 0n, { chainId, asset: pairedToken }),
+          lpAmount: formatAmount(userLiquidity[2] ?? 0n)
         },
+        // Wads
         exchangeRate: {
-          raacPerPaired: ethers.formatEther(exchangeRate[0] ?? 0n),
-          pairedPerRaac: ethers.formatEther(exchangeRate[1] ?? 0n)
+          raacPerPaired: formatAmount(exchangeRate[0] ?? 0n),
+          pairedPerRaac: formatAmount(exchangeRate[1] ?? 0n)
         }
       };
-    }
-
-    const tvl = await liquidityPoolContract.getTotalValueLocked().catch(handleError('getTotalValueLocked'));
-    result.tvl = ethers.formatEther(tvl ?? 0n);
+    });
 
-    console.log('getLiquidityPoolInfo result:', result);
     return result;
   } catch (error) {
     console.error('Error fetching liquidity pool info:', error);
@@ -59,4 +63,4 @@ async function getLiquidityPoolInfo(chainId, address, provider) {
   }
 }
 
-export default getLiquidityPoolInfo;
\ No newline at end of file
+export default getLiquidityPoolInfo;
@@ -1,34 +1,18 @@
 import { ethers } from 'ethers';
 import { getContractAddress } from '../utils/contracts.js';
 import { getABI } from '../utils/artifacts.js';
-import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import { parseAmount } from '../amounts/units.js';
 
-async function withdrawFromStabilityPool(chainId, amount, signer) {
-  if (!signer) {
-    throw new Error('Wallet not connected');
-  }
-
-  try {
+// `amount` of deCRVUSD, in units or a TokenAmount
+function withdrawFromStabilityPool(chainId, amount, signer) {
+  return sendTransaction(signer, () => {
     const stabilityPoolAddress = getContractAddress(chainId, 'stabilitypool');
     const abi = getABI('stabilitypool');
     const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, abi, signer);
 
-    const amountInWei = ethers.parseEther(amount);
-    const { maxFeePerGas } = await estimateGasPrice(signer);
-
-    const tx = await stabilityPoolContract.withdraw(amountInWei.toString(), {
-      maxFeePerGas,
-      nonce: await signer.getNonce()
-    });
-
-    console.log(`Withdrawal transaction sent to Stability Pool:`, tx.hash);
-    const receipt = await tx.wait();
-    console.log(`Withdrawn ${amount} from Stability Pool successfully:`, receipt.transactionHash);
-    return receipt;
-  } catch (error) {
-    console.error(`Error withdrawing from Stability Pool:`, error);
-    throw new Error(`Withdrawal from Stability Pool failed: ${error.message}`);
-  }
+    return { contract: stabilityPoolContract, method: 'withdraw', args: [parseAmount(amount, { chainId, asset: 'decrvusd' })] };
+  }, { errorMessage: 'Withdrawal from Stability Pool failed' });
 }
 
-export default withdrawFromStabilityPool;
\ No newline at end of file
+export default withdrawFromStabilityPool;
@@ -0,0 +1,224 @@
+import { ethers } from 'ethers';
+
+// Methods that change state are sent to one endpoint only, everything else is retried on the next one
+const NON_IDEMPOTENT_METHODS = [
+    'eth_sendRawTransaction',
+    'eth_sendTransaction',
+    'eth_sign',
+    'eth_signTransaction',
+    'eth_signTypedData_v4',
+    'personal_sign',
+];
+
+// JSON-RPC errors that depend on the endpoint (rate limits, pruned or lagging state) rather than on the request
+const ENDPOINT_ERROR_CODES = [-32005];
+const ENDPOINT_ERROR_MESSAGES = /header not found|missing trie node|unknown block|rate limit|too many requests/i;
+
+// Weight of the latest sample in the moving averages
+const SMOOTHING = 0.3;
+
+const average = (current, sample) => (current === null ? sample : current + SMOOTHING * (sample - current));
+
+const isEndpointError = (responses) => responses.some(({ error }) => error && (
+    ENDPOINT_ERROR_CODES.includes(error.code) || ENDPOINT_ERROR_MESSAGES.test(error.message ?? '')
+));
+
+/**
+ * JSON-RPC provider spread over several endpoints of the same chain.
+ *
+ * Every request goes to the healthiest endpoint, picked at random weighted by score so that the load is spread,
+ * where the score is the average latency inflated by the recent error rate. Endpoints that fail are put in
+ * cooldown, endpoints more than `maxLag` blocks behind the others are skipped. Reads are retried on the next
+ * endpoint, up to `maxAttempts` endpoints, transactions are sent once.
+ *
+ * Heads are refreshed every `healthCheckInterval` ms (0 disables it) and by every eth_blockNumber answer. Heads
+ * are only compared with the ones sampled less than `sampleWindow` ms apart, an old sample of a busy endpoint
+ * would otherwise make an idle one look behind.
+ */
+export class MultiRpcProvider extends ethers.JsonRpcProvider {
+    constructor(urls, network, {
+        timeout = 10000,
+        maxAttempts = 3,
+        maxLag = 5,
+        sampleWindow = 2000,
+        cooldown = 5000,
+        healthCheckInterval = 30000,
+        random = Math.random,
+        ...options
+    } = {}) {
+        const list = [urls].flat().filter(Boolean);
+        if (list.length === 0) {
+            throw new Error('MultiRpcProvider needs at least one RPC URL');
+        }
+        // Requests are routed one by one, batches would tie them to one endpoint
+        super(list[0], network, { ...options, batchMaxCount: 1 });
+
+        this.endpoints = list.map((url) => ({
+            url,
+            latency: null,
+            errorRate: 0,
+            failures: 0,
+            cooldownUntil: 0,
+            blockNumber: null,
+            blockNumberAt: null,
+            lastError: null,
+        }));
+        this.timeout = timeout;
+        this.maxAttempts = maxAttempts;
+        this.maxLag = maxLag;
+        this.sampleWindow = sampleWindow;
+        this.cooldown = cooldown;
+        this.random = random;
+
+        if (healthCheckInterval > 0) {
+            this.healthCheckTimer = setInterval(() => this.checkHealth().catch(() => {}), healthCheckInterval);
+            // Must not keep Node.js scripts alive
+            this.healthCheckTimer.unref?.();
+        }
+    }
+
+    /**
+     * Blocks `endpoint` is behind the highest head sampled at about the same time
+     * @returns {number|null} null before its first sample
+     */
+    lagOf(endpoint) {
+        if (endpoint.blockNumber === null) return null;
+        const head = Math.max(...this.endpoints
+            .filter(({ blockNumber, blockNumberAt }) => (
+                blockNumber !== null && Math.abs(blockNumberAt - endpoint.blockNumberAt) <= this.sampleWindow
+            ))
+            .map(({ blockNumber }) => blockNumber));
+        return head - endpoint.blockNumber;
+    }
+
+    score(endpoint) {
+        // Unknown endpoints are tried before slow ones
+        return (endpoint.latency ?? 1) * (1 + 10 * endpoint.errorRate);
+    }
+
+    isHealthy(endpoint, now = Date.now()) {
+        return endpoint.cooldownUntil <= now && !(this.lagOf(endpoint) > this.maxLag);
+    }
+
+    /**
+     * Endpoints in the order they are tried: a weighted pick among the healthy ones,
+     * the other healthy ones by score, then the unhealthy ones as a last resort
+     */
+    getCandidates() {
+        const now = Date.now();
+        const byScore = (a, b) => this.score(a) - this.score(b);
+        const healthy = this.endpoints.filter((endpoint) => this.isHealthy(endpoint, now)).sort(byScore);
+        const unhealthy = this.endpoints.filter((endpoint) => !healthy.includes(endpoint)).sort(byScore);
+
+        if (healthy.length > 1) {
+            const weights = healthy.map((endpoint) => 1 / this.score(endpoint));
+            let pick = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+            const index = Math.max(0, weights.findIndex((weight) => (pick -= weight) < 0));
+            healthy.unshift(...healthy.splice(index, 1));
+        }
+        return [...healthy, ...unhealthy];
+    }
+
+    recordSuccess(endpoint, latency) {
+        endpoint.latency = average(endpoint.latency, latency);
+        endpoint.errorRate = average(endpoint.errorRate, 0);
+        endpoint.failures = 0;
+        endpoint.cooldownUntil = 0;
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.errorRate = average(endpoint.errorRate, 1);
+        endpoint.failures += 1;
+        // Backs off exponentially, up to 64 cooldowns
+        endpoint.cooldownUntil = Date.now() + this.cooldown * 2 ** Math.min(endpoint.failures - 1, 6);
+        endpoint.lastError = error;
+    }
+
+    // `sentAt` dates the sample, the requests of checkHealth are sent together and compare exactly
+    recordBlockNumber(endpoint, payload, responses, sentAt) {
+        if (payload.method !== 'eth_blockNumber') return;
+        const result = responses.find(({ id }) => id === payload.id)?.result;
+        if (result) {
+            endpoint.blockNumber = Number(result);
+            endpoint.blockNumberAt = sentAt;
+        }
+    }
+
+    async sendTo(endpoint, payload) {
+        const request = new ethers.FetchRequest(endpoint.url);
+        request.timeout = this.timeout;
+        request.body = JSON.stringify(payload);
+        request.setHeader('content-type', 'application/json');
+
+        const response = await request.send();
+        response.assertOk();
+        const body = response.bodyJson;
+        return Array.isArray(body) ? body : [body];
+    }
+
+    async _send(payload) {
+        const payloads = [payload].flat();
+        const retry = payloads.every(({ method }) => !NON_IDEMPOTENT_METHODS.includes(method));
+        const candidates = this.getCandidates().slice(0, retry ? this.maxAttempts : 1);
+
+        let lastError;
+        for (const endpoint of candidates) {
+            const start = Date.now();
+            try {
+                const responses = await this.sendTo(endpoint, payload);
+                if (retry && isEndpointError(responses)) {
+                    const { error } = responses.find((response) => response.error);
+                    throw Object.assign(new Error(error.message), { code: 'SERVER_ERROR', info: { error } });
+                }
+                this.recordSuccess(endpoint, Date.now() - start);
+                payloads.forEach((single) => this.recordBlockNumber(endpoint, single, responses, start));
+                return responses;
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+                this.emit('debug', { action: 'endpointFailed', url: endpoint.url, error });
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Refreshes the head of every endpoint, used to skip the ones lagging behind
+     * @returns {Promise<Array>} getEndpoints()
+     */
+    async checkHealth() {
+        const sentAt = Date.now();
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const payload = { id: 0, jsonrpc: '2.0', method: 'eth_blockNumber', params: [] };
+            try {
+                const responses = await this.sendTo(endpoint, payload);
+                this.recordSuccess(endpoint, Date.now() - sentAt);
+                this.recordBlockNumber(endpoint, payload, responses, sentAt);
+            } catch (error) {
+                this.recordFailure(endpoint, error);
+            }
+        }));
+        return this.getEndpoints();
+    }
+
+    /**
+     * @returns {Array<{ url: string, latency: number|null, errorRate: number, blockNumber: number|null, lag: number|null, healthy: boolean }>}
+     */
+    getEndpoints() {
+        return this.endpoints.map((endpoint) => ({
+            url: endpoint.url,
+            latency: endpoint.latency,
+            errorRate: endpoint.errorRate,
+            blockNumber: endpoint.blockNumber,
+            lag: this.lagOf(endpoint),
+            healthy: this.isHealthy(endpoint),
+        }));
+    }
+
+    destroy() {
+        clearInterval(this.healthCheckTimer);
+        super.destroy();
+    }
+}
+
+export default MultiRpcProvider;
@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+import { getChainConfig, onChainConfigChange } from '../configs/index.js';
+import MultiRpcProvider from './MultiRpcProvider.js';
+
+// One provider per chain, so that endpoint scores and health checks are shared
+const providers = {};
+
+// A hot-swapped config with other RPC URLs gets a new provider, the previous one is left to its holders
+onChainConfigChange(({ chainId, config, previous }) => {
+  if (providers[chainId] && String(getRpcUrls(config)) !== String(getRpcUrls(previous))) {
+    delete providers[chainId];
+  }
+});
+
+/**
+ * HTTP(S) RPC URLs of a chain config, chain configs list them as `rpcs`,
+ * wallet_addEthereumChain style configs as `rpcUrls` and single-RPC configs as `rpc`
+ * @param {Object} config
+ * @returns {string[]}
+ */
+export const getRpcUrls = (config) => {
+  const urls = [config?.rpcs ?? config?.rpcUrls ?? config?.rpc ?? []].flat();
+  return [...new Set(urls.filter((url) => typeof url === 'string' && /^https?:\/\//i.test(url)))];
+};
+
+/**
+ * Provider over every RPC URL of the chain config, with failover and health scoring
+ * @param {number} chainId
+ * @param {Object} [options] - MultiRpcProvider options, the provider is then not shared
+ * @returns {MultiRpcProvider}
+ */
+function getRpcProvider(chainId, options) {
+  const key = Number(chainId);
+  if (providers[key] && !options) {
+    return providers[key];
+  }
+  const config = getChainConfig(key);
+  if (!config) {
+    throw new Error(`Unsupported chain ID: ${chainId}`);
+  }
+  const urls = getRpcUrls(config);
+  if (urls.length === 0) {
+    throw new Error(`No RPC URL configured for chain ID: ${chainId}`);
+  }
+
+  const network = ethers.Network.from(key);
+  const provider = new MultiRpcProvider(urls, network, { staticNetwork: network, ...options });
+  if (!options) {
+    providers[key] = provider;
+  }
+  return provider;
+}
+
+export default getRpcProvider;
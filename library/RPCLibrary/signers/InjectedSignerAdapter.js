@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+import SignerAdapter from './SignerAdapter.js';
+import { switchChain } from '../utils/chain.js';
+
+export const getInjectedProvider = () => globalThis.window?.ethereum;
+
+/**
+ * Signs with an injected EIP-1193 provider (MetaMask, Rabby, WalletConnect...), window.ethereum by default.
+ * Follows the accountsChanged / chainChanged events of the wallet
+ */
+export class InjectedSignerAdapter extends SignerAdapter {
+    constructor(ethereum = getInjectedProvider()) {
+        super();
+        if (!ethereum) {
+            throw new Error('No injected EIP-1193 provider detected');
+        }
+        this.ethereum = ethereum;
+        this.browserProvider = new ethers.BrowserProvider(ethereum);
+
+        this.onAccountsChanged = (accounts) => this.setAccount(accounts?.[0] ? ethers.getAddress(accounts[0]) : null);
+        this.onChainChanged = (chainId) => {
+            // A BrowserProvider fails once the network it detected changes
+            this.browserProvider = new ethers.BrowserProvider(ethereum);
+            this.setChain(chainId);
+        };
+        this.onDisconnect = () => this.setAccount(null);
+        ethereum.on?.('accountsChanged', this.onAccountsChanged);
+        ethereum.on?.('chainChanged', this.onChainChanged);
+        ethereum.on?.('disconnect', this.onDisconnect);
+    }
+
+    async readAccount(method) {
+        const [accounts, chainId] = await Promise.all([
+            this.ethereum.request({ method }),
+            this.ethereum.request({ method: 'eth_chainId' }),
+        ]);
+        this.setChain(chainId);
+        this.onAccountsChanged(accounts);
+        return { address: this.address, chainId: this.chainId };
+    }
+
+    async connect() {
+        return this.readAccount('eth_requestAccounts');
+    }
+
+    async checkConnection() {
+        const connection = await this.readAccount('eth_accounts');
+        return connection.address ? connection : null;
+    }
+
+    async getProvider() {
+        return this.browserProvider;
+    }
+
+    async getSigner(chainId, address = this.address) {
+        return this.browserProvider.getSigner(address ?? undefined);
+    }
+
+    /**
+     * Asks the wallet to switch, adding the chain from the chain config when the wallet does not know it
+     * @param {number} chainId
+     * @returns {Promise<number>} chainId
+     */
+    async switchChain(chainId) {
+        await switchChain(Number(chainId), this.ethereum);
+        this.onChainChanged(await this.ethereum.request({ method: 'eth_chainId' }));
+        return this.chainId;
+    }
+
+    // Stops following the wallet events
+    destroy() {
+        this.ethereum.removeListener?.('accountsChanged', this.onAccountsChanged);
+        this.ethereum.removeListener?.('chainChanged', this.onChainChanged);
+        this.ethereum.removeListener?.('disconnect', this.onDisconnect);
+    }
+}
+
+export default InjectedSignerAdapter;
@@ -0,0 +1,30 @@
+import { ethers } from 'ethers';
+import WalletSignerAdapter from './WalletSignerAdapter.js';
+
+/**
+ * Signs with a JSON keystore (geth, Clef, ethers encryptSync), given as JSON or as a file (Node.js only).
+ * The keystore is decrypted on the first connect / getSigner, which takes a few seconds with the default scrypt cost
+ * @example new KeystoreSignerAdapter({ file: './keystore.json', password: process.env.KEYSTORE_PASSWORD, chainId: 8453 })
+ */
+export class KeystoreSignerAdapter extends WalletSignerAdapter {
+    constructor({ json, file, password, ...options } = {}) {
+        super(options);
+        if (!json && !file) {
+            throw new Error('KeystoreSignerAdapter needs a keystore json or file');
+        }
+        this.json = typeof json === 'object' && json !== null ? JSON.stringify(json) : json;
+        this.file = file;
+        this.password = password;
+    }
+
+    async loadWallet() {
+        let json = this.json;
+        if (!json) {
+            const { readFile } = await import('fs/promises');
+            json = await readFile(this.file, 'utf8');
+        }
+        return ethers.Wallet.fromEncryptedJson(json, this.password);
+    }
+}
+
+export default KeystoreSignerAdapter;
@@ -0,0 +1,27 @@
+import { ethers } from 'ethers';
+import WalletSignerAdapter from './WalletSignerAdapter.js';
+
+export const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+
+/**
+ * Signs with an account derived from a mnemonic, the first account of the default path unless
+ * `path` (full HD path) or `index` (account of the default path) is given
+ * @example new MnemonicSignerAdapter(process.env.MNEMONIC, { index: 2, chainId: 8453 })
+ */
+export class MnemonicSignerAdapter extends WalletSignerAdapter {
+    constructor(mnemonic, { path, index, password = '', ...options } = {}) {
+        super(options);
+        if (!mnemonic) {
+            throw new Error('MnemonicSignerAdapter needs a mnemonic');
+        }
+        this.mnemonic = mnemonic;
+        this.password = password;
+        this.path = path ?? (index === undefined ? DEFAULT_HD_PATH : `m/44'/60'/0'/0/${index}`);
+    }
+
+    async loadWallet() {
+        return ethers.HDNodeWallet.fromPhrase(this.mnemonic, this.password, this.path);
+    }
+}
+
+export default MnemonicSignerAdapter;
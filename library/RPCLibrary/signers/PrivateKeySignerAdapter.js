@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+import WalletSignerAdapter from './WalletSignerAdapter.js';
+
+/**
+ * Signs with a raw private key (scripts, bots)
+ * @example new PrivateKeySignerAdapter(process.env.PRIVATE_KEY, { chainId: 8453 })
+ */
+export class PrivateKeySignerAdapter extends WalletSignerAdapter {
+    constructor(privateKey, options = {}) {
+        super(options);
+        if (!privateKey) {
+            throw new Error('PrivateKeySignerAdapter needs a private key');
+        }
+        this.privateKey = privateKey;
+    }
+
+    async loadWallet() {
+        return new ethers.Wallet(this.privateKey);
+    }
+}
+
+export default PrivateKeySignerAdapter;
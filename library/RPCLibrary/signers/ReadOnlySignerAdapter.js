@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+import SignerAdapter from './SignerAdapter.js';
+
+/**
+ * Reads only, optionally as a watched `address` (balances, positions, static calls).
+ * getSigner returns a VoidSigner of the address, which cannot sign
+ */
+export class ReadOnlySignerAdapter extends SignerAdapter {
+    constructor({ address = null, ...options } = {}) {
+        super({ ...options, readOnly: true });
+        this.watchedAddress = address === null ? null : ethers.getAddress(address);
+    }
+
+    async connect(chainId = this.chainId) {
+        this.setChain(await this.resolveChainId(chainId));
+        this.setAccount(this.watchedAddress);
+        return { address: this.address, chainId: this.chainId };
+    }
+
+    async getSigner(chainId = this.chainId, address = this.watchedAddress) {
+        if (!address) {
+            throw new Error('Read-only mode has no signer, pass an address to watch');
+        }
+        return new ethers.VoidSigner(address, await this.getProvider(chainId));
+    }
+
+    async getAddress() {
+        return this.watchedAddress;
+    }
+}
+
+export default ReadOnlySignerAdapter;
@@ -0,0 +1,105 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import getRpcProvider from '../providers/getRpcProvider.js';
+
+/**
+ * Where RPCLibrary gets its account, signer and provider from.
+ *
+ * Adapters implement connect and getSigner, and call setAccount / setChain when the account or
+ * the chain changes. By default the provider is the one given at construction, or the failover
+ * provider of the chain config (getRpcProvider).
+ *
+ * Events:
+ * - 'accountChanged' (address|null), null once disconnected
+ * - 'chainChanged' (chainId)
+ */
+export class SignerAdapter extends EventEmitter {
+    constructor({ provider = null, chainId = null, readOnly = false } = {}) {
+        super();
+        this.provider = provider;
+        this.chainId = chainId === null ? null : Number(chainId);
+        this.address = null;
+        this.readOnly = readOnly;
+    }
+
+    /**
+     * Connects the account, prompting the user when the adapter needs to
+     * @param {number} [chainId]
+     * @returns {Promise<{ address: string|null, chainId: number }>}
+     */
+    async connect(chainId) {
+        throw new Error(`${this.constructor.name} does not implement connect`);
+    }
+
+    /**
+     * Connects without prompting, when the account is already available
+     * @returns {Promise<{ address: string|null, chainId: number }|null>}
+     */
+    async checkConnection() {
+        return this.connect();
+    }
+
+    /**
+     * @param {number} [chainId]
+     * @param {string} [address]
+     * @returns {Promise<ethers.Signer>}
+     */
+    async getSigner(chainId, address) {
+        throw new Error(`${this.constructor.name} does not implement getSigner`);
+    }
+
+    /**
+     * @param {number} [chainId]
+     * @returns {Promise<ethers.Provider>}
+     */
+    async getProvider(chainId = this.chainId) {
+        if (this.provider) return this.provider;
+        if (chainId === null || chainId === undefined) {
+            throw new Error(`${this.constructor.name} needs a provider or a chain ID`);
+        }
+        return getRpcProvider(chainId);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    /**
+     * Moves the adapter to another chain of the chain configs
+     * @param {number} chainId
+     * @returns {Promise<number>} chainId
+     */
+    async switchChain(chainId) {
+        if (this.provider) {
+            throw new Error(`${this.constructor.name} is bound to the provider it was created with`);
+        }
+        this.setChain(chainId);
+        return this.chainId;
+    }
+
+    async disconnect() {
+        this.setAccount(null);
+    }
+
+    // Chain of the provider given at construction, the requested chain otherwise
+    async resolveChainId(chainId = this.chainId) {
+        const provider = await this.getProvider(chainId);
+        if (!this.provider) return Number(chainId);
+        const network = await provider.getNetwork();
+        return Number(network.chainId);
+    }
+
+    setAccount(address) {
+        if (address === this.address) return;
+        this.address = address;
+        this.emit('accountChanged', address);
+    }
+
+    setChain(chainId) {
+        const next = Number(chainId);
+        if (next === this.chainId) return;
+        this.chainId = next;
+        this.emit('chainChanged', next);
+    }
+}
+
+export default SignerAdapter;
@@ -0,0 +1,44 @@
+import SignerAdapter from './SignerAdapter.js';
+
+/**
+ * Adapter of a local ethers wallet, subclasses implement loadWallet
+ */
+export class WalletSignerAdapter extends SignerAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.wallet = null;
+    }
+
+    /**
+     * @returns {Promise<ethers.Wallet|ethers.HDNodeWallet>} Wallet without provider
+     */
+    async loadWallet() {
+        throw new Error(`${this.constructor.name} does not implement loadWallet`);
+    }
+
+    async getWallet() {
+        if (!this.wallet) {
+            this.wallet = await this.loadWallet();
+        }
+        return this.wallet;
+    }
+
+    async connect(chainId = this.chainId) {
+        const wallet = await this.getWallet();
+        this.setChain(await this.resolveChainId(chainId));
+        this.setAccount(wallet.address);
+        return { address: this.address, chainId: this.chainId };
+    }
+
+    async getSigner(chainId = this.chainId) {
+        const wallet = await this.getWallet();
+        return wallet.connect(await this.getProvider(chainId));
+    }
+
+    async getAddress() {
+        const wallet = await this.getWallet();
+        return wallet.address;
+    }
+}
+
+export default WalletSignerAdapter;
@@ -0,0 +1,25 @@
+import PrivateKeySignerAdapter from './PrivateKeySignerAdapter.js';
+import InjectedSignerAdapter, { getInjectedProvider } from './InjectedSignerAdapter.js';
+import ReadOnlySignerAdapter from './ReadOnlySignerAdapter.js';
+
+/**
+ * Adapter RPCLibrary uses for what it was constructed with
+ * @param {import('./SignerAdapter.js').SignerAdapter|string} [signer] - Adapter or private key, the injected provider
+ * (read-only without one) by default
+ * @returns {import('./SignerAdapter.js').SignerAdapter}
+ */
+function createSignerAdapter(signer) {
+  // Any object implementing the SignerAdapter interface
+  if (typeof signer?.connect === 'function' && typeof signer.getSigner === 'function') {
+    return signer;
+  }
+  if (typeof signer === 'string') {
+    return new PrivateKeySignerAdapter(signer);
+  }
+  if (signer) {
+    throw new Error('Expected a SignerAdapter or a private key');
+  }
+  return getInjectedProvider() ? new InjectedSignerAdapter() : new ReadOnlySignerAdapter();
+}
+
+export default createSignerAdapter;
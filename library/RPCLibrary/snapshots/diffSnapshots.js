@@ -0,0 +1,50 @@
+const INTEGER = /^-?\d+$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isIgnored = (path, ignore) => ignore.some((prefix) => path === prefix || path.startsWith(`${prefix}.`));
+
+const collect = (before, after, path, ignore, changes) => {
+  if (path && isIgnored(path, ignore)) return;
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      collect(before[key], after[key], path ? `${path}.${key}` : key, ignore, changes);
+    }
+    return;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  const change = { before: before ?? null, after: after ?? null };
+  if (INTEGER.test(before) && INTEGER.test(after)) {
+    change.delta = (BigInt(after) - BigInt(before)).toString();
+  }
+  changes[path] = change;
+};
+
+/**
+ * Every value that differs between two snapshots of takeSnapshot, keyed by its dotted path
+ * (e.g. 'users.0xabc….lendingPool.debt'). Integer changes carry the signed `delta` as a decimal string,
+ * values that only exist on one side are null on the other. Arrays (the NFTs of a user) compare as a whole.
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore=['blockNumber', 'timestamp']] - Paths never reported, with everything under them
+ * @returns {{ fromBlock: number, toBlock: number, changes: Object<string, { before: *, after: *, delta?: string }> }}
+ */
+function diffSnapshots(before, after, { ignore = ['blockNumber', 'timestamp'] } = {}) {
+  if (before.chainId !== after.chainId) {
+    throw new Error(`Cannot diff snapshots of chain ${before.chainId} and chain ${after.chainId}`);
+  }
+  const changes = {};
+  collect(before, after, '', ignore, changes);
+  return {
+    fromBlock: before.blockNumber,
+    toBlock: after.blockNumber,
+    changes,
+  };
+}
+
+export default diffSnapshots;
@@ -0,0 +1,200 @@
+import { ethers } from 'ethers';
+import { getConfig, getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, ethBalance, getBlockTag } from '../utils/multicall.js';
+import getDepositors from '../nfts/getDepositors.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+];
+
+const RESERVE_FIELDS = ['totalLiquidity', 'totalUsage', 'liquidityIndex', 'usageIndex', 'lastUpdateTimestamp'];
+const RATE_FIELDS = [
+  'currentLiquidityRate',
+  'currentUsageRate',
+  'primeRate',
+  'baseRate',
+  'optimalRate',
+  'maxRate',
+  'optimalUtilizationRate',
+  'protocolFeeRate',
+];
+
+// Raw integers as decimal strings, so that snapshots go through JSON unchanged
+const raw = (value) => (value === null || value === undefined ? null : value.toString());
+
+const pick = (struct, fields) => Object.fromEntries(fields.map((field) => [field, raw(struct?.[field])]));
+
+// Lowercased address => config id of every deployed contract, names the custodian of an NFT
+const getAddressBook = (config) => {
+  const book = {};
+  for (const section of ['contracts', 'pools', 'nfts', 'assets']) {
+    for (const [id, { contract }] of Object.entries(config[section] ?? {})) {
+      if (contract && contract !== ethers.ZeroAddress) {
+        book[contract.toLowerCase()] = id;
+      }
+    }
+  }
+  return book;
+};
+
+/**
+ * Protocol state at one block, for e2e assertions and sanity checks around upgrades (see diffSnapshots).
+ *
+ * Every amount is the raw integer as a decimal string whatever the amount format, so a snapshot
+ * serializes with JSON.stringify and compares exactly. It holds the LendingPool reserve and rates,
+ * the StabilityPool totals, the total supply of every configured token, the positions of `users`
+ * and the owner of every RAAC NFT. NFTs held by a protocol contract name it as `custodian`, the
+ * LendingPool ones also name their `depositor`, followed from `fromBlock` (the LendingPool deployment block) on.
+ * @param {number} chainId
+ * @param {Array<string|ethers.Signer>} users - Addresses or signers
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag='latest']
+ * @param {Array<string|number|bigint>} [options.tokenIds] - NFTs to read, every minted NFT by default
+ * @param {number} [options.fromBlock=0]
+ * @returns {Promise<Object>}
+ */
+async function takeSnapshot(chainId, users, provider, { blockTag = 'latest', tokenIds, fromBlock = 0 } = {}) {
+  try {
+    const config = getConfig(chainId);
+    const runner = provider.provider ?? provider;
+    const addresses = await Promise.all(users.map((user) => (typeof user === 'string' ? user : user.getAddress())));
+
+    const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, getABI('lendingpool'), provider);
+    const stabilityPoolAddress = getContractAddress(chainId, 'stabilitypool');
+    const stabilityPoolContract = new ethers.Contract(stabilityPoolAddress, getABI('stabilitypool'), provider);
+    const raacNFTAddress = getContractAddress(chainId, 'raacnft');
+    const raacNFTContract = new ethers.Contract(raacNFTAddress, getABI('raacnft'), provider);
+
+    const tokens = Object.values(config.assets)
+      .filter(({ id, contract }) => id !== 'eth' && contract && contract !== ethers.ZeroAddress);
+    const balanceAssets = [...(config.assets.eth ? [config.assets.eth] : []), ...tokens];
+    const erc20 = (address) => new ethers.Contract(address, ERC20_ABI, provider);
+
+    const blockNumber = await getBlockTag(provider, blockTag);
+    const block = await runner.getBlock(blockNumber);
+
+    const [
+      reserve,
+      rateData,
+      normalizedIncome,
+      normalizedDebt,
+      primeRate,
+      liquidationThreshold,
+      healthFactorLiquidationThreshold,
+      totalDeposits,
+      exchangeRate,
+      nftSupply,
+      ...supplies
+    ] = await multicall(chainId, provider, [
+      call(lendingPoolContract, 'reserve', [], {}),
+      call(lendingPoolContract, 'rateData', [], {}),
+      call(lendingPoolContract, 'getNormalizedIncome', [], null),
+      call(lendingPoolContract, 'getNormalizedDebt', [], null),
+      call(lendingPoolContract, 'getPrimeRate', [], null),
+      call(lendingPoolContract, 'liquidationThreshold', [], null),
+      call(lendingPoolContract, 'healthFactorLiquidationThreshold', [], null),
+      call(stabilityPoolContract, 'getTotalDeposits', [], null),
+      call(stabilityPoolContract, 'getExchangeRate', [], null),
+      call(raacNFTContract, 'totalSupply', [], 0n),
+      ...tokens.map((asset) => call(erc20(asset.contract), 'totalSupply', [], null)),
+    ], blockNumber);
+
+    // Per user: one balance per asset, then the LendingPool and StabilityPool position
+    const userCalls = (address) => [
+      ...balanceAssets.map((asset) => (asset.id === 'eth'
+        ? ethBalance(chainId, provider, address, null)
+        : call(erc20(asset.contract), 'balanceOf', [address], null))),
+      call(lendingPoolContract, 'getUserDebt', [address], null),
+      call(lendingPoolContract, 'getUserCollateralValue', [address], null),
+      call(lendingPoolContract, 'calculateHealthFactor', [address], null),
+      call(lendingPoolContract, 'isUnderLiquidation', [address], null),
+      call(stabilityPoolContract, 'getUserDeposit', [address], null),
+      call(stabilityPoolContract, 'getPendingRewards', [address], null),
+    ];
+    const callsPerUser = balanceAssets.length + 6;
+    const positions = await multicall(chainId, provider, addresses.flatMap(userCalls), blockNumber);
+
+    const ids = tokenIds
+      ? tokenIds.map((tokenId) => BigInt(tokenId))
+      : await multicall(chainId, provider, Array.from({ length: Number(nftSupply) }, (_, index) =>
+        call(raacNFTContract, 'tokenByIndex', [index])
+      ), blockNumber);
+    const owners = await multicall(chainId, provider, ids.map((tokenId) =>
+      call(raacNFTContract, 'ownerOf', [tokenId], null)
+    ), blockNumber);
+
+    const addressBook = getAddressBook(config);
+    const depositors = owners.some((owner) => owner?.toLowerCase() === lendingPoolAddress.toLowerCase())
+      ? await getDepositors(chainId, provider, { fromBlock, toBlock: blockNumber })
+      : {};
+
+    const nfts = {};
+    ids.forEach((tokenId, index) => {
+      const owner = owners[index];
+      const custodian = owner ? addressBook[owner.toLowerCase()] ?? null : null;
+      nfts[tokenId.toString()] = {
+        owner,
+        custodian,
+        depositor: custodian === 'lendingpool' ? depositors[tokenId.toString()] ?? null : null,
+      };
+    });
+
+    const userSnapshots = {};
+    addresses.forEach((address, index) => {
+      const values = positions.slice(index * callsPerUser, (index + 1) * callsPerUser);
+      const [debt, collateralValue, healthFactor, isUnderLiquidation, deposit, pendingRewards] = values.slice(balanceAssets.length);
+      userSnapshots[address] = {
+        balances: Object.fromEntries(balanceAssets.map((asset, i) => [asset.id, raw(values[i])])),
+        lendingPool: {
+          debt: raw(debt),
+          collateralValue: raw(collateralValue),
+          healthFactor: raw(healthFactor),
+          isUnderLiquidation,
+          nfts: Object.keys(nfts).filter((tokenId) => nfts[tokenId].depositor?.toLowerCase() === address.toLowerCase()),
+        },
+        stabilityPool: {
+          deposit: raw(deposit),
+          pendingRewards: raw(pendingRewards),
+        },
+        nfts: Object.keys(nfts).filter((tokenId) => nfts[tokenId].owner?.toLowerCase() === address.toLowerCase()),
+      };
+    });
+
+    return {
+      chainId: Number(chainId),
+      blockNumber,
+      timestamp: block.timestamp,
+      lendingPool: {
+        address: lendingPoolAddress,
+        reserve: pick(reserve, RESERVE_FIELDS),
+        rates: pick(rateData, RATE_FIELDS),
+        normalizedIncome: raw(normalizedIncome),
+        normalizedDebt: raw(normalizedDebt),
+        primeRate: raw(primeRate),
+        liquidationThreshold: raw(liquidationThreshold),
+        healthFactorLiquidationThreshold: raw(healthFactorLiquidationThreshold),
+      },
+      stabilityPool: {
+        address: stabilityPoolAddress,
+        totalDeposits: raw(totalDeposits),
+        exchangeRate: raw(exchangeRate),
+      },
+      supplies: {
+        ...Object.fromEntries(tokens.map((asset, index) => [asset.id, raw(supplies[index])])),
+        raacnft: raw(nftSupply),
+      },
+      users: userSnapshots,
+      nfts,
+    };
+  } catch (error) {
+    console.error('Error taking snapshot:', error);
+    throw parseContractError(error, { message: 'Failed to take snapshot' });
+  }
+}
+
+export default takeSnapshot;
@@ -0,0 +1,190 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { ethers } from 'ethers';
+
+const stringify = (value) => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? `${item}n` : item));
+
+/**
+ * Top-level keys of `next` whose value differs from `previous`, all of them when there is no previous value
+ * @param {Object|null} previous
+ * @param {Object} next
+ * @param {string[]} [ignore] - Keys never reported, e.g. the block number of the read
+ * @returns {Object}
+ */
+export const diffValues = (previous, next, ignore = []) => {
+    const diff = {};
+    for (const key of Object.keys(next)) {
+        if (ignore.includes(key)) continue;
+        if (!previous || stringify(previous[key]) !== stringify(next[key])) {
+            diff[key] = next[key];
+        }
+    }
+    return diff;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A WebSocketProvider cannot reopen its socket, a new provider is created on the same URL
+const reopenWebSocket = (provider) => new ethers.WebSocketProvider(provider.websocket.url);
+
+/**
+ * Live value read on new blocks and/or logs, pushed only when it changes.
+ *
+ * Works with a WebSocketProvider (pushed blocks and logs) and with a JsonRpcProvider, which polls
+ * every `pollingInterval`. When the socket of a WebSocketProvider closes, the subscription
+ * reattaches to a new provider (`reconnect(previousProvider)`, a WebSocketProvider on the same URL by default)
+ * and reads the value again, so changes missed while disconnected are still pushed.
+ *
+ * Events:
+ * - 'change' ({ diff, value, previous, blockNumber }), the first one carries the whole value
+ * - 'disconnected' / 'reconnected' ({ attempt, provider })
+ * - 'error' (error)
+ */
+export class Subscription extends EventEmitter {
+    constructor({
+        provider,
+        read,
+        filters = [],
+        watchBlocks = true,
+        ignore = ['blockNumber'],
+        reconnect = reopenWebSocket,
+        reconnectDelay = 1000,
+        maxReconnectAttempts = 10,
+    }) {
+        super();
+        this.provider = provider;
+        this.read = read;
+        this.filters = filters;
+        this.watchBlocks = watchBlocks;
+        this.ignore = ignore;
+        this.reconnect = reconnect;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectAttempts = maxReconnectAttempts;
+
+        this.value = null;
+        this.blockNumber = null;
+        this.active = false;
+        this.reading = null;
+        this.pending = null;
+
+        this.onBlock = this.onBlock.bind(this);
+        this.onLog = this.onLog.bind(this);
+        this.onClose = this.onClose.bind(this);
+    }
+
+    async start() {
+        this.active = true;
+        await this.attach();
+        await this.refresh();
+        return this;
+    }
+
+    async unsubscribe() {
+        if (!this.active) return;
+        this.active = false;
+        this.pending = null;
+        await this.detach();
+    }
+
+    async attach() {
+        if (this.watchBlocks) {
+            await this.provider.on('block', this.onBlock);
+        }
+        for (const filter of this.filters) {
+            await this.provider.on(filter, this.onLog);
+        }
+        this.provider.websocket?.addEventListener?.('close', this.onClose);
+    }
+
+    async detach() {
+        this.provider.websocket?.removeEventListener?.('close', this.onClose);
+        if (this.watchBlocks) {
+            await this.provider.off('block', this.onBlock);
+        }
+        for (const filter of this.filters) {
+            await this.provider.off(filter, this.onLog);
+        }
+    }
+
+    async onBlock(blockNumber) {
+        try {
+            await this.refresh(blockNumber);
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    async onLog(log) {
+        try {
+            await this.refresh(Math.max(log.blockNumber, this.blockNumber ?? 0));
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Reads the value and pushes the diff. Reads never overlap: a refresh requested during a read
+     * runs once the read is done, with the latest requested block.
+     * @param {number|string} [blockTag='latest']
+     */
+    async refresh(blockTag = 'latest') {
+        if (this.reading) {
+            this.pending = blockTag;
+            return this.reading;
+        }
+        this.reading = (async () => {
+            let nextTag = blockTag;
+            while (nextTag !== null && this.active) {
+                this.pending = null;
+                // Logs and blocks can arrive out of order, older blocks are not read again
+                if (typeof nextTag !== 'number' || this.blockNumber === null || nextTag >= this.blockNumber) {
+                    this.update(await this.read(nextTag, this.provider), nextTag);
+                }
+                nextTag = this.pending;
+            }
+        })().finally(() => {
+            this.reading = null;
+            this.pending = null;
+        });
+        return this.reading;
+    }
+
+    update(value, blockTag) {
+        if (!this.active) return;
+        const diff = diffValues(this.value, value, this.ignore);
+        const previous = this.value;
+        this.value = value;
+        if (typeof blockTag === 'number') {
+            this.blockNumber = blockTag;
+        }
+        if (Object.keys(diff).length > 0) {
+            this.emit('change', { diff, value, previous, blockNumber: this.blockNumber });
+        }
+    }
+
+    async onClose() {
+        if (!this.active) return;
+        this.emit('disconnected');
+
+        for (let attempt = 1; attempt <= this.maxReconnectAttempts && this.active; attempt++) {
+            await sleep(this.reconnectDelay * attempt);
+            if (!this.active) return;
+            try {
+                await this.detach().catch(() => {});
+                const previous = this.provider;
+                this.provider = await this.reconnect(previous);
+                if (previous !== this.provider) previous.destroy?.();
+                await this.attach();
+                await this.refresh();
+                this.emit('reconnected', { attempt, provider: this.provider });
+                return;
+            } catch (error) {
+                this.emit('error', error);
+            }
+        }
+        if (this.active) {
+            this.emit('error', new Error(`Failed to reconnect after ${this.maxReconnectAttempts} attempts`));
+        }
+    }
+}
+
+export default Subscription;
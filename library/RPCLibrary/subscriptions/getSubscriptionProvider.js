@@ -0,0 +1,20 @@
+import { ethers } from 'ethers';
+
+/**
+ * Provider for subscriptions: pushed blocks and logs over WebSocket (ws:// or wss://),
+ * polling every `pollingInterval` ms otherwise
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.pollingInterval=4000]
+ * @returns {ethers.WebSocketProvider|ethers.JsonRpcProvider}
+ */
+function getSubscriptionProvider(url, { pollingInterval = 4000 } = {}) {
+  if (/^wss?:\/\//i.test(url)) {
+    return new ethers.WebSocketProvider(url);
+  }
+  const provider = new ethers.JsonRpcProvider(url);
+  provider.pollingInterval = pollingInterval;
+  return provider;
+}
+
+export default getSubscriptionProvider;
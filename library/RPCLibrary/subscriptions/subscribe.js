@@ -0,0 +1,28 @@
+import subscribeToLoan from './subscribeToLoan.js';
+import subscribeToHousePrice from './subscribeToHousePrice.js';
+import subscribeToStabilityPool from './subscribeToStabilityPool.js';
+import subscribeToAuction from './subscribeToAuction.js';
+
+export const SUBSCRIPTIONS = {
+  loan: subscribeToLoan,
+  housePrice: subscribeToHousePrice,
+  stabilityPool: subscribeToStabilityPool,
+  auction: subscribeToAuction,
+};
+
+/**
+ * Subscribes by name, the arguments are the ones of the matching subscribeTo* function:
+ * `subscribe('loan', chainId, tokenId, provider, onChange, options)` is `subscribeToLoan(chainId, tokenId, provider, onChange, options)`
+ * @param {'loan'|'housePrice'|'stabilityPool'|'auction'} name
+ * @param {...*} args
+ * @returns {Promise<Subscription>}
+ */
+async function subscribe(name, ...args) {
+  const subscribeTo = SUBSCRIPTIONS[name];
+  if (!subscribeTo) {
+    throw new Error(`Unknown subscription ${name}, expected one of ${Object.keys(SUBSCRIPTIONS).join(', ')}`);
+  }
+  return subscribeTo(...args);
+}
+
+export default subscribe;
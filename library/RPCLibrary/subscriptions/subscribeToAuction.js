@@ -0,0 +1,26 @@
+import getAuction from '../contracts/zeno/getAuction.js';
+import Subscription from './Subscription.js';
+
+/**
+ * Pushes the details of a ZENO auction (status, live price, remaining ZENO, last bid, bids of `address`)
+ * when they change. The price decays with time, so every block is read.
+ * @param {number} chainId
+ * @param {string} auctionAddress
+ * @param {ethers.Provider} provider
+ * @param {Function} onChange - (diff, value) on every change, the whole value first
+ * @param {Object} [options] - Subscription options, plus `address` for the bids of a user and `pricePoints`
+ * @returns {Promise<Subscription>}
+ */
+async function subscribeToAuction(chainId, auctionAddress, provider, onChange, { address = null, pricePoints, ...options } = {}) {
+  const subscription = new Subscription({
+    provider,
+    read: (blockTag, currentProvider) => getAuction(chainId, auctionAddress, address, currentProvider, pricePoints, blockTag),
+    ...options,
+  });
+  if (onChange) {
+    subscription.on('change', ({ diff, value }) => onChange(diff, value));
+  }
+  return subscription.start();
+}
+
+export default subscribeToAuction;
@@ -0,0 +1,38 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import getLatestPrice from '../contracts/housePrices/getLatestPrice.js';
+import Subscription from './Subscription.js';
+
+/**
+ * Pushes `{ tokenId, price, timestamp }` of a house when it changes.
+ * Prices only change with a PriceUpdated event, blocks are not watched.
+ * @param {number} chainId
+ * @param {number|bigint} tokenId
+ * @param {ethers.Provider} provider
+ * @param {Function} onChange - (diff, value) on every change, the whole value first
+ * @param {Object} [options] - Subscription options (reconnect, reconnectDelay, ...)
+ * @returns {Promise<Subscription>}
+ */
+async function subscribeToHousePrice(chainId, tokenId, provider, onChange, options = {}) {
+  const raacHousePricesAddress = getContractAddress(chainId, 'raachouseprices');
+  const priceUpdated = ethers.Interface.from(getABI('raachouseprices')).getEvent('PriceUpdated');
+
+  const subscription = new Subscription({
+    provider,
+    read: async (blockTag, currentProvider) => {
+      const { price, timestamp } = await getLatestPrice(chainId, tokenId, currentProvider, blockTag);
+      return { tokenId: tokenId.toString(), price, timestamp };
+    },
+    // Older deployments without the event are followed block by block
+    filters: priceUpdated ? [{ address: raacHousePricesAddress, topics: [priceUpdated.topicHash] }] : [],
+    watchBlocks: !priceUpdated,
+    ...options,
+  });
+  if (onChange) {
+    subscription.on('change', ({ diff, value }) => onChange(diff, value));
+  }
+  return subscription.start();
+}
+
+export default subscribeToHousePrice;
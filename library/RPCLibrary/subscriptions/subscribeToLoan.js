@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { multicall, call, getBlockTag } from '../utils/multicall.js';
+import getHealthFactor from '../pools/lendingPool/getHealthFactor.js';
+import Subscription from './Subscription.js';
+import { formatAmount } from '../amounts/units.js';
+
+/**
+ * Pushes the loan backed by an NFT when it changes: collateral status, NFT price, and the debt,
+ * health factor and liquidation status of the borrower who deposited it. Debt accrues every block,
+ * so every block is read.
+ *
+ * The LendingPool does not map NFTs to borrowers, the borrower is followed from the NFTDeposited
+ * and NFTWithdrawn events, from `fromBlock` on, `batchSize` blocks per eth_getLogs like the EventIndexer.
+ * `fromBlock` defaults to the block of the first read: the borrower of an NFT deposited before it is
+ * only known with an earlier `fromBlock`, e.g. the block of the deposit or of the LendingPool deployment.
+ * @param {number} chainId
+ * @param {number|bigint} tokenId
+ * @param {ethers.Provider} provider
+ * @param {Function} onChange - (diff, value) on every change, the whole value first
+ * @param {Object} [options] - Subscription options, plus `fromBlock` (current block by default) and `batchSize`
+ * @returns {Promise<Subscription>}
+ */
+async function subscribeToLoan(chainId, tokenId, provider, onChange, { fromBlock, batchSize = 2000, ...options } = {}) {
+  const lendingPoolAddress = getContractAddress(chainId, 'lendingpool');
+  const raacNFTAddress = getContractAddress(chainId, 'raacnft');
+  const lendingPoolInterface = ethers.Interface.from(getABI('lendingpool'));
+  const collateralTopics = ['NFTDeposited', 'NFTWithdrawn'].map((name) => lendingPoolInterface.getEvent(name).topicHash);
+
+  let borrower = null;
+  let scannedTo = fromBlock === undefined ? null : fromBlock - 1;
+
+  const followBorrower = async (currentProvider, toBlock) => {
+    if (scannedTo === null) {
+      scannedTo = toBlock - 1;
+    }
+    while (scannedTo < toBlock) {
+      const batchEnd = Math.min(scannedTo + batchSize, toBlock);
+      const logs = await currentProvider.getLogs({
+        address: lendingPoolAddress,
+        topics: [collateralTopics],
+        fromBlock: scannedTo + 1,
+        toBlock: batchEnd,
+      });
+      for (const log of logs) {
+        const { name, args } = lendingPoolInterface.parseLog(log);
+        if (args.tokenId === BigInt(tokenId)) {
+          borrower = name === 'NFTDeposited' ? args.user : null;
+        }
+      }
+      scannedTo = batchEnd;
+    }
+  };
+
+  const read = async (blockTag, currentProvider) => {
+    const lendingPoolContract = new ethers.Contract(lendingPoolAddress, lendingPoolInterface, currentProvider);
+    const raacNFTContract = new ethers.Contract(raacNFTAddress, getABI('raacnft'), currentProvider);
+    const blockNumber = await getBlockTag(currentProvider, blockTag);
+
+    const [owner, price] = await multicall(chainId, currentProvider, [
+      call(raacNFTContract, 'ownerOf', [tokenId], ethers.ZeroAddress),
+      call(lendingPoolContract, 'getNFTPrice', [tokenId], 0n),
+    ], blockNumber);
+    await followBorrower(currentProvider, blockNumber);
+
+    // Liquidated NFTs leave the LendingPool without an NFTWithdrawn event
+    const isCollateral = owner.toLowerCase() === lendingPoolAddress.toLowerCase();
+    const position = isCollateral && borrower
+      ? await getHealthFactor(chainId, borrower, currentProvider, blockNumber)
+      : null;
+
+    return {
+      tokenId: tokenId.toString(),
+      owner: isCollateral ? borrower : owner,
+      isCollateral,
+      price: formatAmount(price),
+      debt: position?.debt ?? formatAmount(0n, { chainId, asset: 'crvusd' }),
+      collateralValue: position?.collateralValue ?? formatAmount(0n, { chainId, asset: 'crvusd' }),
+      healthFactor: position?.healthFactor ?? Infinity,
+      isUnderLiquidation: position?.isUnderLiquidation ?? false,
+      isLiquidatable: position?.isLiquidatable ?? false,
+      gracePeriodEnd: position?.gracePeriodEnd ?? null,
+      blockNumber,
+    };
+  };
+
+  const subscription = new Subscription({ provider, read, ...options });
+  if (onChange) {
+    subscription.on('change', ({ diff, value }) => onChange(diff, value));
+  }
+  return subscription.start();
+}
+
+export default subscribeToLoan;
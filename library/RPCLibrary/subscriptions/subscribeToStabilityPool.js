@@ -0,0 +1,26 @@
+import getStabilityPoolInfo from '../pools/getStabilityPoolInfo.js';
+import Subscription from './Subscription.js';
+
+/**
+ * Pushes the Stability Pool info of an address (deposit, pending rewards, totals, APY) when it changes.
+ * Rewards accrue every block, so every block is read.
+ * @param {number} chainId
+ * @param {string} address
+ * @param {ethers.Provider} provider
+ * @param {Function} onChange - (diff, value) on every change, the whole value first
+ * @param {Object} [options] - Subscription options (reconnect, reconnectDelay, ...)
+ * @returns {Promise<Subscription>}
+ */
+async function subscribeToStabilityPool(chainId, address, provider, onChange, options = {}) {
+  const subscription = new Subscription({
+    provider,
+    read: (blockTag, currentProvider) => getStabilityPoolInfo(chainId, address, currentProvider, blockTag),
+    ...options,
+  });
+  if (onChange) {
+    subscription.on('change', ({ diff, value }) => onChange(diff, value));
+  }
+  return subscription.start();
+}
+
+export default subscribeToStabilityPool;
@@ -0,0 +1,48 @@
+/**
+ * Hands out consecutive nonces for one account, starting from its pending transaction count, so that
+ * many transactions can be signed and broadcast without waiting for the previous ones to be mined.
+ *
+ * Every TransactionQueue of the same signer should share one NonceManager.
+ */
+export class NonceManager {
+  constructor(signer) {
+    this.signer = signer;
+    this.nextNonce = null;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<number>} The next unused nonce
+   */
+  next() {
+    // Serialized, concurrent callers never get the same nonce
+    const reserved = this.lock.then(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.signer.getNonce('pending');
+      }
+      return this.nextNonce++;
+    });
+    this.lock = reserved.catch(() => {});
+    return reserved;
+  }
+
+  /**
+   * Gives back a nonce that was not broadcast. Only the last one can be reused as is,
+   * any other one leaves a gap and the count is read again from the chain.
+   * @param {number} nonce
+   */
+  release(nonce) {
+    if (this.nextNonce !== null && nonce === this.nextNonce - 1) {
+      this.nextNonce = nonce;
+    } else {
+      this.reset();
+    }
+  }
+
+  // Reads the count from the chain again on the next call, e.g. after transactions were sent elsewhere
+  reset() {
+    this.nextNonce = null;
+  }
+}
+
+export default NonceManager;
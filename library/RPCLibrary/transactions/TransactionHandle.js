@@ -0,0 +1,165 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  SIGNED: 'signed',
+  SENT: 'sent',
+  MINED: 'mined',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+/**
+ * Handle of a transaction sent through sendTransaction.
+ *
+ * Events:
+ * - 'signed' ({ hash, transaction }) once the wallet has signed the transaction
+ * - 'sent' (response) once the transaction is broadcast
+ * - 'mined' (receipt) once the transaction is included in a block
+ * - 'confirmed' ({ receipt, confirmations }) for every confirmation, up to the requested number
+ * - 'replaced' ({ reason, cancelled, replacement, receipt }) when the wallet sped up or cancelled the transaction,
+ *   a sped up transaction keeps going through the lifecycle with the replacement
+ * - 'failed' (error) when the transaction fails at any stage, `error.stage` tells which one
+ *
+ * The handle is thenable: awaiting it resolves with the result of the write (the receipt unless
+ * the write says otherwise) once the requested confirmations are reached, or rejects with the failure.
+ */
+export class TransactionHandle extends EventEmitter {
+  constructor({ confirmations = 1 } = {}) {
+    super();
+    this.status = TX_STATUS.PENDING;
+    this.hash = null;
+    this.response = null;
+    this.receipt = null;
+    this.confirmations = 0;
+    this.targetConfirmations = confirmations;
+    this.result = undefined;
+    this.error = null;
+
+    this.isTracking = false;
+    this.waiters = [];
+
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    // Failures reach the caller through 'failed', await or wait
+    this.done.catch(() => {});
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.done.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.done.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.done.finally(onFinally);
+  }
+
+  /**
+   * Resolves with the receipt once the transaction has `confirmations` confirmations
+   * @param {number} [confirmations=1]
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  wait(confirmations = 1) {
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ confirmations, resolve, reject });
+      if (confirmations > this.targetConfirmations) {
+        this.targetConfirmations = confirmations;
+        if (this.receipt && !this.error) this.trackConfirmations();
+      }
+      this.settleWaiters();
+    });
+  }
+
+  signed(hash, transaction) {
+    this.status = TX_STATUS.SIGNED;
+    this.hash = hash;
+    this.emit('signed', { hash, transaction });
+  }
+
+  sent(response) {
+    this.status = TX_STATUS.SENT;
+    this.hash = response.hash;
+    this.response = response;
+    this.emit('sent', response);
+  }
+
+  replaced({ reason, cancelled, replacement, receipt }) {
+    this.emit('replaced', { reason, cancelled, replacement, receipt });
+    if (!cancelled) {
+      this.hash = replacement.hash;
+      this.response = replacement;
+    }
+  }
+
+  // `response` is the one of the mined hash when the transaction was broadcast several times
+  mined(receipt, response = this.response) {
+    this.status = TX_STATUS.MINED;
+    this.hash = receipt.hash;
+    this.receipt = receipt;
+    this.response = response;
+    this.confirmations = 1;
+    this.emit('mined', receipt);
+    this.emit('confirmed', { receipt, confirmations: 1 });
+    this.settleWaiters();
+    this.trackConfirmations();
+  }
+
+  async trackConfirmations() {
+    if (this.isTracking) return;
+    this.isTracking = true;
+    try {
+      while (this.confirmations < this.targetConfirmations && !this.error) {
+        const confirmations = this.confirmations + 1;
+        const receipt = await this.response.wait(confirmations);
+        this.receipt = receipt;
+        this.confirmations = confirmations;
+        this.emit('confirmed', { receipt, confirmations });
+        this.settleWaiters();
+      }
+      if (this.confirmations >= this.targetConfirmations) {
+        this.status = TX_STATUS.CONFIRMED;
+      }
+    } catch (error) {
+      error.stage = error.stage ?? 'confirmation';
+      this.fail(error);
+    } finally {
+      this.isTracking = false;
+    }
+  }
+
+  resolve(result) {
+    this.result = result;
+    this.resolveDone(result);
+  }
+
+  fail(error) {
+    if (this.error) return;
+    this.status = TX_STATUS.FAILED;
+    this.error = error;
+    if (error.receipt) this.receipt = error.receipt;
+    this.emit('failed', error);
+    this.settleWaiters();
+    this.rejectDone(error);
+  }
+
+  settleWaiters() {
+    this.waiters = this.waiters.filter(({ confirmations, resolve, reject }) => {
+      if (this.error) {
+        reject(this.error);
+        return false;
+      }
+      if (this.confirmations >= confirmations) {
+        resolve(this.receipt);
+        return false;
+      }
+      return true;
+    });
+  }
+}
+
+export default TransactionHandle;
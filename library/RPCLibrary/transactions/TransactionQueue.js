@@ -0,0 +1,352 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { ethers } from 'ethers';
+import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import { parseContractError } from '../errors/decodeError.js';
+import TransactionHandle from './TransactionHandle.js';
+import NonceManager from './NonceManager.js';
+import { GAS_LIMIT_BUFFER, buildTransaction, withGasBuffer, withStage } from './sendTransaction.js';
+
+const bump = (value, percent) => (value == null ? value : value * BigInt(100 + percent) / 100n);
+
+const max = (a, b) => (a == null || b == null ? a ?? b : (a > b ? a : b));
+
+const isNonceError = (error) => error?.code === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used/i.test(error?.message ?? '');
+
+/**
+ * Pipelines transactions of one signer: transactions are signed and broadcast one after the other with
+ * consecutive nonces, without waiting for the previous receipt. Receipts are then tracked in the background:
+ * a transaction settles as soon as one of its broadcasts is mined.
+ *
+ * Every `pollInterval` ms, a pending transaction the node no longer knows about for `dropTimeout` ms is
+ * considered dropped and broadcast again with the same nonce and fees bumped by `feeBump` percent, up to
+ * `maxRebroadcasts` times.
+ *
+ * Transactions are not simulated by default, as a transaction can depend on one of the batch that is not
+ * mined yet. Gas is still estimated against the latest block: such transactions need a `gasLimit`.
+ *
+ * With `stopOnFailure`, the transactions not broadcast yet when one fails are cancelled (stage 'cancelled')
+ * until the next drain, as when sending them one by one. The ones already broadcast still get mined.
+ *
+ * Events:
+ * - 'sent' ({ nonce, hash })
+ * - 'mined' ({ nonce, receipt })
+ * - 'rebroadcast' ({ nonce, hash, previousHash })
+ * - 'failed' ({ nonce, error }), nonce is null when the transaction failed before being broadcast
+ * - 'idle' once every transaction is settled
+ */
+export class TransactionQueue extends EventEmitter {
+  /**
+   * @param {ethers.Signer} signer
+   * @param {Object} [options] - Defaults of every transaction of the queue, see add
+   * @param {NonceManager} [options.nonceManager] - To share nonces with other queues of the signer
+   * @param {number} [options.pollInterval=4000] - ms between two checks for dropped transactions
+   * @param {number} [options.dropTimeout=60000] - ms a transaction can be unknown to the node before being rebroadcast
+   * @param {number} [options.feeBump=15] - Percentage added to the fees of a rebroadcast, nodes require at least 10
+   * @param {number} [options.maxRebroadcasts=3]
+   * @param {boolean} [options.stopOnFailure=false] - Cancel the transactions queued after a failed one
+   */
+  constructor(signer, {
+    nonceManager,
+    pollInterval = 4000,
+    dropTimeout = 60000,
+    feeBump = 15,
+    maxRebroadcasts = 3,
+    stopOnFailure = false,
+    ...defaults
+  } = {}) {
+    super();
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.nonces = nonceManager ?? new NonceManager(signer);
+    this.pollInterval = pollInterval;
+    this.dropTimeout = dropTimeout;
+    this.feeBump = feeBump;
+    this.maxRebroadcasts = maxRebroadcasts;
+    this.stopOnFailure = stopOnFailure;
+    this.defaults = { confirmations: 1, gasBuffer: GAS_LIMIT_BUFFER, simulate: false, ...defaults };
+
+    this.sending = Promise.resolve();
+    this.pending = new Map();
+    this.handles = [];
+    this.failure = null;
+    this.timer = null;
+  }
+
+  /**
+   * Queues a transaction, it is broadcast once the ones queued before are
+   * @param {Object|Function} request - As for sendTransaction
+   * @param {Object} [options]
+   * @param {string} [options.errorMessage]
+   * @param {number} [options.confirmations=1]
+   * @param {number} [options.gasBuffer=GAS_LIMIT_BUFFER]
+   * @param {boolean} [options.simulate=false]
+   * @param {bigint} [options.gasLimit] - Skips the gas estimation
+   * @param {Function} [options.getResult]
+   * @returns {TransactionHandle}
+   */
+  add(request, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const handle = new TransactionHandle({ confirmations: settings.confirmations });
+    const entry = { handle, settings, contract: null, nonce: null };
+    this.handles.push(handle);
+
+    this.sending = this.sending.then(() => this.send(entry, request)).catch((error) => this.fail(entry, error));
+    return handle;
+  }
+
+  /**
+   * @param {Array<Object|Function>} requests
+   * @param {Object} [options]
+   * @returns {TransactionHandle[]}
+   */
+  addAll(requests, options) {
+    return requests.map((request) => this.add(request, options));
+  }
+
+  /**
+   * Waits for every transaction queued so far, then sends the next ones again after a failure
+   * @returns {Promise<Array<{ status: 'fulfilled'|'rejected', value?: *, reason?: Error }>>}
+   */
+  async drain() {
+    const handles = this.handles;
+    this.handles = [];
+    const results = await Promise.allSettled(handles);
+    this.failure = null;
+    return results;
+  }
+
+  /**
+   * @returns {Array<{ nonce: number, hash: string, hashes: string[], rebroadcasts: number }>}
+   */
+  getPending() {
+    return [...this.pending.values()].map(({ nonce, hashes, rebroadcasts }) => ({
+      nonce,
+      hash: hashes[hashes.length - 1],
+      hashes: [...hashes],
+      rebroadcasts,
+    }));
+  }
+
+  async send(entry, request) {
+    const { handle, settings } = entry;
+    if (this.failure) {
+      throw withStage(new Error(`Cancelled, a previous transaction failed: ${this.failure.message}`), 'cancelled');
+    }
+
+    let resolvedRequest;
+    let tx;
+    try {
+      resolvedRequest = typeof request === 'function' ? await request() : await request;
+      entry.contract = resolvedRequest.contract ?? null;
+      tx = await buildTransaction(this.signer, resolvedRequest);
+    } catch (error) {
+      throw withStage(error, 'prepare');
+    }
+
+    if (settings.simulate) {
+      try {
+        await (entry.contract
+          ? entry.contract.connect(this.signer)[resolvedRequest.method].staticCall(...(resolvedRequest.args ?? []), resolvedRequest.overrides ?? {})
+          : this.signer.call(tx));
+      } catch (error) {
+        throw withStage(error, 'preflight');
+      }
+    }
+
+    try {
+      if (tx.gasLimit == null) {
+        tx.gasLimit = settings.gasLimit ?? withGasBuffer(await this.signer.estimateGas(tx), settings.gasBuffer);
+      }
+      if (tx.gasPrice == null && tx.maxFeePerGas == null) {
+        Object.assign(tx, await estimateGasPrice(this.signer));
+      }
+    } catch (error) {
+      throw withStage(error, 'estimate');
+    }
+
+    let response;
+    for (let attempt = 0; !response; attempt++) {
+      entry.nonce = await this.nonces.next();
+      try {
+        response = await this.broadcast({ ...tx, nonce: entry.nonce }, handle);
+      } catch (error) {
+        // The account sent transactions outside of the queue, the count is read again once
+        if (isNonceError(error) && attempt === 0) {
+          this.nonces.reset();
+          continue;
+        }
+        this.nonces.release(entry.nonce);
+        entry.nonce = null;
+        throw withStage(error, 'send');
+      }
+    }
+
+    Object.assign(entry, {
+      tx: { ...tx, nonce: entry.nonce },
+      hashes: [response.hash],
+      responses: new Map([[response.hash, response]]),
+      lastSeen: Date.now(),
+      rebroadcasts: 0,
+    });
+    this.pending.set(entry.nonce, entry);
+    handle.sent(response);
+    this.emit('sent', { nonce: entry.nonce, hash: response.hash });
+    this.watch(entry, response);
+    this.schedule();
+  }
+
+  // Settles the entry once this broadcast is mined. The wait of the other broadcasts of the nonce fails
+  // with TRANSACTION_REPLACED, their own watch settles the entry
+  watch(entry, response) {
+    response.wait(1).then((receipt) => this.mined(entry, receipt), (error) => {
+      // Reverted transactions fail the wait with their receipt
+      if (error?.receipt?.hash === response.hash) {
+        this.mined(entry, error.receipt);
+      }
+    });
+  }
+
+  mined(entry, receipt) {
+    if (this.pending.get(entry.nonce) !== entry) return;
+    this.pending.delete(entry.nonce);
+    this.settle(entry, receipt);
+    this.emitIdle();
+  }
+
+  emitIdle() {
+    if (this.pending.size === 0) {
+      this.emit('idle');
+    }
+  }
+
+  async broadcast(tx, handle) {
+    // Local wallets sign before broadcasting, wallets behind a JSON-RPC provider do both in one step
+    if (this.signer instanceof ethers.BaseWallet) {
+      const populated = await this.signer.populateTransaction(tx);
+      const signed = await this.signer.signTransaction(populated);
+      handle.signed(ethers.keccak256(signed), ethers.Transaction.from(signed));
+      return this.provider.broadcastTransaction(signed);
+    }
+    const response = await this.signer.sendTransaction(tx);
+    handle.signed(response.hash, response);
+    return response;
+  }
+
+  schedule() {
+    if (this.timer || this.pending.size === 0) return;
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        // Transient provider errors, the next poll tries again
+      }
+      this.timer = null;
+      this.schedule();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Checks every pending transaction once: settles the mined ones and rebroadcasts the dropped ones
+   */
+  async poll() {
+    for (const entry of [...this.pending.values()]) {
+      const receipts = await Promise.all(entry.hashes.map((hash) => this.provider.getTransactionReceipt(hash)));
+      const receipt = receipts.find(Boolean);
+      if (receipt) {
+        this.mined(entry, receipt);
+        continue;
+      }
+
+      const known = await Promise.all(entry.hashes.map((hash) => this.provider.getTransaction(hash)));
+      if (known.some(Boolean)) {
+        entry.lastSeen = Date.now();
+      } else if (Date.now() - entry.lastSeen >= this.dropTimeout) {
+        await this.rebroadcast(entry);
+      }
+    }
+  }
+
+  async rebroadcast(entry) {
+    const { nonce, handle } = entry;
+    const address = await this.signer.getAddress();
+    if (await this.provider.getTransactionCount(address, 'latest') > nonce) {
+      // The nonce was used by a transaction sent outside of the queue
+      this.pending.delete(nonce);
+      this.fail(entry, withStage(new Error(`Transaction ${entry.hashes[0]} was replaced by another transaction with nonce ${nonce}`), 'replaced'));
+      this.emitIdle();
+      return;
+    }
+    if (entry.rebroadcasts >= this.maxRebroadcasts) {
+      this.pending.delete(nonce);
+      this.fail(entry, withStage(new Error(`Transaction ${entry.hashes[0]} dropped ${entry.rebroadcasts + 1} times`), 'send'));
+      this.emitIdle();
+      return;
+    }
+
+    const fees = await estimateGasPrice(this.signer);
+    const tx = {
+      ...entry.tx,
+      ...(entry.tx.gasPrice != null
+        ? { gasPrice: max(bump(entry.tx.gasPrice, this.feeBump), fees.gasPrice) }
+        : {
+          maxFeePerGas: max(bump(entry.tx.maxFeePerGas, this.feeBump), fees.maxFeePerGas),
+          maxPriorityFeePerGas: max(bump(entry.tx.maxPriorityFeePerGas, this.feeBump), fees.maxPriorityFeePerGas),
+        }),
+    };
+    const previousHash = entry.hashes[entry.hashes.length - 1];
+    const replacement = await this.broadcast(tx, handle);
+
+    Object.assign(entry, { tx, lastSeen: Date.now(), rebroadcasts: entry.rebroadcasts + 1 });
+    entry.hashes.push(replacement.hash);
+    entry.responses.set(replacement.hash, replacement);
+    handle.replaced({ reason: 'repriced', cancelled: false, replacement, receipt: null });
+    this.emit('rebroadcast', { nonce, hash: replacement.hash, previousHash });
+    this.watch(entry, replacement);
+  }
+
+  async settle(entry, receipt) {
+    const { handle, settings } = entry;
+    if (receipt.status === 0) {
+      const reverted = new Error(`Transaction ${receipt.hash} reverted`);
+      reverted.receipt = receipt;
+      this.fail(entry, withStage(reverted, 'mined'));
+      return;
+    }
+    // Any broadcast of the nonce can be the one mined, the confirmations are counted on that one
+    handle.mined(receipt, entry.responses.get(receipt.hash));
+    this.emit('mined', { nonce: entry.nonce, receipt });
+    try {
+      await handle.wait(settings.confirmations);
+      handle.resolve(settings.getResult ? await settings.getResult(receipt) : receipt);
+    } catch (error) {
+      this.fail(entry, error);
+    }
+  }
+
+  fail(entry, error) {
+    const { handle, settings, contract } = entry;
+    // Failures while tracking confirmations already failed the handle
+    if (!handle.error) {
+      const failure = parseContractError(error, {
+        message: settings.errorMessage,
+        abi: contract?.interface,
+        address: contract?.target,
+      });
+      failure.receipt = error.receipt ?? handle.receipt ?? undefined;
+      handle.fail(failure);
+    }
+    if (this.stopOnFailure && !this.failure) {
+      this.failure = handle.error;
+    }
+    this.emit('failed', { nonce: entry.nonce, error: handle.error });
+  }
+
+  // Stops tracking, transactions already broadcast stay pending on the chain
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+  }
+}
+
+export default TransactionQueue;
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import estimateGasPrice from '../methods/commons/estimateGasPrice.js';
+import { parseContractError } from '../errors/decodeError.js';
+import TransactionHandle from './TransactionHandle.js';
+
+// Percentage added on top of the estimated gas limit
+export const GAS_LIMIT_BUFFER = 20;
+
+export const withGasBuffer = (gasLimit, buffer) => gasLimit * BigInt(100 + buffer) / 100n;
+
+export const withStage = (error, stage) => {
+  error.stage = error.stage ?? stage;
+  return error;
+};
+
+export const buildTransaction = async (signer, request) => {
+  const { contract, method, args = [], overrides = {}, transaction } = request;
+  const tx = contract
+    ? await contract[method].populateTransaction(...args, overrides)
+    : { ...transaction, ...overrides };
+  tx.from = await signer.getAddress();
+  return tx;
+};
+
+const simulate = async (signer, request, tx) => {
+  const { contract, method, args = [], overrides = {} } = request;
+  if (contract) {
+    // Through the contract, so that reverts are decoded with its ABI
+    await contract.connect(signer)[method].staticCall(...args, overrides);
+  } else {
+    await signer.call(tx);
+  }
+};
+
+const signAndSend = async (signer, tx, handle) => {
+  // Local wallets sign before broadcasting, wallets behind a JSON-RPC provider do both in one step
+  if (signer instanceof ethers.BaseWallet) {
+    const populated = await signer.populateTransaction(tx);
+    const signed = await signer.signTransaction(populated);
+    handle.signed(ethers.keccak256(signed), ethers.Transaction.from(signed));
+    return signer.provider.broadcastTransaction(signed);
+  }
+  const response = await signer.sendTransaction(tx);
+  handle.signed(response.hash, response);
+  return response;
+};
+
+const waitForReceipt = async (response, handle) => {
+  try {
+    return await response.wait(1);
+  } catch (error) {
+    if (error.code !== 'TRANSACTION_REPLACED') {
+      throw withStage(error, 'mined');
+    }
+    handle.replaced(error);
+    if (error.cancelled) {
+      throw withStage(error, 'replaced');
+    }
+    if (error.receipt.status === 0) {
+      const reverted = new Error(`Replacement transaction ${error.receipt.hash} reverted`);
+      reverted.receipt = error.receipt;
+      throw withStage(reverted, 'mined');
+    }
+    return error.receipt;
+  }
+};
+
+/**
+ * Sends a write through the transaction pipeline:
+ * pre-flight staticCall, gas estimation with a buffer, EIP-1559 fees (legacy gas price on chains without),
+ * signing, broadcast, and receipt tracking up to the requested confirmations.
+ *
+ * Returns synchronously a TransactionHandle the UI can subscribe to. Awaiting the handle resolves with the
+ * result of the write, so `await sendTransaction(...)` still reads as the receipt.
+ *
+ * @param {ethers.Signer} signer
+ * @param {Object|Function} request - `{ contract, method, args, overrides }` for a contract call,
+ *   `{ transaction }` for a plain transaction, or an async function returning one (e.g. after approvals)
+ * @param {Object} [options]
+ * @param {string} [options.errorMessage] - Prefix of the error message on failure, e.g. 'Deposit failed'
+ * @param {number} [options.confirmations=1] - Confirmations to wait for before resolving
+ * @param {number} [options.gasBuffer=GAS_LIMIT_BUFFER] - Percentage added to the estimated gas limit
+ * @param {boolean} [options.simulate=true] - Run the pre-flight staticCall
+ * @param {Function} [options.getResult] - Maps the receipt to the value the handle resolves with
+ * @returns {TransactionHandle} Fails with a ContractError, decoded against the called contract then the ABI registry
+ */
+export const sendTransaction = (signer, request, options = {}) => {
+  const {
+    errorMessage,
+    confirmations = 1,
+    gasBuffer = GAS_LIMIT_BUFFER,
+    simulate: shouldSimulate = true,
+    getResult,
+  } = options;
+  const handle = new TransactionHandle({ confirmations });
+  let contract = null;
+
+  const run = async () => {
+    if (!signer) {
+      throw withStage(new Error('Wallet not connected'), 'prepare');
+    }
+
+    let resolvedRequest;
+    let tx;
+    try {
+      resolvedRequest = typeof request === 'function' ? await request() : await request;
+      contract = resolvedRequest.contract ?? null;
+      tx = await buildTransaction(signer, resolvedRequest);
+    } catch (error) {
+      throw withStage(error, 'prepare');
+    }
+
+    if (shouldSimulate) {
+      try {
+        await simulate(signer, resolvedRequest, tx);
+      } catch (error) {
+        throw withStage(error, 'preflight');
+      }
+    }
+
+    try {
+      if (tx.gasLimit == null) {
+        tx.gasLimit = withGasBuffer(await signer.estimateGas(tx), gasBuffer);
+      }
+      if (tx.gasPrice == null && tx.maxFeePerGas == null) {
+        Object.assign(tx, await estimateGasPrice(signer));
+      }
+    } catch (error) {
+      throw withStage(error, 'estimate');
+    }
+
+    let response;
+    try {
+      response = await signAndSend(signer, tx, handle);
+    } catch (error) {
+      throw withStage(error, 'send');
+    }
+    handle.sent(response);
+
+    const receipt = await waitForReceipt(response, handle);
+    handle.mined(receipt);
+
+    await handle.wait(confirmations);
+    handle.resolve(getResult ? await getResult(receipt) : receipt);
+  };
+
+  run().catch((error) => {
+    const failure = parseContractError(error, {
+      message: errorMessage,
+      abi: contract?.interface,
+      address: contract?.target,
+    });
+    failure.receipt = error.receipt ?? handle.receipt ?? undefined;
+    handle.fail(failure);
+  });
+
+  return handle;
+};
+
+export default sendTransaction;
@@ -0,0 +1,77 @@
+/**
+ * Minimal EventEmitter with the subset of the Node API the library uses, so browser bundles
+ * (Vite, webpack 5) need no `events` polyfill.
+ *
+ * Like Node, emitting 'error' without an 'error' listener throws the error.
+ */
+export class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  on(event, listener) {
+    const listeners = this.eventListeners.get(event) ?? [];
+    this.eventListeners.set(event, [...listeners, listener]);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this.eventListeners.get(event) ?? [];
+    const index = listeners.findIndex((entry) => entry === listener || entry.listener === listener);
+    if (index !== -1) {
+      const remaining = listeners.filter((_, position) => position !== index);
+      if (remaining.length) {
+        this.eventListeners.set(event, remaining);
+      } else {
+        this.eventListeners.delete(event);
+      }
+    }
+    return this;
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this.eventListeners.clear();
+    } else {
+      this.eventListeners.delete(event);
+    }
+    return this;
+  }
+
+  emit(event, ...args) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners?.length) {
+      if (event === 'error') {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error: ${args[0]}`);
+      }
+      return false;
+    }
+    // Listeners added or removed while emitting apply to the next emit
+    for (const listener of listeners) {
+      listener.apply(this, args);
+    }
+    return true;
+  }
+
+  listenerCount(event) {
+    return this.eventListeners.get(event)?.length ?? 0;
+  }
+
+  listeners(event) {
+    return (this.eventListeners.get(event) ?? []).map((entry) => entry.listener ?? entry);
+  }
+}
+
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+EventEmitter.prototype.removeListener = EventEmitter.prototype.off;
+
+export default EventEmitter;
@@ -3,17 +3,28 @@ import veRAACTokenArtifact from '../artifacts/Tokens/veRAACToken.sol/veRAACToken
 import rcrvUSDTokenArtifact from '../artifacts/Tokens/rCRVUSDToken.sol/rCRVUSDToken.json' assert { type: "json" };
 import RAACLendingPoolArtifact from '../artifacts/LendingPool/RAACLendingPool.sol/RAACLendingPool.json' assert { type: "json" };
 import RAACStabilityPoolArtifact from '../artifacts/StabilityPool/StabilityPool.sol/StabilityPool.json' assert { type: "json" };
+import NFTLiquidatorArtifact from '../artifacts/StabilityPool/NFTLiquidator.sol/NFTLiquidator.json' assert { type: "json" };
+import MarketCreatorArtifact from '../artifacts/StabilityPool/MarketCreator.sol/MarketCreator.json' assert { type: "json" };
 import LiquidityPoolArtifact from '../artifacts/LiquidityPool/LiquidityPool.sol/LiquidityPool.json' assert { type: "json" };
 import RAACNFTArtifact from '../artifacts/Tokens/RAACNFT.sol/RAACNFT.json' assert { type: "json" };
 import DECRVUSDArtifact from '../artifacts/Tokens/DEcrvUSDToken.sol/DEcrvUSDToken.json' assert { type: "json" };
 import RAACTokenArtifact from '../artifacts/Tokens/RAACToken.sol/RAACToken.json' assert { type: "json" };
 import RAACMinterArtifact from '../artifacts/RAACMinter/RAACMinter.sol/RAACMinter.json' assert { type: "json" };
+import RAACReleaseOrchestratorArtifact from '../artifacts/RAACReleaseOrchestrator/RAACReleaseOrchestrator.sol/RAACReleaseOrchestrator.json' assert { type: "json" };
 import RAACHousePricesArtifact from '../artifacts/primitives/RAACHousePrices.sol/RAACHousePrices.json' assert { type: "json" };
 import RAACVaultArtifact from '../artifacts/primitives/RAACVault.sol/RAACVault.json' assert { type: "json" };
 import AuctionFactoryArtifact from '../artifacts/zeno/AuctionFactory.sol/AuctionFactory.json' assert { type: "json" };
 import AuctionArtifact from '../artifacts/zeno/Auction.sol/Auction.json' assert { type: "json" };
 import ZenoFactoryArtifact from '../artifacts/zeno/ZenoFactory.sol/ZenoFactory.json' assert { type: "json" };
 import ZenoArtifact from '../artifacts/zeno/Zeno.sol/Zeno.json' assert { type: "json" };
+import GovernanceArtifact from '../artifacts/governance/proposals/Governance.sol/Governance.json' assert { type: "json" };
+import TimelockControllerArtifact from '../artifacts/governance/proposals/TimelockController.sol/TimelockController.json' assert { type: "json" };
+import GaugeControllerArtifact from '../artifacts/governance/gauges/GaugeController.sol/GaugeController.json' assert { type: "json" };
+import RAACGaugeArtifact from '../artifacts/governance/gauges/RAACGauge.sol/RAACGauge.json' assert { type: "json" };
+import RWAGaugeArtifact from '../artifacts/governance/gauges/RWAGauge.sol/RWAGauge.json' assert { type: "json" };
+import BoostControllerArtifact from '../artifacts/governance/boost/BoostController.sol/BoostController.json' assert { type: "json" };
+import FeeCollectorArtifact from '../artifacts/collectors/FeeCollector.sol/FeeCollector.json' assert { type: "json" };
+import TreasuryArtifact from '../artifacts/collectors/Treasury.sol/Treasury.json' assert { type: "json" };
 const CRVUSD_ABI = crvUSDTokenArtifact.abi;
 
 
@@ -46,8 +57,11 @@ const ABIS = {
     // Pools
     'lendingpool': RAACLENDINGPOOL_ABI,
     'stabilitypool': RAACSTABILITYPOOL_ABI,
+    'nftliquidator': NFTLiquidatorArtifact.abi,
+    'marketcreator': MarketCreatorArtifact.abi,
     'liquiditypool': LIQUIDITYPOOL_ABI,
     'raacminter': RAACMINTER_ABI,
+    'releaseorchestrator': RAACReleaseOrchestratorArtifact.abi,
     'raacvault': RAACVAULT_ABI,
     // contracts
     // contracts#raacHousePrices
@@ -57,6 +71,18 @@ const ABIS = {
     'auctionfactory': AuctionFactoryArtifact.abi,
     'zeno': ZenoArtifact.abi,
     'zenofactory': ZenoFactoryArtifact.abi,
+    // governance
+    'governance': GovernanceArtifact.abi,
+    'timelock': TimelockControllerArtifact.abi,
+    // governance#gauges
+    'gaugecontroller': GaugeControllerArtifact.abi,
+    'raacgauge': RAACGaugeArtifact.abi,
+    'rwagauge': RWAGaugeArtifact.abi,
+    // governance#boost
+    'boostcontroller': BoostControllerArtifact.abi,
+    // collectors
+    'feecollector': FeeCollectorArtifact.abi,
+    'treasury': TreasuryArtifact.abi,
 };
 
 const getABI = (name) => {
@@ -1,13 +1,12 @@
 import { ethers } from 'ethers';
 import { getContractAddress as _getContractAddress } from '../contracts/getContractAddress.js';
-import configs from '../configs/chains/index.js';
+import { getChainConfig } from '../configs/index.js';
+import getRpcProvider, { getRpcUrls } from '../providers/getRpcProvider.js';
 
 const isBrowser = typeof window !== 'undefined';
 
 export const getProvider = (chainId) => {
-  const config = configs[chainId];
-  const rpcUrl = config.rpcUrls ? config.rpcUrls[0] : config.rpc;
-  return new ethers.JsonRpcProvider(rpcUrl);
+  return getRpcProvider(chainId);
 };
 
 export const getContractAddress = (chainId, contractName) => {
@@ -38,45 +37,41 @@ export const getChainId = async () => {
   }
 };
 
-export const switchChain = async (chainId) => {
-  if (!isBrowser) {
-    throw new Error('switchChain is only available in browser environments');
+export const switchChain = async (chainId, ethereum = isBrowser ? window.ethereum : undefined) => {
+  if (!ethereum) {
+    throw new Error(isBrowser ? 'No Ethereum browser extension detected' : 'switchChain is only available in browser environments');
   }
-  if (window.ethereum) {
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: `0x${chainId.toString(16)}` }],
-      });
-    } catch (error) {
-      if (error.code === 4902) {
-        await addChain(chainId);
-      } else {
-        throw error;
-      }
+  try {
+    await ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: `0x${chainId.toString(16)}` }],
+    });
+  } catch (error) {
+    if (error.code === 4902) {
+      await addChain(chainId, ethereum);
+    } else {
+      throw error;
     }
-  } else {
-    throw new Error('No Ethereum browser extension detected');
   }
 };
 
-const addChain = async (chainId) => {
-  if (!isBrowser) {
+const addChain = async (chainId, ethereum = isBrowser ? window.ethereum : undefined) => {
+  if (!ethereum) {
     throw new Error('addChain is only available in browser environments');
   }
-  const chainConfig = configs[chainId];
+  const chainConfig = getChainConfig(chainId);
   if (!chainConfig) {
     throw new Error(`Chain configuration not found for chainId: ${chainId}`);
   }
 
-  await window.ethereum.request({
+  await ethereum.request({
     method: 'wallet_addEthereumChain',
     params: [{
       chainId: `0x${chainId.toString(16)}`,
       chainName: chainConfig.name,
       nativeCurrency: chainConfig.nativeCurrency,
-      rpcUrls: chainConfig.rpcUrls,
+      rpcUrls: getRpcUrls(chainConfig),
       blockExplorerUrls: chainConfig.blockExplorerUrls,
     }],
   });
-};
\ No newline at end of file
+};
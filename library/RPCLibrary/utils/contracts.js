@@ -1,4 +1,4 @@
-import { getChainsConfig, getChainConfig } from '../configs/index.js';
+import { getChainsConfig, setChainConfig } from '../configs/index.js';
 import { getABI } from './artifacts.js';
 import { ethers } from 'ethers';
 
@@ -12,21 +12,20 @@ export const getConfigs = () => {
   return _configs;
 };
 
+/**
+ * Merges `newConfig` into the config of the chain, section by section
+ * @param {number} chainId
+ * @param {Object} newConfig
+ */
 export const setOverrideConfig = (chainId, newConfig) => {
-  if (!_configs) {
-    _configs = getConfigs();
-  }
-  if (!configs[chainId]) {
-    configs[chainId] = {};
-  }
-  configs[chainId] = {
-    ...configs[chainId],
-    ...newConfig,
-    contracts: {
-      ...configs[chainId].contracts,
-      ...newConfig.contracts
+  const current = getConfigs()[chainId] ?? {};
+  const merged = { ...current, ...newConfig };
+  for (const key of ['contracts', 'assets', 'pools', 'nfts']) {
+    if (current[key] || newConfig[key]) {
+      merged[key] = { ...current[key], ...newConfig[key] };
     }
-  };
+  }
+  setChainConfig(chainId, merged);
 };
 
 export const getConfig = (chainId) => {
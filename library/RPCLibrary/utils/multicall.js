@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { getConfig } from './contracts.js';
+
+// Multicall3 is deployed at the same address on most chains, including Base
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+  'function getBlockNumber() view returns (uint256 blockNumber)',
+];
+
+// Calls per aggregate3 request, keeps requests under common RPC payload limits
+const MAX_CALLS_PER_BATCH = 200;
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+const deployedCache = new Map();
+
+/**
+ * The multicall address of a chain, `contracts.multicall3` in the chain config overrides the canonical address
+ * (e.g. a MockMulticall3 deployed on a local hardhat node)
+ */
+export const getMulticallAddress = (chainId) => {
+  let config;
+  try {
+    config = getConfig(chainId);
+  } catch (error) {
+    return MULTICALL3_ADDRESS;
+  }
+  return config.contracts?.multicall3?.contract || MULTICALL3_ADDRESS;
+};
+
+const isMulticallDeployed = async (chainId, provider, multicallAddress) => {
+  const key = `${chainId}:${multicallAddress}`;
+  if (!deployedCache.has(key)) {
+    const deployed = provider.getCode(multicallAddress).then((code) => code !== '0x');
+    // A failed lookup is retried on the next multicall instead of disabling Multicall3 for the chain
+    deployed.catch(() => deployedCache.delete(key));
+    deployedCache.set(key, deployed);
+  }
+  return deployedCache.get(key);
+};
+
+/**
+ * Resolves a block tag to a block number, so that several multicall rounds read the same block
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {string|number|bigint} [blockTag='latest'] - Block number, hex block number or tag ('finalized', 'safe', ...)
+ * @returns {Promise<number>}
+ */
+export const getBlockTag = async (provider, blockTag = 'latest') => {
+  if (typeof blockTag === 'number' || typeof blockTag === 'bigint') {
+    return Number(blockTag);
+  }
+  const runner = provider.provider ?? provider;
+  if (blockTag === 'latest') {
+    return runner.getBlockNumber();
+  }
+  const block = await runner.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Unknown block ${blockTag}`);
+  }
+  return block.number;
+};
+
+/**
+ * Describes a contract read for `multicall`
+ * @param {ethers.Contract} contract
+ * @param {string} method - Function name or signature
+ * @param {Array} [args=[]]
+ * @param {*} [fallback] - Returned when the call reverts or returns no data, the call throws when omitted
+ */
+export const call = (contract, method, args = [], fallback) => {
+  const request = { contract, method, args };
+  if (fallback !== undefined) {
+    request.fallback = fallback;
+  }
+  return request;
+};
+
+// Native balance read through Multicall3.getEthBalance
+export const ethBalance = (chainId, provider, address, fallback) => call(
+  new ethers.Contract(getMulticallAddress(chainId), MULTICALL3_ABI, provider),
+  'getEthBalance',
+  [address],
+  fallback
+);
+
+const decodeResult = (request, success, returnData) => {
+  const fragment = request.contract.interface.getFunction(request.method);
+  if (success && returnData !== '0x') {
+    try {
+      const result = request.contract.interface.decodeFunctionResult(fragment, returnData);
+      return result.length === 1 ? result[0] : result;
+    } catch (error) {
+      if (!('fallback' in request)) throw error;
+      return request.fallback;
+    }
+  }
+  if ('fallback' in request) {
+    return request.fallback;
+  }
+  // Shaped like the CALL_EXCEPTION of ethers, so that parseContractError finds the revert data
+  const error = new Error(`Multicall ${fragment.name} reverted on ${request.contract.target}`);
+  error.code = 'CALL_EXCEPTION';
+  error.data = returnData;
+  throw error;
+};
+
+/**
+ * Batches contract reads into Multicall3.aggregate3 requests pinned to one block.
+ * Falls back to one eth_call per read (still pinned to the block) when no Multicall3 is deployed.
+ * @param {number} chainId
+ * @param {ethers.Provider|ethers.Signer} provider
+ * @param {Array<{contract: ethers.Contract, method: string, args: Array, fallback?: *}>} requests - Built with `call`
+ * @param {string|number} [blockTag='latest']
+ * @returns {Promise<Array>} Decoded results, in the order of the requests
+ */
+export const multicall = async (chainId, provider, requests, blockTag = 'latest') => {
+  if (!requests.length) {
+    return [];
+  }
+  const runner = provider.provider ?? provider;
+  const multicallAddress = getMulticallAddress(chainId);
+
+  const calls = await Promise.all(requests.map(async (request) => ({
+    target: await request.contract.getAddress(),
+    allowFailure: true,
+    callData: request.contract.interface.encodeFunctionData(request.method, request.args),
+  })));
+
+  if (!await isMulticallDeployed(chainId, runner, multicallAddress)) {
+    return Promise.all(calls.map(async ({ target, callData }, index) => {
+      try {
+        if (target === multicallAddress && requests[index].method === 'getEthBalance') {
+          return await runner.getBalance(requests[index].args[0], blockTag);
+        }
+        const returnData = await runner.call({ to: target, data: callData, blockTag });
+        return decodeResult(requests[index], true, returnData);
+      } catch (error) {
+        if (!('fallback' in requests[index])) throw error;
+        return requests[index].fallback;
+      }
+    }));
+  }
+
+  const chunks = [];
+  for (let i = 0; i < calls.length; i += MAX_CALLS_PER_BATCH) {
+    chunks.push(calls.slice(i, i + MAX_CALLS_PER_BATCH));
+  }
+
+  const responses = await Promise.all(chunks.map(async (chunk) => {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [chunk]);
+    const returnData = await runner.call({ to: multicallAddress, data, blockTag });
+    return multicallInterface.decodeFunctionResult('aggregate3', returnData)[0];
+  }));
+
+  return responses.flat().map(({ success, returnData }, index) => decodeResult(requests[index], success, returnData));
+};
+
+export default multicall;
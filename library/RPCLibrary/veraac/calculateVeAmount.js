@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { parseAmount, formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// veRAAC received for locking `amount` RAAC during `lockDuration` seconds
+async function calculateVeAmount(chainId, amount, lockDuration, provider) {
+  try {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, provider);
+
+    const veAmount = await veRAACContract.calculateVeAmount(parseAmount(amount, { chainId, asset: 'raactoken' }), lockDuration);
+    return formatAmount(veAmount, { chainId, asset: 'veraac' });
+  } catch (error) {
+    console.error('Error calculating veRAAC amount:', error);
+    throw parseContractError(error, { message: 'Failed to calculate veRAAC amount' });
+  }
+}
+
+export default calculateVeAmount;
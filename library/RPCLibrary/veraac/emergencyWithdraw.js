@@ -0,0 +1,17 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Only available once the owner has enabled emergency withdrawals
+function emergencyWithdraw(chainId, signer) {
+  return sendTransaction(signer, () => {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, signer);
+
+    return { contract: veRAACContract, method: 'emergencyWithdraw', args: [] };
+  }, { errorMessage: 'Failed to emergency withdraw from veRAAC' });
+}
+
+export default emergencyWithdraw;
@@ -0,0 +1,17 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// newDuration (seconds) is added to the time left on the lock, the total must stay under MAX_LOCK_DURATION
+function extend(chainId, newDuration, signer) {
+  return sendTransaction(signer, () => {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, signer);
+
+    return { contract: veRAACContract, method: 'extend', args: [newDuration] };
+  }, { errorMessage: 'Failed to extend lock' });
+}
+
+export default extend;
@@ -0,0 +1,27 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getCurrentBoost(chainId, address, provider) {
+  try {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, provider);
+
+    const [boostBasisPoints, boostedAmount] = await veRAACContract.getCurrentBoost(address);
+
+    return {
+      boostBasisPoints: Number(boostBasisPoints),
+      // Multiplier, e.g. 1.5 for 15000 basis points
+      boost: Number(boostBasisPoints) / 10000,
+      boostedAmount: formatAmount(boostedAmount, { chainId, asset: 'veraac' }),
+    };
+  } catch (error) {
+    console.error('Error getting current boost:', error);
+    throw parseContractError(error, { message: 'Failed to get current boost' });
+  }
+}
+
+export default getCurrentBoost;
@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+async function getLockPosition(chainId, address, provider) {
+  try {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, provider);
+
+    // Expiry is checked against the chain time, which is not the wall clock on forks and test networks
+    const [position, block] = await Promise.all([
+      veRAACContract.getLockPosition(address),
+      (provider.provider ?? provider).getBlock('latest'),
+    ]);
+    const end = Number(position.end);
+
+    return {
+      address,
+      amount: formatAmount(position.amount, { chainId, asset: 'raactoken' }),
+      end,
+      power: formatAmount(position.power, { chainId, asset: 'veraac' }),
+      isExpired: position.amount > 0n && end <= block.timestamp,
+    };
+  } catch (error) {
+    console.error('Error getting lock position:', error);
+    throw parseContractError(error, { message: 'Failed to get lock position' });
+  }
+}
+
+export default getLockPosition;
@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Current voting power, or the voting power at `timestamp` (seconds) when provided
+async function getVotingPower(chainId, address, provider, timestamp) {
+  try {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, provider);
+
+    const votingPower = timestamp === undefined
+      ? await veRAACContract['getVotingPower(address)'](address)
+      : await veRAACContract['getVotingPower(address,uint256)'](address, timestamp);
+
+    return formatAmount(votingPower, { chainId, asset: 'veraac' });
+  } catch (error) {
+    console.error('Error getting voting power:', error);
+    throw parseContractError(error, { message: 'Failed to get voting power' });
+  }
+}
+
+export default getVotingPower;
@@ -0,0 +1,21 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import ensureAllowance from '../methods/commons/ensureAllowance.js';
+import { parseAmount } from '../amounts/units.js';
+
+function increase(chainId, amount, signer) {
+  return sendTransaction(signer, async () => {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, signer);
+
+    const amountInWei = parseAmount(amount, { chainId, asset: 'raactoken' });
+    await ensureAllowance(chainId, 'raactoken', veRAACAddress, amountInWei, signer);
+
+    return { contract: veRAACContract, method: 'increase', args: [amountInWei] };
+  }, { errorMessage: 'Failed to increase lock' });
+}
+
+export default increase;
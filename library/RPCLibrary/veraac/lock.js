@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+import ensureAllowance from '../methods/commons/ensureAllowance.js';
+import { parseAmount } from '../amounts/units.js';
+
+// duration is in seconds, between veRAACToken MIN_LOCK_DURATION (365 days) and MAX_LOCK_DURATION (1460 days)
+function lock(chainId, amount, duration, signer) {
+  return sendTransaction(signer, async () => {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, signer);
+
+    const amountInWei = parseAmount(amount, { chainId, asset: 'raactoken' });
+    await ensureAllowance(chainId, 'raactoken', veRAACAddress, amountInWei, signer);
+
+    return { contract: veRAACContract, method: 'lock', args: [amountInWei, duration] };
+  }, { errorMessage: 'Failed to lock RAAC' });
+}
+
+export default lock;
@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+function withdraw(chainId, signer) {
+  return sendTransaction(signer, () => {
+    const veRAACAddress = getContractAddress(chainId, 'veraac');
+    const veRAACABI = getABI('veraac');
+    const veRAACContract = new ethers.Contract(veRAACAddress, veRAACABI, signer);
+
+    return { contract: veRAACContract, method: 'withdraw', args: [] };
+  }, { errorMessage: 'Failed to withdraw from veRAAC' });
+}
+
+export default withdraw;
@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+
+/**
+ * Off-chain mirror of RAACReleaseOrchestrator vesting math.
+ * Schedules are the raw getVestingSchedule struct, amounts and times are bigint.
+ */
+
+const DAY = 86400n;
+
+export const VESTING_CLIFF = 90n * DAY;
+export const VESTING_DURATION = 700n * DAY;
+export const MIN_RELEASE_INTERVAL = DAY;
+
+export const VESTING_CATEGORIES = ['TEAM', 'ADVISOR', 'TREASURY', 'PRIVATE_SALE', 'PUBLIC_SALE', 'LIQUIDITY'];
+
+export const encodeCategory = (category) => ethers.keccak256(ethers.toUtf8Bytes(category));
+
+const CATEGORY_NAMES = Object.fromEntries(VESTING_CATEGORIES.map((category) => [encodeCategory(category), category]));
+
+/**
+ * @param {string} categoryHash - keccak256 of the category name
+ * @returns {string|null} The category name, null when unknown
+ */
+export const decodeCategory = (categoryHash) => CATEGORY_NAMES[categoryHash.toLowerCase()] ?? null;
+
+/**
+ * Amount vested at `timestamp`, ignoring the claim interval
+ */
+export function calculateVestedAmount(schedule, timestamp) {
+  if (timestamp < schedule.startTime + VESTING_CLIFF) return 0n;
+
+  const timeFromStart = timestamp - schedule.startTime;
+  if (timeFromStart >= schedule.duration) {
+    return schedule.totalAmount;
+  }
+  return (schedule.totalAmount * timeFromStart) / schedule.duration;
+}
+
+/**
+ * Mirrors RAACReleaseOrchestrator._calculateReleasableAmount
+ */
+export function calculateReleasableAmount(schedule, timestamp) {
+  if (timestamp < schedule.startTime + VESTING_CLIFF) return 0n;
+  if (timestamp < schedule.lastClaimTime + MIN_RELEASE_INTERVAL) return 0n;
+
+  return calculateVestedAmount(schedule, timestamp) - schedule.releasedAmount;
+}
+
+/**
+ * Vested, released and releasable amounts from `from` to the end of the schedule, every `step` seconds
+ */
+export function getVestingTimeline(schedule, from, step = 30n * DAY) {
+  const end = schedule.startTime + schedule.duration;
+  const timeline = [];
+  for (let timestamp = from; ; timestamp += step) {
+    const at = timestamp > end ? end : timestamp;
+    const vested = calculateVestedAmount(schedule, at);
+    timeline.push({
+      timestamp: at,
+      vested,
+      released: schedule.releasedAmount,
+      releasable: vested > schedule.releasedAmount ? vested - schedule.releasedAmount : 0n,
+    });
+    if (at === end) break;
+  }
+  return timeline;
+}
+
+export default {
+  VESTING_CLIFF,
+  VESTING_DURATION,
+  MIN_RELEASE_INTERVAL,
+  VESTING_CATEGORIES,
+  encodeCategory,
+  decodeCategory,
+  calculateVestedAmount,
+  calculateReleasableAmount,
+  getVestingTimeline,
+};
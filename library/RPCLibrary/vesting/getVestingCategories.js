@@ -0,0 +1,41 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import { VESTING_CATEGORIES, encodeCategory } from './VestingCalculator.js';
+import { multicall, call } from '../utils/multicall.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Allocation and usage of every vesting category, and whether releases are paused
+async function getVestingCategories(chainId, provider, blockTag = 'latest') {
+  try {
+    const orchestratorAddress = getContractAddress(chainId, 'releaseorchestrator');
+    const orchestratorContract = new ethers.Contract(orchestratorAddress, getABI('releaseorchestrator'), provider);
+
+    const [paused, ...details] = await multicall(chainId, provider, [
+      call(orchestratorContract, 'paused'),
+      ...VESTING_CATEGORIES.map((category) => call(orchestratorContract, 'getCategoryDetails', [encodeCategory(category)])),
+    ], blockTag);
+
+    const raac = (amount) => formatAmount(amount, { chainId, asset: 'raactoken' });
+
+    return {
+      paused,
+      categories: VESTING_CATEGORIES.map((category, index) => {
+        const [allocation, used] = details[index];
+        return {
+          category,
+          categoryHash: encodeCategory(category),
+          allocation: raac(allocation),
+          used: raac(used),
+          available: raac(allocation - used),
+        };
+      }),
+    };
+  } catch (error) {
+    console.error('Error getting vesting categories:', error);
+    throw parseContractError(error, { message: 'Failed to get vesting categories' });
+  }
+}
+
+export default getVestingCategories;
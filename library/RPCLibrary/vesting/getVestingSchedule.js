@@ -0,0 +1,71 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import {
+  VESTING_CLIFF,
+  MIN_RELEASE_INTERVAL,
+  decodeCategory,
+  calculateVestedAmount,
+  calculateReleasableAmount,
+  getVestingTimeline,
+} from './VestingCalculator.js';
+import { formatAmount } from '../amounts/units.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+const formatTimeline = (timeline, format) => timeline.map(({ timestamp, vested, released, releasable }) => ({
+  timestamp: Number(timestamp),
+  vested: format(vested),
+  released: format(released),
+  releasable: format(releasable),
+}));
+
+// Vesting schedule of a beneficiary, null when there is none (or it was revoked).
+// The category is not stored in the schedule, it is read from the VestingScheduleCreated event.
+async function getVestingSchedule(chainId, beneficiary, provider) {
+  try {
+    const orchestratorAddress = getContractAddress(chainId, 'releaseorchestrator');
+    const orchestratorContract = new ethers.Contract(orchestratorAddress, getABI('releaseorchestrator'), provider);
+
+    const [schedule, createdEvents, block] = await Promise.all([
+      orchestratorContract.getVestingSchedule(beneficiary),
+      orchestratorContract.queryFilter(orchestratorContract.filters.VestingScheduleCreated(beneficiary)),
+      provider.getBlock('latest'),
+    ]);
+
+    if (!schedule.initialized) {
+      return null;
+    }
+
+    const categoryHash = createdEvents.length ? createdEvents[createdEvents.length - 1].args.category : null;
+    const now = BigInt(block.timestamp);
+
+    const vested = calculateVestedAmount(schedule, now);
+    const releasable = calculateReleasableAmount(schedule, now);
+    const cliffEnd = schedule.startTime + VESTING_CLIFF;
+    const nextClaimTime = schedule.lastClaimTime + MIN_RELEASE_INTERVAL;
+    const raac = (amount) => formatAmount(amount, { chainId, asset: 'raactoken' });
+
+    return {
+      beneficiary,
+      category: categoryHash ? decodeCategory(categoryHash) : null,
+      categoryHash,
+      totalAmount: raac(schedule.totalAmount),
+      releasedAmount: raac(schedule.releasedAmount),
+      vestedAmount: raac(vested),
+      releasableAmount: raac(releasable),
+      lockedAmount: raac(schedule.totalAmount - vested),
+      startTime: Number(schedule.startTime),
+      cliffEnd: Number(cliffEnd),
+      endTime: Number(schedule.startTime + schedule.duration),
+      duration: Number(schedule.duration),
+      lastClaimTime: Number(schedule.lastClaimTime),
+      nextReleaseTime: Number(cliffEnd > nextClaimTime ? cliffEnd : nextClaimTime),
+      timeline: formatTimeline(getVestingTimeline(schedule, now > schedule.startTime ? now : schedule.startTime), raac),
+    };
+  } catch (error) {
+    console.error('Error getting vesting schedule:', error);
+    throw parseContractError(error, { message: 'Failed to get vesting schedule' });
+  }
+}
+
+export default getVestingSchedule;
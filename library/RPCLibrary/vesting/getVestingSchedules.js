@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import getVestingSchedule from './getVestingSchedule.js';
+import { parseContractError } from '../errors/decodeError.js';
+
+// Every beneficiary found in VestingScheduleCreated events, revoked schedules are left out
+async function getVestingSchedules(chainId, provider, fromBlock = 0) {
+  try {
+    const orchestratorAddress = getContractAddress(chainId, 'releaseorchestrator');
+    const orchestratorContract = new ethers.Contract(orchestratorAddress, getABI('releaseorchestrator'), provider);
+
+    const createdEvents = await orchestratorContract.queryFilter(orchestratorContract.filters.VestingScheduleCreated(), fromBlock);
+    const beneficiaries = [...new Set(createdEvents.map((event) => event.args.beneficiary))];
+
+    const schedules = await Promise.all(
+      beneficiaries.map((beneficiary) => getVestingSchedule(chainId, beneficiary, provider))
+    );
+    return schedules.filter(Boolean);
+  } catch (error) {
+    console.error('Error getting vesting schedules:', error);
+    throw parseContractError(error, { message: 'Failed to get vesting schedules' });
+  }
+}
+
+export default getVestingSchedules;
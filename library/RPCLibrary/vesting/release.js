@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// Releases the vested tokens of the signer
+function release(chainId, signer) {
+  return sendTransaction(signer, () => {
+    const orchestratorAddress = getContractAddress(chainId, 'releaseorchestrator');
+    const orchestratorContract = new ethers.Contract(orchestratorAddress, getABI('releaseorchestrator'), signer);
+
+    return { contract: orchestratorContract, method: 'release', args: [] };
+  }, { errorMessage: 'Failed to release vested tokens' });
+}
+
+export default release;
@@ -0,0 +1,16 @@
+import { ethers } from 'ethers';
+import { getContractAddress } from '../utils/contracts.js';
+import { getABI } from '../utils/artifacts.js';
+import sendTransaction from '../transactions/sendTransaction.js';
+
+// EMERGENCY_ROLE only, pauses or resumes schedule creation and releases
+function setEmergencyShutdown(chainId, paused, signer) {
+  return sendTransaction(signer, () => {
+    const orchestratorAddress = getContractAddress(chainId, 'releaseorchestrator');
+    const orchestratorContract = new ethers.Contract(orchestratorAddress, getABI('releaseorchestrator'), signer);
+
+    return { contract: orchestratorContract, method: 'setEmergencyShutdown', args: [paused] };
+  }, { errorMessage: 'Failed to set emergency shutdown' });
+}
+
+export default setEmergencyShutdown;
@@ -1,4 +1,5 @@
 import { getConfig } from '../../utils/contracts.js';
+import TokenAmount from '../../amounts/TokenAmount.js';
 
 async function getAsset(chainId, assetId, address, signer) {
     const {assets} = getConfig(chainId);
@@ -12,7 +13,7 @@ async function getAsset(chainId, assetId, address, signer) {
 
     try {
         const balance = await this.getBalance(chainId, assetId, owner, signer);
-        response.balance = (parseFloat(balance)).toString();
+        response.balance = balance instanceof TokenAmount ? balance : (parseFloat(balance)).toString();
     } catch (error) {
         console.log(`Error getting balance: ${error}`);
     }
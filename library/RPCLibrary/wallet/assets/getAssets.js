@@ -1,25 +1,30 @@
+import { ethers } from 'ethers';
 import { getConfig } from '../../utils/contracts.js';
+import { multicall, call, ethBalance } from '../../utils/multicall.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
 
-async function getAssets(chainId, address, signer) {
+const BALANCE_OF_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+// Balances of every configured asset, read in one batch from the same block
+async function getAssets(chainId, address, signer, blockTag = 'latest') {
     const {assets} = getConfig(chainId);
-    const responses = {};
 
     const assetIds = Object.keys(assets);
-    const assetPromises = assetIds.map(async (assetId) => {
-        const asset = await this.getAsset(chainId, assetId, address, signer);
-        responses[assetId] = {
+    const balances = await multicall(chainId, signer, assetIds.map((assetId) => assetId === 'eth'
+        ? ethBalance(chainId, signer, address, null)
+        : call(new ethers.Contract(assets[assetId].contract, BALANCE_OF_ABI, signer), 'balanceOf', [address], null)
+    ), blockTag);
+
+    const response = {};
+    assetIds.forEach((assetId, index) => {
+        const balance = balances[index];
+        response[assetId] = {
             ...assets[assetId],
-            ...asset,
+            balance: formatAmount(balance ?? 0n, { chainId, asset: assetId, legacy: LEGACY_FORMATS.TRIMMED }),
         };
-        return responses[assetId];
-    });
-    const assetResponses = await Promise.all(assetPromises);
-    const response = {};
-    assetResponses.forEach((asset) => {
-        response[asset.id] = asset;
     });
 
     return response;
 };
 
-export default getAssets;
\ No newline at end of file
+export default getAssets;
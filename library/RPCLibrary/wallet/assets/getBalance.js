@@ -1,20 +1,19 @@
 import { ethers } from "ethers";
 import { getContractAddress } from '../../utils/contracts.js';
 import { getABI } from '../../utils/artifacts.js';
+import { formatAmount, LEGACY_FORMATS } from '../../amounts/units.js';
 
 async function getBalance(chainId, assetId, address, provider) {
     const BALANCE_OF_ABI = ['function balanceOf(address) view returns (uint256)'];
     try {
       if(assetId === 'eth') {
         const balance = await provider.getBalance(address);
-        const parsedBalance = parseFloat(ethers.formatEther(balance));
-        return  parsedBalance;
+        return formatAmount(balance, { chainId, asset: assetId, legacy: LEGACY_FORMATS.NUMBER });
       }
       const contractAddress = getContractAddress(chainId, assetId); 
         const contract = new ethers.Contract(contractAddress, BALANCE_OF_ABI, provider);
         const balance = await contract.balanceOf(address)
-        const parsedBalance = parseFloat(ethers.formatEther(balance));
-        return parsedBalance.toString();
+        return formatAmount(balance, { chainId, asset: assetId, legacy: LEGACY_FORMATS.TRIMMED });
       } catch (error) {
         console.error(`Error getting balance for asset ${assetId}:`, error);
         return 0;
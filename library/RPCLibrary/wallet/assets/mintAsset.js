@@ -1,44 +1,27 @@
 import { ethers } from 'ethers';
 import { getConfig } from '../../utils/contracts.js';
-import estimateGasPrice from '../../methods/commons/estimateGasPrice.js';
 import { getABI } from '../../utils/artifacts.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
 
-async function mintAsset(chainId, assetId, amount, address, signer) {
-    try {
-        if (!signer) {
-            throw new Error('Wallet not connected');
-        }
-
+function mintAsset(chainId, assetId, amount, address, signer) {
+    return sendTransaction(signer, () => {
         const { assets } = getConfig(chainId);
-        console.log('assets', assets);
         const asset = Object.values(assets).find(asset => asset.id.toLowerCase() === assetId.toLowerCase());
         if (!asset) {
             throw new Error(`Asset ${assetId} not found on chain ${chainId}`);
         }
 
         const contractAddress = asset.contract;
-        let contract;
-
         const abi = getABI(assetId);
-        contract = new ethers.Contract(contractAddress, abi, signer);
-        
-        const { maxFeePerGas } = await estimateGasPrice(signer);
-        if(!contract.mint) {
+        const contract = new ethers.Contract(contractAddress, abi, signer);
+
+        if(!contract.interface.getFunction('mint')) {
             throw new Error(`Mint function not found on contract ${contractAddress}`);
         }
-        const tx = await contract.mint(address, ethers.parseEther(amount), { 
-            maxFeePerGas,
-            nonce: +await signer.getNonce()
-        });
 
-        console.log(`Minting transaction sent for ${assetId}:`, tx.hash);
-        const receipt = await tx.wait();
-        console.log(`Minted ${amount} ${assetId} successfully:`, receipt.transactionHash);
-        return receipt;
-    } catch (error) {
-        console.error(`Error minting asset ${assetId}:`, error);
-        throw new Error(`Minting failed for ${assetId}: ${error.message}`);
-    }
+        return { contract, method: 'mint', args: [address, parseAmount(amount, { chainId, asset: asset.id })] };
+    }, { errorMessage: `Minting failed for ${assetId}` });
 }
 
-export default mintAsset;
\ No newline at end of file
+export default mintAsset;
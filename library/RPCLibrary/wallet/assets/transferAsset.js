@@ -1,60 +1,35 @@
 import { ethers } from 'ethers';
 import { getConfig } from '../../utils/contracts.js';
-import estimateGasPrice from '../../methods/commons/estimateGasPrice.js';
 import { getABI } from '../../utils/artifacts.js';
+import sendTransaction from '../../transactions/sendTransaction.js';
+import { parseAmount } from '../../amounts/units.js';
 
-async function transferAsset(chainId, assetId, amount, fromAddress, toAddress, signer) {
-    try {
-        if (!signer) {
-            throw new Error('Wallet not connected');
-        }
-
-        const { maxFeePerGas } = await estimateGasPrice(signer);
-        const amountToTransfer = ethers.parseEther(amount);
+// fromAddress is informational, the transfer is always sent from the signer
+function transferAsset(chainId, assetId, amount, fromAddress, toAddress, signer) {
+    return sendTransaction(signer, () => {
+        const amountToTransfer = parseAmount(amount, { chainId, asset: assetId });
 
         if (assetId.toLowerCase() === 'eth') {
-            // Handle ETH transfer
-            const tx = await signer.sendTransaction({
-                to: toAddress,
-                value: amountToTransfer,
-                maxFeePerGas,
-                nonce: await signer.getNonce()
-            });
-
-            console.log(`ETH transfer transaction sent:`, tx.hash);
-            const receipt = await tx.wait();
-            console.log(`Transferred ${amount} ETH from ${fromAddress} to ${toAddress} successfully:`, receipt.transactionHash);
-            return receipt;
-        } else {
-            // Handle ERC20 token transfer
-            const { assets } = getConfig(chainId);
-            const asset = Object.values(assets).find(asset => asset.id.toLowerCase() === assetId.toLowerCase());
-            if (!asset) {
-                throw new Error(`Asset ${assetId} not found on chain ${chainId}`);
-            }
-
-            const contractAddress = asset.contract;
-            const abi = getABI(assetId);
-            const contract = new ethers.Contract(contractAddress, abi, signer);
+            return { transaction: { to: toAddress, value: amountToTransfer } };
+        }
 
-            if(!contract.transfer) {
-                throw new Error(`Transfer function not found on contract ${contractAddress}`);
-            }
+        // ERC20 token transfer
+        const { assets } = getConfig(chainId);
+        const asset = Object.values(assets).find(asset => asset.id.toLowerCase() === assetId.toLowerCase());
+        if (!asset) {
+            throw new Error(`Asset ${assetId} not found on chain ${chainId}`);
+        }
 
-            const tx = await contract.transfer(toAddress, amountToTransfer, { 
-                maxFeePerGas,
-                nonce: await signer.getNonce()
-            });
+        const contractAddress = asset.contract;
+        const abi = getABI(assetId);
+        const contract = new ethers.Contract(contractAddress, abi, signer);
 
-            console.log(`Transfer transaction sent for ${assetId}:`, tx.hash);
-            const receipt = await tx.wait();
-            console.log(`Transferred ${amount} ${assetId} from ${fromAddress} to ${toAddress} successfully:`, receipt.transactionHash);
-            return receipt;
+        if(!contract.interface.getFunction('transfer')) {
+            throw new Error(`Transfer function not found on contract ${contractAddress}`);
         }
-    } catch (error) {
-        console.error(`Error transferring asset ${assetId}:`, error);
-        throw new Error(`Transfer failed for ${assetId}: ${error.message}`);
-    }
+
+        return { contract, method: 'transfer', args: [toAddress, amountToTransfer] };
+    }, { errorMessage: `Transfer failed for ${assetId}` });
 }
 
-export default transferAsset;
\ No newline at end of file
+export default transferAsset;
@@ -49,6 +49,9 @@ describe('Protocol E2E Tests', function () {
         await rpcLibrary.pools.depositToStabilityPool(chainId, '250', user1);
 
         await logContractSnapshot(rpcLibrary, chainId, [user1, user2]);
+        const before = await rpcLibrary.snapshots.takeSnapshot(chainId, [user1.address, user2.address], ethers.provider);
+        expect(before.nfts['1021000'].custodian).to.equal('lendingpool');
+        expect(before.nfts['1021000'].depositor).to.equal(user2.address);
 
         // User2 repays loan
         await approveToken(rpcLibrary, chainId, 'crvusd', 'lendingpool', '5', user2);
@@ -62,6 +65,14 @@ describe('Protocol E2E Tests', function () {
         await rpcLibrary.pools.withdrawFromLendingPool(chainId, '200', user1);
 
         await logContractSnapshot(rpcLibrary, chainId, [user1, user2]);
+        const after = await rpcLibrary.snapshots.takeSnapshot(chainId, [user1.address, user2.address], ethers.provider);
+        const { changes } = rpcLibrary.snapshots.diffSnapshots(before, after);
+        logBeautified('Snapshot diff', changes);
+
+        expect(changes[`users.${user2.address}.lendingPool.debt`].delta).to.match(/^-/);
+        expect(changes[`users.${user1.address}.stabilityPool.deposit`].delta).to.match(/^-/);
+        expect(changes['lendingPool.reserve.totalLiquidity'].delta).to.match(/^-/);
+        expect(changes).to.not.have.property('nfts.1021000.owner');
 
         logBeautified('Contract interaction test completed successfully');
       } catch (error) {
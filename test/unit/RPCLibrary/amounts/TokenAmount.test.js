@@ -0,0 +1,105 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import TokenAmount from "../../../../library/RPCLibrary/amounts/TokenAmount.js";
+import wadRayMath, { RAY } from "../../../../library/RPCLibrary/amounts/wadRayMath.js";
+import { percentMul, percentDiv } from "../../../../library/RPCLibrary/amounts/percentageMath.js";
+import {
+    AMOUNT_FORMATS,
+    LEGACY_FORMATS,
+    setAmountFormat,
+    parseAmount,
+    formatAmount
+} from "../../../../library/RPCLibrary/amounts/units.js";
+
+describe("RPCLibrary TokenAmount", () => {
+    afterEach(() => {
+        setAmountFormat(AMOUNT_FORMATS.TOKEN_AMOUNT);
+    });
+
+    it("should parse units and keep raw amounts", () => {
+        expect(TokenAmount.from("1.5").raw).to.equal(1500000000000000000n);
+        expect(TokenAmount.from(2, 6).raw).to.equal(2000000n);
+        expect(TokenAmount.from(123n, 6).raw).to.equal(123n);
+        expect(TokenAmount.from(TokenAmount.from("1.23456789", 18), 6).raw).to.equal(1234567n);
+        expect(parseAmount("0.5", { decimals: 6 })).to.equal(500000n);
+
+        try {
+            TokenAmount.from({});
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error).to.be.instanceOf(TypeError);
+        }
+    });
+
+    it("should format like ethers.formatUnits", () => {
+        const amount = TokenAmount.from("1234.56789", 18, "crvusd");
+        expect(amount.format()).to.equal("1234.56789");
+        expect(amount.format(2)).to.equal("1234.56");
+        expect(amount.format(0)).to.equal("1234");
+        expect(`${amount}`).to.equal("1234.56789");
+        expect(Number(amount)).to.equal(1234.56789);
+        expect(JSON.stringify({ amount })).to.equal('{"amount":"1234.56789"}');
+    });
+
+    it("should combine and compare amounts of the same asset", () => {
+        const amount = TokenAmount.from("10", 18, "crvusd");
+        expect(amount.add("2.5").format()).to.equal("12.5");
+        expect(amount.sub(TokenAmount.from("1", 6)).format()).to.equal("9.0");
+        expect(amount.mulDiv(1, 3).raw).to.equal(3333333333333333333n);
+        expect(amount.percentMul(9500).format()).to.equal("9.5");
+        expect(amount.gt("9.99")).to.equal(true);
+        expect(amount.lte("10")).to.equal(true);
+        expect(amount.eq(10n * 10n ** 18n)).to.equal(true);
+        expect(amount.with(0n).isZero()).to.equal(true);
+
+        try {
+            amount.add(TokenAmount.from("1", 18, "raactoken"));
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal("Cannot combine raactoken with crvusd");
+        }
+    });
+
+    it("should round like WadRayMath and PercentageMath", async () => {
+        const WadRayMathMock = await ethers.getContractFactory("WadRayMathMock");
+        const mock = await WadRayMathMock.deploy();
+
+        const a = 1234567890123456789012345678n;
+        const b = 987654321098765432109876543n;
+        const wad = 1500000000000000001n;
+
+        expect(wadRayMath.wadMul(wad, 3n)).to.equal(await mock.wadMul(wad, 3n));
+        expect(wadRayMath.wadDiv(wad, 7n)).to.equal(await mock.wadDiv(wad, 7n));
+        expect(wadRayMath.rayMul(a, b)).to.equal(await mock.rayMul(a, b));
+        expect(wadRayMath.rayDiv(a, b)).to.equal(await mock.rayDiv(a, b));
+        expect(wadRayMath.rayToWad(a)).to.equal(await mock.rayToWad(a));
+        expect(wadRayMath.wadToRay(wad)).to.equal(await mock.wadToRay(wad));
+        expect(wadRayMath.rayPow(RAY + RAY / 1000n, 365n)).to.equal(await mock.rayPow(RAY + RAY / 1000n, 365n));
+        expect(wadRayMath.rayExp(RAY / 20n)).to.equal(await mock.rayExp(RAY / 20n));
+
+        expect(percentMul(15n, 5000)).to.equal(8n);
+        expect(percentMul(10001n, 1)).to.equal(1n);
+        expect(percentDiv(100n, 3333)).to.equal(300n);
+    });
+
+    it("should return the legacy shapes in legacy mode", () => {
+        const raw = 1000000000000000000n;
+        expect(formatAmount(raw, { decimals: 18 })).to.be.instanceOf(TokenAmount);
+
+        setAmountFormat(AMOUNT_FORMATS.LEGACY);
+        expect(formatAmount(raw, { decimals: 18 })).to.equal("1.0");
+        expect(formatAmount(raw, { decimals: 18, legacy: LEGACY_FORMATS.NUMBER })).to.equal(1);
+        expect(formatAmount(raw, { decimals: 18, legacy: LEGACY_FORMATS.TRIMMED })).to.equal("1");
+        expect(formatAmount(raw, { decimals: 18, legacy: LEGACY_FORMATS.RAW })).to.equal(raw);
+        expect(formatAmount(raw, { decimals: 18, legacy: LEGACY_FORMATS.STRING })).to.equal("1000000000000000000");
+
+        try {
+            setAmountFormat("wei");
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal("Unknown amount format: wei");
+        }
+    });
+});
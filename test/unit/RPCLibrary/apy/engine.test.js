@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import {
+    getBlocksPerYear,
+    calculateRewardApr,
+    aprToApy,
+    buildApyBreakdown
+} from "../../../../library/RPCLibrary/apy/engine.js";
+import { fixedPriceSource, liquidityPoolPriceSource, isPriceUnavailable } from "../../../../library/RPCLibrary/apy/priceSources.js";
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import getBlockTime from "../../../../library/RPCLibrary/apy/getBlockTime.js";
+
+const RAY = 10n ** 27n;
+const WAD = 10n ** 18n;
+
+describe("RPCLibrary APY engine", () => {
+    it("should count blocks from the block time", () => {
+        expect(getBlocksPerYear(12)).to.equal(2628000n);
+        expect(getBlocksPerYear(15)).to.equal(2102400n);
+        expect(getBlocksPerYear(2)).to.equal(15768000n);
+    });
+
+    it("should value rewards against the deposits", () => {
+        const rewards = { rewardsPerYear: 1000n * WAD, price: WAD / 2n };
+        expect(calculateRewardApr({ ...rewards, totalDeposits: 10000n * WAD })).to.equal(RAY / 20n);
+        expect(calculateRewardApr({ ...rewards, totalDeposits: 10000n * 10n ** 6n, depositDecimals: 6 })).to.equal(RAY / 20n);
+        expect(calculateRewardApr({ ...rewards, totalDeposits: 0n })).to.equal(0n);
+    });
+
+    it("should compound rewards", () => {
+        expect(aprToApy(RAY / 10n, 1)).to.equal(RAY / 10n);
+        expect(aprToApy(RAY / 10n)).to.equal(105155781616264373938011430n);
+    });
+
+    it("should break the yield down by source", () => {
+        const simple = buildApyBreakdown({ baseApr: RAY / 20n, emissionsApr: RAY / 10n, boost: 25000, periods: 1 });
+        expect(simple.base).to.deep.equal({ apr: 5, apy: 5 });
+        expect(simple.boost).to.deep.equal({ apr: 15, apy: 15, multiplier: 2.5 });
+        expect(simple.total).to.deep.equal({ apr: 30, apy: 30 });
+
+        const compounded = buildApyBreakdown({ emissionsApr: RAY / 10n, boost: 25000 });
+        expect(compounded.emissions).to.deep.equal({ apr: 10, apy: 10.51 });
+        expect(compounded.total).to.deep.equal({ apr: 25, apy: 28.39 });
+    });
+
+    it("should price from set prices", async () => {
+        const priceSource = fixedPriceSource({ "raactoken/crvusd": 0.25 });
+        expect(await priceSource({ asset: "raactoken", quote: "crvusd" })).to.equal(WAD / 4n);
+        expect(await priceSource({ asset: "crvusd", quote: "crvusd" })).to.equal(WAD);
+        try {
+            await priceSource({ asset: "crvusd", quote: "raactoken" });
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal("No price for crvusd/raactoken");
+            expect(isPriceUnavailable(error)).to.equal(true);
+        }
+    });
+
+    it("should have no LiquidityPool price on chains without a LiquidityPool", async () => {
+        const chainId = 990201;
+        const config = createConfig(chainId);
+        for (const entry of [config.assets.raactoken, config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        registerChainConfig(config);
+
+        try {
+            await liquidityPoolPriceSource({ chainId, provider: ethers.provider, blockNumber: "latest", asset: "raactoken", quote: "crvusd" });
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal(`No LiquidityPool configured on chain ${chainId}`);
+            expect(isPriceUnavailable(error)).to.equal(true);
+        }
+    });
+
+    it("should measure the block time", async () => {
+        await ethers.provider.send("hardhat_mine", ["0x64", "0x2"]);
+        const { blockTime, sampleSize } = await getBlockTime(ethers.provider, { sampleSize: 50 });
+        expect(sampleSize).to.equal(50);
+        expect(blockTime).to.equal(2);
+    });
+});
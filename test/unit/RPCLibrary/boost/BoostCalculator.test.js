@@ -0,0 +1,115 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import {
+    calculateTimeWeightedBoost,
+    calculateVeAmount,
+    MAX_LOCK_DURATION
+} from "../../../../library/RPCLibrary/boost/BoostCalculator.js";
+
+const ITERATIONS = 50;
+
+function randomBigInt(max) {
+    return BigInt(Math.floor(Math.random() * Number(max)));
+}
+
+function generateRandomAmount() {
+    return ethers.parseEther(
+        (Math.random() * 1000000).toFixed(18)
+    );
+}
+
+describe("RPCLibrary BoostCalculator simulator", () => {
+    let boostCalculator;
+    let veRAACToken;
+
+    beforeEach(async () => {
+        const [owner] = await ethers.getSigners();
+
+        const BoostCalculatorMock = await ethers.getContractFactory("BoostCalculatorMock");
+        boostCalculator = await BoostCalculatorMock.deploy();
+
+        // calculateVeAmount is pure, the RAAC token address is never used
+        const VeRAACToken = await ethers.getContractFactory("veRAACToken");
+        veRAACToken = await VeRAACToken.deploy(owner.address);
+    });
+
+    describe("calculateTimeWeightedBoost", () => {
+        it("should match the contract for default boost parameters", async () => {
+            const params = { maxBoost: 25000n, minBoost: 10000n };
+
+            for (let i = 0; i < ITERATIONS; i++) {
+                const totalSupply = generateRandomAmount() + 1n;
+                const userBalance = randomBigInt(totalSupply);
+                const amount = generateRandomAmount();
+
+                const [boostBasisPoints, boostedAmount] = await boostCalculator.calculateTimeWeightedBoostView(
+                    userBalance,
+                    totalSupply,
+                    amount
+                );
+                const simulated = calculateTimeWeightedBoost(params, userBalance, totalSupply, amount);
+
+                expect(simulated.boostBasisPoints).to.equal(boostBasisPoints);
+                expect(simulated.boostedAmount).to.equal(boostedAmount);
+            }
+        });
+
+        it("should match the contract for randomized boost parameters", async () => {
+            for (let i = 0; i < ITERATIONS; i++) {
+                const minBoost = 10000n + randomBigInt(10000n);
+                const maxBoost = minBoost + randomBigInt(50000n - minBoost);
+                await boostCalculator.setMinBoost(minBoost);
+                await boostCalculator.setMaxBoost(maxBoost);
+
+                const totalSupply = generateRandomAmount() + 1n;
+                // Balances above the total supply exercise the max boost clamp
+                const userBalance = randomBigInt(totalSupply * 2n);
+                const amount = generateRandomAmount();
+
+                const [boostBasisPoints, boostedAmount] = await boostCalculator.calculateTimeWeightedBoostView(
+                    userBalance,
+                    totalSupply,
+                    amount
+                );
+                const simulated = calculateTimeWeightedBoost({ maxBoost, minBoost }, userBalance, totalSupply, amount);
+
+                expect(simulated.boostBasisPoints).to.equal(boostBasisPoints);
+                expect(simulated.boostedAmount).to.equal(boostedAmount);
+            }
+        });
+
+        it("should match the contract when total supply or amount is 0", async () => {
+            const params = { maxBoost: 25000n, minBoost: 10000n };
+            const amount = ethers.parseEther("100");
+
+            const [boostBasisPoints, boostedAmount] = await boostCalculator.calculateTimeWeightedBoostView(
+                ethers.parseEther("50"),
+                0n,
+                amount
+            );
+            const simulated = calculateTimeWeightedBoost(params, ethers.parseEther("50"), 0n, amount);
+            expect(simulated.boostBasisPoints).to.equal(boostBasisPoints);
+            expect(simulated.boostedAmount).to.equal(boostedAmount);
+
+            const zeroAmount = calculateTimeWeightedBoost(params, ethers.parseEther("50"), ethers.parseEther("100"), 0n);
+            expect(zeroAmount.boostBasisPoints).to.equal(0n);
+            expect(zeroAmount.boostedAmount).to.equal(0n);
+        });
+    });
+
+    describe("calculateVeAmount", () => {
+        it("should match veRAACToken.calculateVeAmount", async () => {
+            for (let i = 0; i < ITERATIONS; i++) {
+                const amount = generateRandomAmount();
+                // Up to twice the max lock duration to cover the cap
+                const duration = randomBigInt(MAX_LOCK_DURATION * 2n);
+
+                expect(calculateVeAmount(amount, duration)).to.equal(
+                    await veRAACToken.calculateVeAmount(amount, duration)
+                );
+            }
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import simulateBoost from "../../../../library/RPCLibrary/boost/simulateBoost.js";
+
+const CHAIN_ID = 990301;
+const YEAR = 365 * 24 * 3600;
+
+describe("RPCLibrary simulateBoost", () => {
+    let owner, user;
+    let boostController;
+    let deployedAt;
+
+    const simulate = (options) => simulateBoost(CHAIN_ID, {
+        address: user.address,
+        amount: "1000",
+        duration: YEAR
+    }, ethers.provider, options);
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const RAACToken = await ethers.getContractFactory("RAACToken");
+        const raacToken = await RAACToken.deploy(owner.address, 100, 50);
+        const VeRAACToken = await ethers.getContractFactory("veRAACToken");
+        const veRAACToken = await VeRAACToken.deploy(raacToken.target);
+        const BoostController = await ethers.getContractFactory("BoostController");
+        boostController = await BoostController.deploy(veRAACToken.target);
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.assets.veraac.contract = veRAACToken.target;
+        config.contracts.boostcontroller.contract = boostController.target;
+        registerChainConfig(config);
+    });
+
+    it("should use the last parameter update, read backwards in block batches", async () => {
+        await boostController.setBoostParameters(22000, 10000, 7 * 24 * 3600);
+        await boostController.setBoostParameters(20000, 10000, 7 * 24 * 3600);
+        await ethers.provider.send("hardhat_mine", ["0x5"]);
+
+        // The user would hold the whole veRAAC supply, the projection is the max boost
+        const { current, projected } = await simulate({ fromBlock: deployedAt, batchSize: 2 });
+        expect(current.boostBasisPoints).to.equal(10000);
+        expect(projected.boostBasisPoints).to.equal(20000);
+        expect(projected.boost).to.equal(2);
+    });
+
+    it("should use the default parameters without an update after fromBlock", async () => {
+        await boostController.setBoostParameters(20000, 10000, 7 * 24 * 3600);
+        const fromBlock = await ethers.provider.getBlockNumber() + 1;
+        await ethers.provider.send("hardhat_mine", ["0x3"]);
+
+        const { projected } = await simulate({ fromBlock, batchSize: 2 });
+        expect(projected.boostBasisPoints).to.equal(25000);
+    });
+});
@@ -0,0 +1,149 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import claimRewards from "../../../../library/RPCLibrary/collectors/claimRewards.js";
+import getCollectedFees from "../../../../library/RPCLibrary/collectors/getCollectedFees.js";
+import getFeeReport from "../../../../library/RPCLibrary/collectors/getFeeReport.js";
+import getFeeTypes from "../../../../library/RPCLibrary/collectors/getFeeTypes.js";
+import getPendingRewards from "../../../../library/RPCLibrary/collectors/getPendingRewards.js";
+import getTreasuryAllocation from "../../../../library/RPCLibrary/collectors/getTreasuryAllocation.js";
+import getTreasurySnapshot from "../../../../library/RPCLibrary/collectors/getTreasurySnapshot.js";
+
+const CHAIN_ID = 990404;
+const YEAR = 365 * 24 * 3600;
+
+describe("RPCLibrary collectors", () => {
+    let owner, user, recipient;
+    let raacToken, veRAACToken, feeCollector, treasury;
+    let deployedAt;
+
+    beforeEach(async () => {
+        [owner, user, recipient] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const RAACToken = await ethers.getContractFactory("RAACToken");
+        raacToken = await RAACToken.deploy(owner.address, 100, 50);
+        const VeRAACToken = await ethers.getContractFactory("veRAACToken");
+        veRAACToken = await VeRAACToken.deploy(raacToken.target);
+        const Treasury = await ethers.getContractFactory("Treasury");
+        treasury = await Treasury.deploy(owner.address);
+        const FeeCollector = await ethers.getContractFactory("FeeCollector");
+        feeCollector = await FeeCollector.deploy(raacToken.target, veRAACToken.target, treasury.target, owner.address, owner.address);
+        await feeCollector.grantRole(await feeCollector.DISTRIBUTOR_ROLE(), owner.address);
+
+        // Whitelisted, the fee transfers are not taxed
+        await raacToken.manageWhitelist(feeCollector.target, true);
+        await raacToken.manageWhitelist(veRAACToken.target, true);
+        await raacToken.setMinter(owner.address);
+        await raacToken.mint(user.address, ethers.parseEther("1000"));
+        await raacToken.connect(user).approve(feeCollector.target, ethers.MaxUint256);
+        await raacToken.connect(user).approve(veRAACToken.target, ethers.MaxUint256);
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.assets.raactoken.contract = raacToken.target;
+        config.assets.veraac.contract = veRAACToken.target;
+        config.contracts.feecollector.contract = feeCollector.target;
+        config.contracts.treasury.contract = treasury.target;
+        registerChainConfig(config);
+    });
+
+    it("should read the collected fees and the fee type shares", async () => {
+        await feeCollector.connect(user).collectFee(ethers.parseEther("50"), 0);
+        await feeCollector.connect(user).collectFee(ethers.parseEther("20"), 6);
+        await feeCollector.connect(user).collectFee(ethers.parseEther("5"), 6);
+
+        const { fees, total } = await getCollectedFees(CHAIN_ID, ethers.provider);
+        const collectedFees = await feeCollector.getCollectedFees();
+        expect(fees.map(({ key, amount }) => [key, amount.raw])).to.deep.equal(
+            fees.map(({ key }) => [key, collectedFees[key]])
+        );
+        expect(fees[0].amount.raw).to.equal(ethers.parseEther("50"));
+        expect(fees[6].amount.raw).to.equal(ethers.parseEther("25"));
+        expect(total.raw).to.equal(ethers.parseEther("75"));
+        expect(total.asset).to.equal("raactoken");
+
+        const feeTypes = await getFeeTypes(CHAIN_ID, ethers.provider);
+        expect(feeTypes).to.have.lengthOf(8);
+        for (const feeType of feeTypes) {
+            const shares = await feeCollector.getFeeType(feeType.id);
+            expect(feeType.veRAACShare).to.equal(Number(shares.veRAACShare) / 100);
+            expect(feeType.burnShare).to.equal(Number(shares.burnShare) / 100);
+            expect(feeType.repairShare).to.equal(Number(shares.repairShare) / 100);
+            expect(feeType.treasuryShare).to.equal(Number(shares.treasuryShare) / 100);
+        }
+    });
+
+    it("should claim the pending rewards of a veRAAC holder and report the fee events", async () => {
+        await veRAACToken.connect(user).lock(ethers.parseEther("100"), YEAR);
+        await feeCollector.connect(user).collectFee(ethers.parseEther("50"), 0);
+        await feeCollector.connect(user).collectFee(ethers.parseEther("30"), 1);
+        await feeCollector.distributeCollectedFees();
+        await time.increase(7 * 24 * 3600);
+
+        const pending = await feeCollector.getPendingRewards(user.address);
+        expect(pending).to.be.greaterThan(0n);
+        expect((await getPendingRewards(CHAIN_ID, user.address, ethers.provider)).raw).to.equal(pending);
+
+        // The rewards go to the given user, whoever sends the claim
+        const balance = await raacToken.balanceOf(user.address);
+        const receipt = await claimRewards(CHAIN_ID, owner, user.address);
+        expect(receipt.status).to.equal(1);
+        expect(await raacToken.balanceOf(user.address)).to.equal(balance + pending);
+        expect((await getPendingRewards(CHAIN_ID, user.address, ethers.provider)).raw).to.equal(0n);
+
+        const report = await getFeeReport(CHAIN_ID, deployedAt, "latest", ethers.provider);
+        const [distribution] = await feeCollector.queryFilter(feeCollector.filters.FeeDistributed(), deployedAt);
+        const { veRAACAmount, burnAmount, repairAmount, treasuryAmount } = distribution.args;
+        const { collected, distributed, claimed } = report.totals;
+        expect(collected.raw).to.equal(ethers.parseEther("80"));
+        expect(distributed.veRAAC.raw).to.equal(veRAACAmount);
+        expect(distributed.burn.raw).to.equal(burnAmount);
+        expect(distributed.repair.raw).to.equal(repairAmount);
+        expect(distributed.treasury.raw).to.equal(treasuryAmount);
+        expect(claimed.raw).to.equal(pending);
+        expect(report.byFeeType.filter(({ count }) => count > 0).map(({ key, amount, count }) => [key, amount.raw, count])).to.deep.equal([
+            ["protocolFees", ethers.parseEther("50"), 1],
+            ["lendingFees", ethers.parseEther("30"), 1],
+        ]);
+        expect(report.events.collected.map(({ name }) => name)).to.deep.equal(["Protocol Fees", "Lending Fees"]);
+        expect(report.events.claims.map(({ amount, ...claim }) => ({ ...claim, amount: amount.raw }))).to.deep.equal([{
+            user: user.address,
+            amount: pending,
+            blockNumber: receipt.blockNumber,
+            timestamp: (await ethers.provider.getBlock(receipt.blockNumber)).timestamp,
+            transactionHash: receipt.hash,
+        }]);
+
+        // The claim is a week after the collection, in another daily bucket
+        const sum = (key) => report.daily.reduce((total, day) => total + day[key].raw, 0n);
+        expect(report.daily.length).to.be.greaterThan(1);
+        expect(sum("collected")).to.equal(ethers.parseEther("80"));
+        expect(sum("distributed")).to.equal(veRAACAmount + burnAmount + repairAmount + treasuryAmount);
+        expect(sum("claimed")).to.equal(pending);
+    });
+
+    it("should read the treasury balances and allocations", async () => {
+        await raacToken.mint(owner.address, ethers.parseEther("100"));
+        await raacToken.approve(treasury.target, ethers.MaxUint256);
+        await treasury.deposit(raacToken.target, ethers.parseEther("40"));
+        await treasury.allocateFunds(recipient.address, ethers.parseEther("15"));
+
+        const snapshot = await getTreasurySnapshot(CHAIN_ID, ethers.provider);
+        expect(snapshot.address).to.equal(treasury.target);
+        expect(snapshot.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(snapshot.totalValue.raw).to.equal(await treasury.getTotalValue());
+        expect(snapshot.assets.raactoken.balance.raw).to.equal(await treasury.getBalance(raacToken.target));
+        expect(snapshot.assets.raactoken.balance.raw).to.equal(ethers.parseEther("40"));
+        expect(snapshot.assets.crvusd.balance.raw).to.equal(0n);
+
+        expect((await getTreasuryAllocation(CHAIN_ID, owner.address, recipient.address, ethers.provider)).raw).to.equal(ethers.parseEther("15"));
+        expect((await getTreasuryAllocation(CHAIN_ID, user.address, recipient.address, ethers.provider)).raw).to.equal(0n);
+    });
+});
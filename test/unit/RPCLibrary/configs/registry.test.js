@@ -0,0 +1,165 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+const { ethers } = hre;
+
+import { getChainConfig, registerChainConfig, onChainConfigChange } from "../../../../library/RPCLibrary/configs/index.js";
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import loadChainConfig from "../../../../library/RPCLibrary/configs/loadChainConfig.js";
+import importDeployment from "../../../../library/RPCLibrary/configs/importDeployment.js";
+import { validateChainConfig } from "../../../../library/RPCLibrary/configs/schema.js";
+import { getContractAddress, setOverrideConfig } from "../../../../library/RPCLibrary/utils/contracts.js";
+import { getPrimeRateOracleAddress } from "../../../../library/RPCLibrary/interest/getPrimeRateHistory.js";
+
+const CHAIN_ID = 424242;
+
+const address = () => ethers.Wallet.createRandom().address;
+
+// Config of CHAIN_ID with every required id deployed
+const createDeployedConfig = () => {
+    const config = createConfig(CHAIN_ID);
+    config.pools.lendingpool.contract = address();
+    config.pools.stabilitypool.contract = address();
+    config.nfts.raacnft.contract = address();
+    config.assets.crvusd.contract = address();
+    return config;
+};
+
+describe("RPCLibrary config registry", () => {
+    let path;
+
+    beforeEach(async () => {
+        path = await mkdtemp(join(tmpdir(), "raac-configs-"));
+    });
+
+    afterEach(async () => {
+        await rm(path, { recursive: true, force: true });
+    });
+
+    it("should validate the shipped chain configs", () => {
+        expect(validateChainConfig(getChainConfig(8453))).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it("should report invalid addresses, decimals and missing ids", () => {
+        const config = createDeployedConfig();
+        config.pools.lendingpool.contract = "";
+        config.nfts.raacnft.contract = "0x1234";
+        config.assets.crvusd.decimals = "18";
+        config.contracts.treasury.id = "Treasury";
+        delete config.pools.stabilitypool;
+
+        const { valid, errors } = validateChainConfig(config);
+        expect(valid).to.equal(false);
+        expect(errors.map(({ path }) => path)).to.have.members([
+            "config.pools.lendingpool.contract",
+            "config.pools.stabilitypool",
+            "config.nfts.raacnft.contract",
+            "config.assets.crvusd.decimals",
+            "config.contracts.treasury.id"
+        ]);
+    });
+
+    it("should hot-swap the config of a chain", () => {
+        const changes = [];
+        const off = onChainConfigChange((change) => changes.push(change));
+        try {
+            const first = registerChainConfig(createDeployedConfig());
+            const second = registerChainConfig(createDeployedConfig());
+
+            expect(getContractAddress(CHAIN_ID, "lendingpool")).to.equal(second.pools.lendingpool.contract);
+            expect(changes).to.have.length(2);
+            expect(changes[1].chainId).to.equal(CHAIN_ID);
+            expect(changes[1].previous).to.equal(first);
+        } finally {
+            off();
+        }
+
+        let error;
+        try {
+            registerChainConfig({ ...createDeployedConfig(), nfts: {} });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("config.nfts.raacnft is required");
+        expect(error.errors).to.have.length(1);
+    });
+
+    it("should merge overrides into the current config", () => {
+        const config = registerChainConfig(createDeployedConfig());
+        const treasury = address();
+        setOverrideConfig(CHAIN_ID, { contracts: { treasury: { id: "treasury", name: "Treasury", contract: treasury } } });
+
+        expect(getContractAddress(CHAIN_ID, "treasury")).to.equal(treasury);
+        expect(getContractAddress(CHAIN_ID, "lendingpool")).to.equal(config.pools.lendingpool.contract);
+        expect(getChainConfig(CHAIN_ID).contracts.feecollector.id).to.equal("feecollector");
+    });
+
+    it("should load configs from a file", async () => {
+        const config = createDeployedConfig();
+        const file = join(path, "configs.json");
+        await writeFile(file, JSON.stringify([config]));
+
+        const [loaded] = await loadChainConfig(file);
+        expect(loaded.pools.lendingpool.contract).to.equal(config.pools.lendingpool.contract);
+        expect(getChainConfig(CHAIN_ID)).to.equal(loaded);
+
+        // Nothing is registered when one of the configs is invalid
+        await writeFile(file, JSON.stringify([createDeployedConfig(), { chainId: 1 }]));
+        let error;
+        try {
+            await loadChainConfig(file);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.errors.length).to.be.greaterThan(0);
+        expect(getChainConfig(CHAIN_ID)).to.equal(loaded);
+    });
+
+    it("should import a Deployer deployment file", async () => {
+        const contracts = {
+            RAACLendingPool: address(),
+            StabilityPool: address(),
+            RAACNFT: address(),
+            RToken: address(),
+            RAACHousePrices: address(),
+            veRAACToken: address()
+        };
+        const deployment = {
+            network: { network: "local", chainId: CHAIN_ID, rpcUrl: "http://127.0.0.1:8545" },
+            dependencies: { crvUSDToken: { address: address() } },
+            contracts
+        };
+        const file = join(path, `${Date.now()}_0x${"ab".repeat(32)}.json`);
+        await writeFile(file, JSON.stringify(deployment));
+
+        const config = await importDeployment(file);
+        expect(getChainConfig(CHAIN_ID)).to.equal(config);
+        expect(config.name).to.equal("local");
+        expect(config.rpcs).to.deep.equal(["http://127.0.0.1:8545"]);
+        expect(getContractAddress(CHAIN_ID, "lendingpool")).to.equal(contracts.RAACLendingPool);
+        expect(getContractAddress(CHAIN_ID, "raachouseprices")).to.equal(contracts.RAACHousePrices);
+        expect(getContractAddress(CHAIN_ID, "crvusd")).to.equal(deployment.dependencies.crvUSDToken.address);
+        expect(config.assets.rcrvusd.contract).to.equal(contracts.RToken);
+        expect(config.assets.veraac.decimals).to.equal(18);
+        expect(config.contracts.treasury.contract).to.equal("");
+
+        const preview = await importDeployment({ ...deployment, network: "hardhat" }, { chainId: 31337, register: false });
+        expect(preview.chainId).to.equal(31337);
+        expect(preview.rpcs).to.deep.equal(["http://localhost:8545"]);
+        expect(getChainConfig(CHAIN_ID)).to.equal(config);
+    });
+
+    it("should find the imported prime rate oracle", async () => {
+        const oracle = address();
+        await importDeployment({
+            network: { network: "local", chainId: CHAIN_ID },
+            dependencies: { crvUSDToken: { address: address() } },
+            contracts: { RAACLendingPool: address(), StabilityPool: address(), RAACNFT: address(), RAACPrimeRateOracle: oracle }
+        });
+
+        // Read from the config, the LendingPool is not asked
+        expect(await getPrimeRateOracleAddress(CHAIN_ID, ethers.provider)).to.equal(oracle);
+    });
+});
@@ -0,0 +1,103 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import { decodeErrorData, getRevertData, parseContractError } from "../../../../library/RPCLibrary/errors/decodeError.js";
+import ContractError from "../../../../library/RPCLibrary/errors/ContractError.js";
+import { ERROR_CODES } from "../../../../library/RPCLibrary/errors/codes.js";
+import { ABIS } from "../../../../library/RPCLibrary/utils/artifacts.js";
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const encodeError = (selector, types, values) => ethers.concat([selector, abiCoder.encode(types, values)]);
+
+describe("RPCLibrary decodeError", () => {
+    it("should decode Error(string) reverts", () => {
+        const data = encodeError("0x08c379a0", ["string"], ["Not allowed"]);
+
+        const decoded = decodeErrorData(data);
+
+        expect(decoded.errorName).to.equal("Error");
+        expect(decoded.reason).to.equal("Not allowed");
+    });
+
+    it("should decode panics", () => {
+        const error = { code: "CALL_EXCEPTION", data: encodeError("0x4e487b71", ["uint256"], [0x11]) };
+
+        const parsed = parseContractError(error);
+
+        expect(parsed.code).to.equal(ERROR_CODES.PANIC);
+        expect(parsed.message).to.equal("reverted with arithmetic overflow or underflow");
+    });
+
+    it("should decode custom errors with an extra ABI", () => {
+        const iface = new ethers.Interface(["error NotEnoughCollateralToBorrow()"]);
+        const error = { code: "CALL_EXCEPTION", data: iface.encodeErrorResult("NotEnoughCollateralToBorrow", []) };
+
+        const parsed = parseContractError(error, { message: "Failed to borrow", abi: iface });
+
+        expect(parsed).to.be.instanceOf(ContractError);
+        expect(parsed.code).to.equal(ERROR_CODES.INSUFFICIENT_COLLATERAL);
+        expect(parsed.errorName).to.equal("NotEnoughCollateralToBorrow");
+        expect(parsed.message).to.equal("Failed to borrow: NotEnoughCollateralToBorrow()");
+        expect(parsed.isRevert).to.equal(true);
+    });
+
+    it("should decode custom errors with the ABI registry only", () => {
+        const data = new ethers.Interface(["error NotEnoughCollateralToBorrow()"]).encodeErrorResult("NotEnoughCollateralToBorrow", []);
+        // What a read getter catches from a reverting eth_call
+        const error = { code: "CALL_EXCEPTION", message: "execution reverted (unknown custom error)", info: { error: { data } } };
+
+        const parsed = parseContractError(error, { message: "Failed to get health factor" });
+
+        expect(parsed).to.be.instanceOf(ContractError);
+        expect(parsed.errorName).to.equal("NotEnoughCollateralToBorrow");
+        expect(parsed.code).to.equal(ERROR_CODES.INSUFFICIENT_COLLATERAL);
+        expect(ethers.Interface.from(ABIS[parsed.contract]).getError("NotEnoughCollateralToBorrow")).to.not.equal(null);
+        expect(parsed.message).to.equal(`Failed to get health factor: NotEnoughCollateralToBorrow() reverted in ${parsed.contract}`);
+    });
+
+    it("should find revert data nested by wallets", () => {
+        const data = encodeError("0x08c379a0", ["string"], ["Nested"]);
+
+        expect(getRevertData({ info: { error: { data: { data } } } })).to.equal(data);
+        expect(getRevertData({ message: "no data" })).to.equal(null);
+    });
+
+    it("should keep unknown selectors as reverts", () => {
+        const parsed = parseContractError({ code: "CALL_EXCEPTION", data: "0xdeadbeef" });
+
+        expect(parsed.errorName).to.equal(null);
+        expect(parsed.code).to.equal(ERROR_CODES.REVERTED);
+        expect(parsed.message).to.equal("reverted with unknown error 0xdeadbeef");
+    });
+
+    it("should map wallet errors without revert data", () => {
+        const parsed = parseContractError({ code: "ACTION_REJECTED", message: "user rejected action" });
+
+        expect(parsed.code).to.equal(ERROR_CODES.USER_REJECTED);
+        expect(parsed.isRevert).to.equal(false);
+        expect(parsed.message).to.equal("user rejected action");
+    });
+
+    it("should decode a revert of a deployed contract", async () => {
+        const [owner, user] = await ethers.getSigners();
+        const RAACMockERC20 = await ethers.getContractFactory("RAACMockERC20");
+        const token = await RAACMockERC20.deploy(owner.address);
+        await token.waitForDeployment();
+
+        const balance = await token.balanceOf(owner.address);
+        let parsed;
+        try {
+            await token.transfer.staticCall(user.address, balance + 1n);
+        } catch (error) {
+            parsed = parseContractError(error, { abi: token.interface, address: token.target });
+        }
+
+        expect(parsed.errorName).to.equal("ERC20InsufficientBalance");
+        expect(parsed.code).to.equal(ERROR_CODES.INSUFFICIENT_BALANCE);
+        expect(parsed.namedArgs.sender).to.equal(owner.address);
+        expect(parsed.namedArgs.balance).to.equal(balance);
+        expect(parsed.namedArgs.needed).to.equal(balance + 1n);
+        expect(parsed.address).to.equal(token.target);
+    });
+});
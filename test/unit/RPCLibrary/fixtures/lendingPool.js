@@ -0,0 +1,53 @@
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+
+// LendingPool with its crvUSD reserve, RToken, DebtToken, RAACNFT collateral and house prices, owned by `owner`.
+// `owner` is the crvUSD minter and the house price oracle.
+export async function deployLendingPool(owner) {
+    const CrvUSDToken = await ethers.getContractFactory("crvUSDToken");
+    const crvusd = await CrvUSDToken.deploy(owner.address);
+    await crvusd.setMinter(owner.address);
+
+    const RAACHousePrices = await ethers.getContractFactory("RAACHousePrices");
+    const raacHousePrices = await RAACHousePrices.deploy(owner.address);
+    await raacHousePrices.setOracle(owner.address);
+
+    const RAACNFT = await ethers.getContractFactory("RAACNFT");
+    const raacNFT = await RAACNFT.deploy(crvusd.target, raacHousePrices.target, owner.address);
+
+    const RToken = await ethers.getContractFactory("RToken");
+    const rToken = await RToken.deploy("RToken", "RToken", owner.address, crvusd.target);
+    const DebtToken = await ethers.getContractFactory("DebtToken");
+    const debtToken = await DebtToken.deploy("DebtToken", "DT", owner.address);
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const lendingPool = await LendingPool.deploy(
+        crvusd.target,
+        rToken.target,
+        debtToken.target,
+        raacNFT.target,
+        raacHousePrices.target,
+        ethers.parseUnits("0.1", 27)
+    );
+    await rToken.setReservePool(lendingPool.target);
+    await debtToken.setReservePool(lendingPool.target);
+    await rToken.transferOwnership(lendingPool.target);
+    await debtToken.transferOwnership(lendingPool.target);
+
+    return { crvusd, raacHousePrices, raacNFT, rToken, debtToken, lendingPool };
+}
+
+// Registers the contracts of deployLendingPool on `chainId`, the StabilityPool can be any address
+export function registerLendingPoolConfig(chainId, { crvusd, raacHousePrices, raacNFT, lendingPool }, stabilityPool) {
+    const config = createConfig(chainId);
+    config.pools.lendingpool.contract = lendingPool.target;
+    config.pools.stabilitypool.contract = stabilityPool;
+    config.nfts.raacnft.contract = raacNFT.target;
+    config.assets.crvusd.contract = crvusd.target;
+    config.contracts.raachouseprices.contract = raacHousePrices.target;
+    registerChainConfig(config);
+    return config;
+}
@@ -0,0 +1,98 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import vote from "../../../../library/RPCLibrary/gauges/vote.js";
+import stake from "../../../../library/RPCLibrary/gauges/stake.js";
+import withdraw from "../../../../library/RPCLibrary/gauges/withdraw.js";
+import claimRewards from "../../../../library/RPCLibrary/gauges/claimRewards.js";
+import getGauge from "../../../../library/RPCLibrary/gauges/getGauge.js";
+import getGauges from "../../../../library/RPCLibrary/gauges/getGauges.js";
+
+const CHAIN_ID = 990403;
+const WEEK = 7 * 24 * 3600;
+const RAAC_GAUGE_TYPE = 1;
+
+describe("RPCLibrary gauges", () => {
+    let owner, user;
+    let rewardToken, veRAACToken, gaugeController, raacGauge;
+
+    const gaugeOf = (address = user.address) => getGauge(CHAIN_ID, raacGauge.target, address, ethers.provider);
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        rewardToken = await MockToken.deploy("Reward Token", "RWD", 18);
+        veRAACToken = await MockToken.deploy("veRAAC Token", "veRAAC", 18);
+        await veRAACToken.mint(user.address, ethers.parseEther("1000"));
+
+        const GaugeController = await ethers.getContractFactory("GaugeController");
+        gaugeController = await GaugeController.deploy(veRAACToken.target);
+        const RAACGauge = await ethers.getContractFactory("RAACGauge");
+        raacGauge = await RAACGauge.deploy(rewardToken.target, veRAACToken.target, gaugeController.target);
+        await raacGauge.grantRole(await raacGauge.CONTROLLER_ROLE(), owner.address);
+        await raacGauge.setWeeklyEmission(ethers.parseEther("10000"));
+        // The constructor defaults minBoost to 1e18, above maxBoost: user weights overflow until this is set
+        await raacGauge.setBoostParameters(25000, 10000, WEEK);
+        await rewardToken.mint(raacGauge.target, ethers.parseEther("100000"));
+
+        await gaugeController.grantRole(await gaugeController.GAUGE_ADMIN(), owner.address);
+        await gaugeController.addGauge(raacGauge.target, RAAC_GAUGE_TYPE, 0);
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.contracts.gaugecontroller.contract = gaugeController.target;
+        registerChainConfig(config);
+    });
+
+    it("should vote with a share of the voting power and read the gauge weights", async () => {
+        await vote(CHAIN_ID, raacGauge.target, 5000, user);
+
+        const gauge = await gaugeOf();
+        const { weight } = await gaugeController.gauges(raacGauge.target);
+        expect(gauge.address).to.equal(raacGauge.target);
+        expect(gauge.type).to.equal("RAAC");
+        expect(gauge.isActive).to.equal(true);
+        expect(gauge.weight.raw).to.equal(weight);
+        expect(weight).to.equal(ethers.parseEther("500"));
+        expect(gauge.relativeWeight).to.equal(100);
+        expect(gauge.stakingToken).to.equal(veRAACToken.target);
+        expect(gauge.rewardToken).to.equal(rewardToken.target);
+        expect(gauge.period.duration).to.equal(Number(await raacGauge.getPeriodDuration()));
+        expect(gauge.user.vote).to.equal(5000);
+
+        expect((await gaugeOf(null)).user).to.equal(null);
+        const gauges = await getGauges(CHAIN_ID, user.address, ethers.provider);
+        expect(gauges).to.deep.equal([gauge]);
+    });
+
+    it("should stake with the approval sent when needed, claim and withdraw", async () => {
+        // Rewards follow the gauge weight
+        await vote(CHAIN_ID, raacGauge.target, 10000, user);
+        await stake(CHAIN_ID, raacGauge.target, "100", user);
+        expect(await veRAACToken.allowance(user.address, raacGauge.target)).to.equal(0n);
+        let gauge = await gaugeOf();
+        expect(gauge.user.staked.raw).to.equal(ethers.parseEther("100"));
+        expect(gauge.totalStaked.raw).to.equal(ethers.parseEther("100"));
+
+        await raacGauge.notifyRewardAmount(ethers.parseEther("1000"));
+        await time.increase(WEEK / 2);
+        gauge = await gaugeOf();
+        expect(gauge.rewardRate.raw).to.equal(await raacGauge.rewardRate());
+        expect(gauge.user.earned.raw).to.equal(await raacGauge.earned(user.address));
+        expect(gauge.user.earned.raw).to.be.greaterThan(0n);
+
+        await claimRewards(CHAIN_ID, raacGauge.target, user);
+        expect(await rewardToken.balanceOf(user.address)).to.be.greaterThanOrEqual(gauge.user.earned.raw);
+
+        await withdraw(CHAIN_ID, raacGauge.target, "40", user);
+        expect((await gaugeOf()).user.staked.raw).to.equal(ethers.parseEther("60"));
+        expect(await veRAACToken.balanceOf(user.address)).to.equal(ethers.parseEther("940"));
+    });
+});
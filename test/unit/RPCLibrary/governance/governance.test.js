@@ -0,0 +1,139 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import propose from "../../../../library/RPCLibrary/governance/propose.js";
+import castVote from "../../../../library/RPCLibrary/governance/castVote.js";
+import queueProposal from "../../../../library/RPCLibrary/governance/queueProposal.js";
+import executeProposal from "../../../../library/RPCLibrary/governance/executeProposal.js";
+import cancelProposal from "../../../../library/RPCLibrary/governance/cancelProposal.js";
+import getProposal from "../../../../library/RPCLibrary/governance/getProposal.js";
+import getProposals from "../../../../library/RPCLibrary/governance/getProposals.js";
+
+const CHAIN_ID = 990401;
+const DAY = 24 * 3600;
+const TIMELOCK_DELAY = 2 * DAY;
+
+describe("RPCLibrary governance", () => {
+    let owner, voter;
+    let governance, timelock, veToken, testTarget;
+    let deployedAt;
+
+    const proposeSetValue = async (value, description = `Set the value to ${value}`) => {
+        const { proposalId } = await propose(
+            CHAIN_ID,
+            [testTarget.target],
+            [0],
+            [testTarget.interface.encodeFunctionData("setValue", [value])],
+            description,
+            "ParameterChange",
+            voter
+        );
+        return proposalId;
+    };
+
+    beforeEach(async () => {
+        [owner, voter] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const TimelockTestTarget = await ethers.getContractFactory("TimelockTestTarget");
+        testTarget = await TimelockTestTarget.deploy();
+        const MockVeToken = await ethers.getContractFactory("MockVeToken");
+        veToken = await MockVeToken.deploy();
+        const TimelockController = await ethers.getContractFactory("TimelockController");
+        timelock = await TimelockController.deploy(TIMELOCK_DELAY, [owner.address], [owner.address], owner.address);
+        const Governance = await ethers.getContractFactory("Governance");
+        governance = await Governance.deploy(veToken.target, timelock.target);
+
+        for (const role of ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE"]) {
+            await timelock.grantRole(await timelock[role](), governance.target);
+        }
+        // 60% of the supply, above the proposal threshold and the 4% quorum
+        await veToken.mock_setTotalSupply(ethers.parseEther("10000000"));
+        await veToken.mock_setInitialVotingPower(voter.address, ethers.parseEther("6000000"));
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.contracts.governance.contract = governance.target;
+        config.contracts.timelock.contract = timelock.target;
+        registerChainConfig(config);
+    });
+
+    it("should read a new proposal as Pending with its actions", async () => {
+        const proposalId = await proposeSetValue(42);
+        expect(proposalId).to.equal(0n);
+
+        const proposal = await getProposal(CHAIN_ID, proposalId, voter.address, ethers.provider);
+        expect(proposal.id).to.equal("0");
+        expect(proposal.proposer).to.equal(voter.address);
+        expect(proposal.proposalType).to.equal("ParameterChange");
+        expect(proposal.state).to.equal("Pending");
+        expect(proposal.description).to.equal("Set the value to 42");
+        expect(proposal.targets).to.deep.equal([testTarget.target]);
+        expect(proposal.values).to.deep.equal(["0"]);
+        expect(proposal.endTime - proposal.startTime).to.equal(7 * DAY);
+        expect(proposal.hasVoted).to.equal(false);
+        expect(proposal.votes.total.raw).to.equal(0n);
+        expect(proposal.quorum.raw).to.equal(await governance.quorum());
+        expect(proposal.quorumProgress).to.equal(0);
+        expect(proposal.timelock.executableAt).to.equal(0);
+    });
+
+    it("should vote, queue and execute a proposal through the timelock", async () => {
+        const proposalId = await proposeSetValue(42);
+        await time.increase(DAY);
+
+        await castVote(CHAIN_ID, proposalId, true, voter);
+        const voted = await getProposal(CHAIN_ID, proposalId, voter.address, ethers.provider);
+        expect(voted.state).to.equal("Active");
+        expect(voted.hasVoted).to.equal(true);
+        expect(voted.votes.for.raw).to.equal(ethers.parseEther("6000000"));
+        expect(voted.votes.against.raw).to.equal(0n);
+        expect(voted.quorumProgress).to.equal(100);
+
+        // Only Succeeded proposals are queued
+        let error;
+        try {
+            await queueProposal(CHAIN_ID, proposalId, owner);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.include("is Active, only Succeeded proposals can be queued");
+
+        await time.increaseTo(voted.endTime);
+        await queueProposal(CHAIN_ID, proposalId, owner);
+        const queued = await getProposal(CHAIN_ID, proposalId, voter.address, ethers.provider);
+        expect(queued.state).to.equal("Queued");
+        expect(queued.timelock.executableAt).to.equal(await time.latest() + TIMELOCK_DELAY);
+
+        error = null;
+        try {
+            await executeProposal(CHAIN_ID, proposalId, owner);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.include("timelock operation is not ready");
+
+        await time.increaseTo(queued.timelock.executableAt);
+        await executeProposal(CHAIN_ID, proposalId, owner);
+        expect((await getProposal(CHAIN_ID, proposalId, null, ethers.provider)).state).to.equal("Executed");
+        expect(await testTarget.value()).to.equal(42n);
+    });
+
+    it("should list the proposals, newest first, with the state of each", async () => {
+        const firstId = await proposeSetValue(1);
+        const secondId = await proposeSetValue(2);
+        await cancelProposal(CHAIN_ID, secondId, voter);
+
+        const proposals = await getProposals(CHAIN_ID, voter.address, ethers.provider, deployedAt);
+        expect(proposals.map(({ id, state }) => [id, state])).to.deep.equal([
+            [secondId.toString(), "Canceled"],
+            [firstId.toString(), "Pending"]
+        ]);
+    });
+});
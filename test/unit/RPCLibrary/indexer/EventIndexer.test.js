@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+const { ethers } = hre;
+
+import EventIndexer from "../../../../library/RPCLibrary/indexer/EventIndexer.js";
+import JsonLinesStore from "../../../../library/RPCLibrary/indexer/JsonLinesStore.js";
+import {
+    getDepositsByUser,
+    getBorrowHistoryForToken,
+    getFeesPerDay
+} from "../../../../library/RPCLibrary/indexer/queries.js";
+import { deployLendingPool } from "../fixtures/lendingPool.js";
+
+const DAY = 24 * 60 * 60;
+
+describe("RPCLibrary EventIndexer", () => {
+    let owner, user1, user2, user3;
+    let crvusd, raacNFT, lendingPool, raacToken, feeCollector, auctionFactory;
+    let fromBlock;
+
+    const createIndexer = (options = {}) => new EventIndexer({
+        chainId: 31337,
+        provider: ethers.provider,
+        sources: [
+            { id: "lendingpool", address: lendingPool.target, abi: lendingPool.interface },
+            { id: "raacnft", address: raacNFT.target, abi: raacNFT.interface },
+            { id: "feecollector", address: feeCollector.target, abi: feeCollector.interface },
+            { id: "auctionfactory", address: auctionFactory.target, abi: auctionFactory.interface },
+        ],
+        fromBlock,
+        ...options
+    });
+
+    beforeEach(async () => {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+
+        const contracts = await deployLendingPool(owner);
+        ({ crvusd, raacNFT, lendingPool } = contracts);
+        await contracts.raacHousePrices.setHousePrice(1, ethers.parseEther("100"));
+
+        const RAACToken = await ethers.getContractFactory("RAACToken");
+        raacToken = await RAACToken.deploy(owner.address, 100, 50);
+        const VeRAACToken = await ethers.getContractFactory("veRAACToken");
+        const veRAACToken = await VeRAACToken.deploy(raacToken.target);
+        const FeeCollector = await ethers.getContractFactory("FeeCollector");
+        feeCollector = await FeeCollector.deploy(raacToken.target, veRAACToken.target, owner.address, owner.address, owner.address);
+        await raacToken.setMinter(owner.address);
+        await raacToken.mint(user1.address, ethers.parseEther("1000"));
+        await raacToken.connect(user1).approve(feeCollector.target, ethers.MaxUint256);
+
+        const AuctionFactory = await ethers.getContractFactory("AuctionFactory");
+        auctionFactory = await AuctionFactory.deploy(owner.address);
+
+        for (const user of [user1, user2, user3]) {
+            await crvusd.mint(user.address, ethers.parseEther("1000"));
+            await crvusd.connect(user).approve(lendingPool.target, ethers.MaxUint256);
+            await crvusd.connect(user).approve(raacNFT.target, ethers.MaxUint256);
+        }
+
+        fromBlock = await ethers.provider.getBlockNumber();
+    });
+
+    it("should index deposits, collateral and borrows", async () => {
+        await lendingPool.connect(user2).deposit(ethers.parseEther("500"));
+        await raacNFT.connect(user1).mint(1, ethers.parseEther("100"));
+        await raacNFT.connect(user1).approve(lendingPool.target, 1);
+        await lendingPool.connect(user1).depositNFT(1);
+        await lendingPool.connect(user1).borrow(ethers.parseEther("50"));
+        await lendingPool.connect(user1).repay(ethers.parseEther("20"));
+
+        const indexer = createIndexer();
+        const batches = [];
+        indexer.on("events", (events) => batches.push(events));
+        const lastBlock = await indexer.sync();
+
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(batches.flat().some(({ contract, event }) => contract === "raacnft" && event === "NFTMinted")).to.equal(true);
+
+        const deposits = await getDepositsByUser(indexer.store, user2.address);
+        expect(deposits).to.have.length(1);
+        expect(deposits[0].pool).to.equal("lendingpool");
+        expect(deposits[0].amount).to.equal(ethers.parseEther("500"));
+        expect(deposits[0].timestamp).to.be.a("number");
+        expect(await getDepositsByUser(indexer.store, user1.address)).to.have.length(0);
+
+        const history = await getBorrowHistoryForToken(indexer.store, 1);
+        expect(history.map(({ type }) => type)).to.deep.equal(["borrow", "repay"]);
+        expect(history[0].user).to.equal(user1.address);
+        expect(history[0].amount).to.equal(ethers.parseEther("50"));
+        expect(await getBorrowHistoryForToken(indexer.store, 2)).to.have.length(0);
+    });
+
+    it("should group collected fees per day", async () => {
+        await feeCollector.connect(user1).collectFee(ethers.parseEther("10"), 0);
+        await feeCollector.connect(user1).collectFee(ethers.parseEther("5"), 1);
+        await ethers.provider.send("evm_increaseTime", [DAY]);
+        await feeCollector.connect(user1).collectFee(ethers.parseEther("7"), 1);
+
+        const indexer = createIndexer();
+        await indexer.sync();
+
+        const days = await getFeesPerDay(indexer.store);
+        expect(days).to.have.length(2);
+        expect(days[0].total).to.equal(ethers.parseEther("15"));
+        expect(days[0].byType[1]).to.equal(ethers.parseEther("5"));
+        expect(days[1].total).to.equal(ethers.parseEther("7"));
+        expect(days[1].timestamp - days[0].timestamp).to.equal(DAY);
+
+        const lendingFees = await getFeesPerDay(indexer.store, { feeType: 1 });
+        expect(lendingFees.map(({ total }) => total)).to.deep.equal([ethers.parseEther("5"), ethers.parseEther("7")]);
+    });
+
+    it("should follow auctions created by the factory", async () => {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        await auctionFactory.createAuction(
+            user1.address, crvusd.target, owner.address,
+            timestamp - 100, timestamp - 10,
+            ethers.parseEther("1"), ethers.parseEther("0.5"), 1000n
+        );
+        const [auctionAddress] = await auctionFactory.getAuctions();
+        const auction = await ethers.getContractAt("Auction", auctionAddress);
+        await auction.checkAuctionEnded();
+
+        const indexer = createIndexer({ auctionAbi: auction.interface });
+        await indexer.sync();
+
+        const ended = await indexer.store.find({ contract: "auction", event: "AuctionEnded" });
+        expect(ended).to.have.length(1);
+        expect(ended[0].address).to.equal(auctionAddress);
+        expect(ended[0].args.price).to.equal(ethers.parseEther("0.5").toString());
+        expect((await indexer.store.getState()).auctions).to.deep.equal([auctionAddress]);
+    });
+
+    it("should resume from the JSON lines files", async () => {
+        const path = await mkdtemp(join(tmpdir(), "raac-indexer-"));
+        try {
+            await lendingPool.connect(user1).deposit(ethers.parseEther("1"));
+            await createIndexer({ store: new JsonLinesStore({ path }) }).sync();
+
+            await lendingPool.connect(user1).deposit(ethers.parseEther("2"));
+            const store = new JsonLinesStore({ path });
+            expect(await getDepositsByUser(store, user1.address)).to.have.length(1);
+
+            await createIndexer({ store }).sync();
+            const deposits = await getDepositsByUser(new JsonLinesStore({ path }), user1.address);
+            expect(deposits.map(({ amount }) => amount)).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("2")]);
+        } finally {
+            await rm(path, { recursive: true, force: true });
+        }
+    });
+
+    it("should rewind the store on a reorg", async () => {
+        const indexer = createIndexer({ reorgDepth: 3 });
+        await indexer.sync();
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await lendingPool.connect(user3).deposit(ethers.parseEther("3"));
+        await indexer.sync();
+        expect(await getDepositsByUser(indexer.store, user3.address)).to.have.length(1);
+        // The deposit also emits the ReserveLibrary events
+        const depositEvents = await indexer.store.find({ fromBlock: await ethers.provider.getBlockNumber() });
+
+        // Replaces the indexed block with a different chain of the same height and more
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await lendingPool.connect(user2).deposit(ethers.parseEther("4"));
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+
+        const reorgs = [];
+        indexer.on("reorg", (reorg) => reorgs.push(reorg));
+        await indexer.sync();
+
+        expect(reorgs).to.have.length(1);
+        expect(reorgs[0].dropped).to.equal(depositEvents.length);
+        expect(await getDepositsByUser(indexer.store, user3.address)).to.have.length(0);
+        expect(await getDepositsByUser(indexer.store, user2.address)).to.have.length(1);
+        expect((await indexer.store.getState()).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("should walk back past the reorged events deeper than reorgDepth", async () => {
+        const indexer = createIndexer({ reorgDepth: 1 });
+        await indexer.sync();
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await lendingPool.connect(user3).deposit(ethers.parseEther("3"));
+        await ethers.provider.send("hardhat_mine", ["0x3"]);
+        await indexer.sync();
+
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await lendingPool.connect(user2).deposit(ethers.parseEther("4"));
+        await ethers.provider.send("hardhat_mine", ["0x4"]);
+
+        const reorgs = [];
+        indexer.on("reorg", (reorg) => reorgs.push(reorg));
+        await indexer.sync();
+
+        expect(reorgs).to.have.length(1);
+        expect(reorgs[0].fromBlock).to.equal(fromBlock + 1);
+        expect(await getDepositsByUser(indexer.store, user3.address)).to.have.length(0);
+        expect(await getDepositsByUser(indexer.store, user2.address)).to.have.length(1);
+    });
+
+    it("should not store twice the events of a batch indexed again", async () => {
+        await lendingPool.connect(user1).deposit(ethers.parseEther("1"));
+        const indexer = createIndexer({ concurrency: 1 });
+        await indexer.sync();
+        const stored = await indexer.store.find();
+
+        // The state of the batch was not written
+        await indexer.store.setState({ lastBlock: fromBlock - 1, lastBlockHash: (await ethers.provider.getBlock(fromBlock - 1)).hash });
+        const batches = [];
+        indexer.on("events", (events) => batches.push(events));
+        await indexer.sync();
+
+        expect(await indexer.store.find()).to.deep.equal(stored);
+        expect(batches).to.deep.equal([]);
+    });
+});
+
@@ -0,0 +1,94 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import {
+    calculateUtilizationRate,
+    calculateBorrowRate,
+    calculateLiquidityRate,
+    accrueIndices,
+    projectRates,
+    getRateCurve,
+    rayToPercent,
+    percentToRay
+} from "../../../../library/RPCLibrary/interest/rateModel.js";
+import { samplePrimeRate } from "../../../../library/RPCLibrary/interest/getPrimeRateHistory.js";
+
+const RAY = 10n ** 27n;
+const DAY = 86400;
+
+// Rate parameters of ReserveLibraryMock
+const RATE_DATA = {
+    baseRate: RAY / 20n,
+    primeRate: RAY / 10n,
+    optimalRate: (RAY * 15n) / 100n,
+    maxRate: RAY,
+    optimalUtilizationRate: RAY / 2n,
+    protocolFeeRate: RAY / 10n,
+};
+
+describe("RPCLibrary interest rate model", () => {
+    it("should follow the utilization curve", () => {
+        expect(calculateUtilizationRate(0n, 0n)).to.equal(RAY);
+        expect(calculateUtilizationRate(300n, 100n)).to.equal(RAY / 4n);
+
+        expect(calculateBorrowRate(RATE_DATA, 0n)).to.equal(RATE_DATA.baseRate);
+        expect(calculateBorrowRate(RATE_DATA, RAY / 4n)).to.equal((RAY * 75n) / 1000n);
+        expect(calculateBorrowRate(RATE_DATA, RAY / 2n)).to.equal(RATE_DATA.primeRate);
+        expect(calculateBorrowRate(RATE_DATA, (RAY * 3n) / 4n)).to.equal((RAY * 55n) / 100n);
+        expect(calculateBorrowRate(RATE_DATA, RAY)).to.equal(RATE_DATA.maxRate);
+
+        expect(calculateLiquidityRate(RAY / 2n, RAY / 10n, RAY / 10n, 0n)).to.equal(0n);
+        expect(calculateLiquidityRate(RAY / 2n, RAY / 10n, RAY / 10n, 1n)).to.equal((RAY * 45n) / 1000n);
+    });
+
+    it("should reject parameters the contract rejects", () => {
+        try {
+            calculateBorrowRate({ ...RATE_DATA, primeRate: RATE_DATA.maxRate }, 0n);
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.match(/^Invalid interest rate parameters/);
+        }
+    });
+
+    it("should project yearly yields", () => {
+        const projected = projectRates(RATE_DATA, RAY / 2n);
+        expect(projected.borrowRate).to.equal(RAY / 10n);
+        expect(projected.supplyApy).to.equal(projected.liquidityRate);
+        expect(rayToPercent(projected.borrowApy)).to.equal(10.51);
+
+        const curve = getRateCurve(RATE_DATA, 5);
+        expect(curve.map(({ utilizationRate }) => rayToPercent(utilizationRate))).to.deep.equal([0, 25, 50, 75, 100]);
+        expect(curve[0].supplyApy).to.equal(0n);
+        expect(percentToRay(5.25)).to.equal((RAY * 525n) / 10000n);
+    });
+
+    it("should accrue the indices like ReserveLibrary", async () => {
+        const ReserveLibraryMock = await ethers.getContractFactory("ReserveLibraryMock");
+        const reserveLibrary = await ReserveLibraryMock.deploy();
+
+        await reserveLibrary.deposit(ethers.parseEther("1000"));
+        const before = await reserveLibrary.getReserveData();
+
+        await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+        await reserveLibrary.deposit(ethers.parseEther("1"));
+
+        const after = await reserveLibrary.getReserveData();
+        const rateData = await reserveLibrary.getRateData();
+        const expected = accrueIndices(before, rateData, after.lastUpdateTimestamp);
+
+        expect(expected.liquidityIndex).to.equal(after.liquidityIndex);
+        expect(expected.usageIndex).to.equal(after.usageIndex);
+        expect(expected.usageIndex).to.be.greaterThan(RAY);
+        expect(rateData.currentUsageRate).to.equal(calculateBorrowRate(rateData, await reserveLibrary.calculateUtilizationRate()));
+    });
+
+    it("should sample the prime rate as a step series", () => {
+        const points = [
+            { timestamp: 100, primeRate: RAY / 10n },
+            { timestamp: 250, primeRate: RAY / 20n },
+        ];
+        const samples = samplePrimeRate(points, { from: 0, to: 300, interval: 100, initialRate: RAY });
+        expect(samples.map(({ primeRate }) => primeRate)).to.deep.equal([RAY, RAY / 10n, RAY / 10n, RAY / 20n]);
+    });
+});
@@ -0,0 +1,196 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import { LiquidationMonitor } from "../../../../library/RPCLibrary/liquidations/LiquidationMonitor.js";
+import { deployLendingPool, registerLendingPoolConfig } from "../fixtures/lendingPool.js";
+
+const CHAIN_ID = 990103;
+const TOKEN_ID = 1;
+
+describe("RPCLibrary LiquidationMonitor", () => {
+    let owner, user, other;
+    let crvusd, raacHousePrices, raacNFT, lendingPool, stabilityPool;
+    let deployedAt;
+
+    // The monitor is driven block by block instead of through provider.on('block')
+    const check = async (monitor) => {
+        await ethers.provider.send("evm_mine", []);
+        await monitor.checkBlock(await ethers.provider.getBlockNumber());
+    };
+
+    const record = (monitor, event, map) => {
+        const events = [];
+        monitor.on(event, (payload) => events.push(map(payload)));
+        return events;
+    };
+
+    const setPrice = (price) => raacHousePrices.setHousePrice(TOKEN_ID, ethers.parseEther(price));
+
+    beforeEach(async () => {
+        [owner, user, other] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const contracts = await deployLendingPool(owner);
+        ({ crvusd, raacHousePrices, raacNFT, lendingPool } = contracts);
+        const RAACToken = await ethers.getContractFactory("RAACToken");
+        const raacToken = await RAACToken.deploy(owner.address, 100, 50);
+        const DEToken = await ethers.getContractFactory("DEToken");
+        const deToken = await DEToken.deploy("DEToken", "DEToken", owner.address, contracts.rToken.target);
+
+        // The owner is the StabilityPool owner, so the keeper can finalize liquidations
+        const StabilityPool = await ethers.getContractFactory("StabilityPool");
+        stabilityPool = await StabilityPool.deploy(owner.address);
+        const RAACMinter = await ethers.getContractFactory("RAACMinter");
+        const raacMinter = await RAACMinter.deploy(raacToken.target, stabilityPool.target, lendingPool.target, owner.address);
+        await stabilityPool.initialize(
+            contracts.rToken.target,
+            deToken.target,
+            raacToken.target,
+            raacMinter.target,
+            crvusd.target,
+            lendingPool.target
+        );
+        await lendingPool.setStabilityPool(stabilityPool.target);
+        await crvusd.mint(stabilityPool.target, ethers.parseEther("1000"));
+
+        await crvusd.mint(owner.address, ethers.parseEther("1000"));
+        await crvusd.approve(lendingPool.target, ethers.MaxUint256);
+        await lendingPool.deposit(ethers.parseEther("500"));
+
+        // 100 crvUSD house at the 80% liquidation threshold: a 50 crvUSD debt starts at a 1.6 health factor
+        await setPrice("100");
+        await crvusd.mint(user.address, ethers.parseEther("1000"));
+        await crvusd.connect(user).approve(raacNFT.target, ethers.parseEther("100"));
+        await raacNFT.connect(user).mint(TOKEN_ID, ethers.parseEther("100"));
+        await raacNFT.connect(user).approve(lendingPool.target, TOKEN_ID);
+        await lendingPool.connect(user).depositNFT(TOKEN_ID);
+        await crvusd.connect(user).approve(lendingPool.target, ethers.MaxUint256);
+
+        registerLendingPoolConfig(CHAIN_ID, contracts, stabilityPool.target);
+    });
+
+    it("should emit a threshold event once per crossing and again after a recovery", async () => {
+        const monitor = new LiquidationMonitor({ chainId: CHAIN_ID, provider: ethers.provider, fromBlock: deployedAt });
+        const borrowers = record(monitor, "borrower", (address) => address);
+        const crossings = record(monitor, "threshold", ({ threshold, direction }) => [threshold, direction]);
+
+        await check(monitor);
+        expect(borrowers).to.deep.equal([]);
+
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+        await check(monitor);
+        expect(borrowers).to.deep.equal([user.address]);
+        expect(monitor.getPositions()[0].healthFactor).to.be.closeTo(1.6, 0.001);
+        expect(crossings).to.deep.equal([]);
+
+        // 1.44
+        await setPrice("90");
+        await check(monitor);
+        await check(monitor);
+        expect(crossings).to.deep.equal([[1.5, "below"]]);
+
+        await setPrice("100");
+        await check(monitor);
+        expect(crossings.splice(0)).to.deep.equal([[1.5, "below"], [1.5, "above"]]);
+
+        // 1.12, both thresholds are crossed on the same block
+        await setPrice("70");
+        await check(monitor);
+        await check(monitor);
+        expect(crossings.splice(0)).to.deep.equal([[1.5, "below"], [1.2, "below"]]);
+
+        // About 1.87 with 30 crvUSD of debt left
+        await lendingPool.connect(user).repay(ethers.parseEther("20"));
+        await check(monitor);
+        expect(crossings).to.deep.equal([[1.5, "above"], [1.2, "above"]]);
+        expect(borrowers).to.deep.equal([user.address]);
+    });
+
+    it("should report liquidatable positions on every block without a keeper", async () => {
+        const monitor = new LiquidationMonitor({ chainId: CHAIN_ID, provider: ethers.provider, fromBlock: deployedAt });
+        const liquidatable = record(monitor, "liquidatable", ({ address, blockNumber }) => [address, blockNumber]);
+        const crossings = record(monitor, "threshold", ({ threshold, direction }) => [threshold, direction]);
+
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+        await check(monitor);
+
+        // 0.96
+        await setPrice("60");
+        await check(monitor);
+        await check(monitor);
+
+        expect(crossings).to.deep.equal([[1.5, "below"], [1.2, "below"], [1.1, "below"]]);
+        expect(liquidatable.map(([address]) => address)).to.deep.equal([user.address, user.address]);
+        expect(liquidatable[1][1]).to.equal(liquidatable[0][1] + 1);
+        expect(await lendingPool.isUnderLiquidation(user.address)).to.equal(false);
+    });
+
+    it("should initiate the liquidation once, then finalize it through the StabilityPool after the grace period", async () => {
+        const monitor = new LiquidationMonitor({ chainId: CHAIN_ID, provider: ethers.provider, fromBlock: deployedAt, keeper: owner });
+        const initiated = record(monitor, "liquidationInitiated", ({ position, receipt }) => [position.address, receipt.status]);
+        const liquidated = record(monitor, "liquidated", ({ position, receipt }) => [position.address, receipt.status]);
+        const liquidatable = record(monitor, "liquidatable", ({ address }) => address);
+
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+        await check(monitor);
+        expect(initiated).to.deep.equal([]);
+
+        await setPrice("60");
+        await check(monitor);
+        expect(liquidatable).to.deep.equal([user.address]);
+        expect(initiated).to.deep.equal([[user.address, 1]]);
+        expect(await lendingPool.isUnderLiquidation(user.address)).to.equal(true);
+
+        // Under liquidation the position is no longer liquidatable, nothing happens until the grace period ends
+        await check(monitor);
+        const [position] = monitor.getPositions();
+        expect(position.isUnderLiquidation).to.equal(true);
+        expect(position.isLiquidatable).to.equal(false);
+        expect(liquidatable).to.have.lengthOf(1);
+        expect(initiated).to.have.lengthOf(1);
+        expect(liquidated).to.deep.equal([]);
+
+        // The StabilityPool approves the debt at the stored usage index, which must include the grace period interest
+        await ethers.provider.send("evm_increaseTime", [Number(await lendingPool.liquidationGracePeriod()) + 1]);
+        await lendingPool.updateState();
+        await check(monitor);
+        expect(liquidated).to.deep.equal([[user.address, 1]]);
+        expect(await raacNFT.ownerOf(TOKEN_ID)).to.equal(stabilityPool.target);
+        expect(await lendingPool.getUserDebt(user.address)).to.equal(0n);
+
+        // The liquidated position has no debt left, the keeper stays idle
+        await check(monitor);
+        expect(monitor.getPositions()[0].healthFactor).to.equal(Infinity);
+        expect(initiated).to.have.lengthOf(1);
+        expect(liquidated).to.have.lengthOf(1);
+    });
+
+    it("should discover borrowers in block batches and report the failed reads per borrower", async () => {
+        const OTHER_TOKEN_ID = 2;
+        await raacHousePrices.setHousePrice(OTHER_TOKEN_ID, ethers.parseEther("100"));
+        await crvusd.mint(other.address, ethers.parseEther("100"));
+        await crvusd.connect(other).approve(raacNFT.target, ethers.parseEther("100"));
+        await raacNFT.connect(other).mint(OTHER_TOKEN_ID, ethers.parseEther("100"));
+        await raacNFT.connect(other).approve(lendingPool.target, OTHER_TOKEN_ID);
+        await lendingPool.connect(other).depositNFT(OTHER_TOKEN_ID);
+        await lendingPool.connect(other).borrow(ethers.parseEther("50"));
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+
+        const monitor = new LiquidationMonitor({ chainId: CHAIN_ID, provider: ethers.provider, fromBlock: deployedAt, batchSize: 1 });
+        const borrowers = record(monitor, "borrower", (address) => address);
+        const errors = record(monitor, "error", ({ address }) => address);
+        const updates = record(monitor, "update", ({ address }) => address);
+
+        await check(monitor);
+        expect(borrowers).to.deep.equal([other.address, user.address]);
+        expect(monitor.lastScannedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        // The LendingPool reverts on NFTs without a price, only the read of the user fails
+        await setPrice("0");
+        await check(monitor);
+        expect(errors).to.deep.equal([user.address]);
+        expect(updates).to.deep.equal([other.address, user.address, other.address]);
+        expect(monitor.positions.get(user.address).healthFactor).to.be.closeTo(1.6, 0.001);
+    });
+});
@@ -0,0 +1,156 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import { AUCTION_STATUS } from "../../../../library/RPCLibrary/liquidations/constants.js";
+import buyBackNFT from "../../../../library/RPCLibrary/liquidations/buyBackNFT.js";
+import endAuction from "../../../../library/RPCLibrary/liquidations/endAuction.js";
+import getAuction from "../../../../library/RPCLibrary/liquidations/getAuction.js";
+import getAuctions from "../../../../library/RPCLibrary/liquidations/getAuctions.js";
+import placeBid from "../../../../library/RPCLibrary/liquidations/placeBid.js";
+
+const CHAIN_ID = 990405;
+const AUCTION_DURATION = 3 * 24 * 3600;
+const MIN_BID_INCREASE_PERCENTAGE = 10;
+
+describe("RPCLibrary NFTLiquidator auctions", () => {
+    let owner, stabilityPool, bidder, otherBidder;
+    let nft, nftLiquidator;
+    let deployedAt;
+
+    // The StabilityPool is a plain account here, it hands the NFTs over to the liquidator
+    const liquidate = async (tokenId, debt) => {
+        await nft.mint(stabilityPool.address, tokenId);
+        await nft.connect(stabilityPool).approve(nftLiquidator.target, tokenId);
+        await nftLiquidator.connect(stabilityPool).liquidateNFT(tokenId, ethers.parseEther(debt));
+    };
+
+    const expectRejection = async (promise, message) => {
+        try {
+            await promise;
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    };
+
+    beforeEach(async () => {
+        [owner, stabilityPool, bidder, otherBidder] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const ERC721Mock = await ethers.getContractFactory("ERC721Mock");
+        nft = await ERC721Mock.deploy("RAAC NFT", "RAACNFT");
+        const NFTLiquidator = await ethers.getContractFactory("NFTLiquidator");
+        nftLiquidator = await NFTLiquidator.deploy(ethers.ZeroAddress, nft.target, owner.address, MIN_BID_INCREASE_PERCENTAGE);
+        await nftLiquidator.setStabilityPool(stabilityPool.address);
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.contracts.nftliquidator.contract = nftLiquidator.target;
+        registerChainConfig(config);
+    });
+
+    it("should read a live auction, take bids above the minimum and settle it to the highest bidder", async () => {
+        expect(await getAuction(CHAIN_ID, 1, ethers.provider)).to.equal(null);
+        await liquidate(1, "1");
+
+        let auction = await getAuction(CHAIN_ID, 1, ethers.provider);
+        const { auctionEndTime } = await nftLiquidator.tokenData(1);
+        expect(auction.tokenId).to.equal("1");
+        expect(auction.status).to.equal(AUCTION_STATUS.LIVE);
+        expect(auction.debt.raw).to.equal(ethers.parseEther("1"));
+        expect(auction.debt.asset).to.equal("crvusd");
+        expect(auction.endTime).to.equal(Number(auctionEndTime));
+        expect(auction.timeLeft).to.equal(AUCTION_DURATION);
+        expect(auction.highestBid.raw).to.equal(0n);
+        expect(auction.highestBidder).to.equal(null);
+        expect(auction.minBidIncreasePercentage).to.equal(MIN_BID_INCREASE_PERCENTAGE);
+        expect(auction.minNextBid.raw).to.equal(1n);
+        expect(auction.buybackPrice.raw).to.equal(ethers.parseEther("1.1"));
+
+        await placeBid(CHAIN_ID, 1, "0.5", bidder);
+        auction = await getAuction(CHAIN_ID, 1, ethers.provider);
+        expect(auction.highestBid.raw).to.equal(ethers.parseEther("0.5"));
+        expect(auction.highestBidder).to.equal(bidder.address);
+        expect(auction.minNextBid.raw).to.equal(ethers.parseEther("0.55") + 1n);
+
+        // The contract takes bids strictly above the minimum increase
+        await expectRejection(placeBid(CHAIN_ID, 1, "0.55", otherBidder), "Bid too low, minimum bid is 0.550000000000000001");
+
+        // The previous high bidder is refunded
+        const balance = await ethers.provider.getBalance(bidder.address);
+        await placeBid(CHAIN_ID, 1, auction.minNextBid, otherBidder);
+        expect(await ethers.provider.getBalance(bidder.address)).to.equal(balance + ethers.parseEther("0.5"));
+
+        await time.increase(AUCTION_DURATION);
+        auction = await getAuction(CHAIN_ID, 1, ethers.provider);
+        expect(auction.status).to.equal(AUCTION_STATUS.ENDED);
+        expect(auction.timeLeft).to.equal(0);
+        expect(auction.highestBidder).to.equal(otherBidder.address);
+        expect(auction.minNextBid).to.equal(null);
+        expect(auction.buybackPrice).to.equal(null);
+
+        const receipt = await endAuction(CHAIN_ID, 1, owner);
+        expect(await nft.ownerOf(1)).to.equal(otherBidder.address);
+        expect(await getAuction(CHAIN_ID, 1, ethers.provider)).to.equal(null);
+
+        const [settled] = await getAuctions(CHAIN_ID, ethers.provider, deployedAt);
+        expect(settled.status).to.equal(AUCTION_STATUS.SETTLED);
+        expect(settled.startingPrice.raw).to.equal(ethers.parseEther("1"));
+        expect(settled.endTime).to.equal(Number(auctionEndTime));
+        expect(settled.bids.map(({ bidder, amount }) => [bidder, amount.raw])).to.deep.equal([
+            [bidder.address, ethers.parseEther("0.5")],
+            [otherBidder.address, ethers.parseEther("0.55") + 1n],
+        ]);
+        expect(settled.winner).to.equal(otherBidder.address);
+        expect(settled.amount.raw).to.equal(ethers.parseEther("0.55") + 1n);
+        expect(settled.settledAt).to.equal(receipt.blockNumber);
+        expect(settled.settlementTransaction).to.equal(receipt.hash);
+    });
+
+    it("should buy back an NFT for 110% of its debt and list every liquidation of a token", async () => {
+        await liquidate(1, "1");
+        await placeBid(CHAIN_ID, 1, "0.5", bidder);
+
+        const balance = await ethers.provider.getBalance(bidder.address);
+        await buyBackNFT(CHAIN_ID, 1, owner);
+        expect(await nft.ownerOf(1)).to.equal(owner.address);
+        expect(await ethers.provider.getBalance(bidder.address)).to.equal(balance + ethers.parseEther("0.5"));
+
+        // Liquidated again, with a second token in liquidation
+        await nft.connect(owner).transferFrom(owner.address, stabilityPool.address, 1);
+        await nft.connect(stabilityPool).approve(nftLiquidator.target, 1);
+        await nftLiquidator.connect(stabilityPool).liquidateNFT(1, ethers.parseEther("2"));
+        await liquidate(2, "3");
+        await placeBid(CHAIN_ID, 2, "1", otherBidder);
+
+        const auctions = await getAuctions(CHAIN_ID, ethers.provider, deployedAt);
+        expect(auctions.map(({ tokenId, status }) => [tokenId, status])).to.deep.equal([
+            ["2", AUCTION_STATUS.LIVE],
+            ["1", AUCTION_STATUS.LIVE],
+            ["1", AUCTION_STATUS.BOUGHT_BACK],
+        ]);
+
+        const [live, relisted, boughtBack] = auctions;
+        expect(boughtBack.winner).to.equal(owner.address);
+        expect(boughtBack.amount.raw).to.equal(ethers.parseEther("1.1"));
+        expect(boughtBack.bids).to.have.lengthOf(1);
+        expect(relisted.debt.raw).to.equal(ethers.parseEther("2"));
+        expect(relisted.bids).to.deep.equal([]);
+
+        // Live auctions carry the contract state
+        expect(live).to.deep.include(await getAuction(CHAIN_ID, 2, ethers.provider));
+        expect(live.highestBidder).to.equal(otherBidder.address);
+        expect(live.bids.map(({ amount }) => amount.raw)).to.deep.equal([ethers.parseEther("1")]);
+    });
+
+    it("should not bid on or buy back an NFT that is not in liquidation", async () => {
+        await expectRejection(placeBid(CHAIN_ID, 9, "1", bidder), "NFT 9 is not in liquidation");
+        await expectRejection(buyBackNFT(CHAIN_ID, 9, owner), "NFT 9 is not in liquidation");
+    });
+});
@@ -0,0 +1,118 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import calculateReward from "../../../../library/RPCLibrary/markets/calculateReward.js";
+import createMarket from "../../../../library/RPCLibrary/markets/createMarket.js";
+import getMarket from "../../../../library/RPCLibrary/markets/getMarket.js";
+import getMarkets from "../../../../library/RPCLibrary/markets/getMarkets.js";
+import getUserPositions from "../../../../library/RPCLibrary/markets/getUserPositions.js";
+import participateInMarket from "../../../../library/RPCLibrary/markets/participateInMarket.js";
+import redeemFromMarket from "../../../../library/RPCLibrary/markets/redeemFromMarket.js";
+
+const CHAIN_ID = 990406;
+const DAY = 24 * 3600;
+
+describe("RPCLibrary markets", () => {
+    let owner, user, other;
+    let crvusd, raacToken, marketCreator;
+
+    const expectRejection = async (promise, message) => {
+        try {
+            await promise;
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    };
+
+    beforeEach(async () => {
+        [owner, user, other] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        crvusd = await MockToken.deploy("crvUSD", "crvUSD", 18);
+        raacToken = await MockToken.deploy("RAAC Token", "RAAC", 18);
+        const MarketCreator = await ethers.getContractFactory("MarketCreator");
+        marketCreator = await MarketCreator.deploy(owner.address, raacToken.target, ethers.ZeroAddress);
+        await raacToken.mint(marketCreator.target, ethers.parseEther("1000"));
+        await crvusd.mint(user.address, ethers.parseEther("1000"));
+        await crvusd.mint(other.address, ethers.parseEther("1000"));
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.assets.crvusd.contract = crvusd.target;
+        config.assets.raactoken.contract = raacToken.target;
+        config.contracts.marketcreator.contract = marketCreator.target;
+        registerChainConfig(config);
+    });
+
+    it("should create markets and read them with the position of an address", async () => {
+        const { marketId, receipt } = await createMarket(CHAIN_ID, "crvusd", 30 * DAY, "100", owner);
+        expect(marketId).to.equal(1);
+        expect(receipt.status).to.equal(1);
+        // A token address works as well as an asset id
+        expect((await createMarket(CHAIN_ID, raacToken.target, 60 * DAY, "50", owner)).marketId).to.equal(2);
+
+        const markets = await getMarkets(CHAIN_ID, null, ethers.provider);
+        expect(markets.map(({ id, quoteAsset, lockDuration, reward, totalDeposits, user }) => [
+            id, quoteAsset.id, lockDuration, reward.raw, totalDeposits.raw, user,
+        ])).to.deep.equal([
+            [1, "crvusd", 30 * DAY, ethers.parseEther("100"), 0n, null],
+            [2, "raactoken", 60 * DAY, ethers.parseEther("50"), 0n, null],
+        ]);
+        expect(markets[0].quoteAsset.address).to.equal(crvusd.target);
+
+        await participateInMarket(CHAIN_ID, 1, "100", user);
+        await participateInMarket(CHAIN_ID, 1, "300", other);
+        // The approval is sent along the first participation, exactly for the amount
+        expect(await crvusd.allowance(user.address, marketCreator.target)).to.equal(0n);
+
+        const market = await getMarket(CHAIN_ID, 1, user.address, ethers.provider);
+        const [amount, lockEndTime] = await marketCreator.getUserPosition(1, user.address);
+        expect(market.totalDeposits.raw).to.equal(ethers.parseEther("400"));
+        expect(market.user.amount.raw).to.equal(amount);
+        expect(market.user.lockEndTime).to.equal(Number(lockEndTime));
+        expect(market.user.timeToUnlock).to.equal(Number(lockEndTime) - await time.latest());
+        expect(market.user.isUnlocked).to.equal(false);
+        expect(market.user.projectedReward.raw).to.equal(ethers.parseEther("25"));
+
+        expect((await calculateReward(CHAIN_ID, 1, "100", ethers.provider)).raw).to.equal(ethers.parseEther("25"));
+        expect((await calculateReward(CHAIN_ID, 1, "100", ethers.provider, true)).raw).to.equal(ethers.parseEther("20"));
+
+        const positions = await getUserPositions(CHAIN_ID, user.address, ethers.provider);
+        expect(positions).to.have.lengthOf(1);
+        expect(positions[0].market.id).to.equal(1);
+        expect(positions[0].amount.raw).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should redeem a position and its reward once the lock has passed", async () => {
+        await createMarket(CHAIN_ID, "crvusd", 30 * DAY, "100", owner);
+        await participateInMarket(CHAIN_ID, 1, "100", user);
+        await participateInMarket(CHAIN_ID, 1, "300", other);
+
+        await expectRejection(redeemFromMarket(CHAIN_ID, 1, user), "Position is locked until");
+
+        await time.increase(30 * DAY);
+        const { user: position } = await getMarket(CHAIN_ID, 1, user.address, ethers.provider);
+        expect(position.isUnlocked).to.equal(true);
+        expect(position.timeToUnlock).to.equal(0);
+
+        await redeemFromMarket(CHAIN_ID, 1, user);
+        expect(await crvusd.balanceOf(user.address)).to.equal(ethers.parseEther("1000"));
+        expect(await raacToken.balanceOf(user.address)).to.equal(position.projectedReward.raw);
+        expect(await getUserPositions(CHAIN_ID, user.address, ethers.provider)).to.deep.equal([]);
+
+        await expectRejection(redeemFromMarket(CHAIN_ID, 1, user), "No position found in market 1");
+    });
+
+    it("should reject markets that do not exist", async () => {
+        await expectRejection(participateInMarket(CHAIN_ID, 9, "100", user), "Market 9 does not exist");
+        await expectRejection(calculateReward(CHAIN_ID, 9, "100", ethers.provider), "Market 9 does not exist");
+        await expectRejection(getMarket(CHAIN_ID, 9, null, ethers.provider), "Market 9 does not exist");
+    });
+});
@@ -0,0 +1,115 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import getPortfolio from "../../../../library/RPCLibrary/nfts/getPortfolio.js";
+import getDepositors from "../../../../library/RPCLibrary/nfts/getDepositors.js";
+import { deployLendingPool, registerLendingPoolConfig } from "../fixtures/lendingPool.js";
+
+const CHAIN_ID = 990102;
+const PRICE = ethers.parseEther("100");
+
+// Metadata without a server behind the tokenURIs
+const fetchMetadata = async (tokenURI) => ({ name: `RAAC House ${tokenURI}` });
+
+describe("RPCLibrary NFT portfolio", () => {
+    let owner, user, other;
+    let crvusd, raacHousePrices, raacNFT, lendingPool;
+    let deployedAt;
+
+    const portfolioOf = async (address) => {
+        const { nfts } = await getPortfolio(CHAIN_ID, address, ethers.provider, { fromBlock: deployedAt, fetchMetadata, validate: false });
+        return nfts;
+    };
+
+    const mint = async (signer, tokenId) => {
+        await raacHousePrices.setHousePrice(tokenId, PRICE);
+        await crvusd.mint(signer.address, PRICE);
+        await crvusd.connect(signer).approve(raacNFT.target, PRICE);
+        await raacNFT.connect(signer).mint(tokenId, PRICE);
+    };
+
+    const deposit = async (signer, tokenId) => {
+        await raacNFT.connect(signer).approve(lendingPool.target, tokenId);
+        await lendingPool.connect(signer).depositNFT(tokenId);
+    };
+
+    beforeEach(async () => {
+        [owner, user, other] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const contracts = await deployLendingPool(owner);
+        ({ crvusd, raacHousePrices, raacNFT, lendingPool } = contracts);
+
+        // The owner plays the StabilityPool, which receives liquidated NFTs
+        await lendingPool.setStabilityPool(owner.address);
+        await crvusd.mint(owner.address, ethers.parseEther("1000"));
+        await crvusd.approve(lendingPool.target, ethers.MaxUint256);
+        await lendingPool.deposit(ethers.parseEther("500"));
+
+        registerLendingPoolConfig(CHAIN_ID, contracts, owner.address);
+    });
+
+    it("should join the NFTs in the wallet and the ones deposited as collateral", async () => {
+        await mint(user, 1);
+        await mint(user, 2);
+        await mint(user, 3);
+        await deposit(user, 2);
+        await deposit(user, 3);
+
+        const nfts = await portfolioOf(user.address);
+
+        expect(nfts.map(({ tokenId }) => tokenId)).to.deep.equal(["1", "2", "3"]);
+        expect(nfts.map(({ isCollateral }) => isCollateral)).to.deep.equal([false, true, true]);
+        expect(nfts[0].owner).to.equal(user.address);
+        expect(nfts[1].owner).to.equal(lendingPool.target);
+        expect(nfts[1].price.raw).to.equal(PRICE);
+        expect(nfts[1].metadata.name).to.equal(`RAAC House ${nfts[1].tokenURI}`);
+        expect(nfts[1].priceUpdatedAt).to.be.greaterThan(0);
+
+        // Withdrawn collateral is back in the wallet, once
+        await lendingPool.connect(user).withdrawNFT(3);
+        const afterWithdrawal = await portfolioOf(user.address);
+        expect(afterWithdrawal.map(({ tokenId, isCollateral }) => [tokenId, isCollateral])).to.deep.equal([
+            ["1", false],
+            ["3", false],
+            ["2", true]
+        ]);
+    });
+
+    it("should drop transferred and liquidated NFTs", async () => {
+        await mint(user, 1);
+        await mint(user, 2);
+        await deposit(user, 2);
+        await raacNFT.connect(user).transferFrom(user.address, other.address, 1);
+
+        // Liquidated NFTs leave the LendingPool without an NFTWithdrawn event
+        await lendingPool.connect(user).borrow(ethers.parseEther("70"));
+        await raacHousePrices.setHousePrice(2, ethers.parseEther("50"));
+        await lendingPool.initiateLiquidation(user.address);
+        await ethers.provider.send("evm_increaseTime", [Number(await lendingPool.liquidationGracePeriod()) + 1]);
+        await ethers.provider.send("evm_mine", []);
+        await lendingPool.finalizeLiquidation(user.address);
+        expect(await raacNFT.ownerOf(2)).to.equal(owner.address);
+
+        expect(await portfolioOf(user.address)).to.deep.equal([]);
+        expect((await portfolioOf(other.address)).map(({ tokenId, isCollateral }) => [tokenId, isCollateral])).to.deep.equal([["1", false]]);
+    });
+
+    it("should follow the depositors one block batch at a time", async () => {
+        await mint(user, 1);
+        await mint(other, 2);
+        await deposit(user, 1);
+        await deposit(other, 2);
+        await lendingPool.connect(user).withdrawNFT(1);
+        const toBlock = await ethers.provider.getBlockNumber();
+        await deposit(user, 1);
+
+        const depositors = await getDepositors(CHAIN_ID, ethers.provider, { fromBlock: deployedAt, toBlock, batchSize: 1 });
+        expect(depositors).to.deep.equal({ 2: other.address });
+        expect(await getDepositors(CHAIN_ID, ethers.provider, { fromBlock: deployedAt, batchSize: 3 })).to.deep.equal({
+            1: user.address,
+            2: other.address
+        });
+    });
+});
@@ -0,0 +1,79 @@
+import { expect } from "chai";
+import http from "http";
+
+import {
+    createMetadataFetcher,
+    resolveTokenURI,
+    validateMetadata
+} from "../../../../library/RPCLibrary/nfts/metadata.js";
+
+const FIXTURES = {
+    "/1021000": {
+        name: "RAAC House #1021000",
+        description: "3 bedrooms",
+        image: "ipfs://QmImage/1021000.png",
+        attributes: [
+            { trait_type: "Bedrooms", value: 3 },
+            { trait_type: "City", value: "Austin" },
+        ],
+    },
+    "/1021001": { name: "RAAC House #1021001", attributes: [{ trait_type: "Bedrooms" }] },
+};
+
+describe("RPCLibrary NFT metadata", () => {
+    let server;
+    let baseUri;
+
+    before(async () => {
+        server = http.createServer((request, response) => {
+            const fixture = FIXTURES[request.url];
+            response.writeHead(fixture ? 200 : 404, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(fixture ?? { error: "not found" }));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUri = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should resolve ipfs URIs through the gateway", () => {
+        expect(resolveTokenURI("ipfs://QmHash/1021000")).to.equal("https://ipfs.io/ipfs/QmHash/1021000");
+        expect(resolveTokenURI("ipfs://ipfs/QmHash/1", "http://localhost:8080/ipfs")).to.equal("http://localhost:8080/ipfs/QmHash/1");
+        expect(resolveTokenURI(`${baseUri}1021000`)).to.equal(`${baseUri}1021000`);
+    });
+
+    it("should fetch metadata from a local server", async () => {
+        const fetchMetadata = createMetadataFetcher();
+        const metadata = await fetchMetadata(`${baseUri}1021000`);
+        expect(metadata.name).to.equal("RAAC House #1021000");
+        expect(validateMetadata(metadata)).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it("should fetch ipfs metadata through a custom gateway", async () => {
+        const fetchMetadata = createMetadataFetcher({ gateway: baseUri });
+        const metadata = await fetchMetadata("ipfs://1021000");
+        expect(metadata.image).to.equal("ipfs://QmImage/1021000.png");
+    });
+
+    it("should fail on missing metadata", async () => {
+        const fetchMetadata = createMetadataFetcher();
+        try {
+            await fetchMetadata(`${baseUri}404`);
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal(`Failed to fetch ${baseUri}404: 404 Not Found`);
+        }
+    });
+
+    it("should report invalid metadata", async () => {
+        const fetchMetadata = createMetadataFetcher();
+        const { valid, errors } = validateMetadata(await fetchMetadata(`${baseUri}1021001`));
+        expect(valid).to.equal(false);
+        expect(errors).to.deep.equal([
+            { path: "metadata.image", message: "is required" },
+            { path: "metadata.attributes[0].value", message: "is required" },
+        ]);
+    });
+});
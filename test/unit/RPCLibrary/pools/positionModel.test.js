@@ -0,0 +1,90 @@
+import { expect } from "chai";
+
+import {
+    MAX_UINT256,
+    calculateHealthFactor,
+    calculateMaxDebt,
+    describePosition,
+    simulateBorrow,
+    simulateRepay,
+    simulateWithdrawNFT
+} from "../../../../library/RPCLibrary/pools/lendingPool/positionModel.js";
+import { percentMul } from "../../../../library/RPCLibrary/amounts/percentageMath.js";
+
+const WAD = 10n ** 18n;
+const RAY = 10n ** 27n;
+
+// 1000 crvUSD of collateral and 500 crvUSD of debt, at the LendingPool's initial thresholds
+const STATE = {
+    paused: false,
+    isUnderLiquidation: false,
+    liquidationThreshold: 8000n,
+    healthFactorLiquidationThreshold: WAD,
+    collateralValue: 1000n * WAD,
+    scaledDebt: 500n * WAD,
+    usageIndex: RAY,
+    debt: 500n * WAD,
+    availableLiquidity: null,
+    allowance: MAX_UINT256,
+    balance: 1000n * WAD,
+};
+
+describe("RPCLibrary lending position model", () => {
+    it("should describe a position like the LendingPool", () => {
+        expect(calculateHealthFactor(0n, 0n, 8000n)).to.equal(MAX_UINT256);
+
+        const position = describePosition(STATE);
+        expect(position.healthFactor).to.equal((16n * WAD) / 10n);
+        expect(position.liquidation.collateralValue).to.equal(625n * WAD);
+        expect(position.liquidation.buffer).to.equal(375n * WAD);
+        expect(position.liquidation.priceDrop).to.equal(3750n);
+        expect(position.maxAdditionalBorrow).to.equal(750n * WAD);
+
+        expect(describePosition({ ...STATE, availableLiquidity: 100n * WAD }).maxAdditionalBorrow).to.equal(100n * WAD);
+    });
+
+    it("should find the largest debt the collateral check accepts", () => {
+        for (const collateralValue of [100n, 1001n, 1000n * WAD + 7n]) {
+            const maxDebt = calculateMaxDebt(collateralValue, 8000n);
+            expect(percentMul(maxDebt, 8000n) <= collateralValue).to.equal(true);
+            expect(percentMul(maxDebt + 1n, 8000n) > collateralValue).to.equal(true);
+        }
+    });
+
+    it("should preview borrows", () => {
+        const borrow = simulateBorrow(STATE, 750n * WAD);
+        expect(borrow.error).to.equal(null);
+        expect(borrow.position.debt).to.equal(1250n * WAD);
+        expect(borrow.position.maxAdditionalBorrow).to.equal(0n);
+
+        expect(simulateBorrow(STATE, 750n * WAD + 1n).error).to.equal("NotEnoughCollateralToBorrow");
+        expect(simulateBorrow(STATE, 0n).error).to.equal("InvalidAmount");
+        expect(simulateBorrow({ ...STATE, availableLiquidity: 100n * WAD }, 200n * WAD).error).to.equal("ERC20InsufficientBalance");
+        expect(simulateBorrow({ ...STATE, isUnderLiquidation: true }, WAD).error).to.equal("CannotBorrowUnderLiquidation");
+        expect(simulateBorrow({ ...STATE, collateralValue: 0n }, WAD).error).to.equal("NoCollateral");
+        expect(simulateBorrow({ ...STATE, paused: true }, 0n).error).to.equal("EnforcedPause");
+    });
+
+    it("should preview repayments capped at the debt", () => {
+        const repay = simulateRepay(STATE, 600n * WAD);
+        expect(repay.error).to.equal(null);
+        expect(repay.amount).to.equal(500n * WAD);
+        expect(repay.position.debt).to.equal(0n);
+        expect(repay.position.healthFactor).to.equal(MAX_UINT256);
+
+        expect(simulateRepay({ ...STATE, allowance: 0n }, WAD).error).to.equal("ERC20InsufficientAllowance");
+        expect(simulateRepay({ ...STATE, balance: 0n }, WAD).error).to.equal("ERC20InsufficientBalance");
+        expect(simulateRepay({ ...STATE, scaledDebt: 0n, debt: 0n }, WAD).error).to.equal("InvalidAmount");
+    });
+
+    it("should preview NFT withdrawals", () => {
+        const withdrawal = simulateWithdrawNFT(STATE, { isDeposited: true, price: 400n * WAD });
+        expect(withdrawal.error).to.equal(null);
+        expect(withdrawal.position.collateralValue).to.equal(600n * WAD);
+        expect(withdrawal.position.healthFactor).to.equal((96n * WAD) / 100n);
+
+        expect(simulateWithdrawNFT(STATE, { isDeposited: true, price: 700n * WAD }).error).to.equal("WithdrawalWouldLeaveUserUnderCollateralized");
+        expect(simulateWithdrawNFT(STATE, { isDeposited: false, price: 400n * WAD }).error).to.equal("NFTNotDeposited");
+        expect(simulateWithdrawNFT({ ...STATE, isUnderLiquidation: true }, { isDeposited: true, price: 400n * WAD }).error).to.equal("CannotWithdrawUnderLiquidation");
+    });
+});
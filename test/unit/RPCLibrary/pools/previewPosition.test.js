@@ -0,0 +1,115 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import previewBorrow from "../../../../library/RPCLibrary/pools/lendingPool/previewBorrow.js";
+import previewRepay from "../../../../library/RPCLibrary/pools/lendingPool/previewRepay.js";
+import previewWithdrawNFT from "../../../../library/RPCLibrary/pools/lendingPool/previewWithdrawNFT.js";
+import { parseContractError } from "../../../../library/RPCLibrary/errors/decodeError.js";
+import { deployLendingPool, registerLendingPoolConfig } from "../fixtures/lendingPool.js";
+
+const CHAIN_ID = 990101;
+const TOKEN_ID = 1;
+
+// Error the operation reverts with on eth_call, null when it goes through
+const staticCall = async (call) => {
+    try {
+        await call();
+        return null;
+    } catch (error) {
+        return parseContractError(error, { contract: "lendingpool" }).errorName;
+    }
+};
+
+describe("RPCLibrary position previews", () => {
+    let owner, user, lender;
+    let crvusd, raacNFT, lendingPool;
+    let deployedAt;
+
+    beforeEach(async () => {
+        [owner, user, lender] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+
+        const contracts = await deployLendingPool(owner);
+        ({ crvusd, raacNFT, lendingPool } = contracts);
+        await contracts.raacHousePrices.setHousePrice(TOKEN_ID, ethers.parseEther("100"));
+
+        await crvusd.mint(lender.address, ethers.parseEther("1000"));
+        await crvusd.connect(lender).approve(lendingPool.target, ethers.parseEther("1000"));
+        await lendingPool.connect(lender).deposit(ethers.parseEther("1000"));
+
+        // 100 crvUSD house: borrow checks the debt at the 80% liquidation threshold against it, 125 crvUSD of room
+        await crvusd.mint(user.address, ethers.parseEther("1000"));
+        await crvusd.connect(user).approve(raacNFT.target, ethers.parseEther("100"));
+        await raacNFT.connect(user).mint(TOKEN_ID, ethers.parseEther("100"));
+        await raacNFT.connect(user).approve(lendingPool.target, TOKEN_ID);
+        await lendingPool.connect(user).depositNFT(TOKEN_ID);
+        await crvusd.connect(user).approve(lendingPool.target, ethers.MaxUint256);
+
+        registerLendingPoolConfig(CHAIN_ID, contracts, owner.address);
+    });
+
+    it("should preview borrows like borrow.staticCall", async () => {
+        for (const amount of [ethers.parseEther("50"), ethers.parseEther("130")]) {
+            const preview = await previewBorrow(CHAIN_ID, user.address, amount, ethers.provider);
+            const revert = await staticCall(() => lendingPool.connect(user).borrow.staticCall(amount));
+
+            expect(preview.error).to.equal(revert);
+            expect(preview.check.errorName).to.equal(revert);
+            expect(preview.check.matches).to.equal(true);
+        }
+
+        const borrow = await previewBorrow(CHAIN_ID, user.address, ethers.parseEther("130"), ethers.provider);
+        expect(borrow.error).to.equal("NotEnoughCollateralToBorrow");
+        expect(borrow.after).to.equal(null);
+    });
+
+    it("should preview repayments like repay.staticCall", async () => {
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+
+        const repay = await previewRepay(CHAIN_ID, user.address, ethers.parseEther("20"), ethers.provider);
+        expect(await staticCall(() => lendingPool.connect(user).repay.staticCall(ethers.parseEther("20")))).to.equal(null);
+        expect(repay.ok).to.equal(true);
+        expect(repay.check.matches).to.equal(true);
+        expect(repay.needsApproval).to.equal(false);
+
+        await crvusd.connect(user).approve(lendingPool.target, 0);
+        const unapproved = await previewRepay(CHAIN_ID, user.address, ethers.parseEther("20"), ethers.provider);
+        const revert = await staticCall(() => lendingPool.connect(user).repay.staticCall(ethers.parseEther("20")));
+        expect(revert).to.equal("ERC20InsufficientAllowance");
+        expect(unapproved.error).to.equal(revert);
+        expect(unapproved.check.matches).to.equal(true);
+        expect(unapproved.needsApproval).to.equal(true);
+    });
+
+    it("should preview NFT withdrawals like withdrawNFT.staticCall", async () => {
+        // Without debt the NFT is free
+        const free = await previewWithdrawNFT(CHAIN_ID, user.address, TOKEN_ID, ethers.provider, { fromBlock: deployedAt });
+        expect(await staticCall(() => lendingPool.connect(user).withdrawNFT.staticCall(TOKEN_ID))).to.equal(null);
+        expect(free.ok).to.equal(true);
+        expect(free.check.matches).to.equal(true);
+        expect(free.tokenId).to.equal(TOKEN_ID.toString());
+
+        await lendingPool.connect(user).borrow(ethers.parseEther("50"));
+        const locked = await previewWithdrawNFT(CHAIN_ID, user.address, TOKEN_ID, ethers.provider, { fromBlock: deployedAt });
+        const revert = await staticCall(() => lendingPool.connect(user).withdrawNFT.staticCall(TOKEN_ID));
+        expect(revert).to.equal("WithdrawalWouldLeaveUserUnderCollateralized");
+        expect(locked.error).to.equal(revert);
+        expect(locked.check.matches).to.equal(true);
+    });
+
+    it("should report when the staticCall disagrees with the preview", async () => {
+        // Before the NFT deposit the model finds no collateral, the fork runs the borrow on the current state
+        const [deposit] = await lendingPool.queryFilter(lendingPool.filters.NFTDeposited(), deployedAt);
+
+        const preview = await previewBorrow(CHAIN_ID, user.address, ethers.parseEther("50"), ethers.provider, {
+            blockTag: deposit.blockNumber - 1,
+            fork: ethers.provider
+        });
+
+        expect(preview.error).to.equal("NoCollateral");
+        expect(preview.check.ok).to.equal(true);
+        expect(preview.check.fork).to.equal(true);
+        expect(preview.check.matches).to.equal(false);
+    });
+});
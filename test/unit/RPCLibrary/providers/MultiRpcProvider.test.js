@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import http from "http";
+const { ethers } = hre;
+
+import MultiRpcProvider from "../../../../library/RPCLibrary/providers/MultiRpcProvider.js";
+import { getRpcUrls } from "../../../../library/RPCLibrary/providers/getRpcProvider.js";
+
+// JSON-RPC endpoint backed by the hardhat network, `handle` can answer instead of it
+const startEndpoint = async (handle = () => null) => {
+    const endpoint = { requests: [] };
+    endpoint.server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", async () => {
+            const payload = JSON.parse(body);
+            endpoint.requests.push(payload.method);
+
+            const answer = await handle(payload);
+            if (answer?.status) {
+                res.writeHead(answer.status);
+                res.end();
+                return;
+            }
+            let response = answer;
+            if (!response) {
+                try {
+                    const result = await hre.network.provider.request({ method: payload.method, params: payload.params });
+                    response = { result };
+                } catch (error) {
+                    response = { error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+                }
+            }
+            res.writeHead(200, { "content-type": "application/json" });
+            res.end(JSON.stringify({ jsonrpc: "2.0", id: payload.id, ...response }));
+        });
+    });
+    await new Promise((resolve) => endpoint.server.listen(0, "127.0.0.1", resolve));
+    endpoint.url = `http://127.0.0.1:${endpoint.server.address().port}`;
+    return endpoint;
+};
+
+describe("RPCLibrary MultiRpcProvider", () => {
+    let network;
+    let endpoints;
+    let provider;
+
+    const createProvider = (urls, options = {}) => new MultiRpcProvider(urls, network, {
+        staticNetwork: network,
+        healthCheckInterval: 0,
+        // Always picks the first healthy endpoint, which makes the routing deterministic
+        random: () => 0,
+        ...options
+    });
+
+    // The chain id of the hardhat network comes from the hardhat config
+    before(async () => {
+        network = ethers.Network.from((await ethers.provider.getNetwork()).chainId);
+    });
+
+    beforeEach(() => {
+        endpoints = [];
+        provider = null;
+    });
+
+    afterEach(async () => {
+        provider?.destroy();
+        await Promise.all(endpoints.map(({ server }) => new Promise((resolve) => server.close(resolve))));
+    });
+
+    it("should fail over to the next endpoint and cool the failing one down", async () => {
+        const broken = await startEndpoint(() => ({ status: 500 }));
+        const healthy = await startEndpoint();
+        endpoints.push(broken, healthy);
+        provider = createProvider([broken.url, healthy.url]);
+
+        expect(await provider.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+        await provider.getBalance(ethers.ZeroAddress);
+
+        const [brokenStats, healthyStats] = provider.getEndpoints();
+        expect(broken.requests).to.deep.equal(["eth_blockNumber"]);
+        expect(healthy.requests).to.deep.equal(["eth_blockNumber", "eth_getBalance"]);
+        expect(brokenStats.healthy).to.equal(false);
+        expect(brokenStats.errorRate).to.be.greaterThan(0);
+        expect(healthyStats.healthy).to.equal(true);
+        expect(healthyStats.latency).to.not.equal(null);
+    });
+
+    it("should retry reads on rate limits", async () => {
+        const limited = await startEndpoint(() => ({ error: { code: -32005, message: "limit exceeded" } }));
+        const healthy = await startEndpoint();
+        endpoints.push(limited, healthy);
+        provider = createProvider([limited.url, healthy.url]);
+
+        expect(await provider.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+        expect(limited.requests).to.have.length(1);
+    });
+
+    it("should send transactions to one endpoint only", async () => {
+        const [owner] = await ethers.getSigners();
+        const wallet = ethers.Wallet.createRandom();
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+        const { maxFeePerGas, maxPriorityFeePerGas } = await ethers.provider.getFeeData();
+        const signed = await wallet.signTransaction({
+            to: owner.address, value: 1n, nonce: 0, gasLimit: 21000n, chainId: network.chainId, maxFeePerGas, maxPriorityFeePerGas
+        });
+
+        const broken = await startEndpoint(() => ({ status: 500 }));
+        const healthy = await startEndpoint();
+        endpoints.push(broken, healthy);
+        provider = createProvider([broken.url, healthy.url]);
+
+        let error;
+        try {
+            await provider.send("eth_sendRawTransaction", [signed]);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.equal(undefined);
+        expect(healthy.requests).to.have.length(0);
+
+        // The broken endpoint is cooling down, the next attempt goes to the healthy one
+        const hash = await provider.send("eth_sendRawTransaction", [signed]);
+        expect(hash).to.equal(ethers.keccak256(signed));
+    });
+
+    it("should skip endpoints lagging behind the head", async () => {
+        const lagging = await startEndpoint(async ({ method }) => {
+            if (method !== "eth_blockNumber") return null;
+            const blockNumber = await ethers.provider.getBlockNumber();
+            return { result: ethers.toQuantity(Math.max(blockNumber - 20, 0)) };
+        });
+        const healthy = await startEndpoint();
+        endpoints.push(lagging, healthy);
+        await ethers.provider.send("hardhat_mine", ["0x20"]);
+        provider = createProvider([lagging.url, healthy.url], { maxLag: 5 });
+
+        const [laggingStats, healthyStats] = await provider.checkHealth();
+        expect(laggingStats.lag).to.equal(20);
+        expect(laggingStats.healthy).to.equal(false);
+        expect(healthyStats.lag).to.equal(0);
+
+        await provider.getBalance(ethers.ZeroAddress);
+        expect(lagging.requests).to.deep.equal(["eth_blockNumber"]);
+        expect(healthy.requests).to.deep.equal(["eth_blockNumber", "eth_getBalance"]);
+    });
+
+    it("should only compare heads sampled at about the same time", async () => {
+        const idle = await startEndpoint();
+        const busy = await startEndpoint();
+        endpoints.push(idle, busy);
+        provider = createProvider([idle.url, busy.url], { maxLag: 5, sampleWindow: 2000 });
+
+        // The idle endpoint answered a minute ago, the busy one just now
+        const now = Date.now();
+        Object.assign(provider.endpoints[0], { blockNumber: 100, blockNumberAt: now - 60000 });
+        Object.assign(provider.endpoints[1], { blockNumber: 125, blockNumberAt: now });
+        const [idleStats] = provider.getEndpoints();
+        expect(idleStats.lag).to.equal(0);
+        expect(idleStats.healthy).to.equal(true);
+
+        // Sampled together, the same gap makes it lag
+        provider.endpoints[0].blockNumberAt = now - 500;
+        const [laggingStats] = provider.getEndpoints();
+        expect(laggingStats.lag).to.equal(25);
+        expect(laggingStats.healthy).to.equal(false);
+    });
+
+    it("should read the RPC URLs of every config format", () => {
+        expect(getRpcUrls({ rpcs: ["https://a.example", "https://b.example", "https://a.example"] }))
+            .to.deep.equal(["https://a.example", "https://b.example"]);
+        expect(getRpcUrls({ rpcUrls: ["https://a.example", "wss://a.example"] })).to.deep.equal(["https://a.example"]);
+        expect(getRpcUrls({ rpc: "http://localhost:8545" })).to.deep.equal(["http://localhost:8545"]);
+        expect(getRpcUrls({})).to.deep.equal([]);
+    });
+});
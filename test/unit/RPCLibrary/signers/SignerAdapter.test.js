@@ -0,0 +1,141 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { EventEmitter } from "events";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+const { ethers } = hre;
+
+import RPCLibrary from "../../../../library/RPCLibrary/RPCLibrary.js";
+import InjectedSignerAdapter from "../../../../library/RPCLibrary/signers/InjectedSignerAdapter.js";
+import PrivateKeySignerAdapter from "../../../../library/RPCLibrary/signers/PrivateKeySignerAdapter.js";
+import MnemonicSignerAdapter from "../../../../library/RPCLibrary/signers/MnemonicSignerAdapter.js";
+import KeystoreSignerAdapter from "../../../../library/RPCLibrary/signers/KeystoreSignerAdapter.js";
+import ReadOnlySignerAdapter from "../../../../library/RPCLibrary/signers/ReadOnlySignerAdapter.js";
+
+const MNEMONIC = "test test test test test test test test test test test junk";
+
+// EIP-1193 wallet over the hardhat network, its events are emitted by the test.
+// The hardhat node has no eth_requestAccounts, the wallet is already unlocked and answers with its accounts.
+const createInjectedProvider = () => Object.assign(new EventEmitter(), {
+    request: ({ method, params }) => hre.network.provider.request({
+        method: method === "eth_requestAccounts" ? "eth_accounts" : method,
+        params
+    })
+});
+
+describe("RPCLibrary signer adapters", () => {
+    let owner, user;
+    let chainId;
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+        chainId = Number((await ethers.provider.getNetwork()).chainId);
+    });
+
+    it("should sign with a private key", async () => {
+        const wallet = ethers.Wallet.createRandom();
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+        const adapter = new PrivateKeySignerAdapter(wallet.privateKey, { provider: ethers.provider });
+
+        expect(await adapter.connect()).to.deep.equal({ address: wallet.address, chainId });
+        const signer = await adapter.getSigner();
+        await (await signer.sendTransaction({ to: user.address, value: 1n })).wait();
+        expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(1);
+    });
+
+    it("should derive mnemonic accounts from the HD path", async () => {
+        const second = new MnemonicSignerAdapter(MNEMONIC, { index: 1, provider: ethers.provider });
+        const custom = new MnemonicSignerAdapter(MNEMONIC, { path: "m/44'/60'/0'/0/3", provider: ethers.provider });
+
+        expect(await new MnemonicSignerAdapter(MNEMONIC).getAddress()).to.equal(owner.address);
+        expect((await second.connect()).address).to.equal(user.address);
+        expect(await custom.getAddress()).to.equal(ethers.HDNodeWallet.fromPhrase(MNEMONIC, "", "m/44'/60'/0'/0/3").address);
+    });
+
+    it("should decrypt a JSON keystore file", async () => {
+        const path = await mkdtemp(join(tmpdir(), "raac-keystore-"));
+        try {
+            const wallet = ethers.Wallet.createRandom();
+            const json = ethers.encryptKeystoreJsonSync(wallet, "secret", { scrypt: { N: 1024 } });
+            const file = join(path, "keystore.json");
+            await writeFile(file, json);
+
+            const adapter = new KeystoreSignerAdapter({ file, password: "secret", provider: ethers.provider });
+            expect((await adapter.connect()).address).to.equal(wallet.address);
+
+            let error;
+            try {
+                await new KeystoreSignerAdapter({ json, password: "wrong" }).getAddress();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("password");
+        } finally {
+            await rm(path, { recursive: true, force: true });
+        }
+    });
+
+    it("should not sign in read-only mode", async () => {
+        const adapter = new ReadOnlySignerAdapter({ address: user.address, provider: ethers.provider });
+        expect(await adapter.connect()).to.deep.equal({ address: user.address, chainId });
+
+        const signer = await adapter.getSigner();
+        expect(await signer.getAddress()).to.equal(user.address);
+        let error;
+        try {
+            await signer.sendTransaction({ to: owner.address, value: 1n });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).to.equal("UNSUPPORTED_OPERATION");
+
+        error = undefined;
+        try {
+            await new ReadOnlySignerAdapter({ provider: ethers.provider }).getSigner();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Read-only");
+    });
+
+    it("should follow the account and chain of an injected wallet", async () => {
+        const ethereum = createInjectedProvider();
+        const rpc = new RPCLibrary(new InjectedSignerAdapter(ethereum));
+        const events = [];
+        rpc.on("accountChanged", (address) => events.push(["accountChanged", address]));
+        rpc.on("chainChanged", (chainId) => events.push(["chainChanged", chainId]));
+
+        const connection = await rpc.connectWallet();
+        expect(connection).to.deep.equal({ address: owner.address, chainId });
+        expect(rpc.address).to.equal(owner.address);
+        expect(await rpc.signer.getAddress()).to.equal(owner.address);
+
+        ethereum.emit("accountsChanged", [user.address.toLowerCase()]);
+        ethereum.emit("chainChanged", "0x1");
+        ethereum.emit("accountsChanged", []);
+
+        expect(events).to.deep.equal([
+            ["chainChanged", chainId],
+            ["accountChanged", owner.address],
+            ["accountChanged", user.address],
+            ["chainChanged", 1],
+            ["accountChanged", null]
+        ]);
+        expect(rpc.isConnected).to.equal(false);
+        expect(rpc.chainId).to.equal(1);
+        rpc.signerAdapter.destroy();
+    });
+
+    it("should accept a private key or any adapter at construction", async () => {
+        const wallet = ethers.Wallet.createRandom();
+        expect(new RPCLibrary(wallet.privateKey).signerAdapter).to.be.instanceOf(PrivateKeySignerAdapter);
+        expect(new RPCLibrary().signerAdapter.readOnly).to.equal(true);
+
+        const rpc = new RPCLibrary(new PrivateKeySignerAdapter(wallet.privateKey, { provider: ethers.provider }));
+        await rpc.connectWallet();
+        expect(rpc.address).to.equal(wallet.address);
+        expect(rpc.chainId).to.equal(chainId);
+        expect(await (await rpc.getSigner()).getAddress()).to.equal(wallet.address);
+    });
+});
@@ -0,0 +1,84 @@
+import { expect } from "chai";
+
+import diffSnapshots from "../../../../library/RPCLibrary/snapshots/diffSnapshots.js";
+
+const USER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const LENDING_POOL = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+const snapshot = (overrides = {}) => ({
+    chainId: 31337,
+    blockNumber: 10,
+    timestamp: 1700000000,
+    lendingPool: {
+        reserve: { totalLiquidity: "500000000000000000000", totalUsage: "0" },
+        primeRate: "100000000000000000000000000",
+    },
+    users: {
+        [USER]: {
+            balances: { crvusd: "1000000000000000000000" },
+            lendingPool: { debt: "0", nfts: [] },
+            nfts: ["1021000"],
+        },
+    },
+    nfts: {
+        1021000: { owner: USER, custodian: null, depositor: null },
+    },
+    ...overrides,
+});
+
+describe("RPCLibrary diffSnapshots", () => {
+    it("should report nothing between identical snapshots", () => {
+        const diff = diffSnapshots(snapshot(), snapshot({ blockNumber: 12, timestamp: 1700000024 }));
+        expect(diff.fromBlock).to.equal(10);
+        expect(diff.toBlock).to.equal(12);
+        expect(diff.changes).to.deep.equal({});
+    });
+
+    it("should report changed values by path with integer deltas", () => {
+        const after = snapshot({ blockNumber: 11 });
+        after.lendingPool.reserve = { totalLiquidity: "495000000000000000000", totalUsage: "5000000000000000000" };
+        after.users[USER].lendingPool = { debt: "5000000000000000000", nfts: ["1021000"] };
+        after.users[USER].nfts = [];
+        after.nfts[1021000] = { owner: LENDING_POOL, custodian: "lendingpool", depositor: USER };
+
+        const { changes } = diffSnapshots(snapshot(), after);
+
+        expect(changes["lendingPool.reserve.totalLiquidity"].delta).to.equal("-5000000000000000000");
+        expect(changes["lendingPool.reserve.totalUsage"].delta).to.equal("5000000000000000000");
+        expect(changes[`users.${USER}.lendingPool.debt`]).to.deep.equal({
+            before: "0",
+            after: "5000000000000000000",
+            delta: "5000000000000000000",
+        });
+        expect(changes[`users.${USER}.lendingPool.nfts`]).to.deep.equal({ before: [], after: ["1021000"] });
+        expect(changes["nfts.1021000.custodian"]).to.deep.equal({ before: null, after: "lendingpool" });
+        expect(changes["nfts.1021000.depositor"]).to.deep.equal({ before: null, after: USER });
+        expect(changes).to.not.have.property("lendingPool.primeRate");
+        expect(changes).to.not.have.property("blockNumber");
+    });
+
+    it("should report added values and skip ignored paths", () => {
+        const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+        const after = snapshot({ users: { ...snapshot().users, [other]: { balances: { crvusd: "1" } } } });
+        after.lendingPool.primeRate = "110000000000000000000000000";
+
+        const { changes } = diffSnapshots(snapshot(), after, { ignore: ["blockNumber", "timestamp", "lendingPool"] });
+
+        expect(Object.keys(changes)).to.deep.equal([`users.${other}`]);
+        expect(changes[`users.${other}`]).to.deep.equal({ before: null, after: { balances: { crvusd: "1" } } });
+    });
+
+    it("should survive a JSON round trip", () => {
+        const before = JSON.parse(JSON.stringify(snapshot()));
+        expect(diffSnapshots(before, snapshot()).changes).to.deep.equal({});
+    });
+
+    it("should not diff snapshots of different chains", () => {
+        try {
+            diffSnapshots(snapshot(), snapshot({ chainId: 8453 }));
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.equal("Cannot diff snapshots of chain 31337 and chain 8453");
+        }
+    });
+});
@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import Subscription, { diffValues } from "../../../../library/RPCLibrary/subscriptions/Subscription.js";
+
+// Provider with the listener API of ethers and a socket that can be closed from the test
+const createSocketProvider = () => ({
+    websocket: new EventTarget(),
+    listeners: [],
+    destroyed: false,
+    async on(event, listener) { this.listeners.push({ event, listener }); },
+    async off(event, listener) { this.listeners = this.listeners.filter((entry) => entry.listener !== listener); },
+    destroy() { this.destroyed = true; }
+});
+
+describe("RPCLibrary Subscription", () => {
+    let owner;
+    let user;
+    let token;
+
+    const readBalance = (blockTag) => token.balanceOf(user.address, { blockTag })
+        .then((balance) => ({ balance, blockNumber: blockTag }));
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const RAACMockERC20 = await ethers.getContractFactory("RAACMockERC20");
+        token = await RAACMockERC20.deploy(owner.address);
+        await token.waitForDeployment();
+    });
+
+    it("should diff top-level values", () => {
+        const previous = { amount: 1n, bid: { amount: 1n }, blockNumber: 1 };
+
+        expect(diffValues(null, previous, ["blockNumber"])).to.deep.equal({ amount: 1n, bid: { amount: 1n } });
+        expect(diffValues(previous, { amount: 1n, bid: { amount: 2n }, blockNumber: 2 }, ["blockNumber"]))
+            .to.deep.equal({ bid: { amount: 2n } });
+        expect(diffValues(previous, { ...previous, blockNumber: 3 }, ["blockNumber"])).to.deep.equal({});
+    });
+
+    it("should push the value, then diff only when it changes", async () => {
+        const subscription = new Subscription({ provider: createSocketProvider(), read: readBalance });
+        const changes = [];
+        subscription.on("change", (change) => changes.push(change));
+        await subscription.start();
+
+        await subscription.onBlock(await ethers.provider.getBlockNumber());
+        await token.transfer(user.address, 5n);
+        const blockNumber = await ethers.provider.getBlockNumber();
+        await subscription.onBlock(blockNumber);
+
+        expect(changes).to.have.length(2);
+        expect(changes[0].diff).to.deep.equal({ balance: 0n });
+        expect(changes[1].diff).to.deep.equal({ balance: 5n });
+        expect(changes[1].previous.balance).to.equal(0n);
+        expect(changes[1].blockNumber).to.equal(blockNumber);
+    });
+
+    it("should fold blocks received during a read into one read of the latest block", async () => {
+        const reads = [];
+        const subscription = new Subscription({
+            provider: createSocketProvider(),
+            read: (blockTag) => {
+                reads.push(blockTag);
+                return readBalance(blockTag);
+            }
+        });
+        await subscription.start();
+
+        const blockNumber = await ethers.provider.getBlockNumber();
+        await Promise.all([
+            subscription.onBlock(blockNumber),
+            subscription.onBlock(blockNumber),
+            subscription.onBlock(blockNumber)
+        ]);
+
+        expect(reads).to.deep.equal(["latest", blockNumber, blockNumber]);
+    });
+
+    it("should stop pushing once unsubscribed", async () => {
+        const provider = createSocketProvider();
+        const subscription = new Subscription({ provider, read: readBalance, filters: [{ address: token.target }] });
+        const changes = [];
+        subscription.on("change", (change) => changes.push(change));
+        await subscription.start();
+        expect(provider.listeners.map(({ event }) => event)).to.deep.equal(["block", { address: token.target }]);
+
+        await subscription.unsubscribe();
+        await token.transfer(user.address, 5n);
+        await subscription.onBlock(await ethers.provider.getBlockNumber());
+
+        expect(changes).to.have.length(1);
+        expect(provider.listeners).to.have.length(0);
+    });
+
+    it("should reconnect when the socket closes and push what changed meanwhile", async () => {
+        const provider = createSocketProvider();
+        const nextProvider = createSocketProvider();
+        const subscription = new Subscription({
+            provider,
+            read: readBalance,
+            reconnect: async () => nextProvider,
+            reconnectDelay: 0
+        });
+        const changes = [];
+        subscription.on("change", (change) => changes.push(change));
+        await subscription.start();
+
+        await token.transfer(user.address, 7n);
+        const reconnected = new Promise((resolve) => subscription.once("reconnected", resolve));
+        provider.websocket.dispatchEvent(new Event("close"));
+        const { attempt } = await reconnected;
+
+        expect(attempt).to.equal(1);
+        expect(provider.destroyed).to.equal(true);
+        expect(provider.listeners).to.have.length(0);
+        expect(nextProvider.listeners.map(({ event }) => event)).to.deep.equal(["block"]);
+        expect(subscription.provider).to.equal(nextProvider);
+        expect(changes.map(({ diff }) => diff.balance)).to.deep.equal([0n, 7n]);
+
+        await subscription.unsubscribe();
+    });
+});
@@ -0,0 +1,94 @@
+import { mine } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import RPCLibrary from "../../../../library/RPCLibrary/RPCLibrary.js";
+import subscribe from "../../../../library/RPCLibrary/subscriptions/subscribe.js";
+import subscribeToLoan from "../../../../library/RPCLibrary/subscriptions/subscribeToLoan.js";
+import { deployLendingPool, registerLendingPoolConfig } from "../fixtures/lendingPool.js";
+
+const CHAIN_ID = 990104;
+const PRICE = ethers.parseEther("100");
+
+describe("RPCLibrary loan subscription", () => {
+    let owner, user;
+    let crvusd, raacHousePrices, raacNFT, lendingPool;
+    let deployedAt;
+    let subscriptions;
+
+    const expectRejection = async (promise, message) => {
+        try {
+            await promise;
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    };
+
+    const mintAndDeposit = async (tokenId) => {
+        await raacHousePrices.setHousePrice(tokenId, PRICE);
+        await crvusd.mint(user.address, PRICE);
+        await crvusd.connect(user).approve(raacNFT.target, PRICE);
+        await raacNFT.connect(user).mint(tokenId, PRICE);
+        await raacNFT.connect(user).approve(lendingPool.target, tokenId);
+        await lendingPool.connect(user).depositNFT(tokenId);
+    };
+
+    // Unsubscribed after each test, blocks are read on refresh() only with watchBlocks: false
+    const follow = async (subscribeTo, ...args) => {
+        const subscription = await subscribeTo(...args);
+        subscriptions.push(subscription);
+        return subscription;
+    };
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+        deployedAt = await ethers.provider.getBlockNumber();
+        subscriptions = [];
+
+        const contracts = await deployLendingPool(owner);
+        ({ crvusd, raacHousePrices, raacNFT, lendingPool } = contracts);
+        registerLendingPoolConfig(CHAIN_ID, contracts, owner.address);
+    });
+
+    afterEach(async () => {
+        await Promise.all(subscriptions.map((subscription) => subscription.unsubscribe()));
+    });
+
+    it("should follow the borrower from the current block unless given an earlier fromBlock", async () => {
+        await mintAndDeposit(1);
+        // The current block is read as well, the deposit has to be in an earlier one
+        await mine();
+
+        const fromCurrentBlock = await follow(subscribeToLoan, CHAIN_ID, 1, ethers.provider, null, { watchBlocks: false });
+        expect(fromCurrentBlock.value.isCollateral).to.equal(true);
+        expect(fromCurrentBlock.value.owner).to.equal(null);
+
+        const fromDeployment = await follow(subscribeToLoan, CHAIN_ID, 1, ethers.provider, null, { watchBlocks: false, fromBlock: deployedAt });
+        expect(fromDeployment.value.isCollateral).to.equal(true);
+        expect(fromDeployment.value.owner).to.equal(user.address);
+
+        // Deposits after the subscription are followed
+        const changes = [];
+        const later = await follow(subscribeToLoan, CHAIN_ID, 2, ethers.provider, (diff) => changes.push(diff), { watchBlocks: false });
+        expect(later.value.isCollateral).to.equal(false);
+        await mintAndDeposit(2);
+        await later.refresh();
+        expect(later.value.owner).to.equal(user.address);
+        expect(later.value.isCollateral).to.equal(true);
+        expect(changes.at(-1)).to.include({ owner: user.address, isCollateral: true });
+    });
+
+    it("should subscribe by name from rpc.subscribe", async () => {
+        await mintAndDeposit(1);
+        const rpc = new RPCLibrary();
+
+        const loan = await follow(rpc.subscribe, "loan", CHAIN_ID, 1, ethers.provider, null, { watchBlocks: false, fromBlock: deployedAt });
+        expect(loan.value.owner).to.equal(user.address);
+        expect(loan.value.price.raw).to.equal(PRICE);
+        expect(rpc.subscribe.subscribeToLoan).to.equal(subscribeToLoan);
+
+        await expectRejection(subscribe("loans", CHAIN_ID, 1, ethers.provider), "Unknown subscription loans, expected one of loan, housePrice");
+    });
+});
@@ -0,0 +1,194 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import TransactionQueue from "../../../../library/RPCLibrary/transactions/TransactionQueue.js";
+import NonceManager from "../../../../library/RPCLibrary/transactions/NonceManager.js";
+import { TX_STATUS } from "../../../../library/RPCLibrary/transactions/TransactionHandle.js";
+
+// Resolves once the queue emitted `event` `count` times
+const waitFor = (queue, event, count = 1) => new Promise((resolve) => {
+    const payloads = [];
+    const listener = (payload) => {
+        payloads.push(payload);
+        if (payloads.length === count) {
+            queue.off(event, listener);
+            resolve(payloads);
+        }
+    };
+    queue.on(event, listener);
+});
+
+describe("RPCLibrary TransactionQueue", () => {
+    let owner, user;
+    let wallet;
+    let token;
+    let queue;
+
+    const transfer = (amount) => ({ contract: token.connect(wallet), method: "transfer", args: [user.address, amount] });
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const RAACMockERC20 = await ethers.getContractFactory("RAACMockERC20");
+        token = await RAACMockERC20.deploy(owner.address);
+        await token.waitForDeployment();
+
+        wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") });
+        await token.mintTo(wallet.address, 100n);
+
+        queue = new TransactionQueue(wallet, { pollInterval: 10 });
+    });
+
+    afterEach(async () => {
+        queue.stop();
+        await ethers.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("should broadcast a batch with consecutive nonces without waiting for receipts", async () => {
+        await ethers.provider.send("evm_setAutomine", [false]);
+        const sent = waitFor(queue, "sent", 5);
+        const handles = queue.addAll([1n, 2n, 3n, 4n, 5n].map(transfer));
+
+        const nonces = (await sent).map(({ nonce }) => nonce);
+        expect(nonces).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(queue.getPending()).to.have.length(5);
+        expect(handles.every(({ status }) => status === TX_STATUS.SENT)).to.equal(true);
+
+        await ethers.provider.send("evm_mine", []);
+        const results = await queue.drain();
+
+        expect(results.every(({ status }) => status === "fulfilled")).to.equal(true);
+        expect(new Set(results.map(({ value }) => value.blockNumber)).size).to.equal(1);
+        expect(await token.balanceOf(user.address)).to.equal(15n);
+        expect(queue.getPending()).to.have.length(0);
+    });
+
+    it("should rebroadcast dropped transactions with bumped fees", async () => {
+        queue = new TransactionQueue(wallet, { pollInterval: 10, dropTimeout: 0, feeBump: 20 });
+        await ethers.provider.send("evm_setAutomine", [false]);
+        const sent = waitFor(queue, "sent");
+        const handle = queue.add(transfer(7n));
+        const [{ hash }] = await sent;
+        const original = await ethers.provider.getTransaction(hash);
+
+        const rebroadcast = waitFor(queue, "rebroadcast");
+        await ethers.provider.send("hardhat_dropTransaction", [hash]);
+        const [{ nonce, hash: replacementHash, previousHash }] = await rebroadcast;
+
+        expect(nonce).to.equal(0);
+        expect(previousHash).to.equal(hash);
+        const replacement = await ethers.provider.getTransaction(replacementHash);
+        expect(replacement.nonce).to.equal(original.nonce);
+        expect(replacement.maxFeePerGas >= original.maxFeePerGas * 120n / 100n).to.equal(true);
+
+        await ethers.provider.send("evm_mine", []);
+        const receipt = await handle;
+        expect(receipt.hash).to.equal(replacementHash);
+        expect(await token.balanceOf(user.address)).to.equal(7n);
+    });
+
+    it("should count the confirmations on the broadcast that was mined", async () => {
+        queue = new TransactionQueue(wallet, { pollInterval: 10, dropTimeout: 200, confirmations: 2 });
+        await ethers.provider.send("evm_setAutomine", [false]);
+        const sent = waitFor(queue, "sent");
+        const handle = queue.add(transfer(7n));
+        const [{ hash }] = await sent;
+        const original = ethers.Transaction.from(await ethers.provider.getTransaction(hash)).serialized;
+
+        const rebroadcast = waitFor(queue, "rebroadcast");
+        await ethers.provider.send("hardhat_dropTransaction", [hash]);
+        const [{ hash: replacementHash }] = await rebroadcast;
+        expect(handle.response.hash).to.equal(replacementHash);
+
+        // The original transaction comes back and is the one mined
+        await ethers.provider.send("hardhat_dropTransaction", [replacementHash]);
+        await ethers.provider.broadcastTransaction(original);
+        await ethers.provider.send("evm_mine", []);
+        await handle.wait(1);
+        expect(handle.hash).to.equal(hash);
+        expect(handle.response.hash).to.equal(hash);
+
+        await ethers.provider.send("evm_mine", []);
+        const receipt = await handle;
+        expect(receipt.hash).to.equal(hash);
+        expect(handle.confirmations).to.equal(2);
+        expect(await token.balanceOf(user.address)).to.equal(7n);
+    });
+
+    it("should settle mined transactions without waiting for the next poll", async () => {
+        queue = new TransactionQueue(wallet, { pollInterval: 60000 });
+        const startedAt = Date.now();
+        const results = await Promise.all(queue.addAll([1n, 2n, 3n].map(transfer)));
+
+        expect(results.map(({ status }) => status)).to.deep.equal([1, 1, 1]);
+        expect(Date.now() - startedAt).to.be.lessThan(5000);
+    });
+
+    it("should read the nonce again when the account sent outside of the queue", async () => {
+        await queue.add(transfer(1n));
+        await (await wallet.sendTransaction({ to: user.address, value: 1n })).wait();
+
+        const receipt = await queue.add(transfer(2n));
+        expect(receipt.status).to.equal(1);
+        expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(3);
+    });
+
+    it("should fail reverted transactions and keep going", async () => {
+        await ethers.provider.send("evm_setAutomine", [false]);
+        const sent = waitFor(queue, "sent", 2);
+        const failed = waitFor(queue, "failed");
+        const reverted = queue.add(transfer(1000n), { gasLimit: 100000n });
+        const next = queue.add(transfer(3n));
+        await sent;
+        await ethers.provider.send("evm_mine", []);
+
+        let error;
+        try {
+            await reverted;
+        } catch (e) {
+            error = e;
+        }
+        expect(error.stage).to.equal("mined");
+        expect(error.receipt.status).to.equal(0);
+        expect((await failed)[0].nonce).to.equal(0);
+
+        expect((await next).status).to.equal(1);
+        expect(await token.balanceOf(user.address)).to.equal(3n);
+    });
+
+    it("should cancel the transactions not sent yet after a failure with stopOnFailure", async () => {
+        queue = new TransactionQueue(wallet, { pollInterval: 10, stopOnFailure: true });
+        const failed = waitFor(queue, "failed", 3);
+        const sent = queue.add(transfer(1n));
+        // More than the balance, the gas estimation reverts
+        queue.add(transfer(1000n));
+        queue.add(transfer(2n));
+        queue.add(transfer(3n));
+
+        const results = await queue.drain();
+        expect(results.map(({ status }) => status)).to.deep.equal(["fulfilled", "rejected", "rejected", "rejected"]);
+        expect(results.slice(1).map(({ reason }) => reason.stage)).to.deep.equal(["estimate", "cancelled", "cancelled"]);
+        expect((await failed).map(({ nonce }) => nonce)).to.deep.equal([null, null, null]);
+        expect((await sent).status).to.equal(1);
+        expect(await token.balanceOf(user.address)).to.equal(1n);
+        expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(1);
+
+        // The drain lets the queue send again
+        expect((await queue.add(transfer(4n))).status).to.equal(1);
+        expect(await token.balanceOf(user.address)).to.equal(5n);
+    });
+
+    it("should hand out consecutive nonces to concurrent callers", async () => {
+        const nonceManager = new NonceManager(wallet);
+
+        expect(await Promise.all([nonceManager.next(), nonceManager.next(), nonceManager.next()])).to.deep.equal([0, 1, 2]);
+        nonceManager.release(2);
+        expect(await nonceManager.next()).to.equal(2);
+
+        // Releasing a nonce in the middle leaves a gap, the count is read again from the chain
+        nonceManager.release(0);
+        expect(await nonceManager.next()).to.equal(0);
+    });
+});
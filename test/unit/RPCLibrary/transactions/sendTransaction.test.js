@@ -0,0 +1,145 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import sendTransaction, { GAS_LIMIT_BUFFER } from "../../../../library/RPCLibrary/transactions/sendTransaction.js";
+import { TX_STATUS } from "../../../../library/RPCLibrary/transactions/TransactionHandle.js";
+import ContractError from "../../../../library/RPCLibrary/errors/ContractError.js";
+import { ERROR_CODES } from "../../../../library/RPCLibrary/errors/codes.js";
+
+const recordEvents = (handle) => {
+    const events = [];
+    for (const name of ["signed", "sent", "mined", "confirmed", "replaced", "failed"]) {
+        handle.on(name, (payload) => events.push({ name, payload }));
+    }
+    return events;
+};
+
+describe("RPCLibrary sendTransaction", () => {
+    let owner;
+    let user;
+    let token;
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const RAACMockERC20 = await ethers.getContractFactory("RAACMockERC20");
+        token = await RAACMockERC20.deploy(owner.address);
+        await token.waitForDeployment();
+    });
+
+    it("should go through the lifecycle and resolve with the receipt", async () => {
+        const amount = ethers.parseEther("10");
+        const handle = sendTransaction(owner, { contract: token, method: "transfer", args: [user.address, amount] });
+        const events = recordEvents(handle);
+
+        const receipt = await handle;
+
+        expect(receipt.status).to.equal(1);
+        expect(await token.balanceOf(user.address)).to.equal(amount);
+        expect(events.map(({ name }) => name)).to.deep.equal(["signed", "sent", "mined", "confirmed"]);
+        expect(events[0].payload.hash).to.equal(receipt.hash);
+        expect(events[3].payload.confirmations).to.equal(1);
+        expect(handle.status).to.equal(TX_STATUS.CONFIRMED);
+        expect(handle.hash).to.equal(receipt.hash);
+    });
+
+    it("should add the buffer to the estimated gas limit and use the fees of the chain", async () => {
+        const args = [user.address, ethers.parseEther("10")];
+        const estimated = await token.connect(owner).transfer.estimateGas(...args);
+        // EIP-1559 fees, unless the network is configured with a fixed gas price
+        const { maxFeePerGas } = await ethers.provider.getFeeData();
+
+        const handle = sendTransaction(owner, { contract: token, method: "transfer", args });
+        await handle;
+
+        expect(handle.response.gasLimit).to.equal(estimated * BigInt(100 + GAS_LIMIT_BUFFER) / 100n);
+        if (maxFeePerGas != null) {
+            expect(handle.response.type).to.equal(2);
+            expect(handle.response.maxFeePerGas).to.be.a("bigint");
+        } else {
+            expect(handle.response.type).to.equal(0);
+            expect(handle.response.gasPrice).to.be.a("bigint");
+        }
+    });
+
+    it("should fail the pre-flight simulation without sending anything", async () => {
+        const nonce = await owner.getNonce();
+        const balance = await token.balanceOf(owner.address);
+
+        const handle = sendTransaction(owner, {
+            contract: token,
+            method: "transfer",
+            args: [user.address, balance + 1n]
+        }, { errorMessage: "Transfer failed" });
+        const events = recordEvents(handle);
+
+        let error;
+        try {
+            await handle;
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(ContractError);
+        expect(error.message).to.match(/^Transfer failed: ERC20InsufficientBalance\(/);
+        expect(error.code).to.equal(ERROR_CODES.INSUFFICIENT_BALANCE);
+        expect(error.namedArgs.needed).to.equal(balance + 1n);
+        expect(error.stage).to.equal("preflight");
+        expect(events.map(({ name }) => name)).to.deep.equal(["failed"]);
+        expect(handle.status).to.equal(TX_STATUS.FAILED);
+        expect(await owner.getNonce()).to.equal(nonce);
+    });
+
+    it("should fail in the prepare stage without a signer", async () => {
+        let error;
+        try {
+            await sendTransaction(null, { contract: token, method: "transfer", args: [user.address, 1n] });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.equal("Wallet not connected");
+        expect(error.stage).to.equal("prepare");
+    });
+
+    it("should wait for the requested confirmations", async () => {
+        const handle = sendTransaction(owner, { contract: token, method: "transfer", args: [user.address, 1n] });
+        const events = recordEvents(handle);
+        await handle;
+
+        const confirmed = handle.wait(3);
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+        const receipt = await confirmed;
+
+        expect(receipt.hash).to.equal(handle.hash);
+        expect(handle.confirmations).to.equal(3);
+        expect(events.filter(({ name }) => name === "confirmed").map(({ payload }) => payload.confirmations))
+            .to.deep.equal([1, 2, 3]);
+    });
+
+    it("should resolve with the result of the write", async () => {
+        const result = await sendTransaction(owner, async () => ({
+            contract: token,
+            method: "transfer",
+            args: [user.address, 1n]
+        }), {
+            getResult: (receipt) => ({ blockNumber: receipt.blockNumber, receipt })
+        });
+
+        expect(result.blockNumber).to.equal(result.receipt.blockNumber);
+    });
+
+    it("should sign with a local wallet before broadcasting", async () => {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+
+        const handle = sendTransaction(wallet, { transaction: { to: user.address, value: ethers.parseEther("0.5") } });
+        const events = recordEvents(handle);
+        const receipt = await handle;
+
+        expect(events.map(({ name }) => name)).to.deep.equal(["signed", "sent", "mined", "confirmed"]);
+        expect(events[0].payload.hash).to.equal(receipt.hash);
+        expect(events[0].payload.transaction.from).to.equal(wallet.address);
+    });
+});
@@ -0,0 +1,53 @@
+import { expect } from "chai";
+
+import { EventEmitter } from "../../../../library/RPCLibrary/utils/EventEmitter.js";
+
+describe("RPCLibrary EventEmitter", () => {
+    it("should call listeners in order with the emitted arguments", () => {
+        const emitter = new EventEmitter();
+        const calls = [];
+        emitter.on("block", (blockNumber) => calls.push(["first", blockNumber]));
+        emitter.on("block", (blockNumber) => calls.push(["second", blockNumber]));
+
+        expect(emitter.emit("block", 7)).to.equal(true);
+        expect(emitter.emit("log")).to.equal(false);
+        expect(calls).to.deep.equal([["first", 7], ["second", 7]]);
+        expect(emitter.listenerCount("block")).to.equal(2);
+    });
+
+    it("should remove listeners, including once listeners before they fire", () => {
+        const emitter = new EventEmitter();
+        let count = 0;
+        const listener = () => { count += 1; };
+
+        emitter.once("sent", listener);
+        emitter.emit("sent");
+        emitter.emit("sent");
+        expect(count).to.equal(1);
+
+        emitter.once("sent", listener);
+        emitter.off("sent", listener);
+        emitter.on("mined", listener);
+        emitter.removeListener("mined", listener);
+        emitter.emit("sent");
+        emitter.emit("mined");
+        expect(count).to.equal(1);
+        expect(emitter.listenerCount("sent")).to.equal(0);
+    });
+
+    it("should throw unhandled errors like Node", () => {
+        const emitter = new EventEmitter();
+        const error = new Error("boom");
+        try {
+            emitter.emit("error", error);
+            expect.fail("Should have thrown");
+        } catch (thrown) {
+            expect(thrown).to.equal(error);
+        }
+
+        let handled = null;
+        emitter.on("error", (received) => { handled = received; });
+        emitter.emit("error", error);
+        expect(handled).to.equal(error);
+    });
+});
@@ -0,0 +1,168 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import {
+    MULTICALL3_ADDRESS,
+    multicall,
+    call,
+    ethBalance,
+    getBlockTag
+} from "../../../../library/RPCLibrary/utils/multicall.js";
+import { parseContractError } from "../../../../library/RPCLibrary/errors/decodeError.js";
+
+// Chain ids without a chain config resolve to the canonical Multicall3 address,
+// distinct ids keep the deployment cache of each scenario separate
+const CHAIN_WITH_MULTICALL = 990001;
+const CHAIN_WITHOUT_MULTICALL = 990002;
+const CHAIN_WITH_FLAKY_RPC = 990003;
+
+describe("RPCLibrary multicall", () => {
+    let owner;
+    let user;
+    let token;
+
+    before(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const RAACMockERC20 = await ethers.getContractFactory("RAACMockERC20");
+        token = await RAACMockERC20.deploy(owner.address);
+        await token.waitForDeployment();
+    });
+
+    describe("without Multicall3 deployed", () => {
+        before(async () => {
+            await ethers.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, "0x"]);
+        });
+
+        it("should fall back to one call per read", async () => {
+            const [name, balance, eth] = await multicall(CHAIN_WITHOUT_MULTICALL, ethers.provider, [
+                call(token, "name"),
+                call(token, "balanceOf", [owner.address]),
+                ethBalance(CHAIN_WITHOUT_MULTICALL, ethers.provider, user.address),
+            ]);
+
+            expect(name).to.equal(await token.name());
+            expect(balance).to.equal(await token.balanceOf(owner.address));
+            expect(eth).to.equal(await ethers.provider.getBalance(user.address));
+        });
+    });
+
+    describe("with Multicall3 deployed", () => {
+        before(async () => {
+            const MockMulticall3 = await ethers.getContractFactory("MockMulticall3");
+            const mock = await MockMulticall3.deploy();
+            await mock.waitForDeployment();
+
+            const code = await ethers.provider.getCode(await mock.getAddress());
+            await ethers.provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, code]);
+        });
+
+        it("should return decoded results in request order", async () => {
+            const [symbol, decimals, balance, eth] = await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [
+                call(token, "symbol"),
+                call(token, "decimals"),
+                call(token, "balanceOf", [owner.address]),
+                ethBalance(CHAIN_WITH_MULTICALL, ethers.provider, user.address),
+            ]);
+
+            expect(symbol).to.equal(await token.symbol());
+            expect(decimals).to.equal(18n);
+            expect(balance).to.equal(await token.balanceOf(owner.address));
+            expect(eth).to.equal(await ethers.provider.getBalance(user.address));
+        });
+
+        it("should return the fallback of a failed read", async () => {
+            const [allowance, ownerOf] = await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [
+                call(token, "allowance", [owner.address, user.address]),
+                call(new ethers.Contract(await token.getAddress(), ["function ownerOf(uint256) view returns (address)"], ethers.provider), "ownerOf", [1], ethers.ZeroAddress),
+            ]);
+
+            expect(allowance).to.equal(0n);
+            expect(ownerOf).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should throw on a failed read without fallback", async () => {
+            const nft = new ethers.Contract(await token.getAddress(), ["function ownerOf(uint256) view returns (address)"], ethers.provider);
+
+            let error;
+            try {
+                await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [call(nft, "ownerOf", [1])]);
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.include("Multicall ownerOf reverted");
+        });
+
+        it("should keep the revert data of a failed read", async () => {
+            // Multicall3 is the sender of the subcall and holds no token
+            let error;
+            try {
+                await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [call(token, "transfer", [user.address, 1n])]);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.code).to.equal("CALL_EXCEPTION");
+
+            const decoded = parseContractError(error, { abi: token.interface, message: "Failed to read" });
+            expect(decoded.errorName).to.equal("ERC20InsufficientBalance");
+            expect(decoded.namedArgs).to.deep.equal({ sender: MULTICALL3_ADDRESS, balance: 0n, needed: 1n });
+            expect(decoded.message).to.include("Failed to read");
+        });
+
+        it("should read every value at the pinned block", async () => {
+            const blockNumber = await getBlockTag(ethers.provider);
+            const before = await token.balanceOf(user.address);
+
+            await token.connect(owner).mintTo(user.address, ethers.parseEther("10"));
+
+            const [pinned] = await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [call(token, "balanceOf", [user.address])], blockNumber);
+            const [latest] = await multicall(CHAIN_WITH_MULTICALL, ethers.provider, [call(token, "balanceOf", [user.address])]);
+
+            expect(pinned).to.equal(before);
+            expect(latest).to.equal(before + ethers.parseEther("10"));
+        });
+
+        it("should retry the deployment lookup after a failed getCode", async () => {
+            let getCodeCalls = 0;
+            const flakyProvider = {
+                getCode: async (address) => {
+                    getCodeCalls += 1;
+                    if (getCodeCalls === 1) throw new Error("transient RPC error");
+                    return ethers.provider.getCode(address);
+                },
+                call: (transaction) => ethers.provider.call(transaction),
+            };
+
+            try {
+                await multicall(CHAIN_WITH_FLAKY_RPC, flakyProvider, [call(token, "totalSupply")]);
+                expect.fail("Should have thrown");
+            } catch (error) {
+                expect(error.message).to.equal("transient RPC error");
+            }
+
+            const [totalSupply] = await multicall(CHAIN_WITH_FLAKY_RPC, flakyProvider, [call(token, "totalSupply")]);
+            expect(totalSupply).to.equal(await token.totalSupply());
+            expect(getCodeCalls).to.equal(2);
+        });
+
+        it("should resolve block tags to block numbers", async () => {
+            const latest = await ethers.provider.getBlockNumber();
+
+            expect(await getBlockTag(ethers.provider)).to.equal(latest);
+            expect(await getBlockTag(ethers.provider, 3)).to.equal(3);
+            expect(await getBlockTag(ethers.provider, 3n)).to.equal(3);
+            expect(await getBlockTag(ethers.provider, "0x2")).to.equal(2);
+            expect(await getBlockTag(ethers.provider, "earliest")).to.equal(0);
+            expect(await getBlockTag(ethers.provider, "finalized")).to.equal((await ethers.provider.getBlock("finalized")).number);
+        });
+
+        it("should split large batches", async () => {
+            const requests = Array.from({ length: 450 }, () => call(token, "totalSupply"));
+            const results = await multicall(CHAIN_WITH_MULTICALL, ethers.provider, requests);
+
+            expect(results).to.have.length(450);
+            expect(results.every((result) => result === results[0])).to.equal(true);
+        });
+    });
+});
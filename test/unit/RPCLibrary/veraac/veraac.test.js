@@ -0,0 +1,130 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import lock from "../../../../library/RPCLibrary/veraac/lock.js";
+import increase from "../../../../library/RPCLibrary/veraac/increase.js";
+import extend from "../../../../library/RPCLibrary/veraac/extend.js";
+import withdraw from "../../../../library/RPCLibrary/veraac/withdraw.js";
+import emergencyWithdraw from "../../../../library/RPCLibrary/veraac/emergencyWithdraw.js";
+import getLockPosition from "../../../../library/RPCLibrary/veraac/getLockPosition.js";
+import getVotingPower from "../../../../library/RPCLibrary/veraac/getVotingPower.js";
+import getCurrentBoost from "../../../../library/RPCLibrary/veraac/getCurrentBoost.js";
+import calculateVeAmount from "../../../../library/RPCLibrary/veraac/calculateVeAmount.js";
+import ContractError from "../../../../library/RPCLibrary/errors/ContractError.js";
+
+const CHAIN_ID = 990402;
+const YEAR = 365 * 24 * 3600;
+const EMERGENCY_DELAY = 3 * 24 * 3600;
+
+describe("RPCLibrary veRAAC locks", () => {
+    let owner, user;
+    let raacToken, veRAACToken;
+
+    const positionOf = () => getLockPosition(CHAIN_ID, user.address, ethers.provider);
+
+    beforeEach(async () => {
+        [owner, user] = await ethers.getSigners();
+
+        const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+        raacToken = await ERC20Mock.deploy("RAAC Token", "RAAC");
+        const VeRAACToken = await ethers.getContractFactory("veRAACToken");
+        veRAACToken = await VeRAACToken.deploy(raacToken.target);
+        await raacToken.mint(user.address, ethers.parseEther("10000"));
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.assets.raactoken.contract = raacToken.target;
+        config.assets.veraac.contract = veRAACToken.target;
+        registerChainConfig(config);
+    });
+
+    it("should lock, increase and extend with the RAAC approvals sent when needed", async () => {
+        await lock(CHAIN_ID, "1000", YEAR, user);
+        const locked = await positionOf();
+        expect(locked.address).to.equal(user.address);
+        expect(locked.amount.raw).to.equal(ethers.parseEther("1000"));
+        expect(locked.end).to.equal(await time.latest() + YEAR);
+        expect(locked.power.raw).to.equal(await veRAACToken.balanceOf(user.address));
+        expect(locked.power.raw).to.equal(await veRAACToken.calculateVeAmount(ethers.parseEther("1000"), YEAR));
+        expect(locked.isExpired).to.equal(false);
+
+        await increase(CHAIN_ID, "500", user);
+        expect((await positionOf()).amount.raw).to.equal(ethers.parseEther("1500"));
+        expect(await raacToken.balanceOf(user.address)).to.equal(ethers.parseEther("8500"));
+
+        await extend(CHAIN_ID, YEAR, user);
+        const extended = await positionOf();
+        expect(extended.end).to.equal(locked.end + YEAR);
+        expect(extended.power.raw).to.equal(await veRAACToken.balanceOf(user.address));
+    });
+
+    it("should read the voting power, boost and veRAAC amounts of the contract", async () => {
+        const expected = await veRAACToken.calculateVeAmount(ethers.parseEther("1000"), 2 * YEAR);
+        expect((await calculateVeAmount(CHAIN_ID, "1000", 2 * YEAR, ethers.provider)).raw).to.equal(expected);
+        expect((await getVotingPower(CHAIN_ID, user.address, ethers.provider)).raw).to.equal(0n);
+
+        await lock(CHAIN_ID, "1000", 2 * YEAR, user);
+        const lockedAt = await time.latest();
+        await time.increase(YEAR / 2);
+
+        const power = await getVotingPower(CHAIN_ID, user.address, ethers.provider);
+        expect(power.raw).to.equal(await veRAACToken["getVotingPower(address)"](user.address));
+        expect(power.raw).to.be.lessThan(expected);
+        const pastPower = await getVotingPower(CHAIN_ID, user.address, ethers.provider, lockedAt);
+        expect(pastPower.raw).to.equal(await veRAACToken["getVotingPower(address,uint256)"](user.address, lockedAt));
+
+        const [boostBasisPoints, boostedAmount] = await veRAACToken.getCurrentBoost(user.address);
+        const boost = await getCurrentBoost(CHAIN_ID, user.address, ethers.provider);
+        expect(boost.boostBasisPoints).to.equal(Number(boostBasisPoints));
+        expect(boost.boost).to.equal(Number(boostBasisPoints) / 10000);
+        expect(boost.boostedAmount.raw).to.equal(boostedAmount);
+    });
+
+    it("should withdraw once the lock has expired on chain", async () => {
+        await lock(CHAIN_ID, "1000", YEAR, user);
+
+        let error;
+        try {
+            await withdraw(CHAIN_ID, user);
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.instanceOf(ContractError);
+        expect(error.errorName).to.equal("LockNotExpired");
+
+        await time.increaseTo((await positionOf()).end);
+        expect((await positionOf()).isExpired).to.equal(true);
+
+        await withdraw(CHAIN_ID, user);
+        expect((await positionOf()).amount.raw).to.equal(0n);
+        expect(await raacToken.balanceOf(user.address)).to.equal(ethers.parseEther("10000"));
+        expect(await veRAACToken.balanceOf(user.address)).to.equal(0n);
+    });
+
+    it("should emergency withdraw only once the owner has enabled it", async () => {
+        await lock(CHAIN_ID, "1000", YEAR, user);
+
+        let error;
+        try {
+            await emergencyWithdraw(CHAIN_ID, user);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.errorName).to.equal("EmergencyWithdrawNotEnabled");
+
+        await veRAACToken.scheduleEmergencyAction(ethers.id("enableEmergencyWithdraw"));
+        await time.increase(EMERGENCY_DELAY);
+        await veRAACToken.enableEmergencyWithdraw();
+        await time.increase(EMERGENCY_DELAY);
+
+        await emergencyWithdraw(CHAIN_ID, user);
+        expect(await raacToken.balanceOf(user.address)).to.equal(ethers.parseEther("10000"));
+        expect((await positionOf()).amount.raw).to.equal(0n);
+    });
+});
@@ -0,0 +1,69 @@
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import {
+    VESTING_CATEGORIES,
+    VESTING_CLIFF,
+    encodeCategory,
+    decodeCategory,
+    calculateReleasableAmount
+} from "../../../../library/RPCLibrary/vesting/VestingCalculator.js";
+
+const DAY = 86400n;
+
+describe("RPCLibrary VestingCalculator", () => {
+    let owner, beneficiary;
+    let raacToken;
+    let orchestrator;
+
+    beforeEach(async () => {
+        [owner, beneficiary] = await ethers.getSigners();
+
+        const RAACToken = await ethers.getContractFactory("RAACToken");
+        raacToken = await RAACToken.deploy(owner.address, 0, 0);
+
+        const RAACReleaseOrchestrator = await ethers.getContractFactory("RAACReleaseOrchestrator");
+        orchestrator = await RAACReleaseOrchestrator.deploy(await raacToken.getAddress());
+
+        await raacToken.setMinter(owner.address);
+        await raacToken.mint(await orchestrator.getAddress(), ethers.parseEther("1000000"));
+    });
+
+    it("should decode every category hash of the contract", async () => {
+        for (const category of VESTING_CATEGORIES) {
+            const categoryHash = await orchestrator[`${category}_CATEGORY`]();
+            expect(encodeCategory(category)).to.equal(categoryHash);
+            expect(decodeCategory(categoryHash)).to.equal(category);
+        }
+        expect(decodeCategory(encodeCategory("UNKNOWN"))).to.equal(null);
+    });
+
+    it("should match the released amounts of the contract", async () => {
+        const amount = ethers.parseEther("700000");
+        const latest = await ethers.provider.getBlock("latest");
+        const startTime = BigInt(latest.timestamp);
+
+        await orchestrator.createVestingSchedule(beneficiary.address, encodeCategory("TEAM"), amount, startTime);
+
+        const checkpoints = [VESTING_CLIFF - DAY, VESTING_CLIFF, VESTING_CLIFF + 13n * DAY, 400n * DAY, 400n * DAY + 3600n, 800n * DAY];
+        for (const offset of checkpoints) {
+            const timestamp = startTime + offset;
+            const schedule = await orchestrator.getVestingSchedule(beneficiary.address);
+            const expected = calculateReleasableAmount(schedule, timestamp);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+            if (expected === 0n) {
+                await expect(orchestrator.connect(beneficiary).release())
+                    .to.be.revertedWithCustomError(orchestrator, "NothingToRelease");
+            } else {
+                await expect(orchestrator.connect(beneficiary).release())
+                    .to.emit(orchestrator, "TokensReleased")
+                    .withArgs(beneficiary.address, expected);
+            }
+        }
+
+        const schedule = await orchestrator.getVestingSchedule(beneficiary.address);
+        expect(schedule.releasedAmount).to.equal(amount);
+    });
+});
@@ -0,0 +1,168 @@
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+const { ethers } = hre;
+
+import createConfig from "../../../../library/RPCLibrary/configs/createConfig.js";
+import { registerChainConfig } from "../../../../library/RPCLibrary/configs/index.js";
+import buy from "../../../../library/RPCLibrary/contracts/zeno/buy.js";
+import checkAuctionEnded from "../../../../library/RPCLibrary/contracts/zeno/checkAuctionEnded.js";
+import createAuction from "../../../../library/RPCLibrary/contracts/zeno/createAuction.js";
+import createZeno from "../../../../library/RPCLibrary/contracts/zeno/createZeno.js";
+import getAuction, { AUCTION_STATUS } from "../../../../library/RPCLibrary/contracts/zeno/getAuction.js";
+import getAuctions from "../../../../library/RPCLibrary/contracts/zeno/getAuctions.js";
+import getZenoHoldings from "../../../../library/RPCLibrary/contracts/zeno/getZenoHoldings.js";
+import getZenos from "../../../../library/RPCLibrary/contracts/zeno/getZenos.js";
+import redeem from "../../../../library/RPCLibrary/contracts/zeno/redeem.js";
+import redeemAll from "../../../../library/RPCLibrary/contracts/zeno/redeemAll.js";
+
+const CHAIN_ID = 990407;
+const DAY = 24 * 3600;
+const STARTING_PRICE = ethers.parseUnits("100", 6);
+const RESERVE_PRICE = ethers.parseUnits("10", 6);
+
+describe("RPCLibrary zeno", () => {
+    let owner, business, user;
+    let usdc, zenoFactory, auctionFactory;
+    let zenoAddress, auctionAddress, startTime, endTime, maturityDate;
+
+    const expectRejection = async (promise, message) => {
+        try {
+            await promise;
+            expect.fail("Should have thrown");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    };
+
+    beforeEach(async () => {
+        [owner, business, user] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        usdc = await MockToken.deploy("USD Coin", "USDC", 6);
+        await usdc.mint(user.address, ethers.parseUnits("10000", 6));
+        const ZENOFactory = await ethers.getContractFactory("ZENOFactory");
+        zenoFactory = await ZENOFactory.deploy(owner.address);
+        const AuctionFactory = await ethers.getContractFactory("AuctionFactory");
+        auctionFactory = await AuctionFactory.deploy(owner.address);
+
+        const config = createConfig(CHAIN_ID);
+        for (const entry of [config.assets.crvusd, config.pools.stabilitypool, config.pools.lendingpool, config.nfts.raacnft]) {
+            entry.contract = ethers.Wallet.createRandom().address;
+        }
+        config.contracts.zenofactory.contract = zenoFactory.target;
+        config.contracts.auctionfactory.contract = auctionFactory.target;
+        registerChainConfig(config);
+
+        const now = await time.latest();
+        startTime = now + 100;
+        endTime = startTime + DAY;
+        maturityDate = endTime + 30 * DAY;
+        zenoAddress = await createZeno(CHAIN_ID, usdc.target, maturityDate, owner);
+        auctionAddress = await createAuction(
+            CHAIN_ID, zenoAddress, usdc.target, business.address, startTime, endTime, STARTING_PRICE, RESERVE_PRICE, 1000, owner
+        );
+        // The auction mints the bonds it sells
+        await zenoFactory.transferZenoOwnership(0, auctionAddress);
+    });
+
+    it("should create a ZENO series and its auction and list them", async () => {
+        expect(zenoAddress).to.equal(await zenoFactory.getZENO(0));
+        expect(auctionAddress).to.equal(await auctionFactory.getAuction(0));
+
+        const [zeno] = await getZenos(CHAIN_ID, owner);
+        expect(zeno.zenoAddress).to.equal(zenoAddress);
+        expect(zeno.maturityDate).to.equal(BigInt(maturityDate));
+        expect([zeno.name, zeno.symbol]).to.deep.equal(["ZENO Bond 1", "ZENO1"]);
+
+        const auctions = await getAuctions(CHAIN_ID, owner);
+        expect(auctions).to.have.lengthOf(1);
+        expect(auctions[0].auctionAddress).to.equal(auctionAddress);
+        expect(auctions[0].zenoAddress).to.equal(zenoAddress);
+        expect(auctions[0].totalZENOAllocated).to.equal(1000n);
+
+        await expectRejection(getZenos(CHAIN_ID, null), "Wallet not connected");
+    });
+
+    it("should read the auction state and price curve and buy bonds at the live price", async () => {
+        let auction = await getAuction(CHAIN_ID, auctionAddress, user.address, ethers.provider, 5);
+        expect(auction.status).to.equal(AUCTION_STATUS.UPCOMING);
+        expect(auction.zeno).to.equal(zenoAddress);
+        expect(auction.usdc).to.equal(usdc.target);
+        expect(auction.business).to.equal(business.address);
+        expect([auction.startTime, auction.endTime]).to.deep.equal([startTime, endTime]);
+        expect(auction.price.raw).to.equal(STARTING_PRICE);
+        expect(auction.price.decimals).to.equal(6);
+        expect(auction.totalRemaining.raw).to.equal(1000n);
+        expect(auction.lastBid).to.deep.include({ bidder: null, time: 0 });
+        expect(auction.user.bought.raw).to.equal(0n);
+        expect(auction.priceCurve.map(({ timestamp, price }) => [timestamp, price.raw])).to.deep.equal([
+            [startTime, STARTING_PRICE],
+            [startTime + DAY / 4, ethers.parseUnits("77.5", 6)],
+            [startTime + DAY / 2, ethers.parseUnits("55", 6)],
+            [startTime + 3 * DAY / 4, ethers.parseUnits("32.5", 6)],
+            [endTime, RESERVE_PRICE],
+        ]);
+
+        await expectRejection(buy(CHAIN_ID, auctionAddress, 10, user), "Auction not started");
+
+        await time.increaseTo(startTime + DAY / 2);
+        const receipt = await buy(CHAIN_ID, auctionAddress, 10, user);
+        const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+        const auctionContract = await ethers.getContractAt("Auction", auctionAddress);
+        const [{ args }] = await auctionContract.queryFilter(auctionContract.filters.ZENOPurchased(), receipt.blockNumber);
+        expect(await usdc.balanceOf(business.address)).to.equal(args.price * 10n);
+
+        auction = await getAuction(CHAIN_ID, auctionAddress, user.address, ethers.provider);
+        expect(auction.status).to.equal(AUCTION_STATUS.ACTIVE);
+        expect(auction.price.raw).to.equal((await auctionContract.getDetails({ blockTag: auction.blockNumber })).price);
+        expect(auction.totalRemaining.raw).to.equal(990n);
+        expect(auction.lastBid.bidder).to.equal(user.address);
+        expect(auction.lastBid.time).to.equal(timestamp);
+        expect(auction.lastBid.amount.raw).to.equal(10n);
+        expect(auction.user.bought.raw).to.equal(10n);
+        expect((await getAuction(CHAIN_ID, auctionAddress, null, ethers.provider)).user).to.equal(null);
+
+        await expectRejection(checkAuctionEnded(CHAIN_ID, auctionAddress, owner), "Auction not ended");
+        await time.increaseTo(endTime);
+        const ended = await checkAuctionEnded(CHAIN_ID, auctionAddress, owner);
+        const [{ args: { price: finalPrice } }] = await auctionContract.queryFilter(auctionContract.filters.AuctionEnded(), ended.blockNumber);
+        expect(finalPrice).to.equal(RESERVE_PRICE);
+
+        auction = await getAuction(CHAIN_ID, auctionAddress, user.address, ethers.provider);
+        expect(auction.status).to.equal(AUCTION_STATUS.ENDED);
+        expect(auction.price.raw).to.equal(RESERVE_PRICE);
+    });
+
+    it("should read the bond holdings and redeem them for USDC at maturity", async () => {
+        await time.increaseTo(startTime + 1);
+        await buy(CHAIN_ID, auctionAddress, 10, user);
+
+        let [holding] = await getZenoHoldings(CHAIN_ID, user.address, ethers.provider);
+        expect(holding.address).to.equal(zenoAddress);
+        expect(holding.symbol).to.equal("ZENO1");
+        expect(holding.maturityDate).to.equal(maturityDate);
+        expect(holding.isRedeemable).to.equal(false);
+        expect(holding.balance.raw).to.equal(10n);
+        expect(holding.redeemValue.raw).to.equal(10n);
+        expect(holding.redeemValue.decimals).to.equal(6);
+        expect(await getZenoHoldings(CHAIN_ID, owner.address, ethers.provider)).to.deep.equal([]);
+
+        await expectRejection(redeem(CHAIN_ID, zenoAddress, 4, user), "Bond is not redeemable yet");
+
+        // The bonds are paid back from the USDC the ZENO contract holds
+        await time.increaseTo(maturityDate);
+        await usdc.mint(zenoAddress, 10n);
+        const balance = await usdc.balanceOf(user.address);
+        await redeem(CHAIN_ID, zenoAddress, 4, user);
+        expect(await usdc.balanceOf(user.address)).to.equal(balance + 4n);
+
+        [holding] = await getZenoHoldings(CHAIN_ID, user.address, ethers.provider);
+        expect(holding.isRedeemable).to.equal(true);
+        expect(holding.balance.raw).to.equal(6n);
+
+        await redeemAll(CHAIN_ID, zenoAddress, user);
+        expect(await usdc.balanceOf(user.address)).to.equal(balance + 10n);
+        expect(await getZenoHoldings(CHAIN_ID, user.address, ethers.provider)).to.deep.equal([]);
+    });
+});